@@ -1,10 +1,32 @@
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const {
+    ACCESS_TOKEN_TTL,
+    issueSession,
+    rotateRefreshToken,
+    revokeSessionByToken,
+    revokeSession,
+    revokeAllSessions,
+    listSessions,
+} = require('../services/tokenService');
+const {
+    EMAIL_VERIFICATION_MODE,
+    MIN_PASSWORD_LENGTH,
+    isAcceptablePassword,
+    sendVerification,
+    requestEmailVerification,
+    confirmEmailVerification,
+    requestPasswordReset,
+    resetPassword,
+} = require('../services/accountService');
+
+const clientInfo = (req) => ({
+    userAgent: req.header('user-agent'),
+    ip: req.ip
+});
 
 exports.signup = async (req, res) => {
     console.log('--- Register Controller Hit ---');
-    console.log('Request Body:', req.body);
 
     try {
         const { name, email, password } = req.body;
@@ -13,6 +35,9 @@ exports.signup = async (req, res) => {
             console.log('Validation Error: Missing fields');
             return res.status(400).json({ message: 'Name, email, and password are required.' });
         }
+        if (!isAcceptablePassword(password)) {
+            return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.` });
+        }
 
         const existingUser = await User.findOne({ email });
         if (existingUser) {
@@ -26,12 +51,25 @@ exports.signup = async (req, res) => {
             name,
             email,
             password: hashedPassword,
+            emailVerified: false,
         });
 
         await newUser.save();
         console.log('User saved successfully:', newUser.email);
 
-        res.status(201).json({ message: 'User registered successfully.' });
+        // The account exists either way; the user can ask for a new link if this fails
+        let verificationSent = true;
+        try {
+            await sendVerification(newUser);
+        } catch (mailErr) {
+            verificationSent = false;
+            console.error('Verification Email Error:', mailErr.message);
+        }
+
+        res.status(201).json({
+            message: 'User registered successfully. Check your email to verify your address.',
+            verificationSent
+        });
 
     } catch (err) {
         console.error('Signup Error:', err);
@@ -41,7 +79,6 @@ exports.signup = async (req, res) => {
 
 exports.login = async (req, res) => {
     console.log('--- Login Controller Hit ---');
-    console.log('Request Body:', req.body);
 
     try {
         const { email, password } = req.body;
@@ -60,22 +97,167 @@ exports.login = async (req, res) => {
             return res.status(401).json({ message: 'Invalid credentials.' });
         }
 
-        const payload = {
-            user: {
-                id: user._id
-            }
-        };
+        if (EMAIL_VERIFICATION_MODE === 'login' && !user.isEmailVerified()) {
+            return res.status(403).json({ message: 'Please verify your email address before logging in.', code: 'EMAIL_NOT_VERIFIED' });
+        }
 
-        const token = jwt.sign(
-            payload,
-            process.env.JWT_SECRET,
-            { expiresIn: '1h' }
-        );
+        const session = await issueSession(user._id, clientInfo(req));
 
-        res.status(200).json({ token, user: { id: user._id, email: user.email, name: user.name } });
+        res.status(200).json({
+            token: session.accessToken,
+            refreshToken: session.refreshToken,
+            expiresIn: ACCESS_TOKEN_TTL,
+            sessionId: session.sessionId,
+            user: { id: user._id, email: user.email, name: user.name, emailVerified: user.isEmailVerified() }
+        });
 
     } catch (err) {
         console.error('Login Error:', err);
         res.status(500).json({ message: 'Internal server error during login.' });
     }
-};
\ No newline at end of file
+};
+
+exports.refresh = async (req, res) => {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken || typeof refreshToken !== 'string') {
+        return res.status(400).json({ message: 'refreshToken is required.' });
+    }
+
+    try {
+        const session = await rotateRefreshToken(refreshToken, clientInfo(req));
+        res.status(200).json({
+            token: session.accessToken,
+            refreshToken: session.refreshToken,
+            expiresIn: ACCESS_TOKEN_TTL,
+            sessionId: session.sessionId
+        });
+    } catch (err) {
+        if (err.message === 'REFRESH_TOKEN_REUSED') {
+            return res.status(401).json({ message: 'Refresh token was already used. The session has been revoked, please log in again.' });
+        }
+        if (err.message === 'INVALID_REFRESH_TOKEN') {
+            return res.status(401).json({ message: 'Invalid or expired refresh token.' });
+        }
+        console.error('Refresh Error:', err);
+        res.status(500).json({ message: 'Internal server error during token refresh.' });
+    }
+};
+
+exports.logout = async (req, res) => {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken || typeof refreshToken !== 'string') {
+        return res.status(400).json({ message: 'refreshToken is required.' });
+    }
+
+    try {
+        await revokeSessionByToken(refreshToken);
+        res.status(200).json({ message: 'Logged out.' });
+    } catch (err) {
+        console.error('Logout Error:', err);
+        res.status(500).json({ message: 'Internal server error during logout.' });
+    }
+};
+
+exports.logoutAll = async (req, res) => {
+    try {
+        const revoked = await revokeAllSessions(req.user.id);
+        res.status(200).json({ message: 'Logged out of all sessions.', revokedSessions: revoked });
+    } catch (err) {
+        console.error('Logout All Error:', err);
+        res.status(500).json({ message: 'Internal server error during logout.' });
+    }
+};
+
+exports.listSessions = async (req, res) => {
+    try {
+        const sessions = await listSessions(req.user.id);
+        res.status(200).json({
+            sessions: sessions.map(session => ({ ...session, current: session.id === req.sessionId }))
+        });
+    } catch (err) {
+        console.error('List Sessions Error:', err);
+        res.status(500).json({ message: 'Failed to fetch sessions.' });
+    }
+};
+
+exports.revokeSession = async (req, res) => {
+    try {
+        const revoked = await revokeSession(req.user.id, req.params.sessionId);
+        if (revoked === 0) {
+            return res.status(404).json({ message: 'Session not found.' });
+        }
+        res.status(200).json({ message: 'Session revoked.' });
+    } catch (err) {
+        console.error('Revoke Session Error:', err);
+        res.status(500).json({ message: 'Failed to revoke session.' });
+    }
+};
+
+exports.requestEmailVerification = async (req, res) => {
+    const { email } = req.body || {};
+    if (!email || typeof email !== 'string') {
+        return res.status(400).json({ message: 'Email is required.' });
+    }
+
+    try {
+        await requestEmailVerification(email);
+        res.status(200).json({ message: 'If the account exists and is not verified yet, a verification email has been sent.' });
+    } catch (err) {
+        console.error('Email Verification Request Error:', err);
+        res.status(500).json({ message: 'Failed to send verification email.' });
+    }
+};
+
+exports.confirmEmailVerification = async (req, res) => {
+    const { token } = req.body || {};
+    if (!token || typeof token !== 'string') {
+        return res.status(400).json({ message: 'Token is required.' });
+    }
+
+    try {
+        await confirmEmailVerification(token);
+        res.status(200).json({ message: 'Email address verified.' });
+    } catch (err) {
+        if (err.message === 'INVALID_TOKEN') {
+            return res.status(400).json({ message: 'Invalid or expired verification link.' });
+        }
+        console.error('Email Verification Error:', err);
+        res.status(500).json({ message: 'Failed to verify email address.' });
+    }
+};
+
+exports.forgotPassword = async (req, res) => {
+    const { email } = req.body || {};
+    if (!email || typeof email !== 'string') {
+        return res.status(400).json({ message: 'Email is required.' });
+    }
+
+    try {
+        await requestPasswordReset(email);
+        res.status(200).json({ message: 'If an account exists for this email, a password reset link has been sent.' });
+    } catch (err) {
+        console.error('Password Reset Request Error:', err);
+        res.status(500).json({ message: 'Failed to send password reset email.' });
+    }
+};
+
+exports.resetPassword = async (req, res) => {
+    const { token, password } = req.body || {};
+    if (!token || typeof token !== 'string' || !password) {
+        return res.status(400).json({ message: 'Token and password are required.' });
+    }
+
+    try {
+        await resetPassword(token, password);
+        res.status(200).json({ message: 'Password updated. Please log in again; your API keys have been revoked.' });
+    } catch (err) {
+        if (err.message === 'WEAK_PASSWORD') {
+            return res.status(400).json({ message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.` });
+        }
+        if (err.message === 'INVALID_TOKEN') {
+            return res.status(400).json({ message: 'Invalid or expired password reset link.' });
+        }
+        console.error('Password Reset Error:', err);
+        res.status(500).json({ message: 'Failed to reset password.' });
+    }
+};
@@ -0,0 +1,30 @@
+const multer = require('multer');
+const { isSupportedUpload, SUPPORTED_FORMATS } = require('../utils/extractors');
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 10 * 1024 * 1024 },
+    fileFilter: (req, file, cb) => {
+        if (isSupportedUpload(file)) {
+            cb(null, true);
+        } else {
+            cb(new Error('INVALID_FILE_TYPE'), false);
+        }
+    }
+});
+
+// Reads the upload sent as "file" or, for older clients, as "pdf" into req.files.
+// multer reports rejected files through next(err), which would reach the global 500
+// handler, so unsupported or oversized files are answered here (415 and 413).
+module.exports = (req, res, next) => {
+    upload.fields([{ name: 'file', maxCount: 1 }, { name: 'pdf', maxCount: 1 }])(req, res, (error) => {
+        if (!error) return next();
+        if (error.message === 'INVALID_FILE_TYPE') {
+            return res.status(415).json({ message: `Only these file types are allowed: ${SUPPORTED_FORMATS.join(', ')}` });
+        }
+        if (error instanceof multer.MulterError) {
+            return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ message: error.message });
+        }
+        next(error);
+    });
+};
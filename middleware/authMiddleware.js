@@ -1,23 +1,69 @@
 const jwt = require('jsonwebtoken');
+const ApiKey = require('../models/ApiKey');
+const { isSessionActive } = require('../services/tokenService');
+const { isApiKey, authenticateApiKey } = require('../services/apiKeyService');
 
-module.exports = (req, res, next) => {
-    const token = req.header('x-auth-token');
-    console.log("Received token:", token);
+// Accepts `Authorization: Bearer <token>`, the legacy `x-auth-token` header, or an
+// API key in `x-api-key`. Bearer and x-auth-token may carry either a JWT or an API key.
+const readToken = (req) => {
+    const authorization = req.header('authorization');
+    if (authorization && /^Bearer\s+/i.test(authorization)) {
+        return authorization.replace(/^Bearer\s+/i, '').trim();
+    }
+    return req.header('x-api-key') || req.header('x-auth-token');
+};
+
+const authenticateWithApiKey = async (key, req, res, next) => {
+    try {
+        const apiKey = await authenticateApiKey(key);
+        if (!apiKey) {
+            return res.status(401).json({ msg: 'API key is invalid, expired or revoked' });
+        }
+        req.user = { id: apiKey.user.toString() };
+        req.auth = { type: 'apiKey', apiKeyId: apiKey._id.toString(), scopes: apiKey.scopes };
+        req.sessionId = null;
+        next();
+    } catch (err) {
+        console.error('API key verification failed:', err.message);
+        res.status(500).json({ msg: 'Could not verify API key' });
+    }
+};
+
+module.exports = async (req, res, next) => {
+    const token = readToken(req);
 
     if (!token) {
         return res.status(401).json({ msg: 'No token, authorization denied' });
     }
 
+    if (isApiKey(token)) {
+        return authenticateWithApiKey(token, req, res, next);
+    }
+
+    let decoded;
     try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = decoded.user;
-        next();
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
     } catch (err) {
         console.error('Token verification failed:', err.message);
 
         if (err.name === 'TokenExpiredError') {
             return res.status(401).json({ msg: 'Token expired, please log in again' });
         }
-        res.status(401).json({ msg: 'Token is not valid' });
+        return res.status(401).json({ msg: 'Token is not valid' });
+    }
+
+    try {
+        if (!(await isSessionActive(decoded.sid))) {
+            return res.status(401).json({ msg: 'Session has been revoked, please log in again' });
+        }
+    } catch (err) {
+        console.error('Session check failed:', err.message);
+        return res.status(500).json({ msg: 'Could not verify session' });
     }
-};
\ No newline at end of file
+
+    req.user = decoded.user;
+    // A logged-in user can do everything their account can
+    req.auth = { type: 'jwt', scopes: ApiKey.SCOPES };
+    req.sessionId = decoded.sid || null;
+    next();
+};
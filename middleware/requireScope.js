@@ -0,0 +1,10 @@
+// Use after authMiddleware: requireScope('ask') lets JWT sessions through and API keys
+// only when they were granted every listed scope.
+module.exports = (...scopes) => (req, res, next) => {
+    const granted = req.auth?.scopes || [];
+    const missing = scopes.filter(scope => !granted.includes(scope));
+    if (missing.length > 0) {
+        return res.status(403).json({ msg: `API key is missing the required scope: ${missing.join(', ')}`, code: 'INSUFFICIENT_SCOPE' });
+    }
+    next();
+};
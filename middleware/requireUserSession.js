@@ -0,0 +1,8 @@
+// Use after authMiddleware on account management routes (sessions, API keys) that an
+// API key must not be able to reach, so a leaked key cannot mint or revoke others.
+module.exports = (req, res, next) => {
+    if (req.auth?.type !== 'jwt') {
+        return res.status(403).json({ msg: 'This endpoint requires logging in; API keys are not accepted' });
+    }
+    next();
+};
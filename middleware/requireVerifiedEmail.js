@@ -0,0 +1,24 @@
+const User = require('../models/User');
+const { EMAIL_VERIFICATION_MODE } = require('../services/accountService');
+
+// Use after authMiddleware on routes that unverified accounts may not use when
+// EMAIL_VERIFICATION_MODE is "features" (uploading and asking).
+module.exports = async (req, res, next) => {
+    if (EMAIL_VERIFICATION_MODE !== 'features') {
+        return next();
+    }
+
+    try {
+        const user = await User.findById(req.user.id).select('emailVerified');
+        if (!user) {
+            return res.status(401).json({ msg: 'User not found' });
+        }
+        if (!user.isEmailVerified()) {
+            return res.status(403).json({ msg: 'Please verify your email address to use this feature', code: 'EMAIL_NOT_VERIFIED' });
+        }
+        next();
+    } catch (err) {
+        console.error('Email verification check failed:', err.message);
+        res.status(500).json({ msg: 'Could not verify account status' });
+    }
+};
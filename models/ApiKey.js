@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const API_KEY_SCOPES = ['read', 'upload', 'ask', 'delete'];
+
+const apiKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // First characters of the key, kept so users can tell their keys apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the full key; the key itself is only shown once, at creation
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  scopes: {
+    type: [{ type: String, enum: API_KEY_SCOPES }],
+    default: ['read', 'ask']
+  },
+  expiresAt: Date,
+  lastUsedAt: Date,
+  revokedAt: Date
+
+}, { timestamps: true });
+
+apiKeySchema.statics.SCOPES = API_KEY_SCOPES;
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
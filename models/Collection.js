@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// A named group of documents. Membership is stored on the documents themselves
+// (Document.collections) and mirrored into their vector metadata as collectionIds.
+const collectionSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  }
+
+}, { timestamps: true });
+
+module.exports = mongoose.model('Collection', collectionSchema);
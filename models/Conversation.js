@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const turnSchema = new mongoose.Schema({
+  question: {
+    type: String,
+    required: true
+  },
+  // The follow-up rewritten into a self-contained query, used for retrieval
+  standaloneQuestion: {
+    type: String
+  },
+  answer: {
+    type: String,
+    default: ''
+  },
+  sources: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  askedAt: {
+    type: Date,
+    default: Date.now
+  },
+  answeredAt: Date
+});
+
+const conversationSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  title: {
+    type: String,
+    trim: true,
+    default: 'New conversation'
+  },
+  // Empty means "all of the owner's documents"
+  documentIds: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Document' }],
+    default: []
+  },
+  turns: {
+    type: [turnSchema],
+    default: []
+  },
+  // Rolling summary of the turns before summarizedTurnCount, so prompts stay small
+  summary: {
+    type: String,
+    default: ''
+  },
+  summarizedTurnCount: {
+    type: Number,
+    default: 0
+  },
+  lastMessageAt: {
+    type: Date,
+    default: Date.now
+  }
+
+}, { timestamps: true });
+
+module.exports = mongoose.model('Conversation', conversationSchema);
@@ -1,17 +1,72 @@
 const mongoose = require('mongoose');
 
+// Entity types extracted during ingestion (see entityService)
+const ENTITY_TYPES = [
+  'PERSON', 'ORG', 'LOCATION', 'DATE', 'MONEY', 'PERCENT', 'QUANTITY',
+  'PRODUCT', 'EVENT', 'LAW', 'WORK_OF_ART', 'LANGUAGE'
+];
+
 const documentSchema = new mongoose.Schema({
   title: {
     type: String,
     required: true
   },
+  description: {
+    type: String,
+    default: ''
+  },
+  notes: {
+    type: String,
+    default: ''
+  },
+  // Lowercased and deduplicated by documentMetadataService; mirrored into vector metadata
+  tags: {
+    type: [String],
+    default: [],
+    index: true
+  },
+  // User-defined key/value pairs (strings, numbers or booleans), also filterable in /ask
+  customFields: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  isFavorite: {
+    type: Boolean,
+    default: false
+  },
+  // Filled in by the "stored" ingestion stage, so empty while a job is queued
   cloudinaryUrl: {
     type: String,
-    required: true
+    required: false
   },
   cloudinaryId: {
     type: String,
-    required: true
+    required: false
+  },
+  fileSize: {
+    type: Number,
+    default: 0
+  },
+  // Documents uploaded before multi-format support are all PDFs
+  sourceFormat: {
+    type: String,
+    enum: ['pdf', 'docx', 'txt', 'markdown', 'html', 'epub'],
+    default: 'pdf'
+  },
+  mimeType: {
+    type: String
+  },
+  // SHA-256 of the uploaded file's bytes; a second upload of the same file links to this document
+  contentHash: {
+    type: String,
+    index: true
+  },
+  // Active revision; the file, text and vectors above belong to it. The full
+  // history is in DocumentVersion.
+  currentVersion: {
+    type: Number,
+    default: 1
   },
   rawText: {
     type: String,
@@ -20,21 +75,85 @@ const documentSchema = new mongoose.Schema({
   owner: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: true,
+    index: true
+  },
+  // Other users with access. What each role may do is defined in permissionService.
+  sharedWith: {
+    type: [
+      {
+        _id: false,
+        user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        role: {
+          type: String,
+          enum: ['viewer', 'commenter', 'editor'],
+          required: true
+        },
+        sharedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        sharedAt: { type: Date, default: Date.now }
+      }
+    ],
+    default: []
   },
   cleanedText: {
     type: String,
     required: false
   },
+  pageCount: {
+    type: Number,
+    default: 0
+  },
+  // Embedded document properties (PDF Info dictionary, EPUB/HTML metadata)
+  documentInfo: {
+    title: String,
+    author: String,
+    subject: String,
+    keywords: String,
+    creator: String,
+    producer: String,
+    creationDate: Date,
+    modificationDate: Date
+  },
+  // Character offset in cleanedText where each page starts (index 0 = page 1)
+  pageOffsets: {
+    type: [Number],
+    default: []
+  },
+  // Heading-based formats (DOCX, Markdown, HTML, EPUB) record sections instead of pages
+  sections: {
+    type: [
+      {
+        _id: false,
+        title: { type: String, required: true },
+        level: { type: Number, default: 1 },
+        charStart: { type: Number, required: true }
+      }
+    ],
+    default: []
+  },
+  // Collections this document belongs to; mirrored into vector metadata as collectionIds
+  collections: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Collection' }],
+    default: [],
+    index: true
+  },
+  // One entry per distinct entity. `text` is the canonical name, `key` its normalized
+  // form (the entity index groups on type + key) and `aliases` the other spellings
+  // found. chunks are chunk indexes, the same as the vectors' chunkIndex.
   entities: {
     type: [
       {
         text: { type: String, required: true },
         type: {
           type: String,
-          enum: ['PERSON', 'ORG', 'LOCATION'],
+          enum: ENTITY_TYPES,
           required: true
-        }
+        },
+        key: String,
+        aliases: { type: [String], default: [] },
+        count: { type: Number, default: 1 },
+        chunks: { type: [Number], default: [] },
+        pages: { type: [Number], default: [] }
       }
     ],
     default: []
@@ -43,11 +162,39 @@ const documentSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  processingStatus: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed', 'cancelled']
+  },
+  ingestionJob: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'IngestionJob'
+  },
   vectorCountEstimate: {
     type: Number,
     default: 0
+  },
+  // Last time one of this document's chunks was cited in an answer
+  lastAskedAt: Date,
+  // Generated summaries (see summaryService). Only valid while textHash matches the
+  // SHA-256 of cleanedText; notes are the map-step output every length is reduced from.
+  summaryCache: {
+    textHash: String,
+    notes: { type: [String], default: undefined },
+    levels: { type: Map, of: mongoose.Schema.Types.Mixed }
   }
 
 }, { timestamps: true });
 
+documentSchema.index({ 'sharedWith.user': 1 });
+// Entity index for GET /api/entities
+documentSchema.index({ 'entities.key': 1, 'entities.type': 1 });
+// Full-text search for GET /api/documents?q=
+documentSchema.index(
+  { title: 'text', tags: 'text', description: 'text', notes: 'text', cleanedText: 'text' },
+  { name: 'document_text_search', weights: { title: 10, tags: 5, description: 3, notes: 2, cleanedText: 1 } }
+);
+
+documentSchema.statics.ENTITY_TYPES = ENTITY_TYPES;
+
 module.exports = mongoose.model('Document', documentSchema);
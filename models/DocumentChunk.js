@@ -1,19 +1,42 @@
 const mongoose = require('mongoose');
 
 const DocumentChunkSchema = new mongoose.Schema({
+  // Same id the chunk has in the vector store ("<documentId>#chunk_<n>")
+  vectorId: {
+    type: String,
+    unique: true,
+    sparse: true,
+  },
   documentId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Document',
     required: true,
+    index: true,
+  },
+  userId: {
+    type: String,
+    index: true,
+  },
+  chunkIndex: {
+    type: Number,
   },
   chunkText: {
     type: String,
     required: true,
   },
+  // Empty when the row only serves the keyword index (vectors live in Pinecone)
   embeddingVector: {
     type: [Number],
-    required: true,
+    default: undefined,
   },
-}, { timestamps: true });
+  // Any extra filterable vector metadata besides text/documentId/userId/chunkIndex
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+}, { timestamps: true, minimize: false });
+
+// Keyword (sparse) retrieval runs on this text index.
+DocumentChunkSchema.index({ chunkText: 'text' }, { name: 'chunk_text_search' });
 
-module.exports = mongoose.model('DocumentChunk', DocumentChunkSchema);
\ No newline at end of file
+module.exports = mongoose.model('DocumentChunk', DocumentChunkSchema);
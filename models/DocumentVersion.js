@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+// Fields copied between a Document and its versions when a revision is uploaded or
+// rolled back to. Only the document's current version is indexed for search.
+const CONTENT_FIELDS = [
+  'cloudinaryUrl', 'cloudinaryId', 'fileSize', 'sourceFormat', 'mimeType', 'contentHash',
+  'rawText', 'cleanedText', 'pageCount', 'pageOffsets', 'sections', 'documentInfo', 'entities'
+];
+
+// One uploaded revision of a document's file, with the text extracted from it.
+const documentVersionSchema = new mongoose.Schema({
+  document: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  fileName: String,
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // processing until the revision's ingestion job completes
+  status: {
+    type: String,
+    enum: ['processing', 'ready', 'failed'],
+    default: 'processing'
+  },
+  cloudinaryUrl: String,
+  cloudinaryId: String,
+  fileSize: {
+    type: Number,
+    default: 0
+  },
+  sourceFormat: {
+    type: String,
+    enum: ['pdf', 'docx', 'txt', 'markdown', 'html', 'epub'],
+    default: 'pdf'
+  },
+  mimeType: String,
+  contentHash: String,
+  rawText: String,
+  cleanedText: String,
+  pageCount: {
+    type: Number,
+    default: 0
+  },
+  pageOffsets: {
+    type: [Number],
+    default: []
+  },
+  sections: {
+    type: [
+      {
+        _id: false,
+        title: { type: String, required: true },
+        level: { type: Number, default: 1 },
+        charStart: { type: Number, required: true }
+      }
+    ],
+    default: []
+  },
+  documentInfo: {
+    title: String,
+    author: String,
+    subject: String,
+    keywords: String,
+    creator: String,
+    producer: String,
+    creationDate: Date,
+    modificationDate: Date
+  },
+  // Same entries as Document.entities, restored with the rest on rollback
+  entities: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  }
+
+}, { timestamps: true });
+
+documentVersionSchema.index({ document: 1, version: 1 }, { unique: true });
+
+documentVersionSchema.statics.CONTENT_FIELDS = CONTENT_FIELDS;
+
+module.exports = mongoose.model('DocumentVersion', documentVersionSchema);
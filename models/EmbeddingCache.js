@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Embeddings already computed, shared by every document and question. `key` is the
+// SHA-256 of the model name and the normalized text (see embeddingCacheService).
+const embeddingCacheSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  model: {
+    type: String,
+    required: true
+  },
+  values: {
+    type: [Number],
+    required: true
+  },
+  // Bumped on every hit, so only entries nobody has needed for a while expire
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  }
+
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+// Question embeddings are cached too, so entries must not be kept forever.
+embeddingCacheSchema.index({ lastUsedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('EmbeddingCache', embeddingCacheSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// One run of an evaluation set. `config` records the retrieval, rerank and provider
+// settings it ran with, so two runs can be compared; `cases` holds the per-question
+// answers and scores.
+const evalRunSchema = new mongoose.Schema({
+  evalSet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EvalSet',
+    required: true,
+    index: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  label: {
+    type: String,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  config: mongoose.Schema.Types.Mixed,
+  // Means over the cases that have a value; null when none do
+  metrics: {
+    caseCount: { type: Number, default: 0 },
+    completedCases: { type: Number, default: 0 },
+    failedCases: { type: Number, default: 0 },
+    recallAtK: Number,
+    mrr: Number,
+    citationAccuracy: Number,
+    faithfulness: Number,
+    correctness: Number
+  },
+  cases: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  error: String,
+  startedAt: Date,
+  finishedAt: Date
+
+}, { timestamps: true });
+
+module.exports = mongoose.model('EvalRun', evalRunSchema);
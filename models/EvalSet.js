@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// Where the answer to a case is found: a document, optionally narrowed to a page or
+// a chunk (the vectors' chunkIndex). A retrieved or cited chunk matches when it is
+// in that document and covers the page or is that chunk.
+const expectedSourceSchema = new mongoose.Schema({
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    required: true
+  },
+  page: Number,
+  chunkIndex: Number
+}, { _id: false });
+
+// A set of questions with known answers, asked against a fixed list of documents to
+// measure retrieval and answer quality (see evalService).
+const evalSetSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  // Every question is asked across all of these documents
+  documents: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Document' }],
+    default: []
+  },
+  cases: {
+    type: [
+      {
+        question: { type: String, required: true },
+        expectedAnswer: { type: String, default: '' },
+        expectedSources: { type: [expectedSourceSchema], default: [] }
+      }
+    ],
+    default: []
+  }
+
+}, { timestamps: true });
+
+evalSetSchema.index({ owner: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('EvalSet', evalSetSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const EXTRACTION_STATUSES = ['pending', 'running', 'completed', 'failed'];
+
+// Where a field's value was found: one of the chunks retrieved for the extraction.
+const citationSchema = new mongoose.Schema({
+  documentId: String,
+  chunkIndex: Number,
+  page: Number,
+  pageEnd: Number,
+  section: String,
+  snippet: String
+}, { _id: false });
+
+// The latest run of a template against one document. `data` is the validated
+// extraction; `fields` repeats each top-level value with the chunks it came from.
+const extractionResultSchema = new mongoose.Schema({
+  template: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ExtractionTemplate',
+    required: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  document: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    required: true,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: EXTRACTION_STATUSES,
+    default: 'pending'
+  },
+  data: mongoose.Schema.Types.Mixed,
+  fields: {
+    type: [
+      {
+        _id: false,
+        name: { type: String, required: true },
+        value: mongoose.Schema.Types.Mixed,
+        citations: { type: [citationSchema], default: [] }
+      }
+    ],
+    default: []
+  },
+  // LLM calls made, including retries after invalid output
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  error: String,
+  validationErrors: {
+    type: [String],
+    default: []
+  },
+  completedAt: Date
+
+}, { timestamps: true });
+
+extractionResultSchema.index({ template: 1, document: 1 }, { unique: true });
+
+extractionResultSchema.statics.STATUSES = EXTRACTION_STATUSES;
+
+module.exports = mongoose.model('ExtractionResult', extractionResultSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// A reusable structured-extraction definition. `schema` is a JSON Schema object whose
+// top-level properties are the fields to extract (see utils/jsonSchema for the
+// supported keywords).
+const extractionTemplateSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  schema: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  }
+
+}, { timestamps: true });
+
+extractionTemplateSchema.index({ owner: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('ExtractionTemplate', extractionTemplateSchema);
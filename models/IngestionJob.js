@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+const INGESTION_STAGES = ['stored', 'parsed', 'entities', 'embedded', 'indexed', 'verified'];
+
+const stageSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    enum: INGESTION_STAGES,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed', 'skipped'],
+    default: 'pending'
+  },
+  progress: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  startedAt: Date,
+  completedAt: Date,
+  error: String
+}, { _id: false });
+
+const ingestionJobSchema = new mongoose.Schema({
+  document: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Document',
+    required: true,
+    index: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // upload: a new document; version: a new revision of an existing one;
+  // reindex: re-embedding stored text after a rollback
+  kind: {
+    type: String,
+    enum: ['upload', 'version', 'reindex'],
+    default: 'upload'
+  },
+  // The DocumentVersion a version or reindex job builds. The document keeps serving
+  // its current version until the job has indexed the new vectors and switches it over.
+  version: Number,
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  currentStage: {
+    type: String,
+    enum: INGESTION_STAGES.concat([null]),
+    default: null
+  },
+  stages: {
+    type: [stageSchema],
+    default: () => INGESTION_STAGES.map(name => ({ name }))
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  cancelRequested: {
+    type: Boolean,
+    default: false
+  },
+  error: {
+    stage: String,
+    message: String
+  },
+  stats: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  startedAt: Date,
+  finishedAt: Date
+
+}, { timestamps: true });
+
+ingestionJobSchema.statics.STAGES = INGESTION_STAGES;
+
+module.exports = mongoose.model('IngestionJob', ingestionJobSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// One row per issued refresh token. Every token issued from the same login shares a
+// `family`; the family is what the API exposes as a "session".
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // SHA-256 of the raw token; the raw value is only ever sent to the client
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  family: {
+    type: String,
+    required: true,
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  // 'rotated', 'logout', 'logout-all', 'reuse-detected' or 'session-revoked'
+  revokedReason: String,
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefreshToken'
+  },
+  // Set when a concurrent refresh used this token within the reuse grace window; only one may
+  graceUsedAt: Date,
+  sessionStartedAt: {
+    type: Date,
+    default: Date.now
+  },
+  userAgent: String,
+  ip: String
+
+}, { timestamps: true });
+
+// Let Mongo drop rows a while after they expire; reuse detection only needs them until then.
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -12,6 +12,21 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Left unset on accounts created before verification existed; those count as verified.
+  emailVerified: Boolean,
+  emailVerifiedAt: Date,
+  // Hashes of the single-use tokens sent by email, with their expiry
+  emailVerificationTokenHash: {
+    type: String,
+    index: { sparse: true }
+  },
+  emailVerificationExpiresAt: Date,
+  passwordResetTokenHash: {
+    type: String,
+    index: { sparse: true }
+  },
+  passwordResetExpiresAt: Date,
+  passwordChangedAt: Date,
   createdAt: {
     type: Date,
     default: Date.now
@@ -19,4 +34,8 @@ const userSchema = new mongoose.Schema({
   documents: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Document' }]
 });
 
+userSchema.methods.isEmailVerified = function () {
+  return this.emailVerified !== false;
+};
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,92 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+
+const authMiddleware = require('../middleware/authMiddleware');
+const requireUserSession = require('../middleware/requireUserSession');
+
+const ApiKey = require('../models/ApiKey');
+const { createApiKey, listApiKeys, renameApiKey, revokeApiKey } = require('../services/apiKeyService');
+
+const API_KEY_ERRORS = {
+    INVALID_SCOPES: { status: 400, message: `scopes must be a non-empty list of: ${ApiKey.SCOPES.join(', ')}.` },
+    INVALID_EXPIRY: { status: 400, message: 'expiresAt must be a valid date in the future.' },
+    TOO_MANY_KEYS: { status: 409, message: 'You have reached the maximum number of active API keys. Revoke one first.' },
+};
+
+const validName = (name) => typeof name === 'string' && name.trim().length > 0 && name.trim().length <= 100;
+
+// Key management always needs a logged-in user; an API key cannot manage keys.
+router.use(authMiddleware, requireUserSession);
+
+router.post('/', async (req, res) => {
+    try {
+        const { name, scopes, expiresAt } = req.body;
+        if (!validName(name)) {
+            return res.status(400).json({ message: 'name is required (at most 100 characters).' });
+        }
+
+        const { key, apiKey } = await createApiKey(req.user.id, { name: name.trim(), scopes, expiresAt });
+        res.status(201).json({
+            message: 'API key created. Copy it now, it will not be shown again.',
+            key,
+            apiKey
+        });
+    } catch (error) {
+        const known = API_KEY_ERRORS[error.message];
+        if (known) {
+            return res.status(known.status).json({ message: known.message });
+        }
+        console.error('Error creating API key:', error);
+        res.status(500).json({ message: 'Server error while creating API key.' });
+    }
+});
+
+router.get('/', async (req, res) => {
+    try {
+        const apiKeys = await listApiKeys(req.user.id);
+        res.status(200).json({ apiKeys, scopes: ApiKey.SCOPES });
+    } catch (error) {
+        console.error('Error fetching API keys:', error);
+        res.status(500).json({ message: 'Server error while fetching API keys.' });
+    }
+});
+
+router.patch('/:id', async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ message: 'API key not found.' });
+        }
+        const { name } = req.body;
+        if (!validName(name)) {
+            return res.status(400).json({ message: 'name is required (at most 100 characters).' });
+        }
+
+        const apiKey = await renameApiKey(req.user.id, req.params.id, name.trim());
+        if (!apiKey) {
+            return res.status(404).json({ message: 'API key not found.' });
+        }
+        res.status(200).json({ message: 'API key updated.', apiKey });
+    } catch (error) {
+        console.error('Error updating API key:', error);
+        res.status(500).json({ message: 'Server error while updating API key.' });
+    }
+});
+
+router.delete('/:id', async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ message: 'API key not found.' });
+        }
+        const apiKey = await revokeApiKey(req.user.id, req.params.id);
+        if (!apiKey) {
+            return res.status(404).json({ message: 'API key not found or already revoked.' });
+        }
+        res.status(200).json({ message: 'API key revoked.', apiKey });
+    } catch (error) {
+        console.error('Error revoking API key:', error);
+        res.status(500).json({ message: 'Server error while revoking API key.' });
+    }
+});
+
+module.exports = router;
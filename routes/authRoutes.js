@@ -1,9 +1,29 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
+const authMiddleware = require('../middleware/authMiddleware');
+const requireUserSession = require('../middleware/requireUserSession');
 
 router.post('/signup', authController.signup);
 
 router.post('/login', authController.login);
 
-module.exports = router;
\ No newline at end of file
+router.post('/refresh', authController.refresh);
+
+router.post('/logout', authController.logout);
+
+router.post('/logout-all', authMiddleware, requireUserSession, authController.logoutAll);
+
+router.get('/sessions', authMiddleware, requireUserSession, authController.listSessions);
+
+router.delete('/sessions/:sessionId', authMiddleware, requireUserSession, authController.revokeSession);
+
+router.post('/verify-email/request', authController.requestEmailVerification);
+
+router.post('/verify-email/confirm', authController.confirmEmailVerification);
+
+router.post('/password/forgot', authController.forgotPassword);
+
+router.post('/password/reset', authController.resetPassword);
+
+module.exports = router;
@@ -0,0 +1,167 @@
+const express = require('express');
+const router = express.Router();
+
+const authMiddleware = require('../middleware/authMiddleware');
+const requireScope = require('../middleware/requireScope');
+
+const Collection = require('../models/Collection');
+const Document = require('../models/Document');
+
+const { findOwnedCollection, addDocuments, removeDocuments, deleteCollection } = require('../services/collectionService');
+const { accessibleDocumentsQuery } = require('../services/permissionService');
+
+const COLLECTION_ERRORS = {
+    INVALID_DOCUMENT_IDS: { status: 400, message: 'documentIds must be a non-empty list of documents you own or can edit.' },
+    METADATA_SYNC_FAILED: { status: 502, message: 'Membership was saved, but the search index could not be updated for every document. Please try again.' },
+};
+
+const sendCollectionError = (res, error, fallbackMessage) => {
+    const known = COLLECTION_ERRORS[error.message];
+    if (known) {
+        return res.status(known.status).json({ message: known.message });
+    }
+    console.error(fallbackMessage, error);
+    res.status(500).json({ message: 'Server error while updating collection.' });
+};
+
+const validName = (name) => typeof name === 'string' && name.trim().length > 0 && name.trim().length <= 200;
+
+router.post('/', authMiddleware, requireScope('upload'), async (req, res) => {
+    try {
+        const { name, description, documentIds } = req.body;
+        if (!validName(name)) {
+            return res.status(400).json({ message: 'name is required (at most 200 characters).' });
+        }
+
+        const collection = new Collection({
+            owner: req.user.id,
+            name: name.trim(),
+            description: typeof description === 'string' ? description.trim() : ''
+        });
+        await collection.save();
+
+        let added = [];
+        if (Array.isArray(documentIds) && documentIds.length > 0) {
+            try {
+                added = await addDocuments(collection, documentIds, req.user.id);
+            } catch (error) {
+                if (error.message === 'INVALID_DOCUMENT_IDS') {
+                    await Collection.findByIdAndDelete(collection._id);
+                }
+                throw error;
+            }
+        }
+
+        res.status(201).json({ message: 'Collection created.', collection, documentCount: added.length });
+    } catch (error) {
+        sendCollectionError(res, error, 'Error creating collection:');
+    }
+});
+
+router.get('/', authMiddleware, requireScope('read'), async (req, res) => {
+    try {
+        const collections = await Collection.find({ owner: req.user.id }).sort({ name: 1 }).lean();
+        const counts = await Document.aggregate([
+            { $match: { collections: { $in: collections.map(c => c._id) } } },
+            { $unwind: '$collections' },
+            { $group: { _id: '$collections', count: { $sum: 1 } } }
+        ]);
+        const countById = new Map(counts.map(c => [c._id.toString(), c.count]));
+        res.json({
+            collections: collections.map(c => ({ ...c, documentCount: countById.get(c._id.toString()) || 0 }))
+        });
+    } catch (error) {
+        console.error('Error fetching collections:', error);
+        res.status(500).json({ message: 'Server error while fetching collections.' });
+    }
+});
+
+router.get('/:id', authMiddleware, requireScope('read'), async (req, res) => {
+    try {
+        const collection = await findOwnedCollection(req.params.id, req.user.id);
+        if (!collection) {
+            return res.status(404).json({ message: 'Collection not found or not authorized' });
+        }
+        // Only list members the user can still read (a share may have been revoked)
+        const documents = await Document.find({ collections: collection._id, ...accessibleDocumentsQuery(req.user.id) })
+            .select('-rawText -cleanedText -pageOffsets -sections')
+            .sort({ createdAt: -1 });
+        res.json({ collection, documents });
+    } catch (error) {
+        console.error('Error fetching collection:', error);
+        res.status(500).json({ message: 'Server error while fetching collection.' });
+    }
+});
+
+router.patch('/:id', authMiddleware, requireScope('upload'), async (req, res) => {
+    try {
+        const collection = await findOwnedCollection(req.params.id, req.user.id);
+        if (!collection) {
+            return res.status(404).json({ message: 'Collection not found or not authorized' });
+        }
+
+        const { name, description } = req.body;
+        if (name !== undefined) {
+            if (!validName(name)) {
+                return res.status(400).json({ message: 'name must be a non-empty string (at most 200 characters).' });
+            }
+            collection.name = name.trim();
+        }
+        if (description !== undefined) {
+            if (typeof description !== 'string') {
+                return res.status(400).json({ message: 'description must be a string.' });
+            }
+            collection.description = description.trim();
+        }
+        await collection.save();
+        res.status(200).json({ message: 'Collection updated successfully', collection });
+    } catch (error) {
+        console.error('Error updating collection:', error);
+        res.status(500).json({ message: 'Server error during collection update.' });
+    }
+});
+
+// Deleting a collection only removes the grouping; its documents are kept.
+router.delete('/:id', authMiddleware, requireScope('delete'), async (req, res) => {
+    try {
+        const collection = await findOwnedCollection(req.params.id, req.user.id);
+        if (!collection) {
+            return res.status(404).json({ message: 'Collection not found or not authorized' });
+        }
+        const documentCount = await deleteCollection(collection);
+        res.status(200).json({ message: 'Collection deleted. Its documents were kept.', documentCount });
+    } catch (error) {
+        sendCollectionError(res, error, 'Error deleting collection:');
+    }
+});
+
+router.post('/:id/documents', authMiddleware, requireScope('upload'), async (req, res) => {
+    try {
+        const collection = await findOwnedCollection(req.params.id, req.user.id);
+        if (!collection) {
+            return res.status(404).json({ message: 'Collection not found or not authorized' });
+        }
+        const added = await addDocuments(collection, req.body.documentIds, req.user.id);
+        res.status(200).json({ message: 'Documents added to collection.', added });
+    } catch (error) {
+        sendCollectionError(res, error, 'Error adding documents to collection:');
+    }
+});
+
+router.delete('/:id/documents/:documentId', authMiddleware, requireScope('upload'), async (req, res) => {
+    try {
+        const collection = await findOwnedCollection(req.params.id, req.user.id);
+        if (!collection) {
+            return res.status(404).json({ message: 'Collection not found or not authorized' });
+        }
+        const removed = await removeDocuments(collection, [req.params.documentId]);
+        if (removed.length === 0) {
+            return res.status(404).json({ message: 'Document is not in this collection.' });
+        }
+        res.status(200).json({ message: 'Document removed from collection.' });
+    } catch (error) {
+        sendCollectionError(res, error, 'Error removing document from collection:');
+    }
+});
+
+module.exports = router;
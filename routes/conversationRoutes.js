@@ -0,0 +1,177 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+
+const authMiddleware = require('../middleware/authMiddleware');
+const requireVerifiedEmail = require('../middleware/requireVerifiedEmail');
+const requireScope = require('../middleware/requireScope');
+
+const Conversation = require('../models/Conversation');
+const Document = require('../models/Document');
+
+const { askInConversation } = require('../services/conversationService');
+const { RETRIEVAL_ERRORS } = require('../services/retrievalService');
+const { OUTBOUND_ERRORS } = require('../services/outboundService');
+const { accessibleDocumentsQuery } = require('../services/permissionService');
+
+// Returns the normalized id list, or null if any id is invalid or not readable by the user.
+const validateDocumentIds = async (documentIds, userId) => {
+    if (documentIds === undefined || documentIds === null) return [];
+    if (!Array.isArray(documentIds)) return null;
+    const ids = [...new Set(documentIds.map(String))];
+    if (ids.some(id => !mongoose.isValidObjectId(id))) return null;
+    const accessible = await Document.countDocuments({ _id: { $in: ids }, ...accessibleDocumentsQuery(userId) });
+    return accessible === ids.length ? ids : null;
+};
+
+const findOwnedConversation = async (conversationId, userId) => {
+    if (!mongoose.isValidObjectId(conversationId)) return null;
+    const conversation = await Conversation.findById(conversationId);
+    if (!conversation || conversation.owner.toString() !== userId) return null;
+    return conversation;
+};
+
+router.post('/', authMiddleware, requireScope('ask'), async (req, res) => {
+    try {
+        const { title, documentIds } = req.body;
+        const ids = await validateDocumentIds(documentIds, req.user.id);
+        if (!ids) {
+            return res.status(400).json({ message: 'documentIds must be a list of documents you can access.' });
+        }
+
+        const conversation = new Conversation({
+            owner: req.user.id,
+            title: title && title.trim() ? title.trim() : undefined,
+            documentIds: ids
+        });
+        await conversation.save();
+        res.status(201).json({ message: 'Conversation created.', conversation });
+    } catch (error) {
+        console.error('Error creating conversation:', error);
+        res.status(500).json({ message: 'Server error while creating conversation.' });
+    }
+});
+
+router.get('/', authMiddleware, requireScope('read'), async (req, res) => {
+    try {
+        // Aggregation does not cast ids, so build the ObjectIds ourselves
+        const match = { owner: new mongoose.Types.ObjectId(req.user.id) };
+        if (req.query.documentId) {
+            if (!mongoose.isValidObjectId(req.query.documentId)) {
+                return res.status(400).json({ message: 'Invalid documentId.' });
+            }
+            match.documentIds = new mongoose.Types.ObjectId(req.query.documentId);
+        }
+        const conversations = await Conversation.aggregate([
+            { $match: match },
+            { $sort: { lastMessageAt: -1 } },
+            {
+                $project: {
+                    title: 1,
+                    documentIds: 1,
+                    lastMessageAt: 1,
+                    createdAt: 1,
+                    updatedAt: 1,
+                    turnCount: { $size: '$turns' }
+                }
+            }
+        ]);
+        res.json({ conversations });
+    } catch (err) {
+        console.error('Error fetching conversations:', err);
+        res.status(500).send('Server Error');
+    }
+});
+
+router.get('/:id', authMiddleware, requireScope('read'), async (req, res) => {
+    try {
+        const conversation = await findOwnedConversation(req.params.id, req.user.id);
+        if (!conversation) {
+            return res.status(404).json({ message: 'Conversation not found or not authorized' });
+        }
+        res.json({ conversation });
+    } catch (err) {
+        console.error('Error fetching conversation:', err);
+        res.status(500).send('Server Error');
+    }
+});
+
+router.patch('/:id', authMiddleware, requireScope('ask'), async (req, res) => {
+    try {
+        const conversation = await findOwnedConversation(req.params.id, req.user.id);
+        if (!conversation) {
+            return res.status(404).json({ message: 'Conversation not found or not authorized' });
+        }
+
+        const { title, documentIds } = req.body;
+        if (title !== undefined) {
+            if (typeof title !== 'string' || !title.trim()) {
+                return res.status(400).json({ message: 'Title must be a non-empty string.' });
+            }
+            conversation.title = title.trim();
+        }
+        if (documentIds !== undefined) {
+            const ids = await validateDocumentIds(documentIds, req.user.id);
+            if (!ids) {
+                return res.status(400).json({ message: 'documentIds must be a list of documents you can access.' });
+            }
+            conversation.documentIds = ids;
+        }
+        await conversation.save();
+        res.status(200).json({ message: 'Conversation updated successfully', conversation });
+    } catch (error) {
+        console.error('Error updating conversation:', error);
+        res.status(500).json({ message: 'Server error during conversation update.' });
+    }
+});
+
+router.delete('/:id', authMiddleware, requireScope('delete'), async (req, res) => {
+    try {
+        const conversation = await findOwnedConversation(req.params.id, req.user.id);
+        if (!conversation) {
+            return res.status(404).json({ message: 'Conversation not found or not authorized' });
+        }
+        await Conversation.findByIdAndDelete(conversation._id);
+        res.status(200).json({ message: 'Conversation deleted successfully!' });
+    } catch (error) {
+        console.error('Error deleting conversation:', error);
+        res.status(500).json({ message: 'Server error during deletion.' });
+    }
+});
+
+router.post('/:id/messages', authMiddleware, requireScope('ask'), requireVerifiedEmail, async (req, res) => {
+    try {
+        const { question, retrieval, rerank } = req.body;
+        if (!question || typeof question !== 'string' || !question.trim()) {
+            return res.status(400).json({ message: 'Question is required.' });
+        }
+
+        const conversation = await findOwnedConversation(req.params.id, req.user.id);
+        if (!conversation) {
+            return res.status(404).json({ message: 'Conversation not found or not authorized' });
+        }
+
+        const { turn, diagnostics } = await askInConversation(conversation, question.trim(), req.user.id, { retrieval, rerank });
+        res.status(200).json({
+            answer: turn.answer,
+            sources: turn.sources,
+            turn,
+            conversationId: conversation._id,
+            diagnostics
+        });
+    } catch (error) {
+        const retrievalError = RETRIEVAL_ERRORS[error.message];
+        if (retrievalError) {
+            return res.status(retrievalError.status).json({ message: retrievalError.message });
+        }
+        const outboundError = OUTBOUND_ERRORS[error.message];
+        if (outboundError) {
+            res.set('Retry-After', String(Math.ceil((error.retryAfterMs || 0) / 1000)));
+            return res.status(outboundError.status).json({ message: outboundError.message });
+        }
+        console.error('❌ Error in conversation message route:', error);
+        res.status(500).json({ message: 'Server error during question answering.' });
+    }
+});
+
+module.exports = router;
@@ -1,125 +1,76 @@
 const express = require('express');
 const router = express.Router();
-const multer = require('multer');
 const fetch = require('node-fetch');
 
 const authMiddleware = require('../middleware/authMiddleware');
+const requireVerifiedEmail = require('../middleware/requireVerifiedEmail');
+const requireScope = require('../middleware/requireScope');
+const acceptUpload = require('../middleware/acceptUpload');
 const cloudinary = require('../utils/cloudinary');
-const { chunkText } = require('../utils/fileProcessor');
-const pdfParse = require('pdf-parse');
+const { detectFormat, SUPPORTED_FORMATS } = require('../utils/extractors');
 
 const Document = require('../models/Document');
+const IngestionJob = require('../models/IngestionJob');
+const User = require('../models/User');
 
-const { upsertVectors, queryEmbeddings, deleteVectorsByDocumentId, checkIndexStatus, checkDocumentVectors, countVectorsByDocument } = require('../services/vectorDbService');
-const { extractEntities, generateEmbedding, generateAnswer } = require('../services/aiService');
+const { deleteVectorsByDocumentId, checkDocumentVectors, countVectorsByDocument } = require('../services/vectorDbService');
+const { streamAnswer } = require('../services/aiService');
+const { resolveRetrievalOptions, RETRIEVAL_ERRORS } = require('../services/retrievalService');
+const { resolveCitations } = require('../services/citationService');
+const { buildAnswerContext, resolveRerankOptions } = require('../services/rerankService');
+const { retrieveForAsk, answerQuestion } = require('../services/askService');
+const { OUTBOUND_ERRORS } = require('../services/outboundService');
+const { hashFile, findDuplicateDocument, createIngestionJob, retryIngestionJob, cancelIngestionJob, forgetIngestionJob } = require('../services/ingestionService');
+const { SHARE_ROLES, getDocumentRole, findAccessibleDocument } = require('../services/permissionService');
+const { findOwnedCollection } = require('../services/collectionService');
+const { METADATA_ERRORS, applyMetadataChanges, syncDocumentMetadata, syncDocumentOwner, toVectorFilter, markDocumentsAsked } = require('../services/documentMetadataService');
+const { searchDocuments, SEARCH_ERRORS } = require('../services/documentSearchService');
+const { SUMMARY_ERRORS, getSummary } = require('../services/summaryService');
+const { deleteDocumentExtractions } = require('../services/extractionService');
+const { COMPARE_ERRORS, parseCompareOptions, compareDocuments, renderComparisonMarkdown } = require('../services/compareService');
+const { VERSION_ERRORS, parseVersion, assertVersionReady, listVersions, uploadVersion, rollbackToVersion, diffVersions, deleteVersionHistory } = require('../services/versionService');
 
-const upload = multer({
-    storage: multer.memoryStorage(),
-    limits: { fileSize: 10 * 1024 * 1024 },
-    fileFilter: (req, file, cb) => {
-        if (file.mimetype && file.mimetype.startsWith('application/pdf')) {
-            cb(null, true);
-        } else {
-            cb(new Error('INVALID_FILE_TYPE_OR_NOT_PDF'), false);
-        }
-    }
-});
-
-const cleanText = (text) => {
-    if (!text) return '';
-    return text.replace(/\s+/g, ' ').trim();
-};
-
-router.post('/upload', authMiddleware, upload.single('pdf'), async (req, res) => {
+// The file can be sent as "file" or, for older clients, as "pdf". A file the user
+// already owns (same SHA-256) is not stored again: the response is 200 with
+// `duplicate: true` and the existing document. Send matchShared=true to also match
+// documents shared with the user, or force=true to upload a separate copy anyway
+// (query or form fields).
+router.post('/upload', authMiddleware, requireScope('upload'), requireVerifiedEmail, acceptUpload, async (req, res) => {
     try {
-        const file = req.file;
+        const file = req.files?.file?.[0] || req.files?.pdf?.[0];
         if (!file) {
             return res.status(400).json({ message: 'No file was uploaded.' });
         }
 
-        const cloudinaryUploadPromise = () => new Promise((resolve, reject) => {
-            const stream = cloudinary.uploader.upload_stream(
-                {
-                    folder: 'deepsearch_pdfs',
-                    resource_type: 'raw',
-                    format: 'pdf',
-                    public_id: `pdf-${Date.now()}-${file.originalname.split('.')[0].replace(/[^a-zA-Z0-9-]/g, '_')}`
-                },
-                (error, result) => {
-                    if (error) return reject(error);
-                    resolve(result);
-                }
-            );
-            stream.end(req.file.buffer);
-        });
-
-        const cloudinaryResult = await cloudinaryUploadPromise();
-        const rawText = (await pdfParse(file.buffer)).text;
-        const cleanedText = cleanText(rawText);
-        
-        // Extract entities with error handling
-        let extractedEntities = [];
-        try {
-            console.log('🔍 Starting entity extraction...');
-            extractedEntities = await extractEntities(cleanedText);
-            console.log(`✅ Entity extraction complete: ${extractedEntities.length} entities found`);
-            
-            // Validate entities is an array
-            if (!Array.isArray(extractedEntities)) {
-                console.warn('⚠️ extractEntities did not return an array, using empty array');
-                extractedEntities = [];
-            }
-        } catch (entityError) {
-            console.error('❌ Entity extraction failed:', entityError.message);
-            console.error('Continuing with empty entities array');
-            extractedEntities = [];
-        }
-
-        const newDoc = new Document({
-            title: file.originalname,
-            cloudinaryUrl: cloudinaryResult.secure_url,
-            cloudinaryId: cloudinaryResult.public_id,
-            rawText: rawText,
-            cleanedText: cleanedText,
-            owner: req.user.id,
-            entities: extractedEntities
-        });
-        await newDoc.save();
-
-        const textChunks = chunkText(cleanedText);
-        const pineconeVectors = [];
-
-        for (let i = 0; i < textChunks.length; i++) {
-            const chunk = textChunks[i];
-            const embedding = await generateEmbedding(chunk);
-            
-            // Remove the custom ID and metadata - upsertVectors will handle this
-            pineconeVectors.push({
-                values: embedding,
-                metadata: { text: chunk }
+        const format = await detectFormat(file.buffer, file);
+        if (!format) {
+            return res.status(400).json({
+                message: `Unsupported or corrupt file. Supported formats: ${SUPPORTED_FORMATS.join(', ')}.`
             });
         }
 
-        if (pineconeVectors.length > 0) {
-            // FIX: Pass all three parameters
-            await upsertVectors(pineconeVectors, newDoc._id.toString(), req.user.id);
-            console.log(`✅ Uploaded ${pineconeVectors.length} vectors for user ${req.user.id}`);
-            // Verify vectors exist in index
-            try {
-                const vecState = await checkDocumentVectors(newDoc._id.toString(), req.user.id);
-                console.log('🧮 Post-upload vector state:', vecState);
-                newDoc.isProcessed = (vecState?.countEstimate || 0) > 0;
-                newDoc.vectorCountEstimate = vecState?.countEstimate || 0;
-                await newDoc.save();
-            } catch (ve) {
-                console.warn('⚠️ Could not verify vectors after upload:', ve?.message || ve);
+        const contentHash = hashFile(file.buffer);
+        const isSet = (name) => [req.query[name], req.body?.[name]].some(value => value === true || value === 'true');
+        if (!isSet('force')) {
+            const duplicate = await findDuplicateDocument(contentHash, req.user.id, { includeShared: isSet('matchShared') });
+            if (duplicate) {
+                console.log(`♻️ Upload of ${file.originalname} matches document ${duplicate._id}`);
+                return res.status(200).json({
+                    message: 'This file has already been uploaded. Send force=true to upload a separate copy.',
+                    duplicate: true,
+                    url: `/api/documents/${duplicate._id}`,
+                    document: { ...duplicate.toObject(), accessRole: getDocumentRole(duplicate, req.user.id) }
+                });
             }
         }
 
-        console.log('✅ Upload successful, sending response to frontend...');
-        res.status(201).json({
-            message: 'Document uploaded and analyzed successfully!',
-            document: newDoc
+        const { document, job } = await createIngestionJob(file, req.user.id, format, contentHash);
+        console.log(`📥 Queued ingestion job ${job._id} for ${format} document ${document._id}`);
+
+        res.status(202).json({
+            message: 'Document received. Processing has started.',
+            jobId: job._id,
+            document
         });
     } catch (error) {
         console.error("❌ Error in /upload route:", error);
@@ -128,62 +79,168 @@ router.post('/upload', authMiddleware, upload.single('pdf'), async (req, res) =>
     }
 });
 
+const findDocumentJob = async (documentId, userId, action) => {
+    const access = await findAccessibleDocument(documentId, userId, action);
+    if (!access) {
+        return { document: null, job: null };
+    }
+    const { document } = access;
+    const job = document.ingestionJob
+        ? await IngestionJob.findById(document.ingestionJob)
+        : await IngestionJob.findOne({ document: document._id }).sort({ createdAt: -1 });
+    return { document, job };
+};
+
+router.get('/:id/status', authMiddleware, requireScope('read'), async (req, res) => {
+    try {
+        const { document, job } = await findDocumentJob(req.params.id, req.user.id, 'read');
+        if (!document) {
+            return res.status(404).json({ message: 'Document not found or not authorized' });
+        }
+        if (!job) {
+            // Documents uploaded before background ingestion existed have no job.
+            return res.json({
+                documentId: document._id,
+                status: document.isProcessed ? 'completed' : 'unknown',
+                isProcessed: document.isProcessed,
+                job: null
+            });
+        }
+        res.json({
+            documentId: document._id,
+            status: job.status,
+            isProcessed: document.isProcessed,
+            job
+        });
+    } catch (err) {
+        console.error('Error fetching ingestion status:', err);
+        res.status(500).json({ message: 'Failed to fetch processing status.' });
+    }
+});
+
+router.post('/:id/retry', authMiddleware, requireScope('upload'), async (req, res) => {
+    try {
+        const { document, job } = await findDocumentJob(req.params.id, req.user.id, 'reprocess');
+        if (!document || !job) {
+            return res.status(404).json({ message: 'Processing job not found or not authorized' });
+        }
+        await retryIngestionJob(job);
+        res.status(202).json({ message: 'Processing restarted.', jobId: job._id, job });
+    } catch (error) {
+        if (error.message === 'JOB_ALREADY_ACTIVE') {
+            return res.status(409).json({ message: 'This document is already being processed.' });
+        }
+        console.error('Error retrying ingestion job:', error);
+        res.status(500).json({ message: 'Server error while retrying processing.' });
+    }
+});
 
-router.get('/', authMiddleware, async (req, res) => {
+router.post('/:id/cancel', authMiddleware, requireScope('upload'), async (req, res) => {
     try {
-        const { filter } = req.query;
-        let query = { owner: req.user.id };
-        if (filter === 'favorites') {
-            query.isFavorite = true;
+        const { document, job } = await findDocumentJob(req.params.id, req.user.id, 'reprocess');
+        if (!document || !job) {
+            return res.status(404).json({ message: 'Processing job not found or not authorized' });
+        }
+        await cancelIngestionJob(job);
+        res.status(202).json({ message: 'Cancellation requested.', jobId: job._id, job });
+    } catch (error) {
+        if (error.message === 'JOB_NOT_ACTIVE') {
+            return res.status(409).json({ message: 'This document is not being processed.' });
         }
-        const documents = await Document.find(query).sort({ createdAt: -1 });
-        res.json({ documents });
+        console.error('Error cancelling ingestion job:', error);
+        res.status(500).json({ message: 'Server error while cancelling processing.' });
+    }
+});
+
+// Paginated document list. Query parameters (all optional):
+//   q                 full-text search over title, tags, description, notes and content
+//   filter            favorites | shared (shared with me) | all (owned and shared); owned by default
+//   tags, entity, entityType, from, to, status, format   narrowing filters
+//   sort, order       createdAt | title | size | lastAsked | relevance, asc | desc
+//   limit, cursor     page size (max 100) and the nextCursor of the previous page
+//   fields            comma-separated fields to return; text bodies are left out by default
+router.get('/', authMiddleware, requireScope('read'), async (req, res) => {
+    try {
+        const result = await searchDocuments(req.user.id, req.query);
+        res.json(result);
     } catch (err) {
+        const searchError = SEARCH_ERRORS[err.message];
+        if (searchError) {
+            return res.status(searchError.status).json({ message: searchError.message });
+        }
         console.error('Error fetching documents:', err);
         res.status(500).send('Server Error');
     }
 });
 
-router.get('/:id', authMiddleware, async (req, res) => {
+router.get('/:id', authMiddleware, requireScope('read'), async (req, res) => {
     try {
-        const document = await Document.findById(req.params.id);
-        if (!document || document.owner.toString() !== req.user.id) {
+        const access = await findAccessibleDocument(req.params.id, req.user.id, 'read');
+        if (!access) {
             return res.status(404).json({ message: 'Document not found or not authorized' });
         }
-        res.json({ document });
+        res.json({ document: { ...access.document.toObject(), accessRole: access.role } });
     } catch (err) {
         console.error('Error fetching single document:', err);
         res.status(500).send('Server Error');
     }
 });
 
-router.put('/:id', authMiddleware, async (req, res) => {
+// Edit title, description, notes, tags, customFields and isFavorite. Only the fields
+// sent are changed; a customFields entry set to null removes that field.
+const handleDocumentUpdate = async (req, res) => {
     try {
-        const { isFavorite } = req.body;
-        const document = await Document.findById(req.params.id);
-        if (!document || document.owner.toString() !== req.user.id) {
+        const access = await findAccessibleDocument(req.params.id, req.user.id, 'edit');
+        if (!access) {
             return res.status(404).json({ message: 'Document not found or not authorized' });
         }
-        document.isFavorite = isFavorite;
+        const { document } = access;
+        const { filterableChanged, removedFields } = applyMetadataChanges(document, req.body || {});
         await document.save();
-        res.status(200).json({ message: 'Document updated successfully', document });
+
+        // Tags and custom fields are filterable in /ask, so the chunks must carry them too
+        let indexUpdated = true;
+        if (filterableChanged) {
+            try {
+                await syncDocumentMetadata(document._id, { removedFields });
+            } catch (syncError) {
+                indexUpdated = false;
+                console.error('❌ Could not update vector metadata:', syncError.message);
+            }
+        }
+        res.status(200).json({ message: 'Document updated successfully', document, indexUpdated });
     } catch (error) {
+        const metadataError = METADATA_ERRORS[error.message];
+        if (metadataError) {
+            return res.status(metadataError.status).json({ message: metadataError.message });
+        }
         console.error('Error updating document:', error);
         res.status(500).json({ message: 'Server error during document update.' });
     }
-});
+};
 
-router.delete('/:id', authMiddleware, async (req, res) => {
+router.put('/:id', authMiddleware, requireScope('upload'), handleDocumentUpdate);
+router.patch('/:id', authMiddleware, requireScope('upload'), handleDocumentUpdate);
+
+router.delete('/:id', authMiddleware, requireScope('delete'), async (req, res) => {
     try {
-        const document = await Document.findById(req.params.id);
-        if (!document || document.owner.toString() !== req.user.id) {
+        const access = await findAccessibleDocument(req.params.id, req.user.id, 'delete');
+        if (!access) {
             return res.status(404).json({ message: 'Document not found or not authorized' });
         }
+        const { document } = access;
+        if (document.ingestionJob) {
+            await IngestionJob.findByIdAndUpdate(document.ingestionJob, { cancelRequested: true });
+            forgetIngestionJob(document.ingestionJob);
+        }
+        await deleteVersionHistory(document);
+        await deleteDocumentExtractions(document._id);
         if (document.cloudinaryId) {
             await cloudinary.uploader.destroy(document.cloudinaryId, { resource_type: 'raw' });
         }
         await deleteVectorsByDocumentId(document._id.toString());
-        await Document.findByIdAndDelete(req.params.id);
+        await Document.findByIdAndDelete(document._id);
+        await IngestionJob.deleteMany({ document: document._id });
         res.status(200).json({ message: 'Document deleted successfully!' });
     } catch (error) {
         console.error('Error deleting document:', error);
@@ -191,114 +248,551 @@ router.delete('/:id', authMiddleware, async (req, res) => {
     }
 });
 
-router.post('/ask', authMiddleware, async (req, res) => {
+const toShareView = (entry) => ({
+    userId: entry.user._id || entry.user,
+    email: entry.user.email || null,
+    role: entry.role,
+    sharedAt: entry.sharedAt
+});
+
+const findUserByEmail = (email) => User.findOne({ email: String(email).toLowerCase().trim() }).select('email');
+
+router.get('/:id/shares', authMiddleware, requireScope('read'), async (req, res) => {
     try {
-        const { question, documentId } = req.body;
-        const userId = req.user.id;
-        
-        if (!question) {
-            return res.status(400).json({ message: 'Question is required.' });
+        const access = await findAccessibleDocument(req.params.id, req.user.id, 'share');
+        if (!access) {
+            return res.status(404).json({ message: 'Document not found or not authorized' });
         }
+        await access.document.populate([
+            { path: 'owner', select: 'email' },
+            { path: 'sharedWith.user', select: 'email' }
+        ]);
+        res.json({
+            owner: { userId: access.document.owner._id, email: access.document.owner.email },
+            shares: access.document.sharedWith.map(toShareView)
+        });
+    } catch (error) {
+        console.error('Error fetching document shares:', error);
+        res.status(500).json({ message: 'Server error while fetching shares.' });
+    }
+});
 
-        console.log(`📝 Question from user ${userId}: "${question}"`);
+// Share with a user by email, or change the role of an existing share.
+router.post('/:id/shares', authMiddleware, requireScope('upload'), async (req, res) => {
+    try {
+        const { email, role } = req.body;
+        if (!email || !SHARE_ROLES.includes(role)) {
+            return res.status(400).json({ message: `email and a role (${SHARE_ROLES.join(', ')}) are required.` });
+        }
 
-        // Pre-checks: document exists and owned by user
-        if (documentId) {
-            const doc = await Document.findById(documentId);
-            if (!doc || doc.owner.toString() !== userId) {
-                return res.status(404).json({ message: 'Document not found or not authorized' });
-            }
+        const access = await findAccessibleDocument(req.params.id, req.user.id, 'share');
+        if (!access) {
+            return res.status(404).json({ message: 'Document not found or not authorized' });
         }
+        const { document } = access;
 
-        // Check index status first
-        try {
-            const stats = await checkIndexStatus();
-            console.log('📊 Current index status:', stats);
-        } catch (error) {
-            console.error('❌ Error checking index status:', error);
+        const target = await findUserByEmail(email);
+        if (!target) {
+            return res.status(404).json({ message: 'No user with this email address.' });
+        }
+        if (target._id.equals(document.owner)) {
+            return res.status(400).json({ message: 'The owner already has full access.' });
         }
 
-        // If specific document, validate vectors exist
-        if (documentId) {
-            try {
-                const vectorState = await checkDocumentVectors(documentId, userId);
-                console.log('🧮 Document vector state:', vectorState);
-                if (!vectorState || (vectorState.countEstimate || 0) === 0) {
-                    console.warn('⚠️ No vectors found for requested document. Falling back to user-wide search.');
-                }
-            } catch (vecErr) {
-                console.error('❌ Error checking document vectors:', vecErr?.message || vecErr);
-            }
+        const existing = document.sharedWith.find(entry => entry.user.equals(target._id));
+        if (existing) {
+            existing.role = role;
+        } else {
+            document.sharedWith.push({ user: target._id, role, sharedBy: req.user.id });
         }
+        await document.save();
 
-        let questionEmbedding;
-        try {
-            questionEmbedding = await generateEmbedding(question);
-            console.log(`✅ Generated question embedding: ${questionEmbedding.length} dimensions`);
-        } catch (embeddingError) {
-            console.error('❌ Embedding generation failed:', embeddingError);
-            return res.status(500).json({ 
-                message: 'Failed to process your question. Please try again.' 
-            });
+        res.status(existing ? 200 : 201).json({
+            message: existing ? 'Share updated.' : 'Document shared.',
+            share: { userId: target._id, email: target.email, role }
+        });
+    } catch (error) {
+        console.error('Error sharing document:', error);
+        res.status(500).json({ message: 'Server error while sharing document.' });
+    }
+});
+
+// Leaving a document only takes the read scope; removing someone else takes upload.
+const requireShareRemovalScope = (req, res, next) => requireScope(req.params.userId === req.user.id ? 'read' : 'upload')(req, res, next);
+
+// The owner removes someone, or a user removes themselves from a shared document.
+router.delete('/:id/shares/:userId', authMiddleware, requireShareRemovalScope, async (req, res) => {
+    try {
+        const isSelf = req.params.userId === req.user.id;
+        const access = await findAccessibleDocument(req.params.id, req.user.id, isSelf ? 'read' : 'share');
+        if (!access) {
+            return res.status(404).json({ message: 'Document not found or not authorized' });
+        }
+        const { document } = access;
+        const before = document.sharedWith.length;
+        document.sharedWith = document.sharedWith.filter(entry => entry.user.toString() !== req.params.userId);
+        if (document.sharedWith.length === before) {
+            return res.status(404).json({ message: 'This user does not have access to the document.' });
+        }
+        await document.save();
+        res.status(200).json({ message: 'Access removed.' });
+    } catch (error) {
+        console.error('Error removing document share:', error);
+        res.status(500).json({ message: 'Server error while removing access.' });
+    }
+});
+
+// Hand the document to another user. The previous owner stays on as an editor.
+router.post('/:id/transfer', authMiddleware, requireScope('upload'), async (req, res) => {
+    try {
+        const { email } = req.body;
+        if (!email) {
+            return res.status(400).json({ message: 'email is required.' });
         }
 
-        let relevantChunks;
+        const access = await findAccessibleDocument(req.params.id, req.user.id, 'transfer');
+        if (!access) {
+            return res.status(404).json({ message: 'Document not found or not authorized' });
+        }
+        const { document } = access;
+
+        const target = await findUserByEmail(email);
+        if (!target) {
+            return res.status(404).json({ message: 'No user with this email address.' });
+        }
+        if (target._id.equals(document.owner)) {
+            return res.status(400).json({ message: 'This user already owns the document.' });
+        }
+
+        const previousOwner = document.owner;
+        document.sharedWith = document.sharedWith.filter(entry => !entry.user.equals(target._id));
+        document.sharedWith.push({ user: previousOwner, role: 'editor', sharedBy: previousOwner });
+        document.owner = target._id;
+        await document.save();
+
+        let indexUpdated = true;
         try {
-            relevantChunks = await queryEmbeddings(questionEmbedding, userId, 10, documentId);
-            console.log(`🔍 Found ${relevantChunks.length} relevant chunks`);
-        } catch (pineconeError) {
-            console.error('❌ Pinecone query failed:', pineconeError);
-            return res.status(503).json({ 
-                message: 'Search service is temporarily unavailable. Please try again in a few moments.' 
+            await syncDocumentOwner(document._id, target._id);
+        } catch (syncError) {
+            indexUpdated = false;
+            console.error('❌ Could not update the owner on the document\'s chunks:', syncError.message);
+        }
+
+        res.status(200).json({
+            message: 'Ownership transferred.',
+            document: { ...document.toObject(), accessRole: getDocumentRole(document, req.user.id) },
+            indexUpdated
+        });
+    } catch (error) {
+        console.error('Error transferring document ownership:', error);
+        res.status(500).json({ message: 'Server error while transferring ownership.' });
+    }
+});
+
+// Summary of the whole document (?length=tldr | paragraph | outline, default paragraph)
+// or of each top-level section (?by=section; runs of pages for documents without
+// headings, such as most PDFs). Cached until the text changes;
+// ?refresh=true regenerates. Long documents are summarized in the background: the
+// response is then 202 { status: 'processing' } and the client polls this endpoint.
+router.get('/:id/summary', authMiddleware, requireScope('ask'), requireVerifiedEmail, async (req, res) => {
+    try {
+        const access = await findAccessibleDocument(req.params.id, req.user.id, 'ask');
+        if (!access) {
+            return res.status(404).json({ message: 'Document not found or not authorized' });
+        }
+        const result = await getSummary(access.document, {
+            length: req.query.length,
+            by: req.query.by,
+            refresh: req.query.refresh === 'true'
+        });
+        const status = { ready: 200, processing: 202, failed: 502 }[result.status];
+        res.status(status).json(result);
+    } catch (error) {
+        const summaryError = SUMMARY_ERRORS[error.message];
+        if (summaryError) {
+            return res.status(summaryError.status).json({ message: summaryError.message });
+        }
+        console.error('Error generating document summary:', error);
+        res.status(500).json({ message: 'Server error while summarizing the document.' });
+    }
+});
+
+const sendVersionError = (res, error) => {
+    const versionError = VERSION_ERRORS[error.message];
+    if (!versionError) return false;
+    res.status(versionError.status).json({ message: versionError.message });
+    return true;
+};
+
+// Version history, newest first. Text bodies are left out; use the diff endpoint to compare them.
+router.get('/:id/versions', authMiddleware, requireScope('read'), async (req, res) => {
+    try {
+        const access = await findAccessibleDocument(req.params.id, req.user.id, 'read');
+        if (!access) {
+            return res.status(404).json({ message: 'Document not found or not authorized' });
+        }
+        const versions = await listVersions(access.document);
+        res.json({ currentVersion: access.document.currentVersion, versions });
+    } catch (err) {
+        console.error('Error listing document versions:', err);
+        res.status(500).json({ message: 'Failed to fetch versions.' });
+    }
+});
+
+// Upload a new revision of the document's file. The document keeps its id, metadata,
+// shares and conversations; text and vectors switch to the new version once processed.
+router.post('/:id/versions', authMiddleware, requireScope('upload'), requireVerifiedEmail, acceptUpload, async (req, res) => {
+    try {
+        const access = await findAccessibleDocument(req.params.id, req.user.id, 'edit');
+        if (!access) {
+            return res.status(404).json({ message: 'Document not found or not authorized' });
+        }
+        const file = req.files?.file?.[0] || req.files?.pdf?.[0];
+        if (!file) {
+            return res.status(400).json({ message: 'No file was uploaded.' });
+        }
+        const format = await detectFormat(file.buffer, file);
+        if (!format) {
+            return res.status(400).json({
+                message: `Unsupported or corrupt file. Supported formats: ${SUPPORTED_FORMATS.join(', ')}.`
             });
         }
+
+        const { version, job } = await uploadVersion(access.document, file, format, req.user.id);
+        console.log(`📥 Queued ingestion job ${job._id} for version ${version} of document ${access.document._id}`);
+
+        res.status(202).json({
+            message: `Version ${version} received. Processing has started.`,
+            version,
+            jobId: job._id,
+            document: access.document
+        });
+    } catch (error) {
+        if (sendVersionError(res, error)) return;
+        console.error('Error uploading document version:', error);
+        res.status(500).json({ message: 'Server error during upload.' });
+    }
+});
+
+// Paragraph-level diff between two versions: ?from=<n>&to=<n> (to defaults to the
+// current version, from to the one before it). ?includeUnchanged=true also lists
+// paragraphs that did not change.
+router.get('/:id/versions/diff', authMiddleware, requireScope('read'), async (req, res) => {
+    try {
+        const access = await findAccessibleDocument(req.params.id, req.user.id, 'read');
+        if (!access) {
+            return res.status(404).json({ message: 'Document not found or not authorized' });
+        }
+        const { document } = access;
+        const to = req.query.to !== undefined ? parseVersion(req.query.to) : document.currentVersion;
+        const from = req.query.from !== undefined ? parseVersion(req.query.from) : to - 1;
+        if (from < 1) {
+            return res.status(400).json({ message: 'from is required when comparing against version 1.' });
+        }
+        const diff = await diffVersions(document, from, to, { includeUnchanged: req.query.includeUnchanged === 'true' });
+        res.json(diff);
+    } catch (error) {
+        if (sendVersionError(res, error)) return;
+        console.error('Error diffing document versions:', error);
+        res.status(500).json({ message: 'Failed to compare versions.' });
+    }
+});
+
+// Make an older version current again by re-indexing it; the document switches over
+// once that completes. Newer versions stay in the history.
+router.post('/:id/versions/:version/rollback', authMiddleware, requireScope('upload'), async (req, res) => {
+    try {
+        const access = await findAccessibleDocument(req.params.id, req.user.id, 'edit');
+        if (!access) {
+            return res.status(404).json({ message: 'Document not found or not authorized' });
+        }
+        const version = parseVersion(req.params.version);
+        const job = await rollbackToVersion(access.document, version);
+        res.status(202).json({
+            message: `Re-indexing version ${version}. It becomes the current version once that completes.`,
+            version,
+            jobId: job._id,
+            document: access.document
+        });
+    } catch (error) {
+        if (sendVersionError(res, error)) return;
+        console.error('Error rolling back document version:', error);
+        res.status(500).json({ message: 'Server error during rollback.' });
+    }
+});
+
+// Clause-level comparison of two or more documents: { documentIds: [base, other, ...],
+// format: 'json' | 'markdown', explain: false to skip the LLM explanations }. Every
+// other document is compared against the first one.
+router.post('/compare', authMiddleware, requireScope('ask'), requireVerifiedEmail, async (req, res) => {
+    try {
+        const { documentIds, format, explain } = parseCompareOptions({ ...req.query, ...req.body });
+        const documents = [];
+        for (const id of documentIds) {
+            const access = await findAccessibleDocument(id, req.user.id, 'ask');
+            if (!access) {
+                return res.status(404).json({ message: `Document ${id} not found or not authorized` });
+            }
+            documents.push(access.document);
+        }
+
+        const report = await compareDocuments(documents, { explain });
+        if (format === 'markdown') {
+            return res.type('text/markdown').send(renderComparisonMarkdown(report));
+        }
+        res.json(report);
+    } catch (error) {
+        const compareError = COMPARE_ERRORS[error.message];
+        if (compareError) {
+            return res.status(compareError.status).json({ message: compareError.message });
+        }
+        console.error('Error comparing documents:', error);
+        res.status(500).json({ message: 'Server error while comparing documents.' });
+    }
+});
+
+// /ask targets one documentId, an explicit list of documentIds, a collectionId, or
+// (with none of them) every document the user can read. Returns the retrieval
+// scope, or { error } with the status and message to send. A `filter` of tags and
+// custom fields can narrow any of these (see resolveAskTarget).
+const resolveAskScope = async ({ documentId, documentIds, collectionId }, userId) => {
+    const given = [documentId, documentIds, collectionId].filter(value => value !== undefined && value !== null);
+    if (given.length > 1) {
+        return { error: { status: 400, message: 'Send only one of documentId, documentIds or collectionId.' } };
+    }
+    if (documentId) {
+        if (!(await findAccessibleDocument(documentId, userId, 'ask'))) {
+            return { error: { status: 404, message: 'Document not found or not authorized' } };
+        }
+        return { documentId };
+    }
+    if (documentIds !== undefined && documentIds !== null) {
+        const ids = Array.isArray(documentIds) ? [...new Set(documentIds.map(String))] : [];
+        if (ids.length === 0) {
+            return { error: { status: 400, message: 'documentIds must be a non-empty list.' } };
+        }
+        for (const id of ids) {
+            if (!(await findAccessibleDocument(id, userId, 'ask'))) {
+                return { error: { status: 404, message: `Document ${id} not found or not authorized` } };
+            }
+        }
+        return { documentId: ids };
+    }
+    if (collectionId) {
+        if (!(await findOwnedCollection(collectionId, userId))) {
+            return { error: { status: 404, message: 'Collection not found or not authorized' } };
+        }
+        return { collectionId: String(collectionId) };
+    }
+    return {};
+};
+
+// A `version` of a single documentId. Asking the current version is a normal search;
+// any other version is answered from its stored text (see retrieveVersionChunks).
+const resolveAskVersion = async ({ documentId, version }, userId) => {
+    if (version === undefined || version === null) return {};
+    if (!documentId || typeof documentId !== 'string') {
+        return { error: { status: 400, message: 'version can only be used with a single documentId.' } };
+    }
+    const { document } = await findAccessibleDocument(documentId, userId, 'ask');
+    let parsed;
+    try {
+        parsed = parseVersion(version);
+        await assertVersionReady(document, parsed);
+    } catch (error) {
+        const versionError = VERSION_ERRORS[error.message];
+        if (!versionError) throw error;
+        return { error: versionError };
+    }
+    return parsed === document.currentVersion ? {} : { version: parsed };
+};
+
+// Resolve the full retrieval target: scope plus the optional tag/custom field filter
+// and document version.
+const resolveAskTarget = async (body, userId) => {
+    let metadataFilter;
+    try {
+        metadataFilter = toVectorFilter(body.filter);
+    } catch (error) {
+        return { error: METADATA_ERRORS[error.message] };
+    }
+    const scope = await resolveAskScope(body, userId);
+    if (scope.error) return scope;
+    const version = await resolveAskVersion(body, userId);
+    return version.error ? version : { ...scope, ...version, metadataFilter };
+};
+
+router.post('/ask', authMiddleware, requireScope('ask'), requireVerifiedEmail, async (req, res) => {
+    try {
+        const { question, retrieval, rerank } = req.body;
+        const userId = req.user.id;
         
-        if (relevantChunks.length === 0) {
-            // Try user-wide fallback explicitly if not already done inside service
-            try {
-                const fallback = await queryEmbeddings(questionEmbedding, userId, 15, null);
-                if (fallback.length > 0) {
-                    relevantChunks = fallback;
-                }
-            } catch {}
+        if (!question) {
+            return res.status(400).json({ message: 'Question is required.' });
         }
 
-        if (relevantChunks.length === 0) {
-            // More specific error message and diagnostics
-            const diag = documentId ? await (async () => {
-                try { return await checkDocumentVectors(documentId, userId); } catch { return null; }
-            })() : null;
-            return res.status(200).json({ 
-                answer: "I couldn't find relevant chunks.",
-                diagnostics: {
-                    documentId: documentId || null,
-                    vectorCountEstimate: diag?.countEstimate ?? null,
-                    sample: diag?.sample ?? null
-                }
-            });
+        console.log(`📝 Question from user ${userId}: "${question}"`);
+
+        // Pre-checks: the targeted documents or collection exist and the user may ask about them
+        const scope = await resolveAskTarget(req.body, userId);
+        if (scope.error) {
+            return res.status(scope.error.status).json({ message: scope.error.message });
         }
 
-        const contextText = relevantChunks.map(c => c.text).join('\n\n');
-        const answer = await generateAnswer(question, contextText);
+        const { answer, sources, relevantChunks, diagnostics } = await answerQuestion({ question, userId, scope, retrieval, rerank });
+
+        if (relevantChunks.length === 0) {
+            return res.status(200).json({ answer, diagnostics });
+        }
+        markDocumentsAsked(sources.map(source => source.documentId));
         
-        res.status(200).json({ answer });
+        res.status(200).json({ answer, sources, diagnostics });
     } catch (error) {
+        const retrievalError = RETRIEVAL_ERRORS[error.message];
+        if (retrievalError) {
+            return res.status(retrievalError.status).json({ message: retrievalError.message });
+        }
+        const outboundError = OUTBOUND_ERRORS[error.message];
+        if (outboundError) {
+            // The provider's circuit is open: tell the client when it is worth asking again
+            res.set('Retry-After', String(Math.ceil((error.retryAfterMs || 0) / 1000)));
+            return res.status(outboundError.status).json({ message: outboundError.message });
+        }
         console.error('❌ Error in /ask route:', error);
         res.status(500).json({ message: 'Server error during question answering.' });
     }
 });
 
+// Streaming variant of /ask over Server-Sent Events. Events, in order:
+//   sources   - the retrieved chunks the answer will be based on, with citation markers
+//   token     - a piece of the answer text, as it arrives
+//   reasoning - a piece of the model's reasoning (only when includeReasoning is set)
+//   done      - the full answer, its cited sources and provider/model metadata
+//   error     - sent instead of done if anything fails after the stream opened
+router.post('/ask/stream', authMiddleware, requireScope('ask'), requireVerifiedEmail, async (req, res) => {
+    const { question, includeReasoning, retrieval, rerank } = req.body;
+    const userId = req.user.id;
+
+    if (!question) {
+        return res.status(400).json({ message: 'Question is required.' });
+    }
+
+    // Validate options up front: once the stream is open errors can only be sent as events
+    try {
+        resolveRerankOptions(rerank);
+        resolveRetrievalOptions(retrieval);
+    } catch (optionsError) {
+        return res.status(400).json({ message: RETRIEVAL_ERRORS[optionsError.message].message });
+    }
+
+    let scope;
+    try {
+        scope = await resolveAskTarget(req.body, userId);
+    } catch (err) {
+        console.error('Error loading document for /ask/stream:', err);
+        return res.status(500).json({ message: 'Server error during question answering.' });
+    }
+    if (scope.error) {
+        return res.status(scope.error.status).json({ message: scope.error.message });
+    }
+
+    console.log(`📝 Streaming question from user ${userId}: "${question}"`);
+
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const sendEvent = (event, data) => {
+        if (res.writableEnded) return;
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Abort the upstream LLM call as soon as the client goes away.
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            console.log('🔌 Client disconnected from /ask/stream, aborting upstream call');
+            controller.abort();
+        }
+    });
+
+    const startedAt = Date.now();
+    try {
+        const { relevantChunks, diagnostics, retrievalDiagnostics } = await retrieveForAsk({ question, userId, scope, retrieval });
+
+        if (relevantChunks.length === 0) {
+            sendEvent('sources', { chunks: [], retrieval: retrievalDiagnostics });
+            sendEvent('done', { answer: "I couldn't find relevant chunks.", sources: [], diagnostics: { ...diagnostics, retrieval: retrievalDiagnostics } });
+            return res.end();
+        }
+
+        const { contextText, citedChunks, titlesById, rerankDiagnostics } = await buildAnswerContext(question, relevantChunks, rerank);
+
+        sendEvent('sources', {
+            chunks: citedChunks.map(c => ({
+                marker: c.marker,
+                id: c.id,
+                documentId: c.documentId,
+                title: titlesById[c.documentId] || null,
+                chunkIndex: c.chunkIndex,
+                page: c.metadata?.pageStart ?? null,
+                pageEnd: c.metadata?.pageEnd ?? null,
+                section: c.metadata?.section ?? null,
+                score: c.score,
+                text: c.text
+            })),
+            retrieval: retrievalDiagnostics,
+            rerank: rerankDiagnostics
+        });
+
+        for await (const event of streamAnswer(question, contextText, { signal: controller.signal })) {
+            if (controller.signal.aborted) break;
+            if (event.type === 'token') {
+                sendEvent('token', { text: event.text });
+            } else if (event.type === 'reasoning') {
+                if (includeReasoning) sendEvent('reasoning', { text: event.text });
+            } else if (event.type === 'done') {
+                // Streamed tokens are raw; the final answer has invalid citation markers removed
+                const { answer, sources } = resolveCitations(event.message || "Sorry, I couldn't generate a response.", citedChunks, titlesById);
+                markDocumentsAsked(sources.map(source => source.documentId));
+                sendEvent('done', {
+                    answer,
+                    sources,
+                    reasoning: includeReasoning ? event.reasoning : undefined,
+                    provider: event.provider,
+                    model: event.model,
+                    usage: event.usage,
+                    chunkCount: relevantChunks.length,
+                    durationMs: Date.now() - startedAt
+                });
+            }
+        }
+        res.end();
+    } catch (error) {
+        if (controller.signal.aborted) return;
+        const knownError = RETRIEVAL_ERRORS[error.message] || OUTBOUND_ERRORS[error.message];
+        if (!knownError) {
+            console.error('❌ Error in /ask/stream route:', error);
+        }
+        sendEvent('error', { message: knownError ? knownError.message : 'Server error during question answering.' });
+        res.end();
+    }
+});
+
 // Debug route: count vectors for a document
-router.get('/debug/vector-count/:id', authMiddleware, async (req, res) => {
+router.get('/debug/vector-count/:id', authMiddleware, requireScope('read'), async (req, res) => {
     try {
         const documentId = req.params.id;
         const userId = req.user.id;
-        const doc = await Document.findById(documentId);
-        if (!doc || doc.owner.toString() !== userId) {
+        if (!(await findAccessibleDocument(documentId, userId, 'read'))) {
             return res.status(404).json({ message: 'Document not found or not authorized' });
         }
-        const count = await countVectorsByDocument(documentId, userId);
-        const detail = await checkDocumentVectors(documentId, userId);
+        const count = await countVectorsByDocument(documentId);
+        const detail = await checkDocumentVectors(documentId);
         res.json({ documentId, count, sample: detail?.sample || [] });
     } catch (err) {
         console.error('Error in debug vector-count:', err);
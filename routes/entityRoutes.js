@@ -0,0 +1,66 @@
+const express = require('express');
+const router = express.Router();
+
+const authMiddleware = require('../middleware/authMiddleware');
+const requireScope = require('../middleware/requireScope');
+const requireVerifiedEmail = require('../middleware/requireVerifiedEmail');
+
+const { searchEntities, ENTITY_ERRORS } = require('../services/entityService');
+const { buildEntityGraph, GRAPH_ERRORS } = require('../services/entityGraphService');
+
+// Entity index over every document the user can read. Query parameters (all optional):
+//   type        one or more entity types, comma-separated (PERSON, ORG, DATE, MONEY, LAW...)
+//   q           substring of the entity name or one of its aliases
+//   documentId  only entities of this document
+//   limit       number of entities (default 20, max 100)
+// Each entity lists the documents that mention it, with counts, pages and passages.
+router.get('/', authMiddleware, requireScope('read'), async (req, res) => {
+    try {
+        const result = await searchEntities(req.user.id, req.query);
+        res.json(result);
+    } catch (err) {
+        const entityError = ENTITY_ERRORS[err.message];
+        if (entityError) {
+            return res.status(entityError.status).json({ message: entityError.message });
+        }
+        console.error('Error searching entities:', err);
+        res.status(500).json({ message: 'Server error while searching entities.' });
+    }
+});
+
+// Relation labelling calls the LLM, so it takes the same scope and verified email as /ask.
+const requireRelationAccess = (req, res, next) => {
+    if (req.query.relations !== 'true') return next();
+    requireScope('ask')(req, res, () => requireVerifiedEmail(req, res, next));
+};
+
+// Entity relationship graph. Nodes are entities, edges link entities that appear in
+// the same chunk (by=chunk, default) or document (by=document), weighted by how often.
+// Query parameters (all optional):
+//   documentIds | collectionId   documents to build from (comma-separated ids); all readable documents by default
+//   type        entity types to include, comma-separated
+//   minWeight   drop weaker edges (default 1)
+//   maxNodes    keep the most mentioned entities (default 200, max 1000)
+//   relations   true to label the heaviest edges with LLM-extracted relations ("works for", ...);
+//               needs the ask scope and, like /ask, a verified email
+//   format      json (default) or graphml
+router.get('/graph', authMiddleware, requireScope('read'), requireRelationAccess, async (req, res) => {
+    try {
+        const result = await buildEntityGraph(req.user.id, req.query);
+        if (result.format === 'graphml') {
+            res.set('Content-Type', 'application/graphml+xml; charset=utf-8');
+            res.set('Content-Disposition', 'attachment; filename="entity-graph.graphml"');
+            return res.send(result.body);
+        }
+        res.json(result.graph);
+    } catch (err) {
+        const graphError = GRAPH_ERRORS[err.message];
+        if (graphError) {
+            return res.status(graphError.status).json({ message: graphError.message });
+        }
+        console.error('Error building entity graph:', err);
+        res.status(500).json({ message: 'Server error while building the entity graph.' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,142 @@
+const express = require('express');
+const router = express.Router();
+
+const authMiddleware = require('../middleware/authMiddleware');
+const requireVerifiedEmail = require('../middleware/requireVerifiedEmail');
+const requireScope = require('../middleware/requireScope');
+
+const {
+    EVAL_ERRORS,
+    listEvalSets,
+    getEvalSet,
+    createEvalSet,
+    updateEvalSet,
+    deleteEvalSet,
+    createEvalRun,
+    executeEvalRun,
+    listEvalRuns,
+    getEvalRun,
+    compareEvalRuns
+} = require('../services/evalService');
+
+// Send the mapped status for a known error code. Invalid sets also list their problems.
+const sendEvalError = (res, error) => {
+    const evalError = EVAL_ERRORS[error.message];
+    if (!evalError) return false;
+    res.status(evalError.status).json({
+        message: evalError.message,
+        ...(error.details ? { errors: error.details } : {})
+    });
+    return true;
+};
+
+router.get('/', authMiddleware, requireScope('read'), async (req, res) => {
+    try {
+        const evalSets = await listEvalSets(req.user.id);
+        res.json({ evalSets });
+    } catch (error) {
+        console.error('Error listing evaluation sets:', error);
+        res.status(500).json({ message: 'Failed to fetch evaluation sets.' });
+    }
+});
+
+// Body: { name, description?, documentIds, cases: [{ question, expectedAnswer?,
+// expectedSources?: [{ documentId, page?, chunkIndex? }] }] }
+router.post('/', authMiddleware, requireScope('upload'), async (req, res) => {
+    try {
+        const evalSet = await createEvalSet(req.user.id, req.body || {});
+        res.status(201).json({ evalSet });
+    } catch (error) {
+        if (sendEvalError(res, error)) return;
+        console.error('Error creating evaluation set:', error);
+        res.status(500).json({ message: 'Server error while creating the evaluation set.' });
+    }
+});
+
+// Comparison of two runs: ?base=<runId>&other=<runId>
+router.get('/runs/compare', authMiddleware, requireScope('read'), async (req, res) => {
+    try {
+        const comparison = await compareEvalRuns(req.user.id, req.query.base, req.query.other);
+        res.json(comparison);
+    } catch (error) {
+        if (sendEvalError(res, error)) return;
+        console.error('Error comparing evaluation runs:', error);
+        res.status(500).json({ message: 'Failed to compare runs.' });
+    }
+});
+
+// A run with its per-case answers and scores. Poll this while status is running.
+router.get('/runs/:runId', authMiddleware, requireScope('read'), async (req, res) => {
+    try {
+        const run = await getEvalRun(req.params.runId, req.user.id);
+        res.json({ run });
+    } catch (error) {
+        if (sendEvalError(res, error)) return;
+        console.error('Error fetching evaluation run:', error);
+        res.status(500).json({ message: 'Failed to fetch the run.' });
+    }
+});
+
+router.get('/:id', authMiddleware, requireScope('read'), async (req, res) => {
+    try {
+        const evalSet = await getEvalSet(req.params.id, req.user.id);
+        res.json({ evalSet });
+    } catch (error) {
+        if (sendEvalError(res, error)) return;
+        console.error('Error fetching evaluation set:', error);
+        res.status(500).json({ message: 'Failed to fetch the evaluation set.' });
+    }
+});
+
+router.put('/:id', authMiddleware, requireScope('upload'), async (req, res) => {
+    try {
+        const evalSet = await updateEvalSet(req.params.id, req.user.id, req.body || {});
+        res.json({ evalSet });
+    } catch (error) {
+        if (sendEvalError(res, error)) return;
+        console.error('Error updating evaluation set:', error);
+        res.status(500).json({ message: 'Server error while updating the evaluation set.' });
+    }
+});
+
+router.delete('/:id', authMiddleware, requireScope('delete'), async (req, res) => {
+    try {
+        await deleteEvalSet(req.params.id, req.user.id);
+        res.json({ message: 'Evaluation set and its runs deleted.' });
+    } catch (error) {
+        if (sendEvalError(res, error)) return;
+        console.error('Error deleting evaluation set:', error);
+        res.status(500).json({ message: 'Server error while deleting the evaluation set.' });
+    }
+});
+
+// Run every case through the /ask pipeline. Body (all optional): { label, k (recall
+// cut-off, default 5), topK (chunks retrieved), retrieval, rerank (as in /ask),
+// judge: llm | lexical | none }. Answers 202 with the run; poll GET /runs/:runId.
+router.post('/:id/runs', authMiddleware, requireScope('ask'), requireVerifiedEmail, async (req, res) => {
+    try {
+        const evalSet = await getEvalSet(req.params.id, req.user.id);
+        const run = await createEvalRun(evalSet, req.user.id, req.body || {});
+        executeEvalRun(run, evalSet).catch(err => console.error('Evaluation run crashed:', err));
+        res.status(202).json({ message: 'Evaluation run started.', run });
+    } catch (error) {
+        if (sendEvalError(res, error)) return;
+        console.error('Error starting evaluation run:', error);
+        res.status(500).json({ message: 'Server error while starting the evaluation run.' });
+    }
+});
+
+// Runs of a set, newest first, with metrics but without the per-case results
+router.get('/:id/runs', authMiddleware, requireScope('read'), async (req, res) => {
+    try {
+        const evalSet = await getEvalSet(req.params.id, req.user.id);
+        const runs = await listEvalRuns(evalSet);
+        res.json({ runs });
+    } catch (error) {
+        if (sendEvalError(res, error)) return;
+        console.error('Error listing evaluation runs:', error);
+        res.status(500).json({ message: 'Failed to fetch runs.' });
+    }
+});
+
+module.exports = router;
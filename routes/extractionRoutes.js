@@ -0,0 +1,138 @@
+const express = require('express');
+const router = express.Router();
+
+const authMiddleware = require('../middleware/authMiddleware');
+const requireVerifiedEmail = require('../middleware/requireVerifiedEmail');
+const requireScope = require('../middleware/requireScope');
+
+const {
+    EXTRACTION_ERRORS,
+    listTemplates,
+    getTemplate,
+    createTemplate,
+    updateTemplate,
+    deleteTemplate,
+    runTemplate,
+    queryResults,
+    getResult
+} = require('../services/extractionService');
+
+// Send the mapped status for a known error code. Invalid templates also list the schema problems.
+const sendExtractionError = (res, error) => {
+    const extractionError = EXTRACTION_ERRORS[error.message];
+    if (!extractionError) return false;
+    res.status(extractionError.status).json({
+        message: extractionError.message,
+        ...(error.details ? { errors: error.details } : {})
+    });
+    return true;
+};
+
+router.get('/templates', authMiddleware, requireScope('read'), async (req, res) => {
+    try {
+        const templates = await listTemplates(req.user.id);
+        res.json({ templates });
+    } catch (error) {
+        console.error('Error listing extraction templates:', error);
+        res.status(500).json({ message: 'Failed to fetch templates.' });
+    }
+});
+
+// Body: { name, description?, schema }. schema is a JSON Schema object, e.g.
+// { type: 'object', required: ['vendor'], properties: { vendor: { type: 'string' },
+//   total: { type: 'number' }, dueDate: { type: 'string', format: 'date' },
+//   lineItems: { type: 'array', items: { type: 'object', properties: { ... } } } } }
+router.post('/templates', authMiddleware, requireScope('upload'), async (req, res) => {
+    try {
+        const template = await createTemplate(req.user.id, req.body || {});
+        res.status(201).json({ template });
+    } catch (error) {
+        if (sendExtractionError(res, error)) return;
+        console.error('Error creating extraction template:', error);
+        res.status(500).json({ message: 'Server error while creating the template.' });
+    }
+});
+
+router.get('/templates/:id', authMiddleware, requireScope('read'), async (req, res) => {
+    try {
+        const template = await getTemplate(req.params.id, req.user.id);
+        res.json({ template });
+    } catch (error) {
+        if (sendExtractionError(res, error)) return;
+        console.error('Error fetching extraction template:', error);
+        res.status(500).json({ message: 'Failed to fetch the template.' });
+    }
+});
+
+// Stored results keep the values extracted with the previous schema until the template is run again.
+router.put('/templates/:id', authMiddleware, requireScope('upload'), async (req, res) => {
+    try {
+        const template = await updateTemplate(req.params.id, req.user.id, req.body || {});
+        res.json({ template });
+    } catch (error) {
+        if (sendExtractionError(res, error)) return;
+        console.error('Error updating extraction template:', error);
+        res.status(500).json({ message: 'Server error while updating the template.' });
+    }
+});
+
+router.delete('/templates/:id', authMiddleware, requireScope('delete'), async (req, res) => {
+    try {
+        await deleteTemplate(req.params.id, req.user.id);
+        res.json({ message: 'Template and its results deleted.' });
+    } catch (error) {
+        if (sendExtractionError(res, error)) return;
+        console.error('Error deleting extraction template:', error);
+        res.status(500).json({ message: 'Server error while deleting the template.' });
+    }
+});
+
+// Body: { documentId } or { collectionId }. One document is extracted before the
+// response (200); a collection is extracted in the background (202) and its
+// progress read from GET /results?templateId=&collectionId=.
+router.post('/templates/:id/run', authMiddleware, requireScope('ask'), requireVerifiedEmail, async (req, res) => {
+    try {
+        const { documentId, collectionId } = req.body || {};
+        const run = await runTemplate(req.params.id, req.user.id, { documentId, collectionId });
+        res.status(run.status === 'processing' ? 202 : 200).json(run);
+    } catch (error) {
+        if (sendExtractionError(res, error)) return;
+        console.error('Error running extraction template:', error);
+        res.status(500).json({ message: 'Server error while extracting data.' });
+    }
+});
+
+// Query parameters: templateId (required), documentId, collectionId, status,
+// field_<name>=<value> to match an extracted value, limit (default 100, max 1000)
+// and format (json, or csv for one row per document).
+router.get('/results', authMiddleware, requireScope('read'), async (req, res) => {
+    try {
+        const result = await queryResults(req.user.id, req.query);
+        if (result.format === 'csv') {
+            const fileName = result.template.name.replace(/[^\w.-]+/g, '_') || 'extraction';
+            res.set('Content-Type', 'text/csv; charset=utf-8');
+            res.set('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+            return res.send(result.body);
+        }
+        res.json({ template: result.template, results: result.results });
+    } catch (error) {
+        if (sendExtractionError(res, error)) return;
+        console.error('Error querying extraction results:', error);
+        res.status(500).json({ message: 'Failed to fetch results.' });
+    }
+});
+
+router.get('/results/:id', authMiddleware, requireScope('read'), async (req, res) => {
+    try {
+        const result = await getResult(req.params.id, req.user.id);
+        if (!result) {
+            return res.status(404).json({ message: 'Result not found or not authorized' });
+        }
+        res.json({ result });
+    } catch (error) {
+        console.error('Error fetching extraction result:', error);
+        res.status(500).json({ message: 'Failed to fetch the result.' });
+    }
+});
+
+module.exports = router;
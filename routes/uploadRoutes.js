@@ -1,51 +1,33 @@
 const express = require('express');
 const router = express.Router();
-const multer = require('multer');
 const authMiddleware = require('../middleware/authMiddleware');
-
-const upload = multer({
-    storage: multer.memoryStorage(),
-    limits: { fileSize: 10 * 1024 * 1024 },
-    fileFilter: (req, file, cb) => {
-        console.log('Multer processing file:', file.originalname);
-        console.log('Detected file mimetype:', file.mimetype);
-        console.log('--------------------------------');
-
-        if (file.mimetype === 'application/pdf') {
-            cb(null, true);
-        } else {
-            cb(new Error('INVALID_FILE_TYPE'), false);
-        }
-    }
-});
+const requireVerifiedEmail = require('../middleware/requireVerifiedEmail');
+const requireScope = require('../middleware/requireScope');
+const acceptUpload = require('../middleware/acceptUpload');
 
 router.post(
     '/upload',
     authMiddleware,
-    upload.single('pdf'),
+    requireScope('upload'),
+    requireVerifiedEmail,
+    acceptUpload,
     async (req, res) => {
         try {
-            if (!req.file) {
+            const file = req.files?.file?.[0] || req.files?.pdf?.[0];
+            if (!file) {
                 return res.status(400).json({ message: "No file uploaded" });
             }
 
-            console.log("Received file:", req.file);
+            console.log("Received file:", file.originalname, file.mimetype, file.size);
 
             res.status(200).json({
                 message: 'File received successfully',
-                filename: req.file.originalname,
-                size: req.file.size
+                filename: file.originalname,
+                size: file.size
             });
 
         } catch (error) {
             console.error('Upload Error:', error);
-
-            if (error.message === 'INVALID_FILE_TYPE') {
-                return res.status(400).json({ 
-                    message: 'Only PDF files are allowed' 
-                });
-            }
-
             res.status(500).json({ 
                 message: 'Error uploading file',
                 error: error.message 
@@ -54,4 +36,4 @@ router.post(
     }
 );
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router; 
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+// Set the contentHash of documents and versions uploaded before uploads were hashed,
+// so a second upload of the same file is found as a duplicate. The stored file is
+// downloaded from Cloudinary and hashed. Safe to run more than once: rows that already
+// have a hash are skipped.
+//
+//   npm run backfill:hashes
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const Document = require('../models/Document');
+const DocumentVersion = require('../models/DocumentVersion');
+const { hashFile } = require('../services/ingestionService');
+
+const downloadFile = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to download stored file: ${response.status}`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+};
+
+// Hashes every row of `Model` without a contentHash that still has its file
+const backfill = async (Model, label) => {
+  const counts = { checked: 0, hashed: 0, failed: 0 };
+  const cursor = Model.find({ contentHash: { $in: [null, ''] }, cloudinaryUrl: { $nin: [null, ''] } })
+    .select('_id cloudinaryUrl')
+    .lean()
+    .cursor();
+  for await (const row of cursor) {
+    counts.checked++;
+    try {
+      const contentHash = hashFile(await downloadFile(row.cloudinaryUrl));
+      await Model.updateOne({ _id: row._id }, { $set: { contentHash } });
+      counts.hashed++;
+    } catch (error) {
+      counts.failed++;
+      console.error(`❌ ${label} ${row._id}: ${error.message}`);
+    }
+  }
+  console.log(`Checked ${counts.checked} ${label.toLowerCase()}(s): hashed ${counts.hashed}, failed ${counts.failed}.`);
+  return counts;
+};
+
+const main = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/deepsearch');
+  try {
+    const documents = await backfill(Document, 'Document');
+    const versions = await backfill(DocumentVersion, 'Version');
+    return documents.failed + versions.failed > 0 ? 1 : 0;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().then(code => process.exit(code));
@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+// Create the DocumentChunk rows (keyword index and chunk listing) of documents indexed
+// before those rows existed, from the chunk text stored in the vector store, and give
+// the chunks of documents transferred before transfers updated them their current
+// owner. Safe to run more than once: documents that are up to date are skipped.
+//
+//   npm run backfill:chunks
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const Document = require('../models/Document');
+const DocumentChunk = require('../models/DocumentChunk');
+const { backfillKeywordIndex } = require('../services/vectorDbService');
+const { syncDocumentOwner } = require('../services/documentMetadataService');
+
+const main = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/deepsearch');
+  let checked = 0;
+  let backfilled = 0;
+  let reowned = 0;
+  let failed = 0;
+  try {
+    // Documents from before ingestion jobs only have isProcessed
+    const cursor = Document.find({ $or: [{ processingStatus: 'completed' }, { isProcessed: true }] })
+      .select('_id owner')
+      .lean()
+      .cursor();
+    for await (const doc of cursor) {
+      checked++;
+      try {
+        const written = await backfillKeywordIndex(doc._id.toString(), doc.owner.toString());
+        if (written > 0) backfilled++;
+        if (await DocumentChunk.exists({ documentId: doc._id, userId: { $ne: doc.owner.toString() } })) {
+          await syncDocumentOwner(doc._id, doc.owner);
+          reowned++;
+        }
+      } catch (error) {
+        failed++;
+        console.error(`❌ Document ${doc._id}: ${error.message}`);
+      }
+    }
+    console.log(`\nChecked ${checked} document(s): backfilled ${backfilled}, updated the owner of ${reowned}, failed ${failed}.`);
+    return failed > 0 ? 1 : 0;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().then(code => process.exit(code));
@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+// Give embedding cache entries written before the cache expired entries a lastUsedAt,
+// so the TTL index removes them too; they count as last used when they were created.
+// Safe to run more than once.
+//
+//   npm run backfill:embedding-cache
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const EmbeddingCache = require('../models/EmbeddingCache');
+
+const main = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/deepsearch');
+  try {
+    const result = await EmbeddingCache.updateMany(
+      { lastUsedAt: { $exists: false } },
+      [{ $set: { lastUsedAt: { $ifNull: ['$createdAt', '$$NOW'] } } }]
+    );
+    console.log(`Set lastUsedAt on ${result.modifiedCount} embedding cache entr${result.modifiedCount === 1 ? 'y' : 'ies'}.`);
+    return 0;
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().then(code => process.exit(code));
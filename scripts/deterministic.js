@@ -0,0 +1,16 @@
+// Local hashing embeddings, the local vector store and the stub LLM: no API calls and
+// the same results every time. Services read these settings when they load, so call
+// this before requiring any of them.
+const useDeterministicServices = () => {
+  process.env.EMBEDDING_PROVIDER = 'local';
+  process.env.VECTOR_STORE = 'local';
+  delete process.env.VECTOR_STORE_FALLBACK;
+  process.env.LLM_PROVIDER = 'stub';
+  for (const task of ['ANSWER', 'EXTRACTION', 'REWRITE', 'SUMMARY']) {
+    delete process.env[`LLM_${task}_PROVIDER`];
+  }
+};
+
+module.exports = {
+  useDeterministicServices,
+};
@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+// Run an evaluation set through the /ask pipeline and print its metrics.
+//
+//   npm run eval -- <evalSetId> [options]
+//
+//   --label <text>          name for the run
+//   --k <n>                 recall@k cut-off (default 5)
+//   --top-k <n>             chunks retrieved per question
+//   --mode <mode>           retrieval mode: dense, sparse or hybrid
+//   --fusion <method>       hybrid fusion: rrf or weighted
+//   --rerank <method>       llm, local or none
+//   --token-budget <n>      context token budget
+//   --judge <judge>         llm, lexical or none
+//   --compare <runId>       also print the differences from an earlier run
+//   --min-recall <x>        exit with status 1 when recall@k is below x
+//   --min-mrr <x>           exit with status 1 when MRR is below x
+//   --deterministic         local hashing embeddings, local vector store and the stub
+//                           LLM: no API calls, same results every time (for CI). The
+//                           documents must have been indexed in this mode too,
+//                           e.g. by scripts/indexEvalFixtures.js.
+//   --json                  print the run as JSON instead of a table
+require('dotenv').config();
+
+const parseArgs = (argv) => {
+  const args = { positional: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      args.positional.push(arg);
+    } else if (['--deterministic', '--json'].includes(arg)) {
+      args[arg.slice(2)] = true;
+    } else {
+      args[arg.slice(2)] = argv[++i];
+    }
+  }
+  return args;
+};
+
+const args = parseArgs(process.argv.slice(2));
+
+// Must run before the service requires below
+if (args.deterministic) {
+  require('./deterministic').useDeterministicServices();
+}
+
+const mongoose = require('mongoose');
+const EvalSet = require('../models/EvalSet');
+const { EVAL_ERRORS, getEvalSet, createEvalRun, executeEvalRun, compareEvalRuns } = require('../services/evalService');
+
+const toNumber = (value) => (value === undefined ? undefined : Number(value));
+
+const formatScore = (value) => (typeof value === 'number' ? value.toFixed(4) : '-');
+
+const formatDelta = (value) => (typeof value === 'number' ? `${value >= 0 ? '+' : ''}${value.toFixed(4)}` : '-');
+
+const printRun = (run) => {
+  const { metrics, config } = run;
+  console.log(`\nRun ${run._id}${run.label ? ` (${run.label})` : ''}: ${run.status}`);
+  console.log(`  embeddings ${config.embeddingProvider}, vector store ${config.vectorStore}, LLM ${config.answerProvider}, judge ${config.judge}`);
+  console.log(`  retrieval ${config.retrieval.mode}, topK ${config.topK}, rerank ${config.rerank.method}`);
+  console.log(`  cases ${metrics.completedCases}/${metrics.caseCount} (${metrics.failedCases} failed)`);
+  console.log(`  recall@${config.k}        ${formatScore(metrics.recallAtK)}`);
+  console.log(`  MRR               ${formatScore(metrics.mrr)}`);
+  console.log(`  citation accuracy ${formatScore(metrics.citationAccuracy)}`);
+  console.log(`  faithfulness      ${formatScore(metrics.faithfulness)}`);
+  console.log(`  correctness       ${formatScore(metrics.correctness)}`);
+};
+
+const printComparison = (comparison) => {
+  console.log(`\nCompared with run ${comparison.base.id}${comparison.base.label ? ` (${comparison.base.label})` : ''}`);
+  console.log(`  config changes: ${comparison.configChanges.length > 0 ? comparison.configChanges.join(', ') : 'none'}`);
+  for (const [metric, delta] of Object.entries(comparison.metricDeltas)) {
+    console.log(`  ${metric.padEnd(17)} ${formatDelta(delta)}`);
+  }
+};
+
+const main = async () => {
+  const [evalSetId] = args.positional;
+  if (!evalSetId) {
+    console.error('Usage: npm run eval -- <evalSetId> [--k 5] [--top-k 20] [--mode hybrid] [--rerank local] [--judge llm] [--compare <runId>] [--deterministic]');
+    return 2;
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/deepsearch');
+  try {
+    const found = await EvalSet.findById(mongoose.isValidObjectId(evalSetId) ? evalSetId : null).select('owner').lean();
+    if (!found) throw new Error('EVAL_SET_NOT_FOUND');
+    const userId = found.owner.toString();
+    const evalSet = await getEvalSet(evalSetId, userId);
+
+    const retrieval = Object.fromEntries(Object.entries({ mode: args.mode, fusion: args.fusion }).filter(([, value]) => value !== undefined));
+    const rerank = Object.fromEntries(Object.entries({ method: args.rerank, tokenBudget: toNumber(args['token-budget']) }).filter(([, value]) => value !== undefined));
+    const run = await createEvalRun(evalSet, userId, {
+      label: args.label,
+      k: toNumber(args.k),
+      topK: toNumber(args['top-k']),
+      judge: args.judge,
+      retrieval,
+      rerank
+    });
+
+    if (!args.json) console.log(`Running ${evalSet.cases.length} case(s) of "${evalSet.name}"...`);
+    const finished = await executeEvalRun(run, evalSet, {
+      onCase: (result, done, total) => {
+        if (args.json) return;
+        const status = result.error ? `error: ${result.error}` : `recall ${formatScore(result.recallAtK)}, RR ${formatScore(result.reciprocalRank)}`;
+        console.log(`  [${done}/${total}] ${result.question.slice(0, 60)} - ${status}`);
+      }
+    });
+    const comparison = args.compare ? await compareEvalRuns(userId, args.compare, finished._id.toString()) : null;
+
+    if (args.json) {
+      console.log(JSON.stringify({ run: finished, comparison }, null, 2));
+    } else {
+      printRun(finished);
+      if (comparison) printComparison(comparison);
+    }
+
+    const failures = [];
+    if (finished.status !== 'completed') failures.push(`run ${finished.status}: ${finished.error}`);
+    if (args['min-recall'] !== undefined && !(finished.metrics.recallAtK >= Number(args['min-recall']))) {
+      failures.push(`recall@${finished.config.k} ${formatScore(finished.metrics.recallAtK)} is below ${args['min-recall']}`);
+    }
+    if (args['min-mrr'] !== undefined && !(finished.metrics.mrr >= Number(args['min-mrr']))) {
+      failures.push(`MRR ${formatScore(finished.metrics.mrr)} is below ${args['min-mrr']}`);
+    }
+    failures.forEach(failure => console.error(`❌ ${failure}`));
+    return failures.length > 0 ? 1 : 0;
+  } catch (error) {
+    console.error(`❌ ${EVAL_ERRORS[error.message]?.message || error.message}`);
+    return 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().then(code => process.exit(code));
@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+// Index a fixture evaluation set offline, for `npm run eval -- <evalSetId> --deterministic`.
+// Documents are embedded with the local hashing embeddings into the local vector store
+// and are not uploaded to Cloudinary; only MongoDB is needed.
+//
+//   npm run eval:fixtures -- [fixtureDir] [--json]
+//
+// fixtureDir (default test/fixtures/eval) holds the documents and an evalSet.json:
+//   { "name", "description", "documents": ["<file>", ...],
+//     "cases": [{ "question", "expectedAnswer", "expectedSources": [{ "document": "<file>", "page", "chunkIndex" }] }] }
+//
+// Everything belongs to a fixture user (EVAL_FIXTURE_EMAIL). Documents already indexed
+// for that user with the same content are reused and the eval set of the same name is
+// updated, so the script can run again. --json prints { evalSetId, userId, documents }
+// as the last line.
+require('dotenv').config();
+require('./deterministic').useDeterministicServices();
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Document = require('../models/Document');
+const EvalSet = require('../models/EvalSet');
+const IngestionJob = require('../models/IngestionJob');
+const { FORMATS, detectFormat } = require('../utils/extractors');
+const { hashFile, createIngestionJob } = require('../services/ingestionService');
+const { EVAL_ERRORS, createEvalSet, updateEvalSet } = require('../services/evalService');
+
+const FIXTURE_EMAIL = process.env.EVAL_FIXTURE_EMAIL || 'eval-fixtures@deepsearch.local';
+const JOB_TIMEOUT_MS = parseInt(process.env.EVAL_FIXTURE_JOB_TIMEOUT_MS || '60000', 10);
+const POLL_INTERVAL_MS = 200;
+
+const args = process.argv.slice(2);
+const json = args.includes('--json');
+const fixtureDir = path.resolve(args.find(arg => !arg.startsWith('--')) || path.join(__dirname, '..', 'test', 'fixtures', 'eval'));
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const findOrCreateFixtureUser = async () => {
+  const existing = await User.findOne({ email: FIXTURE_EMAIL });
+  if (existing) return existing;
+  // Nobody signs in as this user, so the password is random and thrown away
+  return User.create({
+    email: FIXTURE_EMAIL,
+    password: await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10),
+    emailVerified: true,
+    emailVerifiedAt: new Date()
+  });
+};
+
+// Jobs run in this process, so wait for the one we queued to finish
+const waitForJob = async (jobId) => {
+  const deadline = Date.now() + JOB_TIMEOUT_MS;
+  for (;;) {
+    const job = await IngestionJob.findById(jobId).lean();
+    if (job.status === 'completed') return;
+    if (job.status === 'failed' || job.status === 'cancelled') {
+      throw new Error(`ingestion ${job.status}${job.error ? ` at "${job.error.stage}": ${job.error.message}` : ''}`);
+    }
+    if (Date.now() > deadline) throw new Error(`ingestion did not finish within ${JOB_TIMEOUT_MS}ms`);
+    await sleep(POLL_INTERVAL_MS);
+  }
+};
+
+const indexFixtureDocument = async (fileName, userId) => {
+  const buffer = fs.readFileSync(path.join(fixtureDir, fileName));
+  const format = await detectFormat(buffer, { originalname: fileName });
+  if (!format) throw new Error(`${fileName}: unsupported file type`);
+  const contentHash = hashFile(buffer);
+
+  const existing = await Document.findOne({ owner: userId, contentHash, processingStatus: 'completed' }).select('_id');
+  if (existing) {
+    if (!json) console.log(`♻️ ${fileName}: already indexed as ${existing._id}`);
+    return existing._id.toString();
+  }
+
+  const file = { buffer, originalname: fileName, size: buffer.length, mimetype: FORMATS[format].mimeTypes[0] };
+  const { document, job } = await createIngestionJob(file, userId, format, contentHash, { storeFile: false });
+  await User.findByIdAndUpdate(userId, { $addToSet: { documents: document._id } });
+  try {
+    await waitForJob(job._id);
+  } catch (error) {
+    throw new Error(`${fileName}: ${error.message}`);
+  }
+  if (!json) console.log(`✅ ${fileName}: indexed as ${document._id}`);
+  return document._id.toString();
+};
+
+// evalSet.json refers to documents by file name; the eval set needs their ids
+const toEvalSetInput = (fixture, documentIds) => ({
+  name: fixture.name,
+  description: fixture.description || '',
+  documentIds: Object.values(documentIds),
+  cases: fixture.cases.map(({ expectedSources = [], ...item }) => ({
+    ...item,
+    expectedSources: expectedSources.map(({ document, ...source }) => {
+      if (!documentIds[document]) throw new Error(`evalSet.json: "${document}" is not in documents`);
+      return { documentId: documentIds[document], ...source };
+    })
+  }))
+});
+
+const main = async () => {
+  const fixture = JSON.parse(fs.readFileSync(path.join(fixtureDir, 'evalSet.json'), 'utf8'));
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/deepsearch');
+  try {
+    const user = await findOrCreateFixtureUser();
+    const userId = user._id.toString();
+
+    const documentIds = {};
+    for (const fileName of fixture.documents) {
+      documentIds[fileName] = await indexFixtureDocument(fileName, userId);
+    }
+
+    const input = toEvalSetInput(fixture, documentIds);
+    const existing = await EvalSet.findOne({ owner: userId, name: input.name }).select('_id');
+    const evalSet = existing
+      ? await updateEvalSet(existing._id.toString(), userId, input)
+      : await createEvalSet(userId, input);
+
+    if (json) {
+      console.log(JSON.stringify({ evalSetId: evalSet._id, userId, documents: documentIds }));
+    } else {
+      console.log(`\nEval set ${evalSet._id} (${evalSet.cases.length} cases). Run it with:`);
+      console.log(`  npm run eval -- ${evalSet._id} --deterministic`);
+    }
+    return 0;
+  } catch (error) {
+    console.error(`❌ ${EVAL_ERRORS[error.message]?.message || error.message}`);
+    if (error.details) error.details.forEach(detail => console.error(`   ${detail}`));
+    return 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().then(code => process.exit(code));
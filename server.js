@@ -5,6 +5,15 @@ const mongoose = require('mongoose');
 const authRoutes = require('./routes/authRoutes');
 const documentRoutes = require('./routes/documentRoutes'); 
 const uploadRoutes = require('./routes/uploadRoutes');
+const conversationRoutes = require('./routes/conversationRoutes');
+const apiKeyRoutes = require('./routes/apiKeyRoutes');
+const collectionRoutes = require('./routes/collectionRoutes');
+const entityRoutes = require('./routes/entityRoutes');
+const extractionRoutes = require('./routes/extractionRoutes');
+const evalRoutes = require('./routes/evalRoutes');
+const { recoverInterruptedJobs } = require('./services/ingestionService');
+const { recoverInterruptedExtractions } = require('./services/extractionService');
+const { recoverInterruptedEvalRuns } = require('./services/evalService');
 dotenv.config();
 
 const app = express();
@@ -22,7 +31,14 @@ app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/deepsearch', {})
-  .then(() => console.log('Connected to MongoDB'))
+  .then(() => {
+    console.log('Connected to MongoDB');
+    return Promise.all([
+      recoverInterruptedJobs().catch(err => console.error('Failed to recover ingestion jobs:', err)),
+      recoverInterruptedExtractions().catch(err => console.error('Failed to recover extractions:', err)),
+      recoverInterruptedEvalRuns().catch(err => console.error('Failed to recover evaluation runs:', err))
+    ]);
+  })
   .catch(err => {
     console.error('MongoDB connection error:', err);
     process.exit(1);
@@ -32,6 +48,12 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/deepsearc
 app.use('/api/auth', authRoutes);
 app.use('/api/documents', documentRoutes);
 app.use('/api/upload', uploadRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/keys', apiKeyRoutes);
+app.use('/api/collections', collectionRoutes);
+app.use('/api/entities', entityRoutes);
+app.use('/api/extraction', extractionRoutes);
+app.use('/api/evals', evalRoutes);
 
 app.get('/', (req, res) => {
     res.status(200).send('DeepSearch Backend API is running!');
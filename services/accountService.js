@@ -0,0 +1,99 @@
+require('dotenv').config();
+
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const { hashToken, createOneTimeToken, revokeAllSessions } = require('./tokenService');
+const { revokeAllApiKeys } = require('./apiKeyService');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('./mailService');
+
+// What an unverified account may do: "off" (everything), "features" (log in and read,
+// but not upload or ask) or "login" (nothing until verified).
+const EMAIL_VERIFICATION_MODE = (process.env.EMAIL_VERIFICATION_MODE || 'off').toLowerCase();
+const VERIFICATION_TOKEN_TTL_MINUTES = parseInt(process.env.EMAIL_VERIFICATION_TTL_MINUTES || '1440', 10);
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '30', 10);
+const MIN_PASSWORD_LENGTH = 8;
+
+// Applied at signup and on reset alike
+const isAcceptablePassword = (password) => typeof password === 'string' && password.length >= MIN_PASSWORD_LENGTH;
+
+const sendVerification = async (user) => {
+  const { token, tokenHash, expiresAt } = createOneTimeToken(VERIFICATION_TOKEN_TTL_MINUTES);
+  user.emailVerificationTokenHash = tokenHash;
+  user.emailVerificationExpiresAt = expiresAt;
+  await user.save();
+  await sendVerificationEmail(user.email, token, VERIFICATION_TOKEN_TTL_MINUTES);
+};
+
+// Re-send the verification link. Silently does nothing for unknown or already
+// verified addresses so the endpoint cannot be used to probe for accounts.
+const requestEmailVerification = async (email) => {
+  const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+  if (!user || user.isEmailVerified()) return;
+  await sendVerification(user);
+};
+
+// Throws INVALID_TOKEN when the token is unknown, expired or already used.
+const confirmEmailVerification = async (token) => {
+  const user = await User.findOneAndUpdate(
+    { emailVerificationTokenHash: hashToken(token), emailVerificationExpiresAt: { $gt: new Date() } },
+    {
+      emailVerified: true,
+      emailVerifiedAt: new Date(),
+      $unset: { emailVerificationTokenHash: 1, emailVerificationExpiresAt: 1 }
+    },
+    { new: true }
+  );
+  if (!user) throw new Error('INVALID_TOKEN');
+  return user;
+};
+
+const requestPasswordReset = async (email) => {
+  const user = await User.findOne({ email: String(email).toLowerCase().trim() });
+  if (!user) return;
+  const { token, tokenHash, expiresAt } = createOneTimeToken(RESET_TOKEN_TTL_MINUTES);
+  user.passwordResetTokenHash = tokenHash;
+  user.passwordResetExpiresAt = expiresAt;
+  await user.save();
+  await sendPasswordResetEmail(user.email, token, RESET_TOKEN_TTL_MINUTES);
+};
+
+// Sets the new password, logs out every session and revokes every API key. Throws
+// WEAK_PASSWORD or INVALID_TOKEN.
+const resetPassword = async (token, password) => {
+  if (!isAcceptablePassword(password)) {
+    throw new Error('WEAK_PASSWORD');
+  }
+  const hashedPassword = await bcrypt.hash(password, 10);
+  // Consuming the token and changing the password in one update keeps it single-use
+  const user = await User.findOneAndUpdate(
+    { passwordResetTokenHash: hashToken(token), passwordResetExpiresAt: { $gt: new Date() } },
+    {
+      password: hashedPassword,
+      passwordChangedAt: new Date(),
+      $unset: { passwordResetTokenHash: 1, passwordResetExpiresAt: 1 }
+    },
+    { new: true }
+  );
+  if (!user) throw new Error('INVALID_TOKEN');
+
+  // Clicking the emailed link proves the address as well
+  if (user.emailVerified === false) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+  }
+  await revokeAllSessions(user._id);
+  await revokeAllApiKeys(user._id);
+  return user;
+};
+
+module.exports = {
+  EMAIL_VERIFICATION_MODE,
+  MIN_PASSWORD_LENGTH,
+  isAcceptablePassword,
+  sendVerification,
+  requestEmailVerification,
+  confirmEmailVerification,
+  requestPasswordReset,
+  resetPassword,
+};
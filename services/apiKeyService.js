@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const { hashToken } = require('./tokenService');
+
+const API_KEY_PREFIX = 'dsk_';
+// lastUsedAt is only written when it is older than this, so busy keys do not cost a write per request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+const MAX_KEYS_PER_USER = parseInt(process.env.API_KEYS_PER_USER || '20', 10);
+
+const isApiKey = (token) => typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+
+const toPublicKey = (key) => ({
+  id: key._id,
+  name: key.name,
+  prefix: key.prefix,
+  scopes: key.scopes,
+  expiresAt: key.expiresAt || null,
+  lastUsedAt: key.lastUsedAt || null,
+  revokedAt: key.revokedAt || null,
+  createdAt: key.createdAt
+});
+
+// Throws INVALID_SCOPES, INVALID_EXPIRY or TOO_MANY_KEYS. Returns the raw key once.
+const createApiKey = async (userId, { name, scopes, expiresAt }) => {
+  const requestedScopes = scopes === undefined ? ['read', 'ask'] : scopes;
+  if (!Array.isArray(requestedScopes) || requestedScopes.length === 0
+    || requestedScopes.some(scope => !ApiKey.SCOPES.includes(scope))) {
+    throw new Error('INVALID_SCOPES');
+  }
+
+  let expiry = null;
+  if (expiresAt !== undefined && expiresAt !== null) {
+    expiry = new Date(expiresAt);
+    if (Number.isNaN(expiry.getTime()) || expiry <= new Date()) {
+      throw new Error('INVALID_EXPIRY');
+    }
+  }
+
+  // Expired keys no longer work, so they do not hold a slot
+  const activeCount = await ApiKey.countDocuments({
+    user: userId,
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  });
+  if (activeCount >= MAX_KEYS_PER_USER) {
+    throw new Error('TOO_MANY_KEYS');
+  }
+
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const record = await ApiKey.create({
+    user: userId,
+    name,
+    prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+    keyHash: hashToken(key),
+    scopes: [...new Set(requestedScopes)],
+    expiresAt: expiry || undefined
+  });
+  return { key, apiKey: toPublicKey(record) };
+};
+
+// Resolve a presented key to its record, or null when it is unknown, revoked or expired.
+const authenticateApiKey = async (key) => {
+  const record = await ApiKey.findOne({ keyHash: hashToken(key), revokedAt: null });
+  if (!record) return null;
+  if (record.expiresAt && record.expiresAt <= new Date()) return null;
+
+  if (!record.lastUsedAt || Date.now() - record.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+    ApiKey.updateOne({ _id: record._id }, { lastUsedAt: new Date() })
+      .catch(error => console.warn('⚠️ Could not update API key lastUsedAt:', error.message));
+  }
+  return record;
+};
+
+const listApiKeys = async (userId) => {
+  const keys = await ApiKey.find({ user: userId }).sort({ createdAt: -1 });
+  return keys.map(toPublicKey);
+};
+
+const renameApiKey = async (userId, keyId, name) => {
+  const record = await ApiKey.findOneAndUpdate({ _id: keyId, user: userId }, { name }, { new: true });
+  return record ? toPublicKey(record) : null;
+};
+
+const revokeApiKey = async (userId, keyId) => {
+  const record = await ApiKey.findOneAndUpdate(
+    { _id: keyId, user: userId, revokedAt: null },
+    { revokedAt: new Date() },
+    { new: true }
+  );
+  return record ? toPublicKey(record) : null;
+};
+
+// A password reset revokes every key as well, in case the account was taken over.
+const revokeAllApiKeys = async (userId) => {
+  const result = await ApiKey.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() });
+  return result.modifiedCount;
+};
+
+module.exports = {
+  isApiKey,
+  createApiKey,
+  authenticateApiKey,
+  listApiKeys,
+  renameApiKey,
+  revokeApiKey,
+  revokeAllApiKeys,
+};
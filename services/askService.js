@@ -0,0 +1,47 @@
+const { generateAnswer } = require('./aiService');
+const { retrieveRelevantChunks } = require('./retrievalService');
+const { resolveCitations } = require('./citationService');
+const { buildAnswerContext, RERANK_CANDIDATES } = require('./rerankService');
+const { retrieveVersionChunks } = require('./versionService');
+
+const NO_CHUNKS_ANSWER = "I couldn't find relevant chunks.";
+
+// Retrieval for /ask. `scope` is what the route resolved: { documentId | collectionId,
+// metadataFilter, version }. A non-current version is searched in its stored text.
+const retrieveForAsk = ({ question, userId, scope, retrieval, topK = RERANK_CANDIDATES }) => (scope.version
+  ? retrieveVersionChunks({ question, documentId: scope.documentId, version: scope.version, topK })
+  : retrieveRelevantChunks({ question, userId, ...scope, retrieval, topK }));
+
+// The non-streaming /ask pipeline: retrieve, rerank and pack, answer, check the
+// citations. Besides the answer it returns the retrieved chunks and the cited
+// context, which evaluation runs score.
+const answerQuestion = async ({ question, userId, scope, retrieval, rerank, topK }) => {
+  const { relevantChunks, diagnostics, retrievalDiagnostics } = await retrieveForAsk({ question, userId, scope, retrieval, topK });
+  if (relevantChunks.length === 0) {
+    return {
+      answer: NO_CHUNKS_ANSWER,
+      sources: [],
+      relevantChunks,
+      citedChunks: [],
+      contextText: '',
+      diagnostics: { ...diagnostics, retrieval: retrievalDiagnostics }
+    };
+  }
+
+  const { contextText, citedChunks, titlesById, rerankDiagnostics } = await buildAnswerContext(question, relevantChunks, rerank);
+  const rawAnswer = await generateAnswer(question, contextText);
+  const { answer, sources } = resolveCitations(rawAnswer, citedChunks, titlesById);
+  return {
+    answer,
+    sources,
+    relevantChunks,
+    citedChunks,
+    contextText,
+    diagnostics: { retrieval: retrievalDiagnostics, rerank: rerankDiagnostics }
+  };
+};
+
+module.exports = {
+  retrieveForAsk,
+  answerQuestion,
+};
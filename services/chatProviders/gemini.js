@@ -0,0 +1,119 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { splitThinkTags, createThinkTagParser } = require('./reasoning');
+const { getOutboundClient } = require('../outboundService');
+
+const defaultModel = process.env.GEMINI_CHAT_MODEL || 'gemini-1.5-flash';
+
+let genAI = null;
+const getClient = () => {
+  if (!genAI) {
+    genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+  }
+  return genAI;
+};
+
+// SDK errors carry the HTTP status, which is all the outbound client needs to retry
+const outbound = getOutboundClient('gemini');
+
+const isConfigured = () => Boolean(process.env.GEMINI_API_KEY);
+
+// Gemini takes the system prompt separately and calls the assistant role "model".
+const toGeminiRequest = (messages) => {
+  const systemParts = [];
+  const contents = [];
+  for (const msg of messages) {
+    if (msg.role === 'system') {
+      systemParts.push(msg.content);
+      continue;
+    }
+    contents.push({
+      role: msg.role === 'assistant' ? 'model' : 'user',
+      parts: [{ text: msg.content }],
+    });
+  }
+  return {
+    systemInstruction: systemParts.length > 0 ? systemParts.join('\n\n') : undefined,
+    contents,
+  };
+};
+
+const prepare = ({ messages, model, maxTokens, temperature, topP, json }) => {
+  if (!isConfigured()) {
+    throw new Error('gemini provider is not configured. Please add GEMINI_API_KEY to your .env file.');
+  }
+
+  const { systemInstruction, contents } = toGeminiRequest(messages);
+  const generativeModel = getClient().getGenerativeModel({
+    model: model || defaultModel,
+    systemInstruction,
+  });
+  const request = {
+    contents,
+    generationConfig: {
+      maxOutputTokens: maxTokens,
+      temperature,
+      topP,
+      responseMimeType: json ? 'application/json' : undefined,
+    },
+  };
+  return { generativeModel, request };
+};
+
+const complete = async (options) => {
+  const { model, signal } = options;
+  const { generativeModel, request } = prepare(options);
+  const result = await outbound.call(requestSignal => generativeModel.generateContent(request, { signal: requestSignal }), { signal });
+
+  const response = result.response;
+  // Thinking models return their thoughts as parts flagged with `thought: true`
+  const parts = response.candidates?.[0]?.content?.parts || [];
+  const thoughtText = parts.filter(p => p.thought).map(p => p.text).join('\n').trim();
+  const answerText = parts.filter(p => !p.thought).map(p => p.text || '').join('');
+  const { message, reasoning } = splitThinkTags(answerText);
+
+  return {
+    message,
+    reasoning: thoughtText || reasoning,
+    model: model || defaultModel,
+    usage: response.usageMetadata || null,
+    citations: null,
+  };
+};
+
+// Yields { type: 'token' | 'reasoning', text } events, then one { type: 'meta' } event.
+async function* stream(options) {
+  const { generativeModel, request } = prepare(options);
+  // Aborts the response body when it stalls, as well as on the caller's signal
+  const stall = new AbortController();
+  const signal = options.signal ? AbortSignal.any([options.signal, stall.signal]) : stall.signal;
+  const result = await outbound.call(
+    requestSignal => generativeModel.generateContentStream(request, { signal: requestSignal }),
+    { signal }
+  );
+  const parser = createThinkTagParser();
+  let usage = null;
+
+  for await (const chunk of outbound.watchStream(result.stream, { onIdle: error => stall.abort(error) })) {
+    const parts = chunk.candidates?.[0]?.content?.parts || [];
+    for (const part of parts) {
+      if (!part.text) continue;
+      if (part.thought) {
+        yield { type: 'reasoning', text: part.text };
+      } else {
+        yield* parser.push(part.text);
+      }
+    }
+    usage = chunk.usageMetadata || usage;
+  }
+
+  yield* parser.flush();
+  yield { type: 'meta', model: options.model || defaultModel, usage, citations: null };
+}
+
+module.exports = {
+  name: 'gemini',
+  defaultModel,
+  isConfigured,
+  complete,
+  stream,
+};
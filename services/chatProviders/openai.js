@@ -0,0 +1,13 @@
+const { createOpenAICompatibleProvider } = require('./openaiCompatible');
+
+// Point OPENAI_BASE_URL at a local server (e.g. http://localhost:11434/v1 for Ollama)
+// to run without an API key.
+const baseUrl = process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1';
+
+module.exports = createOpenAICompatibleProvider({
+  name: 'openai',
+  baseUrl,
+  apiKey: process.env.OPENAI_API_KEY,
+  defaultModel: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+  requiresApiKey: !process.env.OPENAI_BASE_URL,
+});
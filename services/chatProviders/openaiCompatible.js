@@ -0,0 +1,110 @@
+const { splitThinkTags, createThinkTagParser, readServerSentEvents } = require('./reasoning');
+const { getOutboundClient, httpError } = require('../outboundService');
+
+// Factory for any endpoint speaking the OpenAI /chat/completions protocol:
+// OpenAI itself, Perplexity, vLLM, Ollama, LM Studio, llama.cpp server...
+const createOpenAICompatibleProvider = ({ name, baseUrl, apiKey, defaultModel, requiresApiKey = true, extraBody = {} }) => {
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+  const outbound = getOutboundClient(name);
+
+  const isConfigured = () => !requiresApiKey || Boolean(apiKey);
+
+  const buildHeaders = () => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) {
+      headers['Authorization'] = `Bearer ${apiKey}`;
+    }
+    return headers;
+  };
+
+  const request = async ({ messages, model, maxTokens, temperature, topP, signal }, stream) => {
+    if (!isConfigured()) {
+      throw new Error(`${name} provider is not configured. Please add its API key to your .env file.`);
+    }
+
+    const body = JSON.stringify({
+      model: model || defaultModel,
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+      top_p: topP,
+      stream,
+      ...extraBody,
+    });
+
+    // Completions resolve to the parsed body, streams to the Response. Retries and the
+    // timeout only cover getting that far; a stream that breaks midway is not replayed.
+    return outbound.call(async (requestSignal) => {
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: buildHeaders(),
+        signal: requestSignal,
+        body,
+      });
+
+      if (!response.ok) {
+        throw await httpError(name, response);
+      }
+      return stream ? response : response.json();
+    }, { signal });
+  };
+
+  const complete = async (options) => {
+    const data = await request(options, false);
+    const { model } = options;
+
+    const choice = data.choices?.[0]?.message || {};
+    const { message, reasoning } = splitThinkTags(choice.content || '');
+
+    return {
+      message,
+      // Some servers return the chain of thought in a separate field instead of <think> tags
+      reasoning: reasoning || choice.reasoning_content || choice.reasoning || null,
+      model: data.model || model || defaultModel,
+      usage: data.usage || null,
+      citations: data.citations || null,
+    };
+  };
+
+  // Yields { type: 'token' | 'reasoning', text } events, then one { type: 'meta' } event.
+  async function* stream(options) {
+    // Aborts the response body when it stalls, as well as on the caller's signal
+    const stall = new AbortController();
+    const signal = options.signal ? AbortSignal.any([options.signal, stall.signal]) : stall.signal;
+    const response = await request({ ...options, signal }, true);
+    const parser = createThinkTagParser();
+    let meta = { model: options.model || defaultModel, usage: null, citations: null };
+
+    const body = outbound.watchStream(response.body, { onIdle: error => stall.abort(error) });
+    for await (const data of readServerSentEvents(body)) {
+      const delta = data.choices?.[0]?.delta || {};
+      const reasoningDelta = delta.reasoning_content || delta.reasoning;
+      if (reasoningDelta) {
+        yield { type: 'reasoning', text: reasoningDelta };
+      }
+      if (delta.content) {
+        yield* parser.push(delta.content);
+      }
+      meta = {
+        model: data.model || meta.model,
+        usage: data.usage || meta.usage,
+        citations: data.citations || meta.citations,
+      };
+    }
+
+    yield* parser.flush();
+    yield { type: 'meta', ...meta };
+  }
+
+  return {
+    name,
+    defaultModel,
+    isConfigured,
+    complete,
+    stream,
+  };
+};
+
+module.exports = {
+  createOpenAICompatibleProvider,
+};
@@ -0,0 +1,8 @@
+const { createOpenAICompatibleProvider } = require('./openaiCompatible');
+
+module.exports = createOpenAICompatibleProvider({
+  name: 'perplexity',
+  baseUrl: process.env.PERPLEXITY_BASE_URL || 'https://api.perplexity.ai',
+  apiKey: process.env.PERPLEXITY_API_KEY,
+  defaultModel: process.env.PERPLEXITY_MODEL || 'sonar-reasoning',
+});
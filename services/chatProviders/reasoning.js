@@ -0,0 +1,86 @@
+// Reasoning models (sonar-reasoning, DeepSeek R1, Qwen) wrap their chain of
+// thought in <think> tags inside the message content.
+const splitThinkTags = (content) => {
+  const text = content || '';
+  const thoughts = [];
+  const message = text.replace(/<think>([\s\S]*?)<\/think>/gi, (match, thought) => {
+    thoughts.push(thought.trim());
+    return '';
+  }).trim();
+  return {
+    message,
+    reasoning: thoughts.length > 0 ? thoughts.join('\n\n') : null,
+  };
+};
+
+// Streaming counterpart of splitThinkTags. Tags can be split across chunks, so any
+// trailing text that could be the start of a tag is held back until the next push.
+const createThinkTagParser = () => {
+  let buffer = '';
+  let insideThink = false;
+
+  const drain = (final) => {
+    const events = [];
+    while (buffer.length > 0) {
+      const tag = insideThink ? '</think>' : '<think>';
+      const tagIndex = buffer.indexOf(tag);
+      if (tagIndex !== -1) {
+        const text = buffer.slice(0, tagIndex);
+        if (text) events.push({ type: insideThink ? 'reasoning' : 'token', text });
+        buffer = buffer.slice(tagIndex + tag.length);
+        insideThink = !insideThink;
+        continue;
+      }
+
+      let keep = 0;
+      if (!final) {
+        for (let len = Math.min(tag.length - 1, buffer.length); len > 0; len--) {
+          if (tag.startsWith(buffer.slice(-len))) {
+            keep = len;
+            break;
+          }
+        }
+      }
+      const text = buffer.slice(0, buffer.length - keep);
+      if (text) events.push({ type: insideThink ? 'reasoning' : 'token', text });
+      buffer = buffer.slice(buffer.length - keep);
+      break;
+    }
+    return events;
+  };
+
+  return {
+    push: (text) => {
+      buffer += text || '';
+      return drain(false);
+    },
+    flush: () => drain(true),
+  };
+};
+
+// Read a text/event-stream response body and yield the parsed JSON of each data line.
+async function* readServerSentEvents(body) {
+  const decoder = new TextDecoder();
+  let pending = '';
+  for await (const chunk of body) {
+    pending += decoder.decode(chunk, { stream: true });
+    const lines = pending.split(/\r?\n/);
+    pending = lines.pop();
+    for (const line of lines) {
+      if (!line.startsWith('data:')) continue;
+      const data = line.slice(5).trim();
+      if (!data || data === '[DONE]') continue;
+      try {
+        yield JSON.parse(data);
+      } catch {
+        console.warn('⚠️ Skipping malformed stream line:', data.substring(0, 100));
+      }
+    }
+  }
+}
+
+module.exports = {
+  splitThinkTags,
+  createThinkTagParser,
+  readServerSentEvents,
+};
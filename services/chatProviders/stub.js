@@ -0,0 +1,58 @@
+// Offline provider for tests and deterministic evaluation (LLM_PROVIDER=stub). It
+// makes no network calls and always gives the same reply to the same prompt:
+// answer prompts get the first sentence of the passage sharing the most words with
+// the question, cited by its number; JSON prompts get an empty array or object.
+
+const STOPWORDS = new Set(('a an and are as at be by did do does for from has have how in is it of on or that the '
+  + 'this to was were what when where which who why with').split(' '));
+
+const tokenize = (text) => new Set(((text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(term => !STOPWORDS.has(term)));
+
+// Context passages as buildCitedContext writes them: "[n] <title> (<location>)\n<text>"
+const parsePassages = (context) => context
+  .split(/\n\n(?=\[\d+\] )/)
+  .map(block => block.match(/^\[(\d+)\][^\n]*\n([\s\S]*)$/))
+  .filter(Boolean)
+  .map(([, marker, text]) => ({ marker: Number(marker), text: text.trim() }));
+
+const answerFromContext = (prompt) => {
+  const contextMatch = prompt.match(/Context:\n([\s\S]*?)\n\nQuestion: ([\s\S]*)$/);
+  if (!contextMatch) return 'The information is not available in the document.';
+  const [, context, question] = contextMatch;
+  const questionTerms = tokenize(question);
+  let best = null;
+  for (const passage of parsePassages(context)) {
+    const overlap = [...tokenize(passage.text)].filter(term => questionTerms.has(term)).length;
+    if (!best || overlap > best.overlap) best = { ...passage, overlap };
+  }
+  if (!best || best.overlap === 0) return 'The information is not available in the document.';
+  const sentence = (best.text.match(/^[\s\S]*?[.!?](?=\s|$)/) || [best.text])[0].replace(/\s+/g, ' ').trim();
+  return `${sentence} [${best.marker}]`;
+};
+
+const reply = ({ messages, json }) => {
+  const prompt = [...messages].reverse().find(msg => msg.role === 'user')?.content || '';
+  if (json) return /JSON array/i.test(prompt) ? '[]' : '{}';
+  return answerFromContext(prompt);
+};
+
+const complete = async (options) => ({
+  message: reply(options),
+  reasoning: null,
+  model: 'stub',
+  usage: null,
+  citations: null,
+});
+
+async function* stream(options) {
+  yield { type: 'token', text: reply(options) };
+  yield { type: 'meta', model: 'stub', usage: null, citations: null };
+}
+
+module.exports = {
+  name: 'stub',
+  defaultModel: 'stub',
+  isConfigured: () => true,
+  complete,
+  stream,
+};
@@ -0,0 +1,90 @@
+const Document = require('../models/Document');
+
+// Hard ceiling only; the reranker already packs chunks into CONTEXT_TOKEN_BUDGET.
+const MAX_CONTEXT_CHARS = parseInt(process.env.CONTEXT_MAX_CHARS || '48000', 10);
+const SNIPPET_LENGTH = 300;
+
+// Matches [1], [2, 3] and [1; 4] style markers.
+const CITATION_PATTERN = /\[(\d+(?:\s*[,;]\s*\d+)*)\]/g;
+
+const loadDocumentTitles = async (documentIds) => {
+  const ids = [...new Set(documentIds.filter(Boolean).map(id => id.toString()))];
+  if (ids.length === 0) return {};
+  const docs = await Document.find({ _id: { $in: ids } }).select('title').lean();
+  return Object.fromEntries(docs.map(doc => [doc._id.toString(), doc.title]));
+};
+
+// "p. 3", "pp. 3-4" for paged formats, the section title for heading-based ones.
+const formatLocation = (chunk) => {
+  const { pageStart, pageEnd, section } = chunk.metadata || {};
+  if (pageStart) {
+    return pageEnd && pageEnd !== pageStart ? `pp. ${pageStart}-${pageEnd}` : `p. ${pageStart}`;
+  }
+  return section ? `section "${section}"` : null;
+};
+
+// Number the retrieved chunks and build the context block the answer prompt cites
+// from. Chunks that would push the context past the limit are left out entirely so
+// every marker the model can see points at a chunk we can resolve afterwards.
+const buildCitedContext = (chunks, titlesById = {}, maxChars = MAX_CONTEXT_CHARS) => {
+  const citedChunks = [];
+  const blocks = [];
+  let length = 0;
+
+  for (const chunk of chunks) {
+    const marker = citedChunks.length + 1;
+    const title = titlesById[chunk.documentId] || 'Untitled document';
+    const location = formatLocation(chunk);
+    const block = `[${marker}] ${title}${location ? ` (${location})` : ''}\n${chunk.text}`;
+    if (citedChunks.length > 0 && length + block.length > maxChars) break;
+    citedChunks.push({ ...chunk, marker });
+    blocks.push(block);
+    length += block.length + 2;
+  }
+
+  return { contextText: blocks.join('\n\n'), citedChunks };
+};
+
+const toSource = (chunk, titlesById) => ({
+  marker: chunk.marker,
+  documentId: chunk.documentId,
+  title: titlesById[chunk.documentId] || null,
+  chunkIndex: chunk.chunkIndex,
+  page: chunk.metadata?.pageStart ?? null,
+  pageEnd: chunk.metadata?.pageEnd ?? null,
+  section: chunk.metadata?.section ?? null,
+  score: chunk.score,
+  snippet: chunk.text.length > SNIPPET_LENGTH ? `${chunk.text.slice(0, SNIPPET_LENGTH).trim()}…` : chunk.text
+});
+
+// Keep only markers that point at a chunk we actually sent, rewrite the answer
+// without the invalid ones and return one source per cited chunk.
+const resolveCitations = (answer, citedChunks, titlesById = {}) => {
+  const byMarker = new Map(citedChunks.map(chunk => [chunk.marker, chunk]));
+  const used = new Set();
+  let dropped = 0;
+
+  const cleanedAnswer = (answer || '').replace(CITATION_PATTERN, (match, group) => {
+    const numbers = group.split(/[,;]/).map(n => parseInt(n.trim(), 10));
+    const valid = numbers.filter(n => byMarker.has(n));
+    dropped += numbers.length - valid.length;
+    valid.forEach(n => used.add(n));
+    return valid.length > 0 ? `[${valid.join(', ')}]` : '';
+  }).replace(/ +([.,;:!?])/g, '$1').replace(/ {2,}/g, ' ').trim();
+
+  const sources = [...used]
+    .sort((a, b) => a - b)
+    .map(marker => toSource(byMarker.get(marker), titlesById));
+
+  if (dropped > 0) {
+    console.warn(`⚠️ Dropped ${dropped} citation marker(s) that did not match a retrieved chunk`);
+  }
+
+  return { answer: cleanedAnswer, sources, droppedCitations: dropped };
+};
+
+module.exports = {
+  loadDocumentTitles,
+  buildCitedContext,
+  resolveCitations,
+};
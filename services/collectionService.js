@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const Collection = require('../models/Collection');
+const Document = require('../models/Document');
+const { syncDocumentMetadata } = require('./documentMetadataService');
+const { actionDocumentsQuery } = require('./permissionService');
+
+const findOwnedCollection = async (collectionId, userId) => {
+  if (!mongoose.isValidObjectId(collectionId)) return null;
+  const collection = await Collection.findById(collectionId);
+  if (!collection || collection.owner.toString() !== userId) return null;
+  return collection;
+};
+
+// Write the new membership into each document's chunk metadata. Documents that are
+// still processing have no chunks yet; the indexing stage picks up the membership
+// they have by then. Membership in Mongo is already saved when this runs, so one
+// failure does not stop the others; the caller learns about it through METADATA_SYNC_FAILED.
+const syncAll = async (documentIds) => {
+  let failed = 0;
+  for (const documentId of documentIds) {
+    try {
+      await syncDocumentMetadata(documentId);
+    } catch (error) {
+      failed++;
+      console.error(`❌ Could not sync collections for document ${documentId}:`, error.message);
+    }
+  }
+  if (failed > 0) throw new Error('METADATA_SYNC_FAILED');
+};
+
+// Returns the ids that were added. Membership is stored on the document, so adding
+// one takes the owner or an editor; throws INVALID_DOCUMENT_IDS if any id is invalid
+// or the user may not edit it.
+const addDocuments = async (collection, documentIds, userId) => {
+  const ids = [...new Set((documentIds || []).map(String))];
+  if (ids.length === 0 || ids.some(id => !mongoose.isValidObjectId(id))) {
+    throw new Error('INVALID_DOCUMENT_IDS');
+  }
+  const editable = await Document.find({ _id: { $in: ids }, ...actionDocumentsQuery(userId, 'edit') }).select('_id collections').lean();
+  if (editable.length !== ids.length) {
+    throw new Error('INVALID_DOCUMENT_IDS');
+  }
+
+  const toAdd = editable
+    .filter(doc => !doc.collections.some(id => id.equals(collection._id)))
+    .map(doc => doc._id);
+  if (toAdd.length > 0) {
+    await Document.updateMany({ _id: { $in: toAdd } }, { $addToSet: { collections: collection._id } });
+    await syncAll(toAdd);
+  }
+  return toAdd;
+};
+
+const removeDocuments = async (collection, documentIds) => {
+  const ids = [...new Set((documentIds || []).map(String))].filter(id => mongoose.isValidObjectId(id));
+  const members = await Document.find({ _id: { $in: ids }, collections: collection._id }).select('_id').lean();
+  const toRemove = members.map(doc => doc._id);
+  if (toRemove.length > 0) {
+    await Document.updateMany({ _id: { $in: toRemove } }, { $pull: { collections: collection._id } });
+    await syncAll(toRemove);
+  }
+  return toRemove;
+};
+
+// Removes the collection and its memberships. The documents themselves are kept.
+const deleteCollection = async (collection) => {
+  const members = await Document.find({ collections: collection._id }).select('_id').lean();
+  await Document.updateMany({ collections: collection._id }, { $pull: { collections: collection._id } });
+  await Collection.findByIdAndDelete(collection._id);
+  await syncAll(members.map(doc => doc._id));
+  return members.length;
+};
+
+module.exports = {
+  findOwnedCollection,
+  addDocuments,
+  removeDocuments,
+  deleteCollection,
+};
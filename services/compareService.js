@@ -0,0 +1,294 @@
+const { generateEmbeddings } = require('./aiService');
+const { chat, isProviderConfigured } = require('./llmService');
+const { fetchDocumentVectors } = require('./vectorDbService');
+const { cosineSimilarity } = require('./vectorStores/localStore');
+
+// Errors thrown here carry a code in `message` that the routes map to HTTP statuses.
+const COMPARE_ERRORS = {
+  INVALID_COMPARE_REQUEST: { status: 400, message: 'documentIds must list between 2 and 5 different documents, and format must be json or markdown.' },
+  DOCUMENT_NOT_READY: { status: 409, message: 'All documents must finish processing before they can be compared.' },
+  NO_CHUNKS: { status: 409, message: 'One of the documents has no indexed text to compare.' },
+};
+
+const MAX_COMPARE_DOCUMENTS = 5;
+const COMPARE_FORMATS = ['json', 'markdown'];
+// Chunks at least this similar are treated as the same clause; above UNCHANGED_SIMILARITY
+// (or with identical text) the clause did not change at all.
+const MATCH_SIMILARITY = parseFloat(process.env.COMPARE_MATCH_SIMILARITY || '0.85');
+const UNCHANGED_SIMILARITY = parseFloat(process.env.COMPARE_UNCHANGED_SIMILARITY || '0.98');
+// Explanations are one LLM call per batch, so very different documents only get
+// the first differences explained
+const MAX_EXPLAINED_DIFFERENCES = parseInt(process.env.COMPARE_MAX_EXPLAINED || '40', 10);
+const EXPLAIN_BATCH_SIZE = 8;
+const SNIPPET_LENGTH = 600;
+
+const normalizeText = (text) => (text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+
+// A document's chunks with embeddings. Chunks the vector store has lost are embedded again.
+const loadChunks = async (documentId) => {
+  const chunks = await fetchDocumentVectors(documentId);
+  const missing = chunks.filter(chunk => !chunk.values || chunk.values.length === 0);
+  if (missing.length > 0) {
+    const embeddings = await generateEmbeddings(missing.map(chunk => chunk.text));
+    missing.forEach((chunk, i) => {
+      chunk.values = embeddings[i];
+    });
+  }
+  return chunks;
+};
+
+const toCitation = (chunk, doc, side) => ({
+  side,
+  documentId: doc._id.toString(),
+  title: doc.title,
+  chunkIndex: chunk.chunkIndex,
+  pageStart: chunk.metadata.pageStart || null,
+  pageEnd: chunk.metadata.pageEnd || null,
+  section: chunk.metadata.section || null,
+  snippet: chunk.text.length > SNIPPET_LENGTH ? `${chunk.text.slice(0, SNIPPET_LENGTH)}…` : chunk.text
+});
+
+// Greedy one-to-one alignment: the most similar pair of unmatched chunks is matched
+// first, as long as it clears MATCH_SIMILARITY. Also returns each chunk's nearest
+// neighbour on the other side, which added and removed clauses cite.
+const alignChunks = (baseChunks, otherChunks) => {
+  const similarity = baseChunks.map(a => otherChunks.map(b => cosineSimilarity(a.values, b.values)));
+  const candidates = [];
+  for (let i = 0; i < baseChunks.length; i++) {
+    for (let j = 0; j < otherChunks.length; j++) {
+      if (similarity[i][j] >= MATCH_SIMILARITY) candidates.push([i, j, similarity[i][j]]);
+    }
+  }
+  candidates.sort((a, b) => b[2] - a[2] || a[0] - b[0] || a[1] - b[1]);
+
+  const baseMatch = new Array(baseChunks.length).fill(-1);
+  const otherMatch = new Array(otherChunks.length).fill(-1);
+  for (const [i, j] of candidates) {
+    if (baseMatch[i] !== -1 || otherMatch[j] !== -1) continue;
+    baseMatch[i] = j;
+    otherMatch[j] = i;
+  }
+
+  const argmax = (values) => values.reduce((best, value, index) => (value > values[best] ? index : best), 0);
+  const nearestOther = similarity.map(row => argmax(row));
+  const nearestBase = otherChunks.map((_, j) => argmax(similarity.map(row => row[j])));
+  return { similarity, baseMatch, otherMatch, nearestOther, nearestBase };
+};
+
+// Differences between the base document and one other, in the base document's order.
+// Every difference cites a chunk from each side: the matched clause, or for added and
+// removed clauses the closest one the other document has.
+const diffDocuments = (base, other) => {
+  const { similarity, baseMatch, otherMatch, nearestOther, nearestBase } = alignChunks(base.chunks, other.chunks);
+  const stats = { unchanged: 0, modified: 0, added: 0, removed: 0 };
+  const differences = [];
+
+  base.chunks.forEach((chunk, i) => {
+    const j = baseMatch[i];
+    if (j === -1) {
+      stats.removed += 1;
+      differences.push({
+        type: 'removed',
+        order: [i, 0],
+        similarity: other.chunks.length > 0 ? similarity[i][nearestOther[i]] : 0,
+        base: toCitation(chunk, base.document, 'base'),
+        other: other.chunks.length > 0 ? { ...toCitation(other.chunks[nearestOther[i]], other.document, 'other'), closestMatch: true } : null
+      });
+      return;
+    }
+    const match = other.chunks[j];
+    if (similarity[i][j] >= UNCHANGED_SIMILARITY || normalizeText(chunk.text) === normalizeText(match.text)) {
+      stats.unchanged += 1;
+      return;
+    }
+    stats.modified += 1;
+    differences.push({
+      type: 'modified',
+      order: [i, 0],
+      similarity: similarity[i][j],
+      base: toCitation(chunk, base.document, 'base'),
+      other: toCitation(match, other.document, 'other')
+    });
+  });
+
+  other.chunks.forEach((chunk, j) => {
+    if (otherMatch[j] !== -1) return;
+    stats.added += 1;
+    const i = nearestBase[j];
+    differences.push({
+      type: 'added',
+      // Listed right after the base clause it is closest to
+      order: [base.chunks.length > 0 ? i : 0, 1 + j],
+      similarity: base.chunks.length > 0 ? similarity[i][j] : 0,
+      base: base.chunks.length > 0 ? { ...toCitation(base.chunks[i], base.document, 'base'), closestMatch: true } : null,
+      other: toCitation(chunk, other.document, 'other')
+    });
+  });
+
+  differences.sort((a, b) => a.order[0] - b.order[0] || a.order[1] - b.order[1]);
+  return {
+    stats,
+    differences: differences.map(({ order, similarity: score, ...difference }, index) => ({
+      id: index + 1,
+      ...difference,
+      similarity: Math.round(score * 1000) / 1000,
+      material: null,
+      explanation: null
+    }))
+  };
+};
+
+const describeDifference = (difference, index) => {
+  const lines = [`[${index + 1}] ${difference.type.toUpperCase()}`];
+  if (difference.type === 'added') {
+    lines.push(`Only in B: ${difference.other.snippet}`);
+    if (difference.base) lines.push(`Closest passage in A: ${difference.base.snippet}`);
+  } else if (difference.type === 'removed') {
+    lines.push(`Only in A: ${difference.base.snippet}`);
+    if (difference.other) lines.push(`Closest passage in B: ${difference.other.snippet}`);
+  } else {
+    lines.push(`A: ${difference.base.snippet}`, `B: ${difference.other.snippet}`);
+  }
+  return lines.join('\n');
+};
+
+// Ask the LLM whether each difference matters and what it changes. Best-effort like
+// relation extraction: a failed batch leaves its differences unexplained.
+const explainDifferences = async (comparison, baseTitle, otherTitle) => {
+  const candidates = comparison.differences.slice(0, MAX_EXPLAINED_DIFFERENCES);
+  for (let start = 0; start < candidates.length; start += EXPLAIN_BATCH_SIZE) {
+    const batch = candidates.slice(start, start + EXPLAIN_BATCH_SIZE);
+    const prompt = `Document A is "${baseTitle}" and document B is "${otherTitle}". For each numbered difference between them, decide whether it is material (it changes meaning, obligations, amounts, dates, parties or scope) or only wording, formatting or passages shifting position. Explain in one or two sentences what changed and its practical effect. For ADDED and REMOVED clauses the closest passage from the other document is given only for context.
+Return ONLY a JSON array of {"difference":number,"material":boolean,"explanation":string}.
+
+${batch.map(describeDifference).join('\n\n')}`;
+
+    try {
+      const result = await chat([{ role: 'user', content: prompt }], {
+        task: 'extraction',
+        system: 'You compare versions of documents precisely and reply with JSON only.',
+        maxTokens: 2048,
+      });
+      const message = result.message || '[]';
+      const parsed = JSON.parse(message.slice(message.indexOf('['), message.lastIndexOf(']') + 1));
+      for (const item of Array.isArray(parsed) ? parsed : []) {
+        const target = batch[Number(item?.difference) - 1];
+        if (!target || typeof item.explanation !== 'string') continue;
+        target.material = item.material === true;
+        target.explanation = item.explanation.trim();
+      }
+    } catch (error) {
+      console.error('❌ Difference explanation failed:', error.message);
+    }
+  }
+};
+
+const parseCompareOptions = (params) => {
+  const documentIds = Array.isArray(params.documentIds) ? [...new Set(params.documentIds.map(String))] : [];
+  const format = params.format || 'json';
+  if (documentIds.length < 2 || documentIds.length > MAX_COMPARE_DOCUMENTS || !COMPARE_FORMATS.includes(format)) {
+    throw new Error('INVALID_COMPARE_REQUEST');
+  }
+  return { documentIds, format, explain: params.explain !== false && params.explain !== 'false' };
+};
+
+// Compare documents clause by clause. The first document is the base and every other
+// one is compared against it. `documents` are the Document records in that order.
+const compareDocuments = async (documents, { explain = true } = {}) => {
+  if (documents.some(doc => !doc.isProcessed)) throw new Error('DOCUMENT_NOT_READY');
+
+  const loaded = [];
+  for (const document of documents) {
+    const chunks = await loadChunks(document._id.toString());
+    if (chunks.length === 0) throw new Error('NO_CHUNKS');
+    loaded.push({ document, chunks });
+  }
+
+  const [base, ...others] = loaded;
+  const canExplain = explain && isProviderConfigured('extraction');
+  if (explain && !canExplain) {
+    console.warn('⚠️ No LLM provider configured for extraction, comparing without explanations');
+  }
+
+  const comparisons = [];
+  for (const other of others) {
+    const comparison = diffDocuments(base, other);
+    if (canExplain) {
+      await explainDifferences(comparison, base.document.title, other.document.title);
+    }
+    comparisons.push({
+      baseDocumentId: base.document._id.toString(),
+      otherDocumentId: other.document._id.toString(),
+      ...comparison
+    });
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    documents: loaded.map(({ document, chunks }) => ({
+      id: document._id.toString(),
+      title: document.title,
+      currentVersion: document.currentVersion,
+      chunkCount: chunks.length
+    })),
+    baseDocumentId: base.document._id.toString(),
+    explained: canExplain,
+    comparisons
+  };
+};
+
+const formatLocation = (citation) => {
+  if (citation.pageStart) {
+    return citation.pageEnd && citation.pageEnd !== citation.pageStart
+      ? `pp. ${citation.pageStart}-${citation.pageEnd}`
+      : `p. ${citation.pageStart}`;
+  }
+  return citation.section ? `"${citation.section}"` : `chunk ${citation.chunkIndex}`;
+};
+
+const quote = (text) => text.split('\n').map(line => `> ${line}`).join('\n');
+
+const renderCitation = (citation) => {
+  const label = citation.closestMatch ? 'Closest in' : 'In';
+  return `${label} **${citation.title}** (${formatLocation(citation)}):\n\n${quote(citation.snippet)}`;
+};
+
+// The same report as Markdown, for pasting into tickets or review notes.
+const renderComparisonMarkdown = (report) => {
+  const titles = Object.fromEntries(report.documents.map(doc => [doc.id, doc.title]));
+  const lines = [
+    '# Document comparison',
+    '',
+    `Base document: **${titles[report.baseDocumentId]}**`,
+    `Generated: ${report.generatedAt}`,
+  ];
+
+  for (const comparison of report.comparisons) {
+    const { stats } = comparison;
+    lines.push(
+      '',
+      `## ${titles[comparison.baseDocumentId]} → ${titles[comparison.otherDocumentId]}`,
+      '',
+      `${stats.modified} modified, ${stats.added} added, ${stats.removed} removed, ${stats.unchanged} unchanged.`
+    );
+    if (comparison.differences.length === 0) {
+      lines.push('', 'No differences found.');
+    }
+    for (const difference of comparison.differences) {
+      const heading = `### ${difference.id}. ${difference.type[0].toUpperCase()}${difference.type.slice(1)}`;
+      lines.push('', difference.material ? `${heading} (material)` : heading);
+      if (difference.explanation) lines.push('', difference.explanation);
+      for (const citation of [difference.base, difference.other].filter(Boolean)) {
+        lines.push('', renderCitation(citation));
+      }
+    }
+  }
+  return `${lines.join('\n')}\n`;
+};
+
+module.exports = {
+  COMPARE_ERRORS,
+  parseCompareOptions,
+  compareDocuments,
+  renderComparisonMarkdown,
+};
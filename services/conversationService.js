@@ -0,0 +1,159 @@
+const { chat, generateAnswer } = require('./aiService');
+const { retrieveRelevantChunks, resolveRetrievalOptions } = require('./retrievalService');
+const { resolveCitations } = require('./citationService');
+const { buildAnswerContext, resolveRerankOptions, RERANK_CANDIDATES } = require('./rerankService');
+const { filterAccessibleDocumentIds } = require('./permissionService');
+const { markDocumentsAsked } = require('./documentMetadataService');
+
+// How many of the latest turns are always sent verbatim.
+const RECENT_TURNS = parseInt(process.env.CONVERSATION_RECENT_TURNS || '6', 10);
+// Rough prompt budget for the conversation history, in tokens (~4 characters each).
+const HISTORY_TOKEN_BUDGET = parseInt(process.env.CONVERSATION_HISTORY_TOKEN_BUDGET || '2000', 10);
+
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+const turnToMessages = (turn) => [
+  { role: 'user', content: turn.question },
+  { role: 'assistant', content: turn.answer },
+];
+
+const formatTurnsForPrompt = (turns) => turns
+  .map(turn => `User: ${turn.question}\nAssistant: ${turn.answer}`)
+  .join('\n\n');
+
+// Fold every turn that is older than the recent window (or that does not fit the
+// budget) into the rolling summary. Mutates the conversation; caller saves it.
+const summarizeIfNeeded = async (conversation) => {
+  const turns = conversation.turns;
+  let keepFrom = Math.max(conversation.summarizedTurnCount, turns.length - RECENT_TURNS);
+
+  // Even the recent turns must fit the budget together with the summary
+  const recentTokens = (from) => estimateTokens(conversation.summary)
+    + turns.slice(from).reduce((sum, turn) => sum + estimateTokens(turn.question) + estimateTokens(turn.answer), 0);
+  while (keepFrom < turns.length - 1 && recentTokens(keepFrom) > HISTORY_TOKEN_BUDGET) {
+    keepFrom++;
+  }
+
+  if (keepFrom <= conversation.summarizedTurnCount) return;
+
+  const toSummarize = turns.slice(conversation.summarizedTurnCount, keepFrom);
+  const prompt = `Update the running summary of a conversation between a user and an assistant about their documents.
+Keep names, numbers, document references and open questions. Reply with the new summary only, in at most 200 words.
+
+Current summary:
+${conversation.summary || '(none)'}
+
+New turns:
+${formatTurnsForPrompt(toSummarize)}`;
+
+  try {
+    const result = await chat([{ role: 'user', content: prompt }], { task: 'summary' });
+    conversation.summary = result.message.trim();
+    conversation.summarizedTurnCount = keepFrom;
+  } catch (error) {
+    // Not fatal: the next turn will try again and the prompt is only a bit longer.
+    console.error('❌ Conversation summarization failed:', error.message);
+  }
+};
+
+const buildHistoryMessages = (conversation) => {
+  const messages = [];
+  conversation.turns
+    .slice(conversation.summarizedTurnCount)
+    .filter(turn => turn.answer)
+    .forEach(turn => messages.push(...turnToMessages(turn)));
+  return messages;
+};
+
+// Turn a follow-up like "and what about the second one?" into a question that can be
+// embedded and searched on its own.
+const rewriteAsStandalone = async (conversation, question) => {
+  const answeredTurns = conversation.turns.filter(turn => turn.answer);
+  if (answeredTurns.length === 0) return question;
+
+  const recent = answeredTurns.slice(-3);
+  const prompt = `Rewrite the follow-up question so that it can be understood without the conversation. Resolve pronouns and references using the conversation. If it is already self-contained, return it unchanged. Reply with the rewritten question only.
+
+${conversation.summary ? `Earlier conversation summary:\n${conversation.summary}\n\n` : ''}Conversation:
+${formatTurnsForPrompt(recent)}
+
+Follow-up question: ${question}`;
+
+  try {
+    const result = await chat([{ role: 'user', content: prompt }], { task: 'rewrite' });
+    const rewritten = result.message.replace(/^["']|["']$/g, '').trim();
+    return rewritten || question;
+  } catch (error) {
+    console.error('❌ Question rewrite failed, using original question:', error.message);
+    return question;
+  }
+};
+
+// Ask the next question in a conversation. Retrieval errors (see RETRIEVAL_ERRORS)
+// propagate to the caller; the turn is only stored once it has an answer.
+const askInConversation = async (conversation, question, userId, { retrieval, rerank } = {}) => {
+  const askedAt = new Date();
+  // Checked before any LLM call, so a request that fails them costs nothing
+  resolveRetrievalOptions(retrieval);
+  resolveRerankOptions(rerank);
+  const documentIds = conversation.documentIds.map(id => id.toString());
+  // A conversation about documents the user can no longer read has nothing to search
+  const searchable = documentIds.length === 0 || (await filterAccessibleDocumentIds(userId, documentIds)).length > 0;
+
+  let standaloneQuestion = question;
+  let relevantChunks = [];
+  let diagnostics = {};
+  let retrievalDiagnostics = null;
+  if (searchable) {
+    await summarizeIfNeeded(conversation);
+    standaloneQuestion = await rewriteAsStandalone(conversation, question);
+    ({ relevantChunks, diagnostics, retrievalDiagnostics } = await retrieveRelevantChunks({
+      question: standaloneQuestion,
+      userId,
+      // Always a list: a single id would let retrieval widen to all of the user's documents
+      documentId: documentIds,
+      retrieval,
+      topK: RERANK_CANDIDATES,
+    }));
+  }
+
+  let answer = "I couldn't find relevant chunks.";
+  let sources = [];
+  let rerankDiagnostics = null;
+  if (relevantChunks.length > 0) {
+    const context = await buildAnswerContext(standaloneQuestion, relevantChunks, rerank);
+    const { contextText, citedChunks, titlesById } = context;
+    rerankDiagnostics = context.rerankDiagnostics;
+    const rawAnswer = await generateAnswer(question, contextText, {
+      history: buildHistoryMessages(conversation),
+      summary: conversation.summary,
+    });
+    ({ answer, sources } = resolveCitations(rawAnswer, citedChunks, titlesById));
+    markDocumentsAsked(sources.map(source => source.documentId));
+  }
+
+  conversation.turns.push({
+    question,
+    standaloneQuestion,
+    answer,
+    sources,
+    askedAt,
+    answeredAt: new Date()
+  });
+  conversation.lastMessageAt = new Date();
+  if (conversation.turns.length === 1 && conversation.title === 'New conversation') {
+    conversation.title = question.length > 80 ? `${question.slice(0, 77)}...` : question;
+  }
+  await conversation.save();
+
+  return {
+    turn: conversation.turns[conversation.turns.length - 1],
+    diagnostics: { ...diagnostics, retrieval: retrievalDiagnostics, rerank: rerankDiagnostics },
+  };
+};
+
+module.exports = {
+  askInConversation,
+  rewriteAsStandalone,
+  buildHistoryMessages,
+};
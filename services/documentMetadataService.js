@@ -0,0 +1,166 @@
+const Document = require('../models/Document');
+const { updateDocumentMetadata } = require('./vectorDbService');
+
+// Errors thrown here carry a code in `message` that the routes map to HTTP statuses.
+const METADATA_ERRORS = {
+  INVALID_TITLE: { status: 400, message: 'title must be a non-empty string of at most 300 characters.' },
+  INVALID_TEXT_FIELD: { status: 400, message: 'description and notes must be strings of at most 10000 characters.' },
+  INVALID_TAGS: { status: 400, message: 'tags must be a list of at most 50 strings, each 1-50 characters.' },
+  INVALID_CUSTOM_FIELDS: { status: 400, message: 'customFields must be an object of at most 50 fields. Names start with a letter and use letters, digits or underscores (max 50 characters); values are strings (max 1000 characters), finite numbers, booleans, or null to remove the field.' },
+  INVALID_METADATA_FILTER: { status: 400, message: 'filter must look like { tags: ["..."], fields: { name: value } } with string, number or boolean values.' },
+};
+
+const MAX_TAGS = 50;
+const MAX_TAG_LENGTH = 50;
+const MAX_CUSTOM_FIELDS = 50;
+const MAX_FIELD_VALUE_LENGTH = 1000;
+const FIELD_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]{0,49}$/;
+// Custom fields are stored flat in vector metadata under this prefix
+const FIELD_METADATA_PREFIX = 'field_';
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isFieldValue = (value) => (typeof value === 'string' && value.length <= MAX_FIELD_VALUE_LENGTH)
+  || (typeof value === 'number' && Number.isFinite(value))
+  || typeof value === 'boolean';
+
+const normalizeTags = (tags) => {
+  if (!Array.isArray(tags)) throw new Error('INVALID_TAGS');
+  const normalized = [...new Set(tags.map(tag => (typeof tag === 'string' ? tag.trim().toLowerCase() : '')))];
+  if (normalized.length > MAX_TAGS || normalized.some(tag => !tag || tag.length > MAX_TAG_LENGTH)) {
+    throw new Error('INVALID_TAGS');
+  }
+  return normalized;
+};
+
+// Apply a { name: value | null } patch to a document's custom fields. Returns the
+// names that were removed so their vector metadata can be cleared.
+const applyCustomFieldsPatch = (doc, patch) => {
+  if (!isPlainObject(patch)) throw new Error('INVALID_CUSTOM_FIELDS');
+  const removed = [];
+  for (const [name, value] of Object.entries(patch)) {
+    if (!FIELD_NAME_PATTERN.test(name)) throw new Error('INVALID_CUSTOM_FIELDS');
+    if (value === null) {
+      if (doc.customFields.has(name)) {
+        doc.customFields.delete(name);
+        removed.push(name);
+      }
+      continue;
+    }
+    if (!isFieldValue(value)) throw new Error('INVALID_CUSTOM_FIELDS');
+    doc.customFields.set(name, typeof value === 'string' ? value.trim() : value);
+  }
+  if (doc.customFields.size > MAX_CUSTOM_FIELDS) throw new Error('INVALID_CUSTOM_FIELDS');
+  return removed;
+};
+
+// Apply an edit request to a document (not saved). Only the fields present in
+// `changes` are touched. Returns { filterableChanged, removedFields } so the caller
+// knows whether the vector metadata needs a sync.
+const applyMetadataChanges = (doc, changes) => {
+  let filterableChanged = false;
+  let removedFields = [];
+
+  if (changes.title !== undefined) {
+    if (typeof changes.title !== 'string' || !changes.title.trim() || changes.title.trim().length > 300) {
+      throw new Error('INVALID_TITLE');
+    }
+    doc.title = changes.title.trim();
+  }
+  for (const field of ['description', 'notes']) {
+    if (changes[field] === undefined) continue;
+    if (typeof changes[field] !== 'string' || changes[field].length > 10000) {
+      throw new Error('INVALID_TEXT_FIELD');
+    }
+    doc[field] = changes[field].trim();
+  }
+  if (changes.isFavorite !== undefined) {
+    doc.isFavorite = Boolean(changes.isFavorite);
+  }
+  if (changes.tags !== undefined) {
+    doc.tags = normalizeTags(changes.tags);
+    filterableChanged = true;
+  }
+  if (changes.customFields !== undefined) {
+    removedFields = applyCustomFieldsPatch(doc, changes.customFields);
+    filterableChanged = true;
+  }
+  return { filterableChanged, removedFields };
+};
+
+// The document-level fields every chunk carries in the vector store, for filtering.
+const buildFilterMetadata = (doc) => {
+  const metadata = {
+    collectionIds: (doc.collections || []).map(id => id.toString()),
+    tags: doc.tags || [],
+  };
+  const fields = doc.customFields instanceof Map ? [...doc.customFields] : Object.entries(doc.customFields || {});
+  for (const [name, value] of fields) {
+    metadata[`${FIELD_METADATA_PREFIX}${name}`] = value;
+  }
+  return metadata;
+};
+
+// Push a document's current filter metadata to all of its chunks. Removed custom
+// fields are blanked rather than deleted, since Pinecone can only merge metadata.
+const syncDocumentMetadata = async (documentId, { removedFields = [] } = {}) => {
+  const doc = await Document.findById(documentId).select('collections tags customFields');
+  if (!doc) return;
+  const metadata = buildFilterMetadata(doc);
+  for (const name of removedFields) {
+    metadata[`${FIELD_METADATA_PREFIX}${name}`] = '';
+  }
+  await updateDocumentMetadata(documentId.toString(), metadata);
+};
+
+// Chunks carry their document's owner as userId, which retrieval filters on, so a
+// transfer has to update them.
+const syncDocumentOwner = async (documentId, ownerId) => {
+  await updateDocumentMetadata(documentId.toString(), { userId: ownerId.toString() });
+};
+
+// Record that these documents were just cited in an answer (for sort=lastAsked).
+// Fire-and-forget: a failure here must not affect the answer.
+const markDocumentsAsked = (documentIds) => {
+  const ids = [...new Set(documentIds.filter(Boolean).map(String))];
+  if (ids.length === 0) return;
+  Document.updateMany({ _id: { $in: ids } }, { lastAskedAt: new Date() })
+    .catch(error => console.warn('⚠️ Could not update lastAskedAt:', error.message));
+};
+
+// Translate the /ask `filter` body field into the store-neutral vector filter.
+// Tags match if the chunk has any of them; every field must match exactly.
+const toVectorFilter = (filter) => {
+  if (filter === undefined || filter === null) return {};
+  if (!isPlainObject(filter)) throw new Error('INVALID_METADATA_FILTER');
+
+  const vectorFilter = {};
+  if (filter.tags !== undefined) {
+    let tags;
+    try {
+      tags = normalizeTags(filter.tags);
+    } catch {
+      throw new Error('INVALID_METADATA_FILTER');
+    }
+    if (tags.length > 0) vectorFilter.tags = tags;
+  }
+  if (filter.fields !== undefined) {
+    if (!isPlainObject(filter.fields)) throw new Error('INVALID_METADATA_FILTER');
+    for (const [name, value] of Object.entries(filter.fields)) {
+      if (!FIELD_NAME_PATTERN.test(name) || !isFieldValue(value)) throw new Error('INVALID_METADATA_FILTER');
+      vectorFilter[`${FIELD_METADATA_PREFIX}${name}`] = value;
+    }
+  }
+  return vectorFilter;
+};
+
+module.exports = {
+  METADATA_ERRORS,
+  normalizeTags,
+  applyMetadataChanges,
+  buildFilterMetadata,
+  syncDocumentMetadata,
+  syncDocumentOwner,
+  markDocumentsAsked,
+  toVectorFilter,
+};
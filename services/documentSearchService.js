@@ -0,0 +1,272 @@
+const mongoose = require('mongoose');
+const Document = require('../models/Document');
+const { accessibleDocumentsQuery, getDocumentRole } = require('./permissionService');
+
+// Errors thrown here carry a code in `message` that the routes map to HTTP statuses.
+const SEARCH_ERRORS = {
+  INVALID_CURSOR: { status: 400, message: 'Invalid or expired cursor. Start again without one.' },
+  INVALID_SORT: { status: 400, message: 'sort must be one of createdAt, title, size, lastAsked or relevance (relevance needs q), and order asc or desc.' },
+  INVALID_FILTER: { status: 400, message: 'Invalid filter. Dates must be ISO dates, status and format must be known values, and limit between 1 and 100.' },
+  INVALID_FIELDS: { status: 400, message: 'fields contains an unknown field name.' },
+};
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const SORT_FIELDS = {
+  createdAt: 'createdAt',
+  title: 'title',
+  size: 'fileSize',
+  lastAsked: 'lastAskedAt',
+};
+
+// Left out unless asked for with ?fields=, they can be megabytes per document.
+const HEAVY_FIELDS = ['rawText', 'cleanedText', 'pageOffsets', 'sections', 'summaryCache'];
+const SELECTABLE_FIELDS = Object.keys(Document.schema.paths)
+  .map(path => path.split('.')[0])
+  .filter((field, index, all) => all.indexOf(field) === index && field !== '__v');
+
+const HIGHLIGHT_SNIPPETS = 3;
+const HIGHLIGHT_CONTEXT = 80;
+
+const splitList = (value) => (Array.isArray(value) ? value : String(value).split(','))
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new Error('INVALID_FILTER');
+  return date;
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Cursors are opaque base64url JSON: { v, id } after the last row for field sorts
+// (keyset pagination), { o } as an offset for relevance, which has no stable key.
+const encodeCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (payload.o !== undefined) {
+      if (!Number.isInteger(payload.o) || payload.o < 0) throw new Error();
+      return payload;
+    }
+    if (!mongoose.isValidObjectId(payload.id)) throw new Error();
+    if (payload.d) payload.v = new Date(payload.v);
+    return payload;
+  } catch {
+    throw new Error('INVALID_CURSOR');
+  }
+};
+
+const cursorFor = (doc, field) => {
+  const value = doc[field] ?? null;
+  return encodeCursor({ v: value, d: value instanceof Date ? 1 : undefined, id: doc._id.toString() });
+};
+
+// Rows after (value, id) in (field, _id) order. Mongo sorts null/missing lowest, so
+// they come first ascending and last descending.
+const afterCursor = (field, direction, value, id) => {
+  const cmp = direction === 1 ? '$gt' : '$lt';
+  const objectId = new mongoose.Types.ObjectId(id);
+  const tie = { [field]: value, _id: { [cmp]: objectId } };
+  if (value === null) {
+    return direction === 1 ? { $or: [tie, { [field]: { $ne: null } }] } : tie;
+  }
+  const clauses = [{ [field]: { [cmp]: value } }, tie];
+  if (direction === -1) clauses.push({ [field]: null });
+  return { $or: clauses };
+};
+
+const buildFilters = (userId, params) => {
+  const clauses = [];
+
+  // filter=favorites | shared | all, as before; owned documents by default
+  if (params.filter === 'shared') {
+    clauses.push(accessibleDocumentsQuery(userId, { scope: 'shared' }));
+  } else if (params.filter === 'all') {
+    clauses.push(accessibleDocumentsQuery(userId));
+  } else {
+    clauses.push(accessibleDocumentsQuery(userId, { scope: 'owned' }));
+    if (params.filter === 'favorites') clauses.push({ isFavorite: true });
+  }
+
+  if (params.tags) {
+    const tags = splitList(params.tags).map(tag => tag.toLowerCase());
+    if (tags.length > 0) clauses.push({ tags: { $all: tags } });
+  }
+  if (params.entity || params.entityType) {
+    const match = {};
+    if (params.entity) {
+      // Exact name, case-insensitive, under its canonical spelling or any alias
+      const name = { $regex: `^${escapeRegex(String(params.entity).trim())}$`, $options: 'i' };
+      match.$or = [{ text: name }, { aliases: name }];
+    }
+    if (params.entityType) match.type = String(params.entityType).toUpperCase();
+    clauses.push({ entities: { $elemMatch: match } });
+  }
+  if (params.from || params.to) {
+    const range = {};
+    if (params.from) range.$gte = parseDate(params.from);
+    if (params.to) range.$lte = parseDate(params.to);
+    clauses.push({ createdAt: range });
+  }
+  if (params.status) {
+    const statuses = splitList(params.status);
+    const known = Document.schema.path('processingStatus').enumValues;
+    if (statuses.some(status => !known.includes(status))) throw new Error('INVALID_FILTER');
+    // Documents from before background ingestion have no processingStatus, only isProcessed
+    const legacy = statuses.includes('completed') ? [{ processingStatus: null, isProcessed: true }] : [];
+    clauses.push({ $or: [{ processingStatus: { $in: statuses } }, ...legacy] });
+  }
+  if (params.format) {
+    const formats = splitList(params.format);
+    const known = Document.schema.path('sourceFormat').enumValues;
+    if (formats.some(format => !known.includes(format))) throw new Error('INVALID_FILTER');
+    clauses.push({ sourceFormat: { $in: formats } });
+  }
+  return clauses;
+};
+
+const buildProjection = (fieldsParam) => {
+  if (!fieldsParam) {
+    return Object.fromEntries(HEAVY_FIELDS.map(field => [field, 0]));
+  }
+  const fields = splitList(fieldsParam);
+  if (fields.some(field => !SELECTABLE_FIELDS.includes(field))) throw new Error('INVALID_FIELDS');
+  // Needed for accessRole and pagination
+  return Object.fromEntries([...fields, 'owner', 'sharedWith', '_id'].map(field => [field, 1]));
+};
+
+// Query terms for highlighting: words of 2+ characters, ignoring negated ones.
+const highlightTerms = (q) => String(q)
+  .split(/\s+/)
+  .filter(term => term && !term.startsWith('-'))
+  .map(term => term.replace(/^"+|"+$/g, '').replace(/[^\p{L}\p{N}'-]/gu, ''))
+  .filter(term => term.length >= 2);
+
+const escapeHtml = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const markTerms = (text, pattern) => escapeHtml(text).replace(pattern, match => `<mark>${match}</mark>`);
+
+// Title with every term wrapped in <mark>, plus up to three content snippets around
+// the first matches. Text is HTML-escaped so the result can be rendered as is.
+const buildHighlights = (doc, terms) => {
+  if (terms.length === 0) return null;
+  const source = terms.map(escapeRegex).sort((a, b) => b.length - a.length).join('|');
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${source})`, 'giu');
+  // Escaped text can contain &amp; etc., so marking runs on a pattern that cannot hit entities
+  const htmlPattern = new RegExp(`(?<![\\p{L}\\p{N}&])(?:${terms.map(term => escapeRegex(escapeHtml(term))).join('|')})`, 'giu');
+
+  const highlights = {};
+  if (doc.title && new RegExp(pattern.source, 'iu').test(doc.title)) {
+    highlights.title = markTerms(doc.title, htmlPattern);
+  }
+
+  const text = doc.cleanedText || '';
+  const snippets = [];
+  let lastEnd = 0;
+  for (const match of text.matchAll(pattern)) {
+    if (snippets.length >= HIGHLIGHT_SNIPPETS) break;
+    if (match.index < lastEnd) continue;
+    const start = Math.max(lastEnd, match.index - HIGHLIGHT_CONTEXT);
+    const end = Math.min(text.length, match.index + match[0].length + HIGHLIGHT_CONTEXT);
+    const snippet = `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+    snippets.push(markTerms(snippet, htmlPattern));
+    lastEnd = end;
+  }
+  if (snippets.length > 0) highlights.content = snippets;
+  return highlights;
+};
+
+// GET /api/documents. params are the raw query string values:
+// q, filter, tags, entity, entityType, from, to, status, format, sort, order, limit, cursor, fields.
+// Throws one of the SEARCH_ERRORS codes.
+const searchDocuments = async (userId, params = {}) => {
+  const q = typeof params.q === 'string' ? params.q.trim() : '';
+  const sort = params.sort || (q ? 'relevance' : 'createdAt');
+  if (sort !== 'relevance' && !SORT_FIELDS[sort]) throw new Error('INVALID_SORT');
+  if (sort === 'relevance' && !q) throw new Error('INVALID_SORT');
+  if (params.order && !['asc', 'desc'].includes(params.order)) throw new Error('INVALID_SORT');
+  const direction = (params.order || (sort === 'title' ? 'asc' : 'desc')) === 'asc' ? 1 : -1;
+
+  const limit = params.limit === undefined ? DEFAULT_LIMIT : Number(params.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) throw new Error('INVALID_FILTER');
+
+  const clauses = buildFilters(userId, params);
+  if (q) clauses.push({ $text: { $search: q } });
+  const baseQuery = { $and: clauses };
+
+  const cursor = params.cursor ? decodeCursor(params.cursor) : null;
+  const projection = buildProjection(params.fields);
+  const terms = q ? highlightTerms(q) : [];
+
+  // Load what highlighting and the cursor need even when the caller did not ask for
+  // it, and drop those extras again before responding
+  const loadProjection = { ...projection };
+  const extraFields = [];
+  const needed = [...(terms.length > 0 ? ['title', 'cleanedText'] : []), ...(SORT_FIELDS[sort] ? [SORT_FIELDS[sort]] : [])];
+  for (const field of needed) {
+    if (params.fields) {
+      if (!loadProjection[field]) {
+        loadProjection[field] = 1;
+        extraFields.push(field);
+      }
+    } else if (loadProjection[field] === 0) {
+      delete loadProjection[field];
+      extraFields.push(field);
+    }
+  }
+
+  let query;
+  let nextCursorFor;
+  if (sort === 'relevance') {
+    if (cursor && cursor.o === undefined) throw new Error('INVALID_CURSOR');
+    const offset = cursor ? cursor.o : 0;
+    query = Document.find(baseQuery, { ...loadProjection, score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' }, _id: -1 })
+      .skip(offset);
+    nextCursorFor = () => encodeCursor({ o: offset + limit });
+  } else {
+    if (cursor && cursor.o !== undefined) throw new Error('INVALID_CURSOR');
+    const field = SORT_FIELDS[sort];
+    const pageQuery = cursor ? { $and: [...clauses, afterCursor(field, direction, cursor.v, cursor.id)] } : baseQuery;
+    query = Document.find(pageQuery, loadProjection).sort({ [field]: direction, _id: direction });
+    // Case-insensitive title order
+    if (sort === 'title') query = query.collation({ locale: 'en', strength: 2 });
+    nextCursorFor = (last) => cursorFor(last, field);
+  }
+
+  const [rows, total] = await Promise.all([
+    query.limit(limit + 1).lean(),
+    cursor ? Promise.resolve(undefined) : Document.countDocuments(baseQuery),
+  ]);
+
+  const hasMore = rows.length > limit;
+  const page = rows.slice(0, limit);
+  const documents = page.map(doc => {
+    const highlights = buildHighlights(doc, terms);
+    const result = { ...doc, accessRole: getDocumentRole(doc, userId) };
+    for (const field of extraFields) delete result[field];
+    if (highlights) result.highlights = highlights;
+    return result;
+  });
+
+  return {
+    documents,
+    nextCursor: hasMore ? nextCursorFor(page[page.length - 1]) : null,
+    // Only counted on the first page
+    ...(total !== undefined ? { total } : {}),
+  };
+};
+
+module.exports = {
+  SEARCH_ERRORS,
+  searchDocuments,
+  buildHighlights,
+  highlightTerms,
+};
@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+const EmbeddingCache = require('../models/EmbeddingCache');
+
+// EMBEDDING_CACHE=off always calls the embedding API
+const isCacheEnabled = () => (process.env.EMBEDDING_CACHE || 'on').toLowerCase() !== 'off';
+
+// Whitespace and Unicode form differences do not change what a chunk says, so they
+// should not cost another API call.
+const normalizeText = (text) => (text || '').normalize('NFC').replace(/\s+/g, ' ').trim();
+
+const cacheKey = (model, text) => crypto.createHash('sha256').update(`${model}\n${normalizeText(text)}`).digest('hex');
+
+// The cache is an optimization: lookups and writes that fail are logged and skipped.
+const getCachedEmbedding = async (model, text) => {
+  if (!isCacheEnabled()) return null;
+  try {
+    const entry = await EmbeddingCache.findOneAndUpdate(
+      { key: cacheKey(model, text) },
+      { $set: { lastUsedAt: new Date() } },
+      { projection: { values: 1 } }
+    ).lean();
+    return entry?.values?.length ? entry.values : null;
+  } catch (error) {
+    console.warn('⚠️ Embedding cache lookup failed:', error.message);
+    return null;
+  }
+};
+
+const storeEmbedding = async (model, text, values) => {
+  if (!isCacheEnabled()) return;
+  try {
+    await EmbeddingCache.updateOne(
+      { key: cacheKey(model, text) },
+      { $setOnInsert: { model, values, lastUsedAt: new Date() } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // Two chunks with the same text raced to insert it
+    if (error.code !== 11000) console.warn('⚠️ Embedding cache write failed:', error.message);
+  }
+};
+
+module.exports = {
+  normalizeText,
+  getCachedEmbedding,
+  storeEmbedding,
+};
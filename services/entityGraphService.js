@@ -0,0 +1,241 @@
+const mongoose = require('mongoose');
+const Document = require('../models/Document');
+const DocumentChunk = require('../models/DocumentChunk');
+const { chat, isProviderConfigured } = require('./llmService');
+const { accessibleDocumentsQuery } = require('./permissionService');
+const { findOwnedCollection } = require('./collectionService');
+const { toGraphML } = require('../utils/graphml');
+
+// Errors thrown here carry a code in `message` that the routes map to HTTP statuses.
+const GRAPH_ERRORS = {
+  INVALID_GRAPH_QUERY: { status: 400, message: `Invalid graph query. type must be one or more of ${Document.ENTITY_TYPES.join(', ')}, by chunk or document, minWeight a positive number, maxNodes between 1 and 1000, and format json or graphml. Send only one of documentIds or collectionId.` },
+  DOCUMENTS_NOT_FOUND: { status: 404, message: 'One or more documents were not found or are not accessible.' },
+  COLLECTION_NOT_FOUND: { status: 404, message: 'Collection not found or not authorized' },
+};
+
+const DEFAULT_MAX_NODES = 200;
+const MAX_NODES = 1000;
+// Only the heaviest edges get LLM relation extraction, it is one call per batch
+const RELATION_EDGE_LIMIT = parseInt(process.env.GRAPH_RELATION_EDGES || '30', 10);
+const RELATION_BATCH_SIZE = 10;
+const MAX_EDGE_DOCUMENTS = 20;
+
+const splitList = (value) => (Array.isArray(value) ? value : String(value).split(','))
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+const nodeIdFor = (entity) => `${entity.type}|${entity.key || entity.text.toLowerCase()}`;
+
+const parseOptions = (params) => {
+  const types = params.type ? splitList(params.type).map(type => type.toUpperCase()) : [];
+  const by = params.by || 'chunk';
+  const minWeight = params.minWeight === undefined ? 1 : Number(params.minWeight);
+  const maxNodes = params.maxNodes === undefined ? DEFAULT_MAX_NODES : Number(params.maxNodes);
+  const format = params.format || 'json';
+  if (types.some(type => !Document.ENTITY_TYPES.includes(type))
+    || !['chunk', 'document'].includes(by)
+    || !Number.isFinite(minWeight) || minWeight <= 0
+    || !Number.isInteger(maxNodes) || maxNodes < 1 || maxNodes > MAX_NODES
+    || !['json', 'graphml'].includes(format)
+    || (params.documentIds && params.collectionId)) {
+    throw new Error('INVALID_GRAPH_QUERY');
+  }
+  return { types, by, minWeight, maxNodes, format, relations: params.relations === 'true' || params.relations === true };
+};
+
+// The documents the graph is built from: an explicit list, a collection, or every
+// document the user can read.
+const loadDocuments = async (userId, params) => {
+  const query = { $and: [accessibleDocumentsQuery(userId)] };
+  let requestedIds = null;
+  if (params.documentIds) {
+    requestedIds = [...new Set(splitList(params.documentIds))];
+    if (requestedIds.some(id => !mongoose.isValidObjectId(id))) throw new Error('INVALID_GRAPH_QUERY');
+    query.$and.push({ _id: { $in: requestedIds } });
+  } else if (params.collectionId) {
+    const collection = await findOwnedCollection(params.collectionId, userId);
+    if (!collection) throw new Error('COLLECTION_NOT_FOUND');
+    query.$and.push({ collections: collection._id });
+  }
+  const documents = await Document.find(query).select('title entities').lean();
+  if (requestedIds && documents.length !== requestedIds.length) throw new Error('DOCUMENTS_NOT_FOUND');
+  return documents;
+};
+
+const buildNodes = (documents, { types, maxNodes }) => {
+  const nodes = new Map();
+  for (const doc of documents) {
+    for (const entity of doc.entities || []) {
+      if (types.length > 0 && !types.includes(entity.type)) continue;
+      const id = nodeIdFor(entity);
+      if (!nodes.has(id)) {
+        nodes.set(id, { id, label: entity.text, type: entity.type, count: 0, documentCount: 0, documents: [], names: new Map() });
+      }
+      const node = nodes.get(id);
+      node.count += entity.count || 1;
+      node.documentCount += 1;
+      node.documents.push(doc._id.toString());
+      node.names.set(entity.text, (node.names.get(entity.text) || 0) + 1);
+    }
+  }
+  // Keep the most mentioned entities, so the edge count stays manageable
+  return new Map([...nodes.values()]
+    .sort((a, b) => b.count - a.count || a.id.localeCompare(b.id))
+    .slice(0, maxNodes)
+    .map(node => {
+      const [label] = [...node.names.keys()].sort((a, b) => node.names.get(b) - node.names.get(a));
+      const { names, ...rest } = node;
+      return [node.id, { ...rest, label }];
+    }));
+};
+
+// Undirected co-occurrence edges. by=chunk counts the chunks two entities share,
+// by=document the documents they share. Each edge remembers a few shared chunks so
+// relation extraction has a passage to read.
+const buildEdges = (documents, nodes, { by }) => {
+  const edges = new Map();
+  const addPair = (a, b, documentId, chunkIndex) => {
+    const [source, target] = a < b ? [a, b] : [b, a];
+    const id = `${source}~${target}`;
+    if (!edges.has(id)) edges.set(id, { id, source, target, weight: 0, documents: new Set(), sharedChunks: [] });
+    const edge = edges.get(id);
+    edge.weight += 1;
+    edge.documents.add(documentId);
+    if (chunkIndex !== undefined && edge.sharedChunks.length < 3) edge.sharedChunks.push({ documentId, chunkIndex });
+  };
+
+  for (const doc of documents) {
+    const documentId = doc._id.toString();
+    const entities = (doc.entities || []).filter(entity => nodes.has(nodeIdFor(entity)));
+    if (by === 'document') {
+      const ids = [...new Set(entities.map(nodeIdFor))];
+      for (let i = 0; i < ids.length; i++) {
+        for (let j = i + 1; j < ids.length; j++) addPair(ids[i], ids[j], documentId);
+      }
+      continue;
+    }
+    const byChunk = new Map();
+    for (const entity of entities) {
+      for (const chunkIndex of entity.chunks || []) {
+        if (!byChunk.has(chunkIndex)) byChunk.set(chunkIndex, new Set());
+        byChunk.get(chunkIndex).add(nodeIdFor(entity));
+      }
+    }
+    for (const [chunkIndex, idSet] of byChunk) {
+      const ids = [...idSet];
+      for (let i = 0; i < ids.length; i++) {
+        for (let j = i + 1; j < ids.length; j++) addPair(ids[i], ids[j], documentId, chunkIndex);
+      }
+    }
+  }
+  return [...edges.values()];
+};
+
+// Ask the LLM for a typed relation between each pair, reading one passage where
+// both appear. Best-effort: edges whose batch fails simply get no relations.
+const extractRelations = async (edges, nodes) => {
+  if (!isProviderConfigured('extraction')) {
+    console.warn('⚠️ No LLM provider configured for extraction, skipping relation extraction');
+    return;
+  }
+  const candidates = edges.filter(edge => edge.sharedChunks.length > 0).slice(0, RELATION_EDGE_LIMIT);
+  const vectorIds = candidates.map(edge => `${edge.sharedChunks[0].documentId}#chunk_${edge.sharedChunks[0].chunkIndex}`);
+  const rows = await DocumentChunk.find({ vectorId: { $in: vectorIds } }).select('vectorId chunkText').lean();
+  const textById = new Map(rows.map(row => [row.vectorId, row.chunkText]));
+
+  for (let start = 0; start < candidates.length; start += RELATION_BATCH_SIZE) {
+    const batch = candidates.slice(start, start + RELATION_BATCH_SIZE)
+      .map((edge, i) => ({ edge, passage: textById.get(vectorIds[start + i]) }))
+      .filter(item => item.passage);
+    if (batch.length === 0) continue;
+
+    const prompt = `For each numbered pair of entities, read its passage and state how the first entity relates to the second as a short lowercase verb phrase, such as "works for", "located in", "owns", "signed", "paid", "part of". Use null when the passage states no relation.
+Return ONLY a JSON array of {"pair":number,"relation":string|null,"direction":"forward"|"reverse"}; "reverse" means the relation reads from the second entity to the first.
+
+${batch.map((item, i) => `[${i + 1}] ${nodes.get(item.edge.source).label} (${nodes.get(item.edge.source).type}) / ${nodes.get(item.edge.target).label} (${nodes.get(item.edge.target).type})
+Passage: ${item.passage}`).join('\n\n')}`;
+
+    try {
+      const result = await chat([{ role: 'user', content: prompt }], {
+        task: 'extraction',
+        system: 'You identify relations between named entities and reply with JSON only.',
+        maxTokens: 1024,
+      });
+      const message = result.message || '[]';
+      const parsed = JSON.parse(message.slice(message.indexOf('['), message.lastIndexOf(']') + 1));
+      for (const item of Array.isArray(parsed) ? parsed : []) {
+        const target = batch[Number(item?.pair) - 1];
+        if (!target || typeof item.relation !== 'string' || !item.relation.trim()) continue;
+        const reverse = item.direction === 'reverse';
+        target.edge.relations.push({
+          type: item.relation.trim().toLowerCase().slice(0, 60),
+          from: reverse ? target.edge.target : target.edge.source,
+          to: reverse ? target.edge.source : target.edge.target,
+          documentId: target.edge.sharedChunks[0].documentId,
+          chunkIndex: target.edge.sharedChunks[0].chunkIndex
+        });
+      }
+    } catch (error) {
+      console.error('❌ Relation extraction failed:', error.message);
+    }
+  }
+};
+
+// GraphML attributes are scalar, so lists are flattened and relations written as
+// "<from> <relation> <to>" sentences.
+const toGraphMLDocument = (graph) => {
+  const labels = new Map(graph.nodes.map(node => [node.id, node.label]));
+  return toGraphML({
+    nodes: graph.nodes.map(node => ({ id: node.id, label: node.label, type: node.type, count: node.count, documentCount: node.documentCount, documents: node.documents })),
+    edges: graph.edges.map(edge => ({
+      id: edge.id,
+      source: edge.source,
+      target: edge.target,
+      weight: edge.weight,
+      documents: edge.documents,
+      relations: edge.relations.length > 0
+        ? edge.relations.map(relation => `${labels.get(relation.from)} ${relation.type} ${labels.get(relation.to)}`)
+        : null
+    })),
+  }, { graphId: 'entities' });
+};
+
+// GET /api/entities/graph. params: documentIds | collectionId, type, by (chunk |
+// document), minWeight, maxNodes, relations (true to add LLM relations), format.
+// Returns { format: 'json', graph } or { format: 'graphml', body }. Throws one of GRAPH_ERRORS.
+const buildEntityGraph = async (userId, params = {}) => {
+  const options = parseOptions(params);
+  const documents = await loadDocuments(userId, params);
+  const nodes = buildNodes(documents, options);
+  const edges = buildEdges(documents, nodes, options)
+    .filter(edge => edge.weight >= options.minWeight)
+    .sort((a, b) => b.weight - a.weight || a.id.localeCompare(b.id))
+    .map(edge => ({ ...edge, documents: [...edge.documents].slice(0, MAX_EDGE_DOCUMENTS), relations: [] }));
+
+  if (options.relations) {
+    await extractRelations(edges, nodes);
+  }
+
+  // Isolated nodes stay in: a filter on weight should not hide which entities exist
+  const graph = {
+    nodes: [...nodes.values()],
+    edges: edges.map(({ sharedChunks, ...edge }) => edge),
+    meta: {
+      documentCount: documents.length,
+      nodeCount: nodes.size,
+      edgeCount: edges.length,
+      cooccurrence: options.by,
+      minWeight: options.minWeight,
+      relations: options.relations
+    }
+  };
+  if (options.format === 'graphml') {
+    return { format: 'graphml', body: toGraphMLDocument(graph) };
+  }
+  return { format: 'json', graph };
+};
+
+module.exports = {
+  GRAPH_ERRORS,
+  buildEntityGraph,
+};
@@ -0,0 +1,344 @@
+const mongoose = require('mongoose');
+const Document = require('../models/Document');
+const DocumentChunk = require('../models/DocumentChunk');
+const { chunkTextWithOffsets, pageForOffset } = require('../utils/fileProcessor');
+const { chat, isProviderConfigured } = require('./llmService');
+const { accessibleDocumentsQuery } = require('./permissionService');
+
+// Errors thrown here carry a code in `message` that the routes map to HTTP statuses.
+const ENTITY_ERRORS = {
+  INVALID_ENTITY_QUERY: { status: 400, message: `type must be one or more of ${Document.ENTITY_TYPES.join(', ')}, and limit between 1 and 100.` },
+};
+
+const ENTITY_TYPES = Document.ENTITY_TYPES;
+
+// Chunks are sent to the LLM in batches of up to this many characters
+const BATCH_CHARS = parseInt(process.env.ENTITY_BATCH_CHARS || '6000', 10);
+const MAX_ENTITIES_PER_DOCUMENT = parseInt(process.env.ENTITY_MAX_PER_DOCUMENT || '500', 10);
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const MAX_PASSAGES_PER_DOCUMENT = 50;
+const SNIPPET_CONTEXT = 160;
+
+const TYPE_DESCRIPTIONS = {
+  PERSON: 'people',
+  ORG: 'companies, agencies, institutions',
+  LOCATION: 'countries, cities, addresses, places',
+  DATE: 'dates and periods',
+  MONEY: 'monetary amounts',
+  PERCENT: 'percentages',
+  QUANTITY: 'measurements with units',
+  PRODUCT: 'products, software, vehicles',
+  EVENT: 'named events',
+  LAW: 'laws, regulations, contracts, named clauses',
+  WORK_OF_ART: 'titles of books, songs, reports',
+  LANGUAGE: 'named languages',
+};
+
+const HONORIFICS = /^(mr|mrs|ms|miss|dr|prof|sir|dame|lord|lady)\.?\s+/i;
+const ORG_SUFFIXES = /[,\s]+(inc|incorporated|ltd|limited|llc|llp|plc|corp|corporation|co|company|gmbh|ag|sa|bv|nv)\.?$/i;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Normalized form used to merge spellings of the same entity: lowercase, no
+// accents, leading "the", honorifics or company suffixes, and collapsed spaces.
+const normalizeEntityKey = (text, type) => {
+  let key = text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').trim();
+  key = key.replace(/^the\s+/i, '');
+  if (type === 'PERSON') key = key.replace(HONORIFICS, '');
+  if (type === 'ORG') key = key.replace(ORG_SUFFIXES, '');
+  return key
+    .toLowerCase()
+    .replace(/['’]s$/, '')
+    .replace(/[^\p{L}\p{N}$€£¥%.,/-]+/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+const buildPrompt = (batch) => `Extract named entities from the numbered passages below. Return ONLY a JSON array.
+Each item: {"text":"entity exactly as written","type":"TYPE","passage":number}
+Types: ${ENTITY_TYPES.map(type => `${type} (${TYPE_DESCRIPTIONS[type]})`).join(', ')}.
+List each entity once per passage it appears in. If none are found, return: []
+
+NO explanations. NO markdown. ONLY the JSON array.
+
+${batch.map(chunk => `[${chunk.index}] ${chunk.text}`).join('\n\n')}`;
+
+const parseEntities = (message) => {
+  const start = message.indexOf('[');
+  const end = message.lastIndexOf(']');
+  if (start === -1 || end <= start) return [];
+  const parsed = JSON.parse(message.slice(start, end + 1));
+  if (!Array.isArray(parsed)) return [];
+  return parsed
+    .filter(entity => entity && typeof entity.text === 'string' && entity.text.trim()
+      && typeof entity.type === 'string' && ENTITY_TYPES.includes(entity.type.toUpperCase()))
+    .map(entity => ({
+      text: entity.text.trim().replace(/\s+/g, ' ').slice(0, 200),
+      type: entity.type.toUpperCase(),
+      passage: Number.isInteger(entity.passage) ? entity.passage : null
+    }));
+};
+
+// Consecutive chunks packed into batches of at most BATCH_CHARS.
+const batchChunks = (chunks) => {
+  const batches = [];
+  let batch = [];
+  let size = 0;
+  for (const chunk of chunks) {
+    if (batch.length > 0 && size + chunk.text.length > BATCH_CHARS) {
+      batches.push(batch);
+      batch = [];
+      size = 0;
+    }
+    batch.push(chunk);
+    size += chunk.text.length;
+  }
+  if (batch.length > 0) batches.push(batch);
+  return batches;
+};
+
+// Every occurrence of any of the spellings in the text, as [start, end) ranges.
+// Ranges inside a longer match ("Smith" within "John Smith") are dropped, so each
+// mention is counted once.
+const findMentions = (text, spellings) => {
+  const ranges = [];
+  for (const spelling of spellings) {
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegex(spelling)}(?![\\p{L}\\p{N}])`, 'giu');
+    for (const match of text.matchAll(pattern)) {
+      ranges.push([match.index, match.index + match[0].length]);
+    }
+  }
+  ranges.sort((a, b) => a[0] - b[0] || b[1] - a[1]);
+  const mentions = [];
+  for (const range of ranges) {
+    const last = mentions[mentions.length - 1];
+    if (last && range[0] < last[1]) continue;
+    mentions.push(range);
+  }
+  return mentions;
+};
+
+// Merge raw LLM results into one entry per (type, key). A single-word person name
+// that matches the last word of exactly one longer name joins that person.
+const mergeEntities = (raw) => {
+  const groups = new Map();
+  for (const entity of raw) {
+    const key = normalizeEntityKey(entity.text, entity.type);
+    if (!key) continue;
+    const groupKey = `${entity.type}|${key}`;
+    if (!groups.has(groupKey)) groups.set(groupKey, { type: entity.type, key, spellings: new Map(), passages: new Set() });
+    const group = groups.get(groupKey);
+    group.spellings.set(entity.text, (group.spellings.get(entity.text) || 0) + 1);
+    if (entity.passage !== null) group.passages.add(entity.passage);
+  }
+
+  const people = [...groups.values()].filter(group => group.type === 'PERSON');
+  for (const short of people.filter(group => !group.key.includes(' '))) {
+    const matches = people.filter(group => group !== short && group.key.split(' ').pop() === short.key);
+    if (matches.length !== 1) continue;
+    const [full] = matches;
+    short.spellings.forEach((count, spelling) => full.spellings.set(spelling, (full.spellings.get(spelling) || 0) + count));
+    short.passages.forEach(passage => full.passages.add(passage));
+    groups.delete(`PERSON|${short.key}`);
+  }
+  return [...groups.values()];
+};
+
+// Run extraction over every chunk of the document's current text. Returns the
+// entries for Document.entities, most mentioned first. Batches that fail are
+// skipped: extraction is best-effort and must not block ingestion.
+// options: { onProgress(percent), beforeBatch() } - beforeBatch may throw to stop early.
+const extractDocumentEntities = async (doc, { onProgress, beforeBatch } = {}) => {
+  const text = doc.cleanedText || '';
+  if (!text.trim()) return [];
+  if (!isProviderConfigured('extraction')) {
+    console.warn('⚠️ No LLM provider configured for extraction, skipping entity extraction');
+    return [];
+  }
+
+  // Same chunking as the embedding stage, so chunk indexes match the vectors'
+  const chunks = chunkTextWithOffsets(text, { pageOffsets: doc.pageOffsets, sections: doc.sections })
+    .map((chunk, index) => ({ ...chunk, index }));
+  const batches = batchChunks(chunks);
+
+  const raw = [];
+  for (let i = 0; i < batches.length; i++) {
+    if (beforeBatch) await beforeBatch();
+    try {
+      const result = await chat([{ role: 'user', content: buildPrompt(batches[i]) }], {
+        task: 'extraction',
+        system: 'You extract named entities from documents and reply with JSON only.',
+        maxTokens: 2048,
+      });
+      raw.push(...parseEntities(result.message || '[]'));
+    } catch (error) {
+      console.error(`❌ Entity extraction failed for batch ${i + 1}/${batches.length}:`, error.message);
+    }
+    if (onProgress) await onProgress(((i + 1) / batches.length) * 100);
+  }
+
+  const entities = mergeEntities(raw).map(group => {
+    const spellings = [...group.spellings.keys()];
+    const mentions = findMentions(text, spellings);
+    const chunkIndexes = new Set();
+    const pages = new Set();
+    for (const [start] of mentions) {
+      chunks.filter(chunk => chunk.charStart <= start && start < chunk.charEnd).forEach(chunk => chunkIndexes.add(chunk.index));
+      const page = pageForOffset(start, doc.pageOffsets);
+      if (page) pages.add(page);
+    }
+    // Entities the model rephrased cannot be found verbatim; fall back to the passages it named
+    if (mentions.length === 0) {
+      group.passages.forEach(index => {
+        const chunk = chunks[index];
+        if (!chunk) return;
+        chunkIndexes.add(index);
+        if (chunk.pageStart) pages.add(chunk.pageStart);
+      });
+    }
+    // The most frequent spelling is the canonical name; ties go to the longest
+    const [canonical, ...aliases] = spellings.sort((a, b) => group.spellings.get(b) - group.spellings.get(a) || b.length - a.length);
+    return {
+      text: canonical,
+      type: group.type,
+      key: group.key,
+      aliases,
+      count: Math.max(mentions.length, 1),
+      chunks: [...chunkIndexes].sort((a, b) => a - b),
+      pages: [...pages].sort((a, b) => a - b)
+    };
+  });
+
+  return entities
+    .sort((a, b) => b.count - a.count || a.text.localeCompare(b.text))
+    .slice(0, MAX_ENTITIES_PER_DOCUMENT);
+};
+
+const splitList = (value) => (Array.isArray(value) ? value : String(value).split(','))
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+const snippetFor = (chunkText, spellings) => {
+  const [first] = findMentions(chunkText, spellings);
+  if (!first) return chunkText.length > SNIPPET_CONTEXT * 2 ? `${chunkText.slice(0, SNIPPET_CONTEXT * 2)}…` : chunkText;
+  const start = Math.max(0, first[0] - SNIPPET_CONTEXT);
+  const end = Math.min(chunkText.length, first[1] + SNIPPET_CONTEXT);
+  return `${start > 0 ? '…' : ''}${chunkText.slice(start, end).trim()}${end < chunkText.length ? '…' : ''}`;
+};
+
+// Load a passage (chunk text around the mention) for every chunk listed on each
+// document entry. Chunk text comes from the keyword index rows.
+const attachPassages = async (entities) => {
+  const wanted = [];
+  for (const entity of entities) {
+    for (const document of entity.documents) {
+      document.chunks.slice(0, MAX_PASSAGES_PER_DOCUMENT).forEach(index => wanted.push(`${document.documentId}#chunk_${index}`));
+    }
+  }
+  const rows = wanted.length > 0
+    ? await DocumentChunk.find({ vectorId: { $in: wanted } }).select('vectorId chunkIndex chunkText metadata.pageStart').lean()
+    : [];
+  const byId = new Map(rows.map(row => [row.vectorId, row]));
+
+  for (const entity of entities) {
+    const spellings = [entity.name, ...entity.aliases];
+    for (const document of entity.documents) {
+      document.passages = document.chunks.slice(0, MAX_PASSAGES_PER_DOCUMENT)
+        .map(index => byId.get(`${document.documentId}#chunk_${index}`))
+        .filter(Boolean)
+        .map(row => ({
+          chunkIndex: row.chunkIndex,
+          page: row.metadata?.pageStart ?? null,
+          text: snippetFor(row.chunkText, spellings)
+        }));
+    }
+  }
+};
+
+// GET /api/entities. Entities across every document the user can read, grouped by
+// type and normalized name, most mentioned first, with each document and passage
+// that mentions them. params: type (comma-separated), q (name or alias substring),
+// documentId, limit. Throws INVALID_ENTITY_QUERY.
+const searchEntities = async (userId, params = {}) => {
+  const types = params.type ? splitList(params.type).map(type => type.toUpperCase()) : [];
+  if (types.some(type => !ENTITY_TYPES.includes(type))) throw new Error('INVALID_ENTITY_QUERY');
+  const limit = params.limit === undefined ? DEFAULT_LIMIT : Number(params.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) throw new Error('INVALID_ENTITY_QUERY');
+
+  // Aggregations do not cast ids, so convert them here
+  const userObjectId = new mongoose.Types.ObjectId(String(userId));
+  const documentMatch = { $and: [accessibleDocumentsQuery(userObjectId)] };
+  if (params.documentId) {
+    if (!mongoose.isValidObjectId(params.documentId)) throw new Error('INVALID_ENTITY_QUERY');
+    documentMatch.$and.push({ _id: new mongoose.Types.ObjectId(String(params.documentId)) });
+  }
+
+  // The same conditions select documents (any matching entity) and then, after
+  // $unwind, the matching entities themselves
+  const q = params.q ? String(params.q).trim() : '';
+  const entityConditions = (prefix) => {
+    const conditions = {};
+    if (types.length > 0) conditions[`${prefix}type`] = { $in: types };
+    if (q) {
+      const pattern = { $regex: escapeRegex(q), $options: 'i' };
+      conditions.$or = [{ [`${prefix}text`]: pattern }, { [`${prefix}aliases`]: pattern }];
+    }
+    return conditions;
+  };
+  if (types.length > 0 || q) documentMatch.$and.push({ entities: { $elemMatch: entityConditions('') } });
+
+  const grouped = await Document.aggregate([
+    { $match: documentMatch },
+    { $project: { title: 1, entities: 1 } },
+    { $unwind: '$entities' },
+    { $match: entityConditions('entities.') },
+    {
+      $group: {
+        // Entities from before normalization have no key; group those by their text
+        _id: { type: '$entities.type', key: { $ifNull: ['$entities.key', { $toLower: '$entities.text' }] } },
+        names: { $push: '$entities.text' },
+        aliases: { $push: '$entities.aliases' },
+        totalCount: { $sum: { $ifNull: ['$entities.count', 1] } },
+        documents: {
+          $push: {
+            documentId: '$_id',
+            title: '$title',
+            count: { $ifNull: ['$entities.count', 1] },
+            pages: { $ifNull: ['$entities.pages', []] },
+            chunks: { $ifNull: ['$entities.chunks', []] }
+          }
+        }
+      }
+    },
+    { $sort: { totalCount: -1, '_id.key': 1 } },
+    { $limit: limit }
+  ]);
+
+  const entities = grouped.map(group => {
+    // The name most documents use
+    const counts = new Map();
+    group.names.forEach(name => counts.set(name, (counts.get(name) || 0) + 1));
+    const [name] = [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a));
+    const aliases = [...new Set([...group.names, ...group.aliases.flat()])].filter(alias => alias && alias !== name);
+    return {
+      name,
+      type: group._id.type,
+      key: group._id.key,
+      aliases,
+      totalCount: group.totalCount,
+      documentCount: group.documents.length,
+      documents: group.documents.sort((a, b) => b.count - a.count)
+    };
+  });
+  await attachPassages(entities);
+  return { entities };
+};
+
+module.exports = {
+  ENTITY_ERRORS,
+  ENTITY_TYPES,
+  normalizeEntityKey,
+  extractDocumentEntities,
+  searchEntities,
+};
@@ -0,0 +1,480 @@
+const mongoose = require('mongoose');
+const EvalSet = require('../models/EvalSet');
+const EvalRun = require('../models/EvalRun');
+const { chat, listTaskProviders, isProviderConfigured } = require('./llmService');
+const { getEmbeddingProvider } = require('./aiService');
+const { answerQuestion } = require('./askService');
+const { resolveRetrievalOptions } = require('./retrievalService');
+const { resolveRerankOptions, contentTerms, RERANK_CANDIDATES } = require('./rerankService');
+const { getVectorStore } = require('./vectorDbService');
+const { findAccessibleDocument } = require('./permissionService');
+
+// Errors thrown here carry a code in `message` that the routes map to HTTP statuses.
+// INVALID_EVAL_SET errors also carry the problems in `details`.
+const EVAL_ERRORS = {
+  INVALID_EVAL_SET: { status: 400, message: 'Invalid evaluation set. name, a non-empty documentIds list and 1 to 500 cases with a question are required; expected sources must point at one of the documents.' },
+  EVAL_SET_NAME_TAKEN: { status: 409, message: 'You already have an evaluation set with that name.' },
+  EVAL_SET_NOT_FOUND: { status: 404, message: 'Evaluation set not found or not authorized' },
+  DOCUMENTS_NOT_FOUND: { status: 404, message: 'One or more documents were not found or are not accessible.' },
+  INVALID_RUN_OPTIONS: { status: 400, message: 'Invalid run options. k must be between 1 and 50, topK between k and 100, judge llm, lexical or none, and retrieval and rerank valid /ask options.' },
+  RUN_ALREADY_ACTIVE: { status: 409, message: 'This evaluation set is already running.' },
+  RUN_NOT_FOUND: { status: 404, message: 'Evaluation run not found or not authorized' },
+  INVALID_COMPARISON: { status: 400, message: 'Only completed runs of the same evaluation set can be compared.' },
+};
+
+const MAX_CASES = 500;
+const DEFAULT_K = 5;
+const MAX_K = 50;
+const MAX_TOP_K = 100;
+const JUDGES = ['llm', 'lexical', 'none'];
+const METRICS = ['recallAtK', 'mrr', 'citationAccuracy', 'faithfulness', 'correctness'];
+// The judge reads the same context the answer was written from, cut to this length
+const JUDGE_CONTEXT_CHARS = 16000;
+
+const invalidEvalSet = (details) => Object.assign(new Error('INVALID_EVAL_SET'), { details });
+
+const parseCases = (cases, documentIds) => {
+  if (!Array.isArray(cases) || cases.length === 0 || cases.length > MAX_CASES) {
+    throw invalidEvalSet([`cases: must be a list of 1 to ${MAX_CASES} cases`]);
+  }
+  const problems = [];
+  const parsed = cases.map((item, i) => {
+    if (!item || typeof item.question !== 'string' || !item.question.trim()) {
+      problems.push(`cases[${i}].question: is required`);
+      return null;
+    }
+    const expectedSources = Array.isArray(item.expectedSources) ? item.expectedSources : [];
+    expectedSources.forEach((source, j) => {
+      if (!source || !documentIds.includes(String(source.documentId))) {
+        problems.push(`cases[${i}].expectedSources[${j}].documentId: must be one of documentIds`);
+      }
+      for (const key of ['page', 'chunkIndex']) {
+        if (source?.[key] !== undefined && (!Number.isInteger(source[key]) || source[key] < 0)) {
+          problems.push(`cases[${i}].expectedSources[${j}].${key}: must be a non-negative integer`);
+        }
+      }
+    });
+    return {
+      ...(item._id && mongoose.isValidObjectId(item._id) ? { _id: item._id } : {}),
+      question: item.question.trim(),
+      expectedAnswer: typeof item.expectedAnswer === 'string' ? item.expectedAnswer.trim() : '',
+      expectedSources: expectedSources.map(source => ({
+        documentId: String(source.documentId),
+        ...(source.page !== undefined ? { page: source.page } : {}),
+        ...(source.chunkIndex !== undefined ? { chunkIndex: source.chunkIndex } : {})
+      }))
+    };
+  });
+  if (problems.length > 0) throw invalidEvalSet(problems);
+  return parsed;
+};
+
+// Validate the body of a create or update. Documents must be ones the user can ask about.
+const parseEvalSetInput = async (userId, input, existing = null) => {
+  const changes = {};
+  if (input.name !== undefined || !existing) {
+    if (typeof input.name !== 'string' || !input.name.trim()) throw invalidEvalSet(['name: is required']);
+    changes.name = input.name.trim();
+  }
+  if (input.description !== undefined) changes.description = String(input.description);
+
+  let documentIds = existing ? existing.documents.map(String) : null;
+  if (input.documentIds !== undefined || !existing) {
+    if (!Array.isArray(input.documentIds) || input.documentIds.length === 0) {
+      throw invalidEvalSet(['documentIds: must be a non-empty list']);
+    }
+    documentIds = [...new Set(input.documentIds.map(String))];
+    for (const id of documentIds) {
+      if (!(await findAccessibleDocument(id, userId, 'ask'))) throw new Error('DOCUMENTS_NOT_FOUND');
+    }
+    changes.documents = documentIds;
+  }
+  if (input.cases !== undefined || !existing) {
+    changes.cases = parseCases(input.cases, documentIds);
+  } else if (changes.documents) {
+    // Expected sources must still point at the set's documents
+    parseCases(existing.cases.map(item => item.toObject()), documentIds);
+  }
+  return changes;
+};
+
+const saveEvalSet = async (evalSet) => {
+  try {
+    return await evalSet.save();
+  } catch (error) {
+    if (error.code === 11000) throw new Error('EVAL_SET_NAME_TAKEN');
+    throw error;
+  }
+};
+
+const listEvalSets = async (userId) => {
+  const sets = await EvalSet.find({ owner: userId }).sort({ name: 1 }).lean();
+  return sets.map(({ cases, ...set }) => ({ ...set, caseCount: cases.length }));
+};
+
+const getEvalSet = async (evalSetId, userId) => {
+  if (!mongoose.isValidObjectId(evalSetId)) throw new Error('EVAL_SET_NOT_FOUND');
+  const evalSet = await EvalSet.findOne({ _id: evalSetId, owner: userId });
+  if (!evalSet) throw new Error('EVAL_SET_NOT_FOUND');
+  return evalSet;
+};
+
+const createEvalSet = async (userId, input) => saveEvalSet(new EvalSet({
+  owner: userId,
+  ...(await parseEvalSetInput(userId, input))
+}));
+
+// Cases sent without their _id are new cases; runs keep referring to the old ids.
+const updateEvalSet = async (evalSetId, userId, input) => {
+  const evalSet = await getEvalSet(evalSetId, userId);
+  evalSet.set(await parseEvalSetInput(userId, input, evalSet));
+  return saveEvalSet(evalSet);
+};
+
+const deleteEvalSet = async (evalSetId, userId) => {
+  const evalSet = await getEvalSet(evalSetId, userId);
+  await EvalRun.deleteMany({ evalSet: evalSet._id });
+  await evalSet.deleteOne();
+};
+
+// Without an explicit judge, runs on the stub LLM (or with no LLM at all) use the
+// lexical judge so they stay deterministic.
+const defaultJudge = () => {
+  if (!isProviderConfigured('extraction')) return 'lexical';
+  return listTaskProviders('extraction').every(name => name === 'stub') ? 'lexical' : 'llm';
+};
+
+// The settings a run is scored under. Everything that can change results goes in
+// here, since comparisons diff it.
+const parseRunOptions = (params = {}) => {
+  const k = params.k === undefined ? DEFAULT_K : Number(params.k);
+  const topK = params.topK === undefined ? Math.max(RERANK_CANDIDATES, k) : Number(params.topK);
+  const judge = params.judge || defaultJudge();
+  if (!Number.isInteger(k) || k < 1 || k > MAX_K
+    || !Number.isInteger(topK) || topK < k || topK > MAX_TOP_K
+    || !JUDGES.includes(judge)) {
+    throw new Error('INVALID_RUN_OPTIONS');
+  }
+  let retrieval;
+  let rerank;
+  try {
+    retrieval = resolveRetrievalOptions(params.retrieval || {});
+    rerank = resolveRerankOptions(params.rerank || {});
+  } catch {
+    throw new Error('INVALID_RUN_OPTIONS');
+  }
+  const embeddingProvider = getEmbeddingProvider();
+  // An A/B spec is recorded as all of its providers, e.g. "perplexity,openai"
+  const answerProvider = listTaskProviders('answer').join(',');
+  return {
+    label: typeof params.label === 'string' ? params.label.trim() : '',
+    config: {
+      k,
+      topK,
+      retrieval,
+      rerank,
+      judge,
+      embeddingProvider,
+      answerProvider,
+      vectorStore: getVectorStore().name,
+      deterministic: embeddingProvider === 'local' && answerProvider === 'stub' && judge !== 'llm'
+    }
+  };
+};
+
+// Retrieved chunks carry their pages in metadata, cited sources as page/pageEnd and,
+// when neighbours were merged, several chunk indexes.
+const toLocation = (chunk) => ({
+  documentId: String(chunk.documentId),
+  chunkIndices: chunk.chunkIndices || [chunk.chunkIndex],
+  pageStart: chunk.metadata?.pageStart ?? chunk.page ?? null,
+  pageEnd: chunk.metadata?.pageEnd ?? chunk.pageEnd ?? chunk.metadata?.pageStart ?? chunk.page ?? null,
+});
+
+const matchesExpected = (location, expected) => {
+  if (location.documentId !== String(expected.documentId)) return false;
+  if (expected.chunkIndex !== undefined && expected.chunkIndex !== null) {
+    return location.chunkIndices.includes(expected.chunkIndex);
+  }
+  if (expected.page !== undefined && expected.page !== null) {
+    return location.pageStart !== null && expected.page >= location.pageStart && expected.page <= location.pageEnd;
+  }
+  return true;
+};
+
+// recall@k: share of expected sources found in the top k retrieved chunks.
+// reciprocal rank: 1 / rank of the first retrieved chunk matching any expected source.
+// citation accuracy: share of the answer's citations that point at an expected source.
+const scoreRetrieval = (expectedSources, retrieved, cited, k) => {
+  if (expectedSources.length === 0) {
+    return { recallAtK: null, reciprocalRank: null, firstRelevantRank: null, citationAccuracy: null };
+  }
+  const isRelevant = (location) => expectedSources.some(expected => matchesExpected(location, expected));
+  const topK = retrieved.slice(0, k);
+  const found = expectedSources.filter(expected => topK.some(location => matchesExpected(location, expected))).length;
+  const firstIndex = retrieved.findIndex(isRelevant);
+  return {
+    recallAtK: found / expectedSources.length,
+    reciprocalRank: firstIndex === -1 ? 0 : 1 / (firstIndex + 1),
+    firstRelevantRank: firstIndex === -1 ? null : firstIndex + 1,
+    citationAccuracy: cited.length === 0 ? 0 : cited.filter(isRelevant).length / cited.length
+  };
+};
+
+const stripMarkers = (text) => (text || '').replace(/\[\d+(?:\s*[,;]\s*\d+)*\]/g, ' ');
+
+// Matches the refusal the answer prompt asks for when the context has no answer
+const NOT_AVAILABLE_PATTERN = /not available in the document|couldn't find relevant chunks/i;
+
+// Deterministic stand-in for the LLM judge. Faithfulness is the share of the answer's
+// content words that appear in the context (a refusal counts as faithful, as it does
+// for the LLM judge); correctness the word-level F1 against the expected answer.
+const judgeLexically = ({ answer, contextText, expectedAnswer }) => {
+  const answerTerms = contentTerms(stripMarkers(answer));
+  const contextTerms = new Set(contentTerms(contextText));
+  let faithfulness = answerTerms.length === 0 ? 0 : answerTerms.filter(term => contextTerms.has(term)).length / answerTerms.length;
+  if (NOT_AVAILABLE_PATTERN.test(answer)) faithfulness = 1;
+
+  let correctness = null;
+  if (expectedAnswer) {
+    const expected = new Set(contentTerms(expectedAnswer));
+    const actual = new Set(answerTerms);
+    const overlap = [...actual].filter(term => expected.has(term)).length;
+    const precision = actual.size === 0 ? 0 : overlap / actual.size;
+    const recall = expected.size === 0 ? 0 : overlap / expected.size;
+    correctness = precision + recall === 0 ? 0 : (2 * precision * recall) / (precision + recall);
+  }
+  return { faithfulness, correctness, reasoning: null };
+};
+
+const clampScore = (value) => (typeof value === 'number' && Number.isFinite(value) ? Math.min(1, Math.max(0, value)) : null);
+
+const judgeWithLLM = async ({ question, answer, contextText, expectedAnswer }) => {
+  const prompt = `Grade an answer produced by a document question-answering system.
+
+Faithfulness: the share of the answer's claims that the context supports, from 0 (none) to 1 (all). An answer that correctly says the information is not available is faithful.
+${expectedAnswer ? 'Correctness: how well the answer matches the expected answer in substance, from 0 (wrong or missing) to 1 (equivalent).\n' : ''}
+Return ONLY a JSON object {"faithfulness":number,${expectedAnswer ? '"correctness":number,' : ''}"reasoning":string} with one or two sentences of reasoning.
+
+Context:
+${contextText.slice(0, JUDGE_CONTEXT_CHARS)}
+
+Question: ${question}
+${expectedAnswer ? `Expected answer: ${expectedAnswer}\n` : ''}Answer: ${answer}`;
+
+  const result = await chat([{ role: 'user', content: prompt }], {
+    task: 'extraction',
+    system: 'You are a strict evaluator of answers to questions about documents. Reply with JSON only.',
+    maxTokens: 400,
+  });
+  const message = result.message || '{}';
+  const verdict = JSON.parse(message.slice(message.indexOf('{'), message.lastIndexOf('}') + 1));
+  return {
+    faithfulness: clampScore(verdict.faithfulness),
+    correctness: expectedAnswer ? clampScore(verdict.correctness) : null,
+    reasoning: typeof verdict.reasoning === 'string' ? verdict.reasoning : null
+  };
+};
+
+const judgeAnswer = async (judge, input) => {
+  if (judge === 'none') return { faithfulness: null, correctness: null, reasoning: null };
+  if (judge === 'lexical') return judgeLexically(input);
+  try {
+    return await judgeWithLLM(input);
+  } catch (error) {
+    console.warn('⚠️ Answer judging failed:', error.message);
+    return { faithfulness: null, correctness: null, reasoning: null, judgeError: error.message };
+  }
+};
+
+// Ask one case through the /ask pipeline and score it.
+const runCase = async (item, evalSet, config) => {
+  const question = item.question;
+  const { answer, sources, relevantChunks, citedChunks, contextText } = await answerQuestion({
+    question,
+    userId: evalSet.owner.toString(),
+    scope: { documentId: evalSet.documents.map(String) },
+    retrieval: config.retrieval,
+    rerank: config.rerank,
+    topK: config.topK
+  });
+
+  const retrieved = relevantChunks.map(toLocation);
+  const byMarker = new Map(citedChunks.map(chunk => [chunk.marker, chunk]));
+  const cited = sources.map(source => toLocation(byMarker.get(source.marker) || source));
+  const retrievalScores = scoreRetrieval(item.expectedSources, retrieved, cited, config.k);
+  const verdict = await judgeAnswer(config.judge, { question, answer, contextText, expectedAnswer: item.expectedAnswer });
+
+  return {
+    caseId: item._id.toString(),
+    question,
+    expectedAnswer: item.expectedAnswer,
+    answer,
+    retrieved: retrieved.slice(0, config.k).map(location => ({
+      documentId: location.documentId,
+      chunkIndex: location.chunkIndices[0],
+      page: location.pageStart
+    })),
+    sources: sources.map(source => ({ documentId: source.documentId, chunkIndex: source.chunkIndex, page: source.page })),
+    ...retrievalScores,
+    ...verdict
+  };
+};
+
+const mean = (values) => {
+  const present = values.filter(value => typeof value === 'number');
+  if (present.length === 0) return null;
+  return Math.round((present.reduce((sum, value) => sum + value, 0) / present.length) * 10000) / 10000;
+};
+
+const summarize = (cases, caseCount) => {
+  const scored = cases.filter(item => !item.error);
+  return {
+    caseCount,
+    completedCases: cases.length,
+    failedCases: cases.length - scored.length,
+    recallAtK: mean(scored.map(item => item.recallAtK)),
+    mrr: mean(scored.map(item => item.reciprocalRank)),
+    citationAccuracy: mean(scored.map(item => item.citationAccuracy)),
+    faithfulness: mean(scored.map(item => item.faithfulness)),
+    correctness: mean(scored.map(item => item.correctness))
+  };
+};
+
+// Validate the options and record a running run. executeEvalRun does the work, so
+// the route can answer before the questions have been asked.
+const createEvalRun = async (evalSet, userId, params = {}) => {
+  const { label, config } = parseRunOptions(params);
+  if (await EvalRun.exists({ evalSet: evalSet._id, status: 'running' })) throw new Error('RUN_ALREADY_ACTIVE');
+  for (const id of evalSet.documents) {
+    if (!(await findAccessibleDocument(id, userId, 'ask'))) throw new Error('DOCUMENTS_NOT_FOUND');
+  }
+  return EvalRun.create({
+    evalSet: evalSet._id,
+    owner: userId,
+    label,
+    config,
+    metrics: { caseCount: evalSet.cases.length },
+    startedAt: new Date()
+  });
+};
+
+// Ask every case in order, saving each result as it comes in so a polling client
+// sees progress. A failing case is recorded with its error and the run continues.
+const executeEvalRun = async (run, evalSet, { onCase } = {}) => {
+  const results = [];
+  try {
+    for (const item of evalSet.cases) {
+      let result;
+      try {
+        result = await runCase(item, evalSet, run.config);
+      } catch (error) {
+        console.error(`❌ Evaluation case ${item._id} failed:`, error.message);
+        result = { caseId: item._id.toString(), question: item.question, error: error.message };
+      }
+      results.push(result);
+      if (onCase) onCase(result, results.length, evalSet.cases.length);
+      await EvalRun.updateOne({ _id: run._id }, {
+        $push: { cases: result },
+        $set: { 'metrics.completedCases': results.length }
+      });
+    }
+    const metrics = summarize(results, evalSet.cases.length);
+    console.log(`✅ Evaluation run ${run._id} finished: recall@${run.config.k} ${metrics.recallAtK}, MRR ${metrics.mrr}`);
+    return EvalRun.findByIdAndUpdate(run._id, { status: 'completed', metrics, finishedAt: new Date() }, { new: true }).lean();
+  } catch (error) {
+    console.error(`❌ Evaluation run ${run._id} failed:`, error);
+    return EvalRun.findByIdAndUpdate(run._id, {
+      status: 'failed',
+      error: error.message,
+      metrics: summarize(results, evalSet.cases.length),
+      finishedAt: new Date()
+    }, { new: true }).lean();
+  }
+};
+
+const listEvalRuns = async (evalSet) => EvalRun.find({ evalSet: evalSet._id })
+  .select('-cases')
+  .sort({ createdAt: -1 })
+  .lean();
+
+const getEvalRun = async (runId, userId) => {
+  if (!mongoose.isValidObjectId(runId)) throw new Error('RUN_NOT_FOUND');
+  const run = await EvalRun.findOne({ _id: runId, owner: userId }).lean();
+  if (!run) throw new Error('RUN_NOT_FOUND');
+  return run;
+};
+
+// Config keys whose values differ between two runs, e.g. ['topK', 'rerank'].
+const diffConfig = (base = {}, other = {}) => [...new Set([...Object.keys(base), ...Object.keys(other)])]
+  .filter(key => JSON.stringify(base[key]) !== JSON.stringify(other[key]));
+
+const roundDelta = (a, b) => (typeof a === 'number' && typeof b === 'number' ? Math.round((b - a) * 10000) / 10000 : null);
+
+const caseScores = (item) => (item
+  ? Object.fromEntries([
+    ['recallAtK', item.recallAtK ?? null],
+    ['reciprocalRank', item.reciprocalRank ?? null],
+    ['citationAccuracy', item.citationAccuracy ?? null],
+    ['faithfulness', item.faithfulness ?? null],
+    ['correctness', item.correctness ?? null],
+    ['error', item.error || null]
+  ])
+  : null);
+
+// Side-by-side view of two completed runs of the same set: both configs and metrics,
+// what changed between them (other minus base) and the scores of every case.
+const compareEvalRuns = async (userId, baseRunId, otherRunId) => {
+  const [base, other] = await Promise.all([getEvalRun(baseRunId, userId), getEvalRun(otherRunId, userId)]);
+  if (base.status !== 'completed' || other.status !== 'completed' || base.evalSet.toString() !== other.evalSet.toString()) {
+    throw new Error('INVALID_COMPARISON');
+  }
+  const otherCases = new Map(other.cases.map(item => [item.caseId, item]));
+  const summary = (run) => ({
+    id: run._id,
+    label: run.label,
+    config: run.config,
+    metrics: run.metrics,
+    startedAt: run.startedAt,
+    finishedAt: run.finishedAt
+  });
+  return {
+    evalSetId: base.evalSet,
+    base: summary(base),
+    other: summary(other),
+    configChanges: diffConfig(base.config, other.config),
+    metricDeltas: Object.fromEntries(METRICS.map(metric => [metric, roundDelta(base.metrics?.[metric], other.metrics?.[metric])])),
+    cases: base.cases.map(item => ({
+      caseId: item.caseId,
+      question: item.question,
+      base: caseScores(item),
+      other: caseScores(otherCases.get(item.caseId))
+    }))
+  };
+};
+
+// Runs execute in memory, so a restart leaves them marked running forever otherwise.
+const recoverInterruptedEvalRuns = async () => {
+  const { modifiedCount } = await EvalRun.updateMany(
+    { status: 'running' },
+    { status: 'failed', error: 'Interrupted by server restart', finishedAt: new Date() }
+  );
+  if (modifiedCount > 0) {
+    console.warn(`⚠️ Marked ${modifiedCount} interrupted evaluation run(s) as failed`);
+  }
+};
+
+module.exports = {
+  EVAL_ERRORS,
+  listEvalSets,
+  getEvalSet,
+  createEvalSet,
+  updateEvalSet,
+  deleteEvalSet,
+  createEvalRun,
+  executeEvalRun,
+  listEvalRuns,
+  getEvalRun,
+  compareEvalRuns,
+  recoverInterruptedEvalRuns,
+};
@@ -0,0 +1,435 @@
+const mongoose = require('mongoose');
+const Document = require('../models/Document');
+const ExtractionTemplate = require('../models/ExtractionTemplate');
+const ExtractionResult = require('../models/ExtractionResult');
+const { chat, isProviderConfigured } = require('./llmService');
+const { retrieveRelevantChunks } = require('./retrievalService');
+const { buildCitedContext, loadDocumentTitles } = require('./citationService');
+const { findAccessibleDocument, accessibleDocumentsQuery, listAccessibleDocumentIds } = require('./permissionService');
+const { findOwnedCollection } = require('./collectionService');
+const { checkSchema, validate } = require('../utils/jsonSchema');
+const { toCsv } = require('../utils/csv');
+
+// Errors thrown here carry a code in `message` that the routes map to HTTP statuses.
+// INVALID_TEMPLATE errors also carry the schema problems in `details`.
+const EXTRACTION_ERRORS = {
+  INVALID_TEMPLATE: { status: 400, message: 'Invalid template. name is required and schema must be a JSON Schema of type object with between 1 and 30 properties.' },
+  TEMPLATE_NAME_TAKEN: { status: 409, message: 'You already have a template with that name.' },
+  TEMPLATE_NOT_FOUND: { status: 404, message: 'Template not found or not authorized' },
+  INVALID_EXTRACTION_TARGET: { status: 400, message: 'Send exactly one of documentId or collectionId.' },
+  DOCUMENT_NOT_FOUND: { status: 404, message: 'Document not found or not authorized' },
+  COLLECTION_NOT_FOUND: { status: 404, message: 'Collection not found or not authorized' },
+  DOCUMENT_NOT_READY: { status: 409, message: 'The document has not finished processing.' },
+  NO_DOCUMENTS: { status: 409, message: 'The collection has no processed documents to extract from.' },
+  EXTRACTION_ALREADY_RUNNING: { status: 409, message: 'This template is already running on one of these documents.' },
+  NO_LLM_PROVIDER: { status: 503, message: 'No LLM provider is configured for extraction.' },
+  INVALID_RESULT_QUERY: { status: 400, message: 'Invalid result query. templateId is required, status must be pending, running, completed or failed, limit between 1 and 1000 and format json or csv.' },
+};
+
+const MAX_TEMPLATE_FIELDS = 30;
+// Chunks retrieved per field; the union of all fields' chunks is what the LLM reads
+const FIELD_TOP_K = parseInt(process.env.EXTRACTION_FIELD_TOP_K || '4', 10);
+const EXTRACTION_CONTEXT_CHARS = parseInt(process.env.EXTRACTION_CONTEXT_CHARS || '24000', 10);
+// First call plus retries after unparseable or invalid output
+const MAX_ATTEMPTS = 3;
+const SNIPPET_LENGTH = 300;
+const DEFAULT_RESULT_LIMIT = 100;
+const MAX_RESULT_LIMIT = 1000;
+
+const invalidTemplate = (details) => Object.assign(new Error('INVALID_TEMPLATE'), { details });
+
+const parseTemplateInput = ({ name, description, schema }, { partial = false } = {}) => {
+  const changes = {};
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || !name.trim()) throw invalidTemplate(['name: is required']);
+    changes.name = name.trim();
+  }
+  if (description !== undefined) {
+    if (typeof description !== 'string') throw invalidTemplate(['description: must be a string']);
+    changes.description = description;
+  }
+  if (schema !== undefined || !partial) {
+    const problems = checkSchema(schema);
+    const fieldCount = Object.keys(schema?.properties || {}).length;
+    if (problems.length === 0 && (schema.type !== 'object' || fieldCount === 0 || fieldCount > MAX_TEMPLATE_FIELDS)) {
+      problems.push(`$: must be of type object with between 1 and ${MAX_TEMPLATE_FIELDS} properties`);
+    }
+    if (problems.length > 0) throw invalidTemplate(problems);
+    changes.schema = schema;
+  }
+  return changes;
+};
+
+const saveTemplate = async (template) => {
+  try {
+    return await template.save();
+  } catch (error) {
+    if (error.code === 11000) throw new Error('TEMPLATE_NAME_TAKEN');
+    throw error;
+  }
+};
+
+const listTemplates = (userId) => ExtractionTemplate.find({ owner: userId }).sort({ name: 1 }).lean();
+
+const getTemplate = async (templateId, userId) => {
+  if (!mongoose.isValidObjectId(templateId)) throw new Error('TEMPLATE_NOT_FOUND');
+  const template = await ExtractionTemplate.findOne({ _id: templateId, owner: userId });
+  if (!template) throw new Error('TEMPLATE_NOT_FOUND');
+  return template;
+};
+
+const createTemplate = (userId, input) => saveTemplate(new ExtractionTemplate({ owner: userId, ...parseTemplateInput(input) }));
+
+const updateTemplate = async (templateId, userId, input) => {
+  const template = await getTemplate(templateId, userId);
+  template.set(parseTemplateInput(input, { partial: true }));
+  // Mixed paths are not change-tracked
+  template.markModified('schema');
+  return saveTemplate(template);
+};
+
+const deleteTemplate = async (templateId, userId) => {
+  const template = await getTemplate(templateId, userId);
+  await ExtractionResult.deleteMany({ template: template._id });
+  await template.deleteOne();
+};
+
+// The retrieval query for one field: its title or name, its description and, for
+// lists of objects, the names of the item fields.
+const fieldQuery = (name, property) => {
+  const itemFields = Object.keys(property.items?.properties || {});
+  return [
+    property.title || name.replace(/[_-]+/g, ' '),
+    property.description,
+    itemFields.length > 0 ? itemFields.join(', ') : null
+  ].filter(Boolean).join(': ');
+};
+
+// Retrieve the best chunks of the document for every field and merge them, in
+// reading order, into one numbered context.
+const retrieveFieldChunks = async (template, document, userId) => {
+  const documentId = document._id.toString();
+  const byId = new Map();
+  for (const [name, property] of Object.entries(template.schema.properties)) {
+    const { relevantChunks } = await retrieveRelevantChunks({
+      question: fieldQuery(name, property),
+      userId,
+      // A list, so a field with no match does not fall back to other documents
+      documentId: [documentId],
+      topK: FIELD_TOP_K
+    });
+    for (const chunk of relevantChunks) {
+      if (!byId.has(chunk.id)) byId.set(chunk.id, chunk);
+    }
+  }
+  const chunks = [...byId.values()].sort((a, b) => a.chunkIndex - b.chunkIndex);
+  return buildCitedContext(chunks, { [documentId]: document.title }, EXTRACTION_CONTEXT_CHARS);
+};
+
+const parseReply = (message) => {
+  const text = message || '';
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end < start) throw new Error('no JSON object found');
+  return JSON.parse(text.slice(start, end + 1));
+};
+
+const toCitation = (chunk) => ({
+  documentId: chunk.documentId,
+  chunkIndex: chunk.chunkIndex,
+  page: chunk.metadata?.pageStart ?? null,
+  pageEnd: chunk.metadata?.pageEnd ?? null,
+  section: chunk.metadata?.section ?? null,
+  snippet: chunk.text.length > SNIPPET_LENGTH ? `${chunk.text.slice(0, SNIPPET_LENGTH).trim()}…` : chunk.text
+});
+
+// One citation list per top-level field, from the passage numbers the model gave.
+// Numbers that do not match a passage we sent are dropped.
+const buildFields = (schema, data, sources, citedChunks) => {
+  const byMarker = new Map(citedChunks.map(chunk => [chunk.marker, chunk]));
+  return Object.keys(schema.properties).map(name => {
+    const markers = Array.isArray(sources?.[name]) ? sources[name] : [sources?.[name]];
+    const citations = [...new Set(markers.map(Number))]
+      .filter(marker => byMarker.has(marker))
+      .map(marker => toCitation(byMarker.get(marker)));
+    return { name, value: data[name] === undefined ? null : data[name], citations };
+  });
+};
+
+// Ask for the data and the passages each field came from. Unparseable replies and
+// replies that break the schema are sent back with the problems, up to MAX_ATTEMPTS calls.
+const runExtraction = async (template, document, contextText) => {
+  const messages = [{
+    role: 'user',
+    content: `Extract the fields described by this JSON Schema from the numbered passages of "${document.title}".
+
+Schema:
+${JSON.stringify(template.schema, null, 2)}
+
+Return ONLY a JSON object {"data": <object matching the schema>, "sources": {"<top-level field>": [passage numbers]}}. For every field in "data", list in "sources" the passages its value comes from. Leave out optional fields the passages do not state; never guess. Write dates as YYYY-MM-DD and amounts as plain numbers without currency symbols.
+
+Passages:
+${contextText}`
+  }];
+
+  let validationErrors = [];
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const result = await chat(messages, {
+      task: 'extraction',
+      system: 'You extract structured data from documents exactly as written and reply with JSON only.',
+      maxTokens: 2048,
+    });
+    let reply = null;
+    try {
+      reply = parseReply(result.message);
+      validationErrors = reply && typeof reply.data === 'object' && reply.data !== null
+        ? validate(reply.data, template.schema, '$.data')
+        : ['$.data: is required and must be an object'];
+    } catch (error) {
+      validationErrors = [`reply is not valid JSON (${error.message})`];
+    }
+    if (validationErrors.length === 0) {
+      return { data: reply.data, sources: reply.sources || {}, attempts: attempt, validationErrors };
+    }
+    console.warn(`⚠️ Extraction attempt ${attempt} for document ${document._id} was invalid: ${validationErrors.slice(0, 3).join('; ')}`);
+    messages.push(
+      { role: 'assistant', content: result.message || '' },
+      { role: 'user', content: `That reply is not valid:\n${validationErrors.slice(0, 10).join('\n')}\nReply again with only the corrected JSON object.` }
+    );
+  }
+  return { data: null, sources: {}, attempts: MAX_ATTEMPTS, validationErrors };
+};
+
+// Run a template against one document and store the result, replacing the previous one.
+const extractDocument = async (template, document, userId) => {
+  const filter = { template: template._id, document: document._id };
+  await ExtractionResult.updateOne(filter, {
+    $set: { owner: userId, status: 'running', error: null, validationErrors: [] }
+  }, { upsert: true });
+
+  let update;
+  try {
+    const { contextText, citedChunks } = await retrieveFieldChunks(template, document, userId);
+    if (citedChunks.length === 0) {
+      update = { status: 'failed', error: 'No indexed text was found for this document.', data: null, fields: [], attempts: 0 };
+    } else {
+      const extraction = await runExtraction(template, document, contextText);
+      update = extraction.data
+        ? {
+          status: 'completed',
+          data: extraction.data,
+          fields: buildFields(template.schema, extraction.data, extraction.sources, citedChunks),
+          attempts: extraction.attempts,
+          error: null,
+          validationErrors: []
+        }
+        : {
+          status: 'failed',
+          data: null,
+          fields: [],
+          attempts: extraction.attempts,
+          error: 'The model did not return data matching the schema.',
+          validationErrors: extraction.validationErrors
+        };
+    }
+  } catch (error) {
+    console.error(`❌ Extraction failed for document ${document._id}:`, error.message);
+    update = { status: 'failed', error: error.message, data: null, fields: [] };
+  }
+  return ExtractionResult.findOneAndUpdate(filter, { ...update, completedAt: new Date() }, { new: true }).lean();
+};
+
+const assertNotRunning = async (template, documentIds) => {
+  const running = await ExtractionResult.exists({
+    template: template._id,
+    document: { $in: documentIds },
+    status: { $in: ['pending', 'running'] }
+  });
+  if (running) throw new Error('EXTRACTION_ALREADY_RUNNING');
+};
+
+// POST /api/extraction/templates/:id/run. A documentId is extracted before the call
+// returns ({ status: 'completed', results }); a collectionId queues every processed
+// document in it and extracts them one at a time in the background
+// ({ status: 'processing', results, skipped }). Throws one of EXTRACTION_ERRORS.
+const runTemplate = async (templateId, userId, { documentId, collectionId } = {}) => {
+  const template = await getTemplate(templateId, userId);
+  if (Boolean(documentId) === Boolean(collectionId)) throw new Error('INVALID_EXTRACTION_TARGET');
+  if (!isProviderConfigured('extraction')) throw new Error('NO_LLM_PROVIDER');
+
+  if (documentId) {
+    const access = await findAccessibleDocument(documentId, userId, 'ask');
+    if (!access) throw new Error('DOCUMENT_NOT_FOUND');
+    if (!access.document.isProcessed) throw new Error('DOCUMENT_NOT_READY');
+    await assertNotRunning(template, [access.document._id]);
+    const result = await extractDocument(template, access.document, userId);
+    return { status: 'completed', results: [result], skipped: [] };
+  }
+
+  const collection = await findOwnedCollection(collectionId, userId);
+  if (!collection) throw new Error('COLLECTION_NOT_FOUND');
+  const documents = await Document.find({ $and: [accessibleDocumentsQuery(userId), { collections: collection._id }] })
+    .select('title isProcessed')
+    .lean();
+  const ready = documents.filter(doc => doc.isProcessed);
+  if (ready.length === 0) throw new Error('NO_DOCUMENTS');
+  await assertNotRunning(template, ready.map(doc => doc._id));
+
+  await ExtractionResult.bulkWrite(ready.map(doc => ({
+    updateOne: {
+      filter: { template: template._id, document: doc._id },
+      update: { $set: { owner: userId, status: 'pending', error: null, validationErrors: [] } },
+      upsert: true
+    }
+  })));
+
+  (async () => {
+    for (const doc of ready) {
+      await extractDocument(template, doc, userId);
+    }
+    console.log(`✅ Template "${template.name}" extracted from ${ready.length} document(s) in collection ${collection._id}`);
+  })().catch(error => console.error('❌ Collection extraction failed:', error));
+
+  const results = await ExtractionResult.find({ template: template._id, document: { $in: ready.map(doc => doc._id) } }).lean();
+  return {
+    status: 'processing',
+    results,
+    skipped: documents.filter(doc => !doc.isProcessed).map(doc => ({ documentId: doc._id.toString(), title: doc.title, reason: 'not processed' }))
+  };
+};
+
+// field_<name>=<value> matches results whose data.<name> equals the value. Query
+// strings are untyped, so numbers and booleans are matched in both forms.
+const fieldCondition = (value) => {
+  const candidates = [value];
+  if (value !== '' && !Number.isNaN(Number(value))) candidates.push(Number(value));
+  if (value === 'true' || value === 'false') candidates.push(value === 'true');
+  return { $in: candidates };
+};
+
+const parseResultQuery = (query) => {
+  const limit = query.limit === undefined ? DEFAULT_RESULT_LIMIT : Number(query.limit);
+  const format = query.format || 'json';
+  if (!query.templateId
+    || (query.status && !ExtractionResult.STATUSES.includes(query.status))
+    || !Number.isInteger(limit) || limit < 1 || limit > MAX_RESULT_LIMIT
+    || !['json', 'csv'].includes(format)
+    || (query.documentId && !mongoose.isValidObjectId(query.documentId))) {
+    throw new Error('INVALID_RESULT_QUERY');
+  }
+  const fieldFilters = Object.entries(query)
+    .filter(([key]) => key.startsWith('field_') && key.length > 'field_'.length)
+    .map(([key, value]) => [key.slice('field_'.length), String(value)]);
+  return { limit, format, fieldFilters };
+};
+
+const toResultView = (result, titlesById) => ({
+  ...result,
+  documentTitle: titlesById[result.document.toString()] || null
+});
+
+// GET /api/extraction/results. query: templateId (required), documentId, collectionId,
+// status, field_<name>=<value>, limit and format (json | csv). Only results for
+// documents the user can still read are returned.
+const queryResults = async (userId, query = {}) => {
+  const { limit, format, fieldFilters } = parseResultQuery(query);
+  const template = await getTemplate(query.templateId, userId);
+
+  let documentIds = await listAccessibleDocumentIds(userId);
+  if (query.documentId) {
+    documentIds = documentIds.filter(id => id === query.documentId);
+  }
+  if (query.collectionId) {
+    const collection = await findOwnedCollection(query.collectionId, userId);
+    if (!collection) throw new Error('COLLECTION_NOT_FOUND');
+    const members = await Document.find({ collections: collection._id }).select('_id').lean();
+    const memberIds = new Set(members.map(doc => doc._id.toString()));
+    documentIds = documentIds.filter(id => memberIds.has(id));
+  }
+
+  const filter = { template: template._id, owner: userId, document: { $in: documentIds } };
+  if (query.status) filter.status = query.status;
+  for (const [name, value] of fieldFilters) {
+    filter[`data.${name}`] = fieldCondition(value);
+  }
+
+  const results = await ExtractionResult.find(filter).sort({ updatedAt: -1 }).limit(limit).lean();
+  const titlesById = await loadDocumentTitles(results.map(result => result.document));
+  const views = results.map(result => toResultView(result, titlesById));
+  if (format === 'csv') {
+    return { format: 'csv', template, body: toResultsCsv(template, views) };
+  }
+  return { format: 'json', template, results: views };
+};
+
+const getResult = async (resultId, userId) => {
+  if (!mongoose.isValidObjectId(resultId)) return null;
+  const result = await ExtractionResult.findOne({ _id: resultId, owner: userId }).lean();
+  if (!result || !(await findAccessibleDocument(result.document, userId, 'read'))) return null;
+  const titlesById = await loadDocumentTitles([result.document]);
+  return toResultView(result, titlesById);
+};
+
+const formatCitations = (citations = []) => citations
+  .map(citation => {
+    if (citation.page) return citation.pageEnd && citation.pageEnd !== citation.page ? `pp. ${citation.page}-${citation.pageEnd}` : `p. ${citation.page}`;
+    return citation.section ? `"${citation.section}"` : `chunk ${citation.chunkIndex}`;
+  })
+  .join('; ');
+
+// One row per document, one column per top-level field followed by a <field>_source
+// column with the pages (or sections) it was cited from. Lists and objects are JSON.
+const toResultsCsv = (template, results) => {
+  const fieldNames = Object.keys(template.schema.properties);
+  const columns = [
+    { key: 'documentId' },
+    { key: 'documentTitle' },
+    { key: 'status' },
+    ...fieldNames.flatMap(name => [{ key: `field:${name}`, header: name }, { key: `source:${name}`, header: `${name}_source` }]),
+    { key: 'error' },
+    { key: 'completedAt' },
+  ];
+  const rows = results.map(result => {
+    const row = {
+      documentId: result.document.toString(),
+      documentTitle: result.documentTitle,
+      status: result.status,
+      error: result.error || (result.validationErrors || []).join('; '),
+      completedAt: result.completedAt ? new Date(result.completedAt).toISOString() : null
+    };
+    const fields = new Map((result.fields || []).map(field => [field.name, field]));
+    for (const name of fieldNames) {
+      row[`field:${name}`] = result.data?.[name];
+      row[`source:${name}`] = formatCitations(fields.get(name)?.citations);
+    }
+    return row;
+  });
+  return toCsv(rows, columns);
+};
+
+const deleteDocumentExtractions = (documentId) => ExtractionResult.deleteMany({ document: documentId });
+
+// Collection runs happen in memory, so a restart leaves their queued rows behind.
+const recoverInterruptedExtractions = async () => {
+  const { modifiedCount } = await ExtractionResult.updateMany(
+    { status: { $in: ['pending', 'running'] } },
+    { status: 'failed', error: 'Interrupted by server restart', completedAt: new Date() }
+  );
+  if (modifiedCount > 0) {
+    console.warn(`⚠️ Marked ${modifiedCount} interrupted extraction(s) as failed`);
+  }
+};
+
+module.exports = {
+  EXTRACTION_ERRORS,
+  listTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  runTemplate,
+  queryResults,
+  getResult,
+  deleteDocumentExtractions,
+  recoverInterruptedExtractions,
+};
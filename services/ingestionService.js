@@ -0,0 +1,643 @@
+const crypto = require('crypto');
+const cloudinary = require('../utils/cloudinary');
+const { chunkTextWithOffsets } = require('../utils/fileProcessor');
+const { FORMATS, extractDocument } = require('../utils/extractors');
+const Document = require('../models/Document');
+const IngestionJob = require('../models/IngestionJob');
+const DocumentVersion = require('../models/DocumentVersion');
+const { generateEmbeddings } = require('./aiService');
+const { upsertVectors, pruneDocumentVectors, checkDocumentVectors, deleteVectorsByDocumentId } = require('./vectorDbService');
+const { buildFilterMetadata } = require('./documentMetadataService');
+const { extractDocumentEntities } = require('./entityService');
+const { accessibleDocumentsQuery } = require('./permissionService');
+
+const VERIFY_ATTEMPTS = parseInt(process.env.INGESTION_VERIFY_ATTEMPTS || '5', 10);
+const VERIFY_DELAY_MS = parseInt(process.env.INGESTION_VERIFY_DELAY_MS || '1000', 10);
+// Chunks embedded between progress updates and cancellation checks; each group goes
+// out as concurrent batch requests
+const EMBEDDING_GROUP_SIZE = parseInt(process.env.INGESTION_EMBEDDING_GROUP_SIZE || '200', 10);
+
+// How long a failed job keeps a file that never reached Cloudinary, so it can be retried
+const PENDING_FILE_TTL_MS = parseInt(process.env.INGESTION_PENDING_FILE_TTL_MS || '3600000', 10);
+
+// File bytes for jobs that have not finished yet, as { buffer, timer }. Once the
+// file is on Cloudinary, retries download it from there instead.
+const pendingFiles = new Map();
+
+const holdFile = (jobId, buffer) => {
+  pendingFiles.set(jobId.toString(), { buffer, timer: null });
+};
+
+const getHeldFile = (jobId) => pendingFiles.get(jobId.toString())?.buffer || null;
+
+const releaseFile = (jobId) => {
+  const held = pendingFiles.get(jobId.toString());
+  if (held?.timer) clearTimeout(held.timer);
+  pendingFiles.delete(jobId.toString());
+};
+
+// Keep the file for a retry, but not for the life of the process
+const expireFile = (jobId) => {
+  const held = pendingFiles.get(jobId.toString());
+  if (!held) return;
+  if (held.timer) clearTimeout(held.timer);
+  held.timer = setTimeout(() => pendingFiles.delete(jobId.toString()), PENDING_FILE_TTL_MS);
+  held.timer.unref();
+};
+
+// A retry is running again, so its file must not expire underneath it
+const keepFile = (jobId) => {
+  const held = pendingFiles.get(jobId.toString());
+  if (held?.timer) {
+    clearTimeout(held.timer);
+    held.timer = null;
+  }
+};
+
+// Embeddings only live for the duration of a run, so a retry that resumes at
+// "indexed" has to go back and embed again.
+const runState = new Map();
+
+class IngestionCancelledError extends Error {
+  constructor() {
+    super('Ingestion cancelled by user');
+    this.name = 'IngestionCancelledError';
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const getStage = (job, name) => job.stages.find(s => s.name === name);
+
+const setStageProgress = async (job, name, progress) => {
+  const stage = getStage(job, name);
+  stage.progress = Math.max(0, Math.min(100, Math.round(progress)));
+  await job.save();
+};
+
+// Deleting a document removes its job and document rows while the job may still be
+// running, so a missing job or document counts as a cancellation too.
+const throwIfCancelled = async (job) => {
+  const [fresh, documentExists] = await Promise.all([
+    IngestionJob.findById(job._id).select('cancelRequested').lean(),
+    Document.exists({ _id: job.document }),
+  ]);
+  if (!fresh || !documentExists || fresh.cancelRequested) {
+    throw new IngestionCancelledError();
+  }
+};
+
+// Raw uploads keep the original bytes and extension, so the stored file can be
+// downloaded as the same DOCX/EPUB/... that the user uploaded.
+const uploadToCloudinary = (buffer, originalName, format) => new Promise((resolve, reject) => {
+  const extension = FORMATS[format].extensions[0].slice(1);
+  const stream = cloudinary.uploader.upload_stream(
+    {
+      folder: 'deepsearch_documents',
+      resource_type: 'raw',
+      format: extension,
+      public_id: `${format}-${Date.now()}-${originalName.split('.')[0].replace(/[^a-zA-Z0-9-]/g, '_')}`
+    },
+    (error, result) => {
+      if (error) return reject(error);
+      resolve(result);
+    }
+  );
+  stream.end(buffer);
+});
+
+const loadFileBuffer = async (job, doc) => {
+  const pending = getHeldFile(job._id);
+  if (pending) return pending;
+
+  if (!doc.cloudinaryUrl) {
+    throw new Error('Original file is no longer available, please upload it again.');
+  }
+  const response = await fetch(doc.cloudinaryUrl);
+  if (!response.ok) {
+    throw new Error(`Failed to download stored file: ${response.status}`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+};
+
+// Chunk and embed `source` (a document or version row) in groups, checking
+// `beforeGroup` and reporting `onProgress` between them.
+const embedChunks = async (source, { beforeGroup, onProgress, cacheStats } = {}) => {
+  const textChunks = chunkTextWithOffsets(source.cleanedText || '', { pageOffsets: source.pageOffsets, sections: source.sections });
+  if (textChunks.length === 0) {
+    throw new Error('No extractable text found in document.');
+  }
+
+  const vectors = [];
+  for (let start = 0; start < textChunks.length; start += EMBEDDING_GROUP_SIZE) {
+    if (beforeGroup) await beforeGroup();
+    const group = textChunks.slice(start, start + EMBEDDING_GROUP_SIZE);
+    const embeddings = await generateEmbeddings(group.map(chunk => chunk.text), { cacheStats });
+    group.forEach((chunk, i) => {
+      vectors.push({
+        values: embeddings[i],
+        metadata: {
+          text: chunk.text,
+          charStart: chunk.charStart,
+          charEnd: chunk.charEnd,
+          // Pinecone metadata cannot hold null, so leave page/section fields out when unknown
+          ...(chunk.pageStart ? { pageStart: chunk.pageStart, pageEnd: chunk.pageEnd } : {}),
+          ...(chunk.section ? { section: chunk.section } : {})
+        }
+      });
+    });
+    if (onProgress) await onProgress((vectors.length / textChunks.length) * 100);
+  }
+  return vectors;
+};
+
+// Upsert over the document's existing vectors and only then drop the chunks the new
+// text no longer has, so a failed upsert never leaves the document without vectors.
+const indexDocumentVectors = async (doc, vectors) => {
+  // Re-read the filterable fields here: collections or tags may have changed while the document was processing
+  const current = await Document.findById(doc._id).select('collections tags customFields');
+  const filterMetadata = buildFilterMetadata(current || doc);
+  const indexedVectors = vectors.map(vec => ({ ...vec, metadata: { ...vec.metadata, ...filterMetadata } }));
+  await upsertVectors(indexedVectors, doc._id.toString(), doc.owner.toString());
+  await pruneDocumentVectors(doc._id.toString(), indexedVectors.length);
+};
+
+// Stages write the file and text to `target`: the document itself for uploads, or the
+// DocumentVersion row being built for version and reindex jobs.
+const stageHandlers = {
+  stored: async (job, doc, target) => {
+    if (target.cloudinaryId) return;
+    const buffer = getHeldFile(job._id);
+    if (!buffer) {
+      throw new Error('Original file is no longer available, please upload it again.');
+    }
+    const cloudinaryResult = await uploadToCloudinary(buffer, job.version ? target.fileName : doc.title, target.sourceFormat);
+    target.cloudinaryUrl = cloudinaryResult.secure_url;
+    target.cloudinaryId = cloudinaryResult.public_id;
+    await target.save();
+  },
+
+  parsed: async (job, doc, target) => {
+    const buffer = await loadFileBuffer(job, target);
+    const extracted = await extractDocument(buffer, target.sourceFormat);
+    target.rawText = extracted.rawText;
+    target.cleanedText = extracted.cleanedText;
+    target.pageCount = extracted.pageCount;
+    target.pageOffsets = extracted.pageOffsets;
+    target.sections = extracted.sections;
+    target.documentInfo = extracted.info;
+    await target.save();
+    job.stats.characters = target.cleanedText.length;
+    job.markModified('stats');
+  },
+
+  entities: async (job, doc, target) => {
+    // Entity extraction is best-effort: a failure here should not block search.
+    let extractedEntities = [];
+    try {
+      extractedEntities = await extractDocumentEntities(target, {
+        beforeBatch: () => throwIfCancelled(job),
+        onProgress: (progress) => setStageProgress(job, 'entities', progress)
+      });
+    } catch (entityError) {
+      if (entityError instanceof IngestionCancelledError) throw entityError;
+      console.error('❌ Entity extraction failed:', entityError.message);
+    }
+    target.entities = extractedEntities;
+    await target.save();
+    job.stats.entities = extractedEntities.length;
+    job.markModified('stats');
+  },
+
+  embedded: async (job, doc, target) => {
+    const cacheStats = { hits: 0, misses: 0 };
+    const vectors = await embedChunks(target, {
+      beforeGroup: () => throwIfCancelled(job),
+      onProgress: (progress) => setStageProgress(job, 'embedded', progress),
+      cacheStats
+    });
+
+    runState.set(job._id.toString(), { vectors });
+    job.stats.chunks = vectors.length;
+    job.stats.embeddingCache = cacheStats;
+    job.markModified('stats');
+  },
+
+  indexed: async (job, doc, target) => {
+    const { vectors } = runState.get(job._id.toString()) || {};
+    if (!vectors) {
+      throw new Error('Embeddings missing for indexing stage.');
+    }
+    await throwIfCancelled(job);
+    await indexDocumentVectors(doc, vectors);
+    // The document may have been deleted, vectors and all, while the upsert ran
+    if (!(await Document.exists({ _id: doc._id }))) {
+      await deleteVectorsByDocumentId(doc._id.toString());
+      throw new IngestionCancelledError();
+    }
+    // The version's chunks have replaced the current ones, so the document has to
+    // describe that version from now on, whatever happens to the rest of the job
+    if (job.version) await switchToVersion(doc, target, job.version);
+    job.stats.vectorsUpserted = vectors.length;
+    job.markModified('stats');
+  },
+
+  verified: async (job, doc) => {
+    // Pinecone is eventually consistent, so poll for a little while before giving up.
+    let countEstimate = 0;
+    for (let attempt = 1; attempt <= VERIFY_ATTEMPTS; attempt++) {
+      const vecState = await checkDocumentVectors(doc._id.toString(), doc.owner.toString());
+      countEstimate = vecState?.countEstimate || 0;
+      if (countEstimate > 0) break;
+      await setStageProgress(job, 'verified', (attempt / VERIFY_ATTEMPTS) * 100);
+      if (attempt < VERIFY_ATTEMPTS) await sleep(VERIFY_DELAY_MS * attempt);
+    }
+    if (countEstimate === 0) {
+      throw new Error('Vectors were not found in the index after upload.');
+    }
+    doc.vectorCountEstimate = countEstimate;
+    await doc.save();
+  },
+};
+
+// Copy the finished document's file and text into its current version, or mark that
+// version failed if it never got that far.
+const recordVersion = async (doc, status) => {
+  const filter = { document: doc._id, version: doc.currentVersion || 1 };
+  if (status === 'completed') {
+    const content = Object.fromEntries(DocumentVersion.CONTENT_FIELDS.map(field => [field, doc[field]]));
+    await DocumentVersion.updateOne(filter, { $set: { ...content, status: 'ready' }, $setOnInsert: { fileName: doc.title } }, { upsert: true });
+  } else {
+    await DocumentVersion.updateOne({ ...filter, status: 'processing' }, { status: 'failed' });
+  }
+};
+
+// Re-embed the document's current text, e.g. after a version job failed part way
+// through replacing its vectors. The embedding cache makes this cheap for text indexed before.
+const restoreDocumentVectors = async (doc) => {
+  const vectors = await embedChunks(doc);
+  await indexDocumentVectors(doc, vectors);
+  console.log(`↩️ Restored the vectors of version ${doc.currentVersion} of document ${doc._id}`);
+};
+
+// Point the document at `target`'s version: its file and text are copied over.
+const switchToVersion = async (doc, target, version) => {
+  for (const field of DocumentVersion.CONTENT_FIELDS) {
+    doc[field] = target[field];
+  }
+  doc.currentVersion = version;
+  doc.processingStatus = 'completed';
+  doc.isProcessed = true;
+  await doc.save();
+  target.status = 'ready';
+  await target.save();
+};
+
+// A version or reindex job switches the document to its version as soon as the
+// "indexed" stage has replaced the vectors, so until then searches and citations keep
+// using the current version. A job that stops before that point leaves the document
+// on its current version, whose vectors are rebuilt if the upsert had started.
+const finishVersionJob = async (job, doc, target, status) => {
+  if (doc.currentVersion === job.version) return;
+  if (status === 'completed') {
+    await switchToVersion(doc, target, job.version);
+    return;
+  }
+
+  if (target?.status === 'processing') {
+    target.status = 'failed';
+    await target.save();
+  }
+  if (getStage(job, 'indexed').startedAt) {
+    try {
+      await restoreDocumentVectors(doc);
+    } catch (restoreError) {
+      console.error(`❌ Could not restore the vectors of document ${doc._id}:`, restoreError.message);
+    }
+  }
+};
+
+const finishJob = async (job, doc, target, status, error) => {
+  runState.delete(job._id.toString());
+  // Only a file that never reached Cloudinary is worth holding on to for a retry
+  const stored = getStage(job, 'stored');
+  if (status === 'failed' && stored.status !== 'completed') {
+    expireFile(job._id);
+  } else {
+    releaseFile(job._id);
+  }
+
+  // Deleted while running: there is no job or document left to update
+  if (!(await Document.exists({ _id: doc._id }))) return;
+
+  job.status = status;
+  job.currentStage = null;
+  job.finishedAt = new Date();
+  job.error = error || undefined;
+  await job.save();
+
+  if (job.version) {
+    await finishVersionJob(job, doc, target, status);
+    return;
+  }
+
+  doc.processingStatus = status;
+  doc.isProcessed = status === 'completed';
+  await doc.save();
+
+  try {
+    await recordVersion(doc, status);
+  } catch (versionError) {
+    console.error(`❌ Could not record version ${doc.currentVersion} of document ${doc._id}:`, versionError.message);
+  }
+};
+
+const runIngestionJob = async (jobId) => {
+  const job = await IngestionJob.findById(jobId);
+  if (!job || job.status !== 'queued') return;
+
+  const doc = await Document.findById(job.document);
+  if (!doc) {
+    job.status = 'failed';
+    job.error = { stage: null, message: 'Document no longer exists.' };
+    job.finishedAt = new Date();
+    await job.save();
+    return;
+  }
+  const target = job.version
+    ? await DocumentVersion.findOne({ document: doc._id, version: job.version })
+    : doc;
+  if (!target) {
+    job.status = 'failed';
+    job.error = { stage: null, message: `Version ${job.version} no longer exists.` };
+    job.finishedAt = new Date();
+    await job.save();
+    return;
+  }
+
+  job.status = 'running';
+  job.attempts += 1;
+  job.startedAt = job.startedAt || new Date();
+  job.finishedAt = undefined;
+  job.error = undefined;
+  await job.save();
+
+  // A new version or rollback leaves the current version searchable while it runs
+  if (!job.version) {
+    doc.processingStatus = 'processing';
+    doc.isProcessed = false;
+    await doc.save();
+  }
+
+  console.log(`🚚 Ingestion job ${job._id} started for document ${doc._id} (attempt ${job.attempts})`);
+
+  let currentStage = null;
+  try {
+    for (const name of IngestionJob.STAGES) {
+      const stage = getStage(job, name);
+      if (stage.status === 'completed' || stage.status === 'skipped') continue;
+
+      await throwIfCancelled(job);
+
+      currentStage = name;
+      job.currentStage = name;
+      stage.status = 'running';
+      stage.progress = 0;
+      stage.startedAt = new Date();
+      stage.completedAt = undefined;
+      stage.error = undefined;
+      await job.save();
+
+      await stageHandlers[name](job, doc, target);
+
+      stage.status = 'completed';
+      stage.progress = 100;
+      stage.completedAt = new Date();
+      await job.save();
+      console.log(`✅ Ingestion job ${job._id}: stage "${name}" complete`);
+    }
+
+    await finishJob(job, doc, target, 'completed');
+    console.log(`✅ Ingestion job ${job._id} completed`);
+  } catch (error) {
+    const stage = currentStage && getStage(job, currentStage);
+    // Saving a job or document that was deleted mid-stage fails; that is a cancellation too
+    const deleted = !(error instanceof IngestionCancelledError) && !(await Document.exists({ _id: doc._id }));
+    if (error instanceof IngestionCancelledError || deleted) {
+      if (stage && stage.status === 'running') stage.status = 'pending';
+      await finishJob(job, doc, target, 'cancelled', { stage: currentStage, message: error.message });
+      console.log(`🛑 Ingestion job ${job._id} cancelled`);
+      return;
+    }
+
+    console.error(`❌ Ingestion job ${job._id} failed at stage "${currentStage}":`, error);
+    if (stage) {
+      stage.status = 'failed';
+      stage.error = error.message;
+    }
+    await finishJob(job, doc, target, 'failed', { stage: currentStage, message: error.message });
+  }
+};
+
+const scheduleJob = (jobId) => {
+  setImmediate(() => {
+    runIngestionJob(jobId).catch(err => {
+      console.error(`❌ Ingestion job ${jobId} crashed:`, err);
+    });
+  });
+};
+
+const hashFile = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// A copy of the same file the user owns, or with includeShared one they can read,
+// preferring their own. Failed and cancelled uploads are not counted, so the file can
+// be uploaded again.
+const findDuplicateDocument = async (contentHash, userId, { includeShared = false } = {}) => {
+  const candidates = await Document.find({
+    $and: [
+      accessibleDocumentsQuery(userId, { scope: includeShared ? 'all' : 'owned' }),
+      { contentHash, processingStatus: { $nin: ['failed', 'cancelled'] } }
+    ]
+  })
+    .select('-rawText -cleanedText -pageOffsets -sections -summaryCache')
+    .sort({ createdAt: 1 });
+  return candidates.find(doc => doc.owner.toString() === userId) || candidates[0] || null;
+};
+
+// With `storeFile: false` the original is never uploaded to Cloudinary (offline
+// indexing, see scripts/indexEvalFixtures.js); such a document can only be re-parsed
+// while the job still holds its file.
+const createIngestionJob = async (file, userId, format, contentHash = hashFile(file.buffer), { storeFile = true } = {}) => {
+  const doc = new Document({
+    title: file.originalname,
+    owner: userId,
+    fileSize: file.size,
+    sourceFormat: format,
+    mimeType: file.mimetype,
+    contentHash,
+    processingStatus: 'queued'
+  });
+  await doc.save();
+
+  const job = new IngestionJob({ document: doc._id, owner: userId });
+  if (!storeFile) getStage(job, 'stored').status = 'skipped';
+  await job.save();
+
+  doc.ingestionJob = job._id;
+  await doc.save();
+
+  await DocumentVersion.create({
+    document: doc._id,
+    version: doc.currentVersion,
+    fileName: file.originalname,
+    uploadedBy: userId,
+    fileSize: file.size,
+    sourceFormat: format,
+    mimeType: file.mimetype,
+    contentHash
+  });
+
+  holdFile(job._id, file.buffer);
+  scheduleJob(job._id);
+
+  return { document: doc, job };
+};
+
+// Process `file` as revision `version` of an existing document. The caller has already
+// created the DocumentVersion row, which the job fills in; the document keeps its id,
+// metadata and shares and switches to the new file, text and vectors once they are indexed.
+const createVersionIngestionJob = async (doc, file, version) => {
+  const job = new IngestionJob({ document: doc._id, owner: doc.owner, kind: 'version', version });
+  await job.save();
+  doc.ingestionJob = job._id;
+  await doc.save();
+
+  holdFile(job._id, file.buffer);
+  scheduleJob(job._id);
+  return job;
+};
+
+// Re-embed and re-index an older version's stored text to make it current again.
+// Storing, parsing and entity extraction are skipped.
+const createReindexJob = async (doc, version) => {
+  const job = new IngestionJob({ document: doc._id, owner: doc.owner, kind: 'reindex', version });
+  for (const stage of job.stages) {
+    if (['stored', 'parsed', 'entities'].includes(stage.name)) stage.status = 'skipped';
+  }
+  await job.save();
+
+  doc.ingestionJob = job._id;
+  await doc.save();
+
+  scheduleJob(job._id);
+  return job;
+};
+
+const isJobActive = (job) => Boolean(job) && (job.status === 'running' || job.status === 'queued');
+
+const retryIngestionJob = async (job) => {
+  if (isJobActive(job)) {
+    throw new Error('JOB_ALREADY_ACTIVE');
+  }
+
+  // Reset every stage from the first unfinished one onwards. Embeddings are not
+  // persisted, so resuming at "indexed" means re-running "embedded" as well.
+  const stages = IngestionJob.STAGES;
+  let resumeIndex = job.stages.findIndex(s => s.status !== 'completed' && s.status !== 'skipped');
+  if (resumeIndex === -1) resumeIndex = stages.indexOf('verified');
+  if (resumeIndex > stages.indexOf('embedded') && resumeIndex <= stages.indexOf('indexed')) {
+    resumeIndex = stages.indexOf('embedded');
+  }
+  job.stages.forEach((stage, i) => {
+    if (i >= resumeIndex) {
+      stage.status = 'pending';
+      stage.progress = 0;
+      stage.startedAt = undefined;
+      stage.completedAt = undefined;
+      stage.error = undefined;
+    }
+  });
+  keepFile(job._id);
+  job.status = 'queued';
+  job.cancelRequested = false;
+  job.error = undefined;
+  await job.save();
+
+  if (job.version) {
+    await DocumentVersion.updateOne({ document: job.document, version: job.version, status: 'failed' }, { status: 'processing' });
+  } else {
+    await Document.findByIdAndUpdate(job.document, { processingStatus: 'queued', isProcessed: false });
+  }
+
+  scheduleJob(job._id);
+  return job;
+};
+
+const cancelIngestionJob = async (job) => {
+  if (job.status !== 'running' && job.status !== 'queued') {
+    throw new Error('JOB_NOT_ACTIVE');
+  }
+  job.cancelRequested = true;
+  if (job.status === 'queued') {
+    // Nothing is running yet, so the runner will stop before the first stage.
+    job.status = 'cancelled';
+    job.finishedAt = new Date();
+    releaseFile(job._id);
+    if (job.version) {
+      await DocumentVersion.updateOne({ document: job.document, version: job.version, status: 'processing' }, { status: 'failed' });
+    } else {
+      await Document.findByIdAndUpdate(job.document, { processingStatus: 'cancelled', isProcessed: false });
+    }
+  }
+  await job.save();
+  return job;
+};
+
+// Jobs that were running when the process stopped can never finish on their own.
+const recoverInterruptedJobs = async () => {
+  const interrupted = await IngestionJob.find({ status: { $in: ['running', 'queued'] } });
+  for (const job of interrupted) {
+    const stage = job.currentStage && getStage(job, job.currentStage);
+    if (stage) {
+      stage.status = 'failed';
+      stage.error = 'Interrupted by server restart';
+    }
+    job.status = 'failed';
+    job.error = { stage: job.currentStage, message: 'Interrupted by server restart' };
+    job.currentStage = null;
+    job.finishedAt = new Date();
+    await job.save();
+    if (!job.version) {
+      await Document.findByIdAndUpdate(job.document, { processingStatus: 'failed', isProcessed: false });
+      continue;
+    }
+    await DocumentVersion.updateOne({ document: job.document, version: job.version, status: 'processing' }, { status: 'failed' });
+    // The job may have started replacing the current version's vectors before it stopped
+    const doc = getStage(job, 'indexed').startedAt && await Document.findById(job.document);
+    if (doc && doc.currentVersion !== job.version) {
+      restoreDocumentVectors(doc).catch(err => console.error(`❌ Could not restore the vectors of document ${doc._id}:`, err.message));
+    }
+  }
+  if (interrupted.length > 0) {
+    console.warn(`⚠️ Marked ${interrupted.length} interrupted ingestion job(s) as failed`);
+  }
+};
+
+const forgetIngestionJob = (jobId) => {
+  releaseFile(jobId);
+  runState.delete(jobId.toString());
+};
+
+module.exports = {
+  hashFile,
+  findDuplicateDocument,
+  createIngestionJob,
+  createVersionIngestionJob,
+  createReindexJob,
+  isJobActive,
+  runIngestionJob,
+  retryIngestionJob,
+  cancelIngestionJob,
+  recoverInterruptedJobs,
+  forgetIngestionJob,
+};
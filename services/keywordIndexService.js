@@ -0,0 +1,126 @@
+const DocumentChunk = require('../models/DocumentChunk');
+const { toMetadata, toMetadataUpdate, toChunkQuery } = require('./vectorStores/localStore');
+
+// Copies chunk text and metadata into DocumentChunk so the Mongo text index can
+// serve keyword search no matter which vector store holds the embeddings.
+async function indexChunks(vectors) {
+  if (vectors.length === 0) return;
+  const operations = vectors.map(vec => {
+    const { text, documentId, userId, chunkIndex, ...rest } = vec.metadata || {};
+    return {
+      updateOne: {
+        filter: { vectorId: vec.id },
+        update: {
+          $set: {
+            vectorId: vec.id,
+            documentId,
+            userId,
+            chunkIndex,
+            chunkText: text || '',
+            metadata: rest,
+          },
+        },
+        upsert: true,
+      },
+    };
+  });
+  await DocumentChunk.bulkWrite(operations, { ordered: false });
+}
+
+async function removeDocument(documentId) {
+  await DocumentChunk.deleteMany({ documentId });
+}
+
+async function removeChunks(vectorIds) {
+  if (vectorIds.length === 0) return;
+  await DocumentChunk.deleteMany({ vectorId: { $in: vectorIds } });
+}
+
+async function updateDocumentMetadata(documentId, metadata) {
+  await DocumentChunk.updateMany({ documentId }, { $set: toMetadataUpdate(metadata) });
+}
+
+// Every chunk has a row here, so this is also the cheapest way to find a document's vector ids.
+async function listVectorIds(documentId) {
+  const rows = await DocumentChunk.find({ documentId, vectorId: { $exists: true } }).select('vectorId').lean();
+  return rows.map(row => row.vectorId);
+}
+
+// A document's chunks in order, with their text and metadata.
+async function listChunks(documentId) {
+  return DocumentChunk.find({ documentId, vectorId: { $exists: true } })
+    .select('vectorId chunkIndex chunkText metadata')
+    .sort({ chunkIndex: 1 })
+    .lean();
+}
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Invoice numbers, clause numbers, SKUs... anything with a digit or inner punctuation.
+// The text index splits these into pieces, so they also get an exact substring match.
+const extractIdentifiers = (query) => (query.match(/[A-Za-z0-9][A-Za-z0-9._\/-]*[A-Za-z0-9]/g) || [])
+  .filter(token => /\d/.test(token) || /[._\/-]/.test(token))
+  .slice(0, 5);
+
+const toResult = (chunk, score) => ({
+  id: chunk.vectorId || chunk._id.toString(),
+  text: chunk.chunkText,
+  score,
+  documentId: chunk.documentId.toString(),
+  chunkIndex: chunk.chunkIndex,
+  metadata: toMetadata(chunk),
+});
+
+// Keyword search over chunks. Scores are Mongo textScore values, plus a bonus of 1
+// per exact identifier hit, so they are only comparable within one result list.
+async function searchChunks(query, { topK = 10, filter = {} } = {}) {
+  if (!query || !query.trim()) return [];
+  // Same store-neutral filter format as the vector stores, without the embedding requirement
+  const baseQuery = toChunkQuery(filter);
+  const fields = 'vectorId documentId userId chunkIndex chunkText metadata';
+
+  const textMatches = await DocumentChunk.find(
+    { ...baseQuery, $text: { $search: query } },
+    { score: { $meta: 'textScore' } }
+  )
+    .select(fields)
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(topK)
+    .lean();
+
+  const results = new Map();
+  for (const chunk of textMatches) {
+    results.set(chunk._id.toString(), { chunk, score: chunk.score || 0 });
+  }
+
+  for (const identifier of extractIdentifiers(query)) {
+    const exactMatches = await DocumentChunk.find({
+      ...baseQuery,
+      chunkText: { $regex: escapeRegex(identifier), $options: 'i' },
+    })
+      .select(fields)
+      .limit(topK)
+      .lean();
+    for (const chunk of exactMatches) {
+      const key = chunk._id.toString();
+      const existing = results.get(key);
+      results.set(key, { chunk, score: (existing?.score || 0) + 1 });
+    }
+  }
+
+  return [...results.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK)
+    .map(({ chunk, score }) => toResult(chunk, score));
+}
+
+module.exports = {
+  indexChunks,
+  removeDocument,
+  removeChunks,
+  updateDocumentMetadata,
+  listVectorIds,
+  listChunks,
+  searchChunks,
+  extractIdentifiers,
+};
@@ -0,0 +1,201 @@
+require('dotenv').config();
+
+const perplexityProvider = require('./chatProviders/perplexity');
+const openaiProvider = require('./chatProviders/openai');
+const geminiProvider = require('./chatProviders/gemini');
+const stubProvider = require('./chatProviders/stub');
+
+// Every provider implements: name, defaultModel, isConfigured(), complete(request).
+const providers = {
+  perplexity: perplexityProvider,
+  openai: openaiProvider,
+  gemini: geminiProvider,
+  // Offline and deterministic, for tests and evaluation runs in CI
+  stub: stubProvider,
+};
+
+// Per-task defaults. "answer" is free-form prose, "extraction" expects JSON back,
+// "rewrite" and "summary" are short deterministic helper calls.
+const TASK_DEFAULTS = {
+  answer: { maxTokens: 1024, temperature: 0.7, topP: 0.9, json: false },
+  extraction: { maxTokens: 512, temperature: 0.1, topP: 0.9, json: true },
+  rewrite: { maxTokens: 200, temperature: 0.1, topP: 0.9, json: false },
+  summary: { maxTokens: 600, temperature: 0.3, topP: 0.9, json: false },
+};
+
+// LLM_PROVIDER (and the per-task LLM_<TASK>_PROVIDER overrides) accept either a
+// single provider name or a weighted list for A/B tests, e.g. "perplexity=3,openai=1".
+const parseProviderSpec = (spec) => {
+  if (!spec) return [];
+  return spec.split(',')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => {
+      const [name, weight] = part.split('=').map(s => s.trim());
+      return { name: name.toLowerCase(), weight: weight ? Number(weight) : 1 };
+    })
+    .filter(entry => providers[entry.name] && entry.weight > 0);
+};
+
+const pickWeighted = (entries) => {
+  const total = entries.reduce((sum, entry) => sum + entry.weight, 0);
+  let roll = Math.random() * total;
+  for (const entry of entries) {
+    roll -= entry.weight;
+    if (roll <= 0) return entry.name;
+  }
+  return entries[entries.length - 1].name;
+};
+
+// The weighted providers a task's calls are spread over.
+const providerEntries = (task) => {
+  const taskSpec = task ? process.env[`LLM_${task.toUpperCase()}_PROVIDER`] : null;
+  const entries = parseProviderSpec(taskSpec || process.env.LLM_PROVIDER || 'perplexity');
+  return entries.length > 0 ? entries : [{ name: 'perplexity', weight: 1 }];
+};
+
+const selectProvider = (task, requested) => {
+  if (requested) {
+    const provider = providers[requested.toLowerCase()];
+    if (!provider) {
+      throw new Error(`Unknown LLM provider "${requested}". Expected one of: ${Object.keys(providers).join(', ')}`);
+    }
+    return provider;
+  }
+  return providers[pickWeighted(providerEntries(task))];
+};
+
+// Names of every provider a task's calls may go to, e.g. both sides of an A/B test.
+const listTaskProviders = (task) => [...new Set(providerEntries(task).map(entry => entry.name))];
+
+// True only when every provider the call could be sent to is configured, since
+// the weighted pick happens again for the call itself.
+const isProviderConfigured = (task, requested) => {
+  try {
+    if (requested) return selectProvider(task, requested).isConfigured();
+    return listTaskProviders(task).every(name => providers[name].isConfigured());
+  } catch {
+    return false;
+  }
+};
+
+// Pull the JSON payload out of a reply that may still carry prose or code fences.
+const extractJsonPayload = (text) => {
+  let cleaned = (text || '').replace(/```(?:json)?\s*/gi, '').replace(/```\s*/gi, '').trim();
+  const starts = [cleaned.indexOf('['), cleaned.indexOf('{')].filter(i => i !== -1);
+  if (starts.length > 0) {
+    cleaned = cleaned.substring(Math.min(...starts)).trim();
+  }
+  return cleaned;
+};
+
+const prepareRequest = (messages, options) => {
+  if (!messages || !Array.isArray(messages) || messages.length === 0) {
+    throw new Error('Invalid messages format. Messages must be a non-empty array.');
+  }
+
+  const task = options.task || 'answer';
+  const settings = { ...(TASK_DEFAULTS[task] || TASK_DEFAULTS.answer), ...options };
+  const provider = selectProvider(task, options.provider);
+
+  const filteredMessages = messages
+    .filter(msg => msg.content && msg.content.trim())
+    .map(msg => ({ role: msg.role, content: msg.content }));
+
+  if (filteredMessages.length === 0) {
+    throw new Error('No valid messages to process');
+  }
+
+  const fullMessages = settings.system && !filteredMessages.some(msg => msg.role === 'system')
+    ? [{ role: 'system', content: settings.system }, ...filteredMessages]
+    : filteredMessages;
+
+  return {
+    provider,
+    settings,
+    request: {
+      messages: fullMessages,
+      model: settings.model,
+      maxTokens: settings.maxTokens,
+      temperature: settings.temperature,
+      topP: settings.topP,
+      json: settings.json,
+      signal: settings.signal,
+    },
+  };
+};
+
+// Send a chat request through the configured provider.
+// options: { task, provider, model, system, json, maxTokens, temperature, topP, signal }
+const chat = async (messages, options = {}) => {
+  const { provider, settings, request } = prepareRequest(messages, options);
+
+  try {
+    const result = await provider.complete(request);
+
+    const message = settings.json ? extractJsonPayload(result.message) : result.message;
+
+    return {
+      message: message || 'Sorry, I couldn\'t generate a response.',
+      reasoning: result.reasoning || null,
+      provider: provider.name,
+      model: result.model,
+      usage: result.usage,
+      citations: result.citations,
+      success: true,
+    };
+  } catch (error) {
+    console.error(`ERROR in chat (${provider.name}):`, error.message);
+    throw error;
+  }
+};
+
+// Streaming variant of chat(). Yields { type: 'token' | 'reasoning', text } events and
+// finishes with a { type: 'done', message, reasoning, provider, model, usage, citations } event.
+async function* chatStream(messages, options = {}) {
+  const { provider, request } = prepareRequest(messages, options);
+  if (typeof provider.stream !== 'function') {
+    throw new Error(`LLM provider "${provider.name}" does not support streaming.`);
+  }
+
+  let message = '';
+  let reasoning = '';
+  let meta = {};
+  try {
+    for await (const event of provider.stream(request)) {
+      if (event.type === 'token') {
+        message += event.text;
+        yield event;
+      } else if (event.type === 'reasoning') {
+        reasoning += event.text;
+        yield event;
+      } else if (event.type === 'meta') {
+        meta = event;
+      }
+    }
+  } catch (error) {
+    if (error.name !== 'AbortError') {
+      console.error(`ERROR in chatStream (${provider.name}):`, error.message);
+    }
+    throw error;
+  }
+
+  yield {
+    type: 'done',
+    message: message.trim(),
+    reasoning: reasoning.trim() || null,
+    provider: provider.name,
+    model: meta.model,
+    usage: meta.usage || null,
+    citations: meta.citations || null,
+  };
+}
+
+module.exports = {
+  chat,
+  chatStream,
+  selectProvider,
+  listTaskProviders,
+  isProviderConfigured,
+  extractJsonPayload,
+};
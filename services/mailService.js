@@ -0,0 +1,87 @@
+require('dotenv').config();
+
+const smtpTransport = require('./mailTransports/smtp');
+const fileTransport = require('./mailTransports/file');
+const consoleTransport = require('./mailTransports/console');
+
+// Every transport implements: name, isConfigured(), send({ from, to, subject, text, html }).
+const transports = {
+  smtp: smtpTransport,
+  file: fileTransport,
+  console: consoleTransport,
+};
+
+const MAIL_FROM = process.env.MAIL_FROM || 'DeepSearch <no-reply@deepsearch.local>';
+const APP_URL = (process.env.APP_URL || 'http://localhost:5173').replace(/\/$/, '');
+
+// MAIL_TRANSPORT picks the transport; without one we use SMTP when it is configured.
+// The console transport prints reset and verification links, so in production it is
+// only used when asked for by name; otherwise sending fails with MAIL_NOT_CONFIGURED.
+const selectTransport = () => {
+  const requested = process.env.MAIL_TRANSPORT;
+  if (requested) {
+    const transport = transports[requested.toLowerCase()];
+    if (!transport) {
+      throw new Error(`Unknown mail transport "${requested}". Expected one of: ${Object.keys(transports).join(', ')}`);
+    }
+    return transport;
+  }
+  if (smtpTransport.isConfigured()) return smtpTransport;
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('MAIL_NOT_CONFIGURED');
+  }
+  return consoleTransport;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  let transport;
+  try {
+    transport = selectTransport();
+  } catch (error) {
+    console.error('❌ Mail is not configured: set the SMTP settings or MAIL_TRANSPORT.');
+    throw error;
+  }
+  try {
+    const result = await transport.send({ from: MAIL_FROM, to, subject, text, html });
+    return { ...result, transport: transport.name };
+  } catch (error) {
+    console.error(`❌ Failed to send mail via ${transport.name}:`, error.message);
+    throw error;
+  }
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const linkEmail = ({ to, subject, intro, link, expiresInMinutes }) => sendMail({
+  to,
+  subject,
+  text: `${intro}\n\n${link}\n\nThis link expires in ${expiresInMinutes} minutes. If you did not request it, you can ignore this email.`,
+  html: `<p>${escapeHtml(intro)}</p><p><a href="${escapeHtml(link)}">${escapeHtml(link)}</a></p>`
+    + `<p>This link expires in ${expiresInMinutes} minutes. If you did not request it, you can ignore this email.</p>`,
+});
+
+const sendVerificationEmail = (to, token, expiresInMinutes) => linkEmail({
+  to,
+  subject: 'Verify your DeepSearch email address',
+  intro: 'Confirm your email address by opening this link:',
+  link: `${APP_URL}/verify-email?token=${encodeURIComponent(token)}`,
+  expiresInMinutes,
+});
+
+const sendPasswordResetEmail = (to, token, expiresInMinutes) => linkEmail({
+  to,
+  subject: 'Reset your DeepSearch password',
+  intro: 'Someone asked to reset the password for your account. Choose a new password here:',
+  link: `${APP_URL}/reset-password?token=${encodeURIComponent(token)}`,
+  expiresInMinutes,
+});
+
+module.exports = {
+  sendMail,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+};
@@ -0,0 +1,13 @@
+const crypto = require('crypto');
+
+const send = async ({ from, to, subject, text }) => {
+  const id = crypto.randomBytes(6).toString('hex');
+  console.log(`📧 Mail ${id}\nFrom: ${from}\nTo: ${to}\nSubject: ${subject}\n\n${text}`);
+  return { id };
+};
+
+module.exports = {
+  name: 'console',
+  isConfigured: () => true,
+  send,
+};
@@ -0,0 +1,22 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const outputDir = () => path.resolve(process.env.MAIL_FILE_DIR || 'tmp/mail');
+
+// Writes each message as a JSON file so flows can be exercised without a mail server.
+const send = async (message) => {
+  const dir = outputDir();
+  await fs.mkdir(dir, { recursive: true });
+  const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+  const file = path.join(dir, `${id}.json`);
+  await fs.writeFile(file, JSON.stringify({ id, sentAt: new Date().toISOString(), ...message }, null, 2));
+  console.log(`📧 Mail to ${message.to} written to ${file}`);
+  return { id };
+};
+
+module.exports = {
+  name: 'file',
+  isConfigured: () => true,
+  send,
+};
@@ -0,0 +1,30 @@
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || '587', 10),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    });
+  }
+  return transporter;
+};
+
+const isConfigured = () => Boolean(process.env.SMTP_HOST);
+
+const send = async ({ from, to, subject, text, html }) => {
+  if (!isConfigured()) {
+    throw new Error('smtp mail transport is not configured. Please add SMTP_HOST to your .env file.');
+  }
+  const info = await getTransporter().sendMail({ from, to, subject, text, html });
+  return { id: info.messageId };
+};
+
+module.exports = {
+  name: 'smtp',
+  isConfigured,
+  send,
+};
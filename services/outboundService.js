@@ -0,0 +1,299 @@
+// Shared layer for calls to external AI APIs (Gemini, Perplexity, OpenAI-compatible
+// servers). Every provider gets one client that applies, in order: a circuit breaker,
+// a token-bucket rate limit, a cap on concurrent requests, a timeout per attempt, and
+// retries with exponential backoff and full jitter on 429, 5xx and network errors.
+// Streams also get an idle timeout between chunks.
+
+const OUTBOUND_ERRORS = {
+  PROVIDER_UNAVAILABLE: { status: 503, message: 'The AI provider is temporarily unavailable. Please try again in a few moments.' },
+};
+
+const MAX_RETRIES = parseInt(process.env.OUTBOUND_MAX_RETRIES || '4', 10);
+const BASE_DELAY_MS = parseInt(process.env.OUTBOUND_BASE_DELAY_MS || '500', 10);
+// Longest wait between attempts; a Retry-After beyond it ends the retries instead
+const MAX_DELAY_MS = parseInt(process.env.OUTBOUND_MAX_DELAY_MS || '30000', 10);
+// Consecutive failed calls that open a provider's circuit, and how long it stays open
+const BREAKER_THRESHOLD = parseInt(process.env.OUTBOUND_BREAKER_THRESHOLD || '5', 10);
+const BREAKER_COOLDOWN_MS = parseInt(process.env.OUTBOUND_BREAKER_COOLDOWN_MS || '30000', 10);
+
+// Requests per minute, burst size, concurrent requests, per-attempt timeout and the
+// longest wait for a stream's next chunk. Each can be overridden per provider, e.g.
+// PERPLEXITY_RATE_LIMIT_RPM, GEMINI_EMBEDDING_CONCURRENCY, GEMINI_IDLE_TIMEOUT_MS.
+const PROVIDER_DEFAULTS = {
+  'gemini-embedding': { rpm: 1500, burst: 50, concurrency: 4, timeoutMs: 30000, idleTimeoutMs: 30000 },
+  gemini: { rpm: 60, burst: 5, concurrency: 4, timeoutMs: 60000, idleTimeoutMs: 30000 },
+  perplexity: { rpm: 50, burst: 5, concurrency: 4, timeoutMs: 60000, idleTimeoutMs: 30000 },
+  openai: { rpm: 500, burst: 20, concurrency: 4, timeoutMs: 60000, idleTimeoutMs: 30000 },
+};
+const FALLBACK_DEFAULTS = { rpm: 60, burst: 5, concurrency: 4, timeoutMs: 60000, idleTimeoutMs: 30000 };
+
+const resolveSettings = (name) => {
+  const defaults = PROVIDER_DEFAULTS[name] || FALLBACK_DEFAULTS;
+  const prefix = name.toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+  const read = (suffix, fallback) => parseInt(process.env[`${prefix}_${suffix}`] || String(fallback), 10);
+  return {
+    rpm: read('RATE_LIMIT_RPM', defaults.rpm),
+    burst: read('RATE_LIMIT_BURST', defaults.burst),
+    concurrency: read('CONCURRENCY', defaults.concurrency),
+    timeoutMs: read('TIMEOUT_MS', defaults.timeoutMs),
+    idleTimeoutMs: read('IDLE_TIMEOUT_MS', defaults.idleTimeoutMs),
+  };
+};
+
+const abortError = (signal) => signal.reason instanceof Error
+  ? signal.reason
+  : Object.assign(new Error('The operation was aborted.'), { name: 'AbortError' });
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(abortError(signal));
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(abortError(signal));
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Retry-After is either a number of seconds or an HTTP date.
+const parseRetryAfter = (value) => {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// A non-OK fetch Response as an Error carrying its status and Retry-After delay.
+const httpError = async (provider, response) => {
+  const body = await response.text().catch(() => '');
+  const error = new Error(`${provider} API Error: ${response.status} - ${body}`);
+  error.status = response.status;
+  error.retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+  return error;
+};
+
+// 429 and 5xx are worth another try; other statuses are the caller's fault. Errors
+// without a status are network failures or timeouts.
+const isRetryable = (error) => {
+  if (error.status) return error.status === 429 || error.status >= 500;
+  return true;
+};
+
+const backoffDelay = (attempt) => Math.random() * Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+
+// Tokens refill continuously at rpm / 60 per second up to `burst`. A call costing
+// more than the bucket holds is charged the whole bucket.
+const createTokenBucket = ({ rpm, burst }) => {
+  const capacity = Math.max(1, burst);
+  const perMs = rpm / 60000;
+  let tokens = capacity;
+  let refilledAt = Date.now();
+
+  const refill = () => {
+    const now = Date.now();
+    tokens = Math.min(capacity, tokens + (now - refilledAt) * perMs);
+    refilledAt = now;
+  };
+
+  const take = async (cost = 1, signal) => {
+    const needed = Math.min(cost, capacity);
+    for (;;) {
+      refill();
+      if (tokens >= needed) {
+        tokens -= needed;
+        return;
+      }
+      await sleep(Math.ceil((needed - tokens) / perMs), signal);
+    }
+  };
+
+  return { take };
+};
+
+const createConcurrencyLimit = (limit) => {
+  let active = 0;
+  const waiting = [];
+
+  const run = async (fn) => {
+    if (active >= Math.max(1, limit)) {
+      // The caller that finishes hands its slot over, so `active` already counts us
+      await new Promise(resolve => waiting.push(resolve));
+    } else {
+      active++;
+    }
+    try {
+      return await fn();
+    } finally {
+      const next = waiting.shift();
+      if (next) next();
+      else active--;
+    }
+  };
+
+  return { run };
+};
+
+// closed: calls go through. open: calls fail fast until the cooldown ends. half-open:
+// one trial call decides whether to close again or re-open.
+const createCircuitBreaker = (name) => {
+  let state = 'closed';
+  let failures = 0;
+  let openedAt = 0;
+  let trialInFlight = false;
+
+  const unavailable = () => {
+    const error = new Error('PROVIDER_UNAVAILABLE');
+    error.provider = name;
+    error.retryAfterMs = Math.max(0, openedAt + BREAKER_COOLDOWN_MS - Date.now());
+    return error;
+  };
+
+  // Returns true when this call is the half-open trial
+  const enter = () => {
+    if (state === 'open') {
+      if (Date.now() - openedAt < BREAKER_COOLDOWN_MS) throw unavailable();
+      state = 'half-open';
+    }
+    if (state === 'half-open') {
+      if (trialInFlight) throw unavailable();
+      trialInFlight = true;
+      return true;
+    }
+    return false;
+  };
+
+  const succeed = (trial) => {
+    if (trial) trialInFlight = false;
+    if (state !== 'closed') console.log(`✅ ${name} circuit closed`);
+    state = 'closed';
+    failures = 0;
+  };
+
+  const fail = (trial) => {
+    if (trial) trialInFlight = false;
+    failures++;
+    if (state === 'half-open' || failures >= BREAKER_THRESHOLD) {
+      if (state !== 'open') console.warn(`⚠️ ${name} circuit opened after ${failures} failures`);
+      state = 'open';
+      openedAt = Date.now();
+    }
+  };
+
+  // A trial that ended without a verdict (e.g. the caller aborted) lets the next call try
+  const release = (trial) => {
+    if (trial) trialInFlight = false;
+  };
+
+  return { enter, succeed, fail, release, state: () => state };
+};
+
+const createOutboundClient = (name) => {
+  const settings = resolveSettings(name);
+  const bucket = createTokenBucket(settings);
+  const limit = createConcurrencyLimit(settings.concurrency);
+  const breaker = createCircuitBreaker(name);
+
+  // One attempt: wait for capacity, then run fn with a signal that aborts on the caller's
+  // signal or the timeout. The timeout covers fn only, so a stream returned by fn is
+  // read through watchStream instead.
+  const attempt = (fn, { signal, cost, timeoutMs }) => limit.run(async () => {
+    await bucket.take(cost, signal);
+    const timeout = new AbortController();
+    const timer = setTimeout(() => {
+      timeout.abort(Object.assign(new Error(`${name} request timed out after ${timeoutMs}ms`), { name: 'TimeoutError' }));
+    }, timeoutMs);
+    try {
+      return await fn(signal ? AbortSignal.any([signal, timeout.signal]) : timeout.signal);
+    } catch (error) {
+      // The caller's abort wins; our own timeout becomes a retryable error
+      if (signal?.aborted) throw error;
+      if (timeout.signal.aborted) throw timeout.signal.reason;
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  });
+
+  // fn(signal) performs the request and throws an error with `status` (and optionally
+  // `retryAfterMs`, see httpError) for HTTP failures. `cost` is the number of rate-limit
+  // tokens the call uses, e.g. the size of a batch.
+  const call = async (fn, { signal, cost = 1, timeoutMs = settings.timeoutMs } = {}) => {
+    for (let retry = 0; ; retry++) {
+      const trial = breaker.enter();
+      try {
+        const result = await attempt(fn, { signal, cost, timeoutMs });
+        breaker.succeed(trial);
+        return result;
+      } catch (error) {
+        if (signal?.aborted || !isRetryable(error)) {
+          breaker.release(trial);
+          throw error;
+        }
+        const delay = error.retryAfterMs ?? backoffDelay(retry);
+        if (retry >= MAX_RETRIES || delay > MAX_DELAY_MS || trial) {
+          breaker.fail(trial);
+          throw error;
+        }
+        console.warn(`⚠️ ${name} request failed (${error.status || error.message}), retrying in ${Math.round(delay)}ms`);
+        await sleep(delay, signal);
+      }
+    }
+  };
+
+  // Yield from a stream returned by call(), failing with a TimeoutError when the next
+  // chunk takes longer than the idle timeout. onIdle(error) runs first so the caller can
+  // abort the request behind the stream.
+  async function* watchStream(iterable, { onIdle, idleTimeoutMs = settings.idleTimeoutMs } = {}) {
+    const iterator = iterable[Symbol.asyncIterator]();
+    let finished = false;
+    try {
+      for (;;) {
+        let timer;
+        const idle = new Promise((resolve, reject) => {
+          timer = setTimeout(() => {
+            const error = Object.assign(new Error(`${name} stream sent nothing for ${idleTimeoutMs}ms`), { name: 'TimeoutError' });
+            if (onIdle) onIdle(error);
+            reject(error);
+          }, idleTimeoutMs);
+        });
+        let result;
+        try {
+          result = await Promise.race([iterator.next(), idle]);
+        } finally {
+          clearTimeout(timer);
+        }
+        if (result.done) {
+          finished = true;
+          return;
+        }
+        yield result.value;
+      }
+    } finally {
+      // Not awaited: after a timeout the iterator may still be stuck in next()
+      if (!finished && iterator.return) Promise.resolve(iterator.return()).catch(() => {});
+    }
+  }
+
+  return { name, call, watchStream, circuitState: breaker.state };
+};
+
+const clients = new Map();
+
+// One client per provider name, so limits are shared by everything calling it.
+const getOutboundClient = (name) => {
+  if (!clients.has(name)) {
+    clients.set(name, createOutboundClient(name));
+  }
+  return clients.get(name);
+};
+
+module.exports = {
+  OUTBOUND_ERRORS,
+  createConcurrencyLimit,
+  getOutboundClient,
+  httpError,
+  parseRetryAfter,
+};
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const Document = require('../models/Document');
+
+// Roles from least to most access. The owner is not stored in sharedWith.
+const ROLES = ['viewer', 'commenter', 'editor', 'owner'];
+const SHARE_ROLES = ['viewer', 'commenter', 'editor'];
+
+// Minimum role needed for each action on a document.
+const ACTION_ROLES = {
+  read: 'viewer',
+  ask: 'viewer',
+  comment: 'commenter',
+  edit: 'editor',
+  reprocess: 'editor',
+  share: 'owner',
+  transfer: 'owner',
+  delete: 'owner',
+};
+
+const roleRank = (role) => ROLES.indexOf(role);
+
+// The caller's role on a document, or null when they have no access.
+const getDocumentRole = (document, userId) => {
+  if (!document || !userId) return null;
+  if (document.owner.toString() === userId.toString()) return 'owner';
+  const share = (document.sharedWith || []).find(entry => entry.user.toString() === userId.toString());
+  return share ? share.role : null;
+};
+
+const can = (document, userId, action) => {
+  const required = ACTION_ROLES[action];
+  if (!required) throw new Error(`Unknown document action "${action}"`);
+  const role = getDocumentRole(document, userId);
+  return role !== null && roleRank(role) >= roleRank(required);
+};
+
+// Load a document and check the caller may perform `action` on it. Returns
+// { document, role }, or null when it does not exist or the caller lacks access;
+// routes answer both with the same 404 so documents cannot be probed for.
+const findAccessibleDocument = async (documentId, userId, action = 'read') => {
+  if (!mongoose.isValidObjectId(documentId)) return null;
+  const document = await Document.findById(documentId);
+  if (!document || !can(document, userId, action)) return null;
+  return { document, role: getDocumentRole(document, userId) };
+};
+
+// Mongo filter for documents the user owns, has been shared, or either.
+const accessibleDocumentsQuery = (userId, { scope = 'all' } = {}) => {
+  if (scope === 'owned') return { owner: userId };
+  if (scope === 'shared') return { 'sharedWith.user': userId };
+  return { $or: [{ owner: userId }, { 'sharedWith.user': userId }] };
+};
+
+// Mongo filter for documents the user may perform `action` on: their own and those
+// shared with them at a high enough role.
+const actionDocumentsQuery = (userId, action) => {
+  const required = ACTION_ROLES[action];
+  if (!required) throw new Error(`Unknown document action "${action}"`);
+  const roles = SHARE_ROLES.filter(role => roleRank(role) >= roleRank(required));
+  if (roles.length === 0) return { owner: userId };
+  return { $or: [{ owner: userId }, { sharedWith: { $elemMatch: { user: userId, role: { $in: roles } } } }] };
+};
+
+// Ids (as strings) of every document the user can read. Retrieval scopes vector and
+// keyword searches to this list rather than to the uploader's userId.
+const listAccessibleDocumentIds = async (userId) => {
+  const docs = await Document.find(accessibleDocumentsQuery(userId)).select('_id').lean();
+  return docs.map(doc => doc._id.toString());
+};
+
+// The subset of `ids` the user can read, as strings. Bounded by the ids asked about.
+const filterAccessibleDocumentIds = async (userId, ids) => {
+  const validIds = [...new Set(ids.map(String))].filter(id => mongoose.isValidObjectId(id));
+  if (validIds.length === 0) return [];
+  const docs = await Document.find({ _id: { $in: validIds }, ...accessibleDocumentsQuery(userId) }).select('_id').lean();
+  const readable = new Set(docs.map(doc => doc._id.toString()));
+  return validIds.filter(id => readable.has(id));
+};
+
+// Store-neutral vector filter for every chunk the user can read: chunks carry their
+// owner as userId, so only documents shared with the user need listing.
+const accessibleChunksFilter = async (userId) => {
+  const shared = await Document.find(accessibleDocumentsQuery(userId, { scope: 'shared' })).select('_id').lean();
+  if (shared.length === 0) return { userId: userId.toString() };
+  return { $or: [{ userId: userId.toString() }, { documentId: shared.map(doc => doc._id.toString()) }] };
+};
+
+module.exports = {
+  ROLES,
+  SHARE_ROLES,
+  ACTION_ROLES,
+  getDocumentRole,
+  can,
+  findAccessibleDocument,
+  accessibleDocumentsQuery,
+  actionDocumentsQuery,
+  listAccessibleDocumentIds,
+  filterAccessibleDocumentIds,
+  accessibleChunksFilter,
+};
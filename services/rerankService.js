@@ -0,0 +1,319 @@
+const { chat } = require('./aiService');
+const { loadDocumentTitles, buildCitedContext } = require('./citationService');
+
+// Per-request overrides come in as the `rerank` body field: { method, tokenBudget, minScore }.
+const RERANK_DEFAULTS = {
+  method: process.env.RERANK_METHOD || 'local',
+  tokenBudget: parseInt(process.env.CONTEXT_TOKEN_BUDGET || '3000', 10),
+  minScore: parseFloat(process.env.RERANK_MIN_SCORE || '0'),
+};
+const RERANK_METHODS = ['llm', 'local', 'none'];
+// How many candidates retrieval should hand to the reranker.
+const RERANK_CANDIDATES = parseInt(process.env.RERANK_CANDIDATES || '20', 10);
+// Chunks whose word shingles overlap at least this much are treated as duplicates.
+const DUPLICATE_THRESHOLD = 0.8;
+
+const STOPWORDS = new Set(('a an and are as at be but by for from has have how i if in into is it its of on or '
+  + 'that the their there these this those to was were what when where which who why will with you your').split(' '));
+
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+// Cut text to about `tokens` tokens, at a word boundary when there is one.
+const truncateToTokens = (text, tokens) => {
+  const maxChars = tokens * 4;
+  if (text.length <= maxChars) return text;
+  const cut = text.slice(0, maxChars);
+  const lastSpace = cut.lastIndexOf(' ');
+  return lastSpace > 0 ? cut.slice(0, lastSpace) : cut;
+};
+
+const tokenize = (text) => (text || '').toLowerCase().match(/[a-z0-9]+(?:[._\/-][a-z0-9]+)*/g) || [];
+
+const contentTerms = (text) => tokenize(text).filter(term => !STOPWORDS.has(term));
+
+const resolveRerankOptions = (overrides = {}) => {
+  if (overrides === null || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error('INVALID_RERANK_OPTIONS');
+  }
+  const options = { ...RERANK_DEFAULTS };
+  for (const key of Object.keys(RERANK_DEFAULTS)) {
+    if (overrides[key] !== undefined) options[key] = overrides[key];
+  }
+  options.tokenBudget = Number(options.tokenBudget);
+  options.minScore = Number(options.minScore);
+  if (!RERANK_METHODS.includes(options.method) || !Number.isFinite(options.tokenBudget)
+    || options.tokenBudget < 100 || !Number.isFinite(options.minScore)) {
+    throw new Error('INVALID_RERANK_OPTIONS');
+  }
+  return options;
+};
+
+const normalizeScores = (values) => {
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  return values.map(v => (max === min ? 1 : (v - min) / (max - min)));
+};
+
+// Local query/passage scorer: BM25 over the candidate set, plus bonuses for matching
+// query bigrams and for covering more of the query, blended with the retrieval score.
+const scoreLocally = (question, chunks) => {
+  const queryTerms = [...new Set(contentTerms(question))];
+  if (queryTerms.length === 0 || chunks.length === 0) {
+    return chunks.map(chunk => chunk.score || 0);
+  }
+  const queryTokens = contentTerms(question);
+  const queryBigrams = new Set(queryTokens.slice(1).map((term, i) => `${queryTokens[i]} ${term}`));
+
+  const docs = chunks.map(chunk => contentTerms(chunk.text));
+  const avgLength = docs.reduce((sum, terms) => sum + terms.length, 0) / docs.length || 1;
+  const documentFrequency = Object.fromEntries(queryTerms.map(term => [term, docs.filter(terms => terms.includes(term)).length]));
+
+  const k1 = 1.2;
+  const b = 0.75;
+  const lexical = docs.map(terms => {
+    const counts = {};
+    terms.forEach(term => { counts[term] = (counts[term] || 0) + 1; });
+
+    let bm25 = 0;
+    let covered = 0;
+    for (const term of queryTerms) {
+      const tf = counts[term] || 0;
+      if (tf === 0) continue;
+      covered++;
+      const idf = Math.log(1 + (docs.length - documentFrequency[term] + 0.5) / (documentFrequency[term] + 0.5));
+      bm25 += idf * (tf * (k1 + 1)) / (tf + k1 * (1 - b + b * (terms.length / avgLength)));
+    }
+    const bigrams = new Set(terms.slice(1).map((term, i) => `${terms[i]} ${term}`));
+    const bigramHits = [...queryBigrams].filter(bigram => bigrams.has(bigram)).length;
+
+    return bm25 + 0.5 * bigramHits + (covered / queryTerms.length);
+  });
+
+  const lexicalNorm = normalizeScores(lexical);
+  const retrievalNorm = normalizeScores(chunks.map(chunk => chunk.score || 0));
+  return lexicalNorm.map((score, i) => 0.7 * score + 0.3 * retrievalNorm[i]);
+};
+
+// Ask the chat model to grade every passage from 0 to 10 for the question.
+const scoreWithLLM = async (question, chunks) => {
+  const passages = chunks
+    .map((chunk, i) => `[${i + 1}] ${chunk.text.length > 800 ? `${chunk.text.slice(0, 800)}…` : chunk.text}`)
+    .join('\n\n');
+  const prompt = `Rate how useful each passage is for answering the question, from 0 (irrelevant) to 10 (directly answers it).
+Return ONLY a JSON array like [{"id":1,"score":7}], with one item per passage.
+
+Question: ${question}
+
+Passages:
+${passages}`;
+
+  const result = await chat([{ role: 'user', content: prompt }], {
+    task: 'extraction',
+    maxTokens: 40 + chunks.length * 20,
+  });
+  const text = result.message;
+  const parsed = JSON.parse(text.substring(text.indexOf('['), text.lastIndexOf(']') + 1));
+  if (!Array.isArray(parsed)) {
+    throw new Error('Reranker did not return an array');
+  }
+
+  const scores = chunks.map(() => 0);
+  for (const item of parsed) {
+    const index = Number(item?.id) - 1;
+    if (index >= 0 && index < chunks.length && Number.isFinite(Number(item.score))) {
+      scores[index] = Math.max(0, Math.min(10, Number(item.score))) / 10;
+    }
+  }
+  return scores;
+};
+
+const shingles = (text, size = 5) => {
+  const words = tokenize(text);
+  const set = new Set();
+  for (let i = 0; i + size <= words.length; i++) {
+    set.add(words.slice(i, i + size).join(' '));
+  }
+  if (set.size === 0 && words.length > 0) set.add(words.join(' '));
+  return set;
+};
+
+const overlapRatio = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const item of a) if (b.has(item)) shared++;
+  return shared / Math.min(a.size, b.size);
+};
+
+const areNeighbours = (a, b) => a.documentId === b.documentId
+  && Number.isInteger(a.chunkIndex) && Number.isInteger(b.chunkIndex)
+  && Math.abs(a.chunkIndex - b.chunkIndex) === 1;
+
+// Join two consecutive chunks of one document without repeating their overlap.
+const joinAdjacent = (first, second) => {
+  const a = first.metadata || {};
+  const b = second.metadata || {};
+  if (Number.isFinite(a.charEnd) && Number.isFinite(b.charStart) && Number.isFinite(b.charEnd)) {
+    const overlap = a.charEnd - b.charStart;
+    if (overlap <= 0) return `${first.text} ${second.text}`;
+    return first.text + second.text.slice(Math.min(overlap, second.text.length));
+  }
+
+  // Older chunks have no offsets: look for the longest word overlap instead
+  const firstWords = first.text.split(/\s+/);
+  const secondWords = second.text.split(/\s+/);
+  for (let k = Math.min(150, firstWords.length, secondWords.length); k > 0; k--) {
+    if (firstWords.slice(-k).join(' ') === secondWords.slice(0, k).join(' ')) {
+      return [...firstWords, ...secondWords.slice(k)].join(' ');
+    }
+  }
+  return `${first.text} ${second.text}`;
+};
+
+// Merge runs of consecutive chunkIndex values from the same document into one chunk.
+const mergeAdjacentChunks = (chunks) => {
+  const byDocument = new Map();
+  for (const chunk of chunks) {
+    const key = chunk.documentId;
+    if (!byDocument.has(key)) byDocument.set(key, []);
+    byDocument.get(key).push(chunk);
+  }
+
+  const merged = [];
+  for (const group of byDocument.values()) {
+    group.sort((x, y) => (x.chunkIndex ?? 0) - (y.chunkIndex ?? 0));
+    let current = null;
+    for (const chunk of group) {
+      const lastIndex = current?.chunkIndices[current.chunkIndices.length - 1];
+      if (current && Number.isInteger(chunk.chunkIndex) && chunk.chunkIndex === lastIndex + 1) {
+        current.text = joinAdjacent(current, chunk);
+        current.score = Math.max(current.score, chunk.score);
+        current.rerankScore = Math.max(current.rerankScore, chunk.rerankScore);
+        current.chunkIndices.push(chunk.chunkIndex);
+        current.mergedIds.push(chunk.id);
+        current.metadata = {
+          ...current.metadata,
+          charEnd: chunk.metadata?.charEnd ?? current.metadata?.charEnd,
+          pageEnd: chunk.metadata?.pageEnd ?? current.metadata?.pageEnd,
+        };
+      } else {
+        if (current) merged.push(current);
+        current = { ...chunk, chunkIndices: [chunk.chunkIndex], mergedIds: [chunk.id], metadata: { ...(chunk.metadata || {}) } };
+      }
+    }
+    if (current) merged.push(current);
+  }
+
+  return merged.sort((x, y) => y.rerankScore - x.rerankScore);
+};
+
+// Rerank retrieved chunks, drop near-duplicates, pack the best ones into the token
+// budget in relevance order and merge neighbours. Returns the chunks to cite plus
+// diagnostics listing what was kept and what was dropped (and why).
+const rerankAndPack = async (question, chunks, overrides = {}) => {
+  const options = resolveRerankOptions(overrides);
+  let method = options.method;
+  let fallbackReason = null;
+
+  let scores;
+  if (method === 'llm') {
+    try {
+      scores = await scoreWithLLM(question, chunks);
+    } catch (error) {
+      console.warn('⚠️ LLM reranking failed, using local scorer:', error.message);
+      fallbackReason = error.message;
+      method = 'local';
+    }
+  }
+  if (method === 'local') {
+    scores = scoreLocally(question, chunks);
+  }
+  if (method === 'none') {
+    scores = chunks.map(chunk => chunk.score || 0);
+  }
+
+  const ranked = chunks
+    .map((chunk, i) => ({ ...chunk, rerankScore: scores[i] }))
+    .sort((a, b) => b.rerankScore - a.rerankScore);
+
+  const kept = [];
+  const dropped = [];
+  const keptShingles = [];
+  let usedTokens = 0;
+
+  for (const chunk of ranked) {
+    if (chunk.rerankScore < options.minScore) {
+      dropped.push({ id: chunk.id, documentId: chunk.documentId, chunkIndex: chunk.chunkIndex, rerankScore: chunk.rerankScore, reason: 'below-min-score' });
+      continue;
+    }
+    const chunkShingles = shingles(chunk.text);
+    // Neighbours share chunkText's overlap window by design; they get merged below instead
+    const duplicateOf = kept.find((other, i) => !areNeighbours(other, chunk)
+      && overlapRatio(chunkShingles, keptShingles[i]) >= DUPLICATE_THRESHOLD);
+    if (duplicateOf) {
+      dropped.push({ id: chunk.id, documentId: chunk.documentId, chunkIndex: chunk.chunkIndex, rerankScore: chunk.rerankScore, reason: 'duplicate', duplicateOf: duplicateOf.id });
+      continue;
+    }
+    const tokens = estimateTokens(chunk.text);
+    if (usedTokens + tokens > options.tokenBudget && kept.length === 0) {
+      // A budget smaller than the best chunk still gets that chunk, cut to fit
+      const text = truncateToTokens(chunk.text, options.tokenBudget);
+      const metadata = Number.isFinite(chunk.metadata?.charStart)
+        ? { ...chunk.metadata, charEnd: chunk.metadata.charStart + text.length }
+        : chunk.metadata;
+      const truncated = { ...chunk, text, metadata, truncated: true };
+      usedTokens += estimateTokens(truncated.text);
+      kept.push(truncated);
+      keptShingles.push(chunkShingles);
+      continue;
+    }
+    if (usedTokens + tokens > options.tokenBudget) {
+      dropped.push({ id: chunk.id, documentId: chunk.documentId, chunkIndex: chunk.chunkIndex, rerankScore: chunk.rerankScore, reason: 'budget', tokens });
+      continue;
+    }
+    usedTokens += tokens;
+    kept.push(chunk);
+    keptShingles.push(chunkShingles);
+  }
+
+  const packed = mergeAdjacentChunks(kept);
+
+  return {
+    chunks: packed,
+    diagnostics: {
+      method,
+      requestedMethod: options.method,
+      fallbackReason,
+      tokenBudget: options.tokenBudget,
+      usedTokens: packed.reduce((sum, chunk) => sum + estimateTokens(chunk.text), 0),
+      kept: packed.map(chunk => ({
+        ids: chunk.mergedIds,
+        documentId: chunk.documentId,
+        chunkIndices: chunk.chunkIndices,
+        score: chunk.score,
+        rerankScore: chunk.rerankScore,
+        tokens: estimateTokens(chunk.text),
+        ...(chunk.truncated ? { truncated: true } : {}),
+      })),
+      dropped,
+    },
+  };
+};
+
+// Everything between retrieval and the answer prompt: rerank and pack the chunks,
+// then number them for citation.
+const buildAnswerContext = async (question, relevantChunks, rerank = {}) => {
+  const { chunks, diagnostics } = await rerankAndPack(question, relevantChunks, rerank);
+  const titlesById = await loadDocumentTitles(chunks.map(c => c.documentId));
+  const { contextText, citedChunks } = buildCitedContext(chunks, titlesById);
+  return { contextText, citedChunks, titlesById, rerankDiagnostics: diagnostics };
+};
+
+module.exports = {
+  RERANK_CANDIDATES,
+  buildAnswerContext,
+  resolveRerankOptions,
+  scoreLocally,
+  contentTerms,
+  mergeAdjacentChunks,
+  rerankAndPack,
+};
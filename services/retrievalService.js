@@ -0,0 +1,271 @@
+const { generateEmbedding } = require('./aiService');
+const { queryVectors, checkIndexStatus, checkDocumentVectors } = require('./vectorDbService');
+const { searchChunks } = require('./keywordIndexService');
+const { filterAccessibleDocumentIds, accessibleChunksFilter } = require('./permissionService');
+
+// Errors thrown here carry a code in `message` that the routes map to HTTP statuses.
+const RETRIEVAL_ERRORS = {
+  INVALID_RETRIEVAL_OPTIONS: { status: 400, message: 'Invalid retrieval options. mode must be dense, sparse or hybrid, fusion must be rrf or weighted, and weights must be non-negative numbers.' },
+  INVALID_RERANK_OPTIONS: { status: 400, message: 'Invalid rerank options. method must be llm, local or none, and tokenBudget must be at least 100.' },
+  EMBEDDING_FAILED: { status: 500, message: 'Failed to process your question. Please try again.' },
+  SEARCH_UNAVAILABLE: { status: 503, message: 'Search service is temporarily unavailable. Please try again in a few moments.' },
+};
+
+const RETRIEVAL_MODES = ['dense', 'sparse', 'hybrid'];
+const FUSION_METHODS = ['rrf', 'weighted'];
+
+const RETRIEVAL_DEFAULTS = {
+  mode: process.env.RETRIEVAL_MODE || 'hybrid',
+  fusion: process.env.RETRIEVAL_FUSION || 'rrf',
+  denseWeight: parseFloat(process.env.RETRIEVAL_DENSE_WEIGHT || '1'),
+  sparseWeight: parseFloat(process.env.RETRIEVAL_SPARSE_WEIGHT || '1'),
+  rrfK: parseInt(process.env.RETRIEVAL_RRF_K || '60', 10),
+};
+
+// Merge per-request overrides (the `retrieval` body field) over the configured defaults.
+const resolveRetrievalOptions = (overrides = {}) => {
+  if (overrides === null || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error('INVALID_RETRIEVAL_OPTIONS');
+  }
+  const options = { ...RETRIEVAL_DEFAULTS };
+  for (const key of Object.keys(RETRIEVAL_DEFAULTS)) {
+    if (overrides[key] !== undefined) options[key] = overrides[key];
+  }
+  options.denseWeight = Number(options.denseWeight);
+  options.sparseWeight = Number(options.sparseWeight);
+  options.rrfK = Number(options.rrfK);
+
+  const validWeights = [options.denseWeight, options.sparseWeight].every(w => Number.isFinite(w) && w >= 0)
+    && options.denseWeight + options.sparseWeight > 0;
+  if (!RETRIEVAL_MODES.includes(options.mode) || !FUSION_METHODS.includes(options.fusion)
+    || !validWeights || !Number.isFinite(options.rrfK) || options.rrfK < 1) {
+    throw new Error('INVALID_RETRIEVAL_OPTIONS');
+  }
+  return options;
+};
+
+const minMaxNormalize = (results) => {
+  if (results.length === 0) return new Map();
+  const scores = results.map(r => r.score);
+  const min = Math.min(...scores);
+  const max = Math.max(...scores);
+  return new Map(results.map(r => [r.id, max === min ? 1 : (r.score - min) / (max - min)]));
+};
+
+// Combine the dense and sparse result lists. Each fused chunk keeps its per-source
+// scores and ranks in `retrievalScores` for diagnostics.
+const fuseResults = (denseResults, sparseResults, options) => {
+  const merged = new Map();
+  const add = (results, source) => {
+    results.forEach((result, index) => {
+      const entry = merged.get(result.id) || { chunk: result, retrievalScores: {} };
+      entry.retrievalScores[`${source}Score`] = result.score;
+      entry.retrievalScores[`${source}Rank`] = index + 1;
+      merged.set(result.id, entry);
+    });
+  };
+  add(denseResults, 'dense');
+  add(sparseResults, 'sparse');
+
+  const denseNorm = minMaxNormalize(denseResults);
+  const sparseNorm = minMaxNormalize(sparseResults);
+
+  const fused = [...merged.entries()].map(([id, { chunk, retrievalScores }]) => {
+    let fusedScore;
+    if (options.fusion === 'rrf') {
+      fusedScore = (retrievalScores.denseRank ? options.denseWeight / (options.rrfK + retrievalScores.denseRank) : 0)
+        + (retrievalScores.sparseRank ? options.sparseWeight / (options.rrfK + retrievalScores.sparseRank) : 0);
+    } else {
+      const totalWeight = options.denseWeight + options.sparseWeight;
+      fusedScore = ((denseNorm.get(id) || 0) * options.denseWeight + (sparseNorm.get(id) || 0) * options.sparseWeight) / totalWeight;
+    }
+    return { ...chunk, score: fusedScore, retrievalScores: { ...retrievalScores, fusedScore } };
+  });
+
+  return fused.sort((a, b) => b.score - a.score);
+};
+
+// `scope` is the filter saying which documents may match (see searchScope); it is never
+// widened here, and null matches nothing. collectionId and metadataFilter further
+// restrict matches by chunk metadata.
+const runSearch = async ({ question, scope, collectionId = null, metadataFilter = {}, topK, options, getEmbedding }) => {
+  if (!scope) {
+    return { chunks: [], candidates: { dense: 0, sparse: 0 }, degraded: null };
+  }
+  const filter = { ...metadataFilter, ...scope };
+  if (collectionId) {
+    // A list, so Pinecone matches it against the collectionIds array with $in
+    filter.collectionIds = [collectionId];
+  }
+  // Hybrid pulls a deeper candidate list from each side before fusing
+  const candidateK = options.mode === 'hybrid' ? topK * 2 : topK;
+
+  let denseResults = [];
+  let sparseResults = [];
+  let denseError = null;
+  let sparseError = null;
+
+  if (options.mode !== 'sparse') {
+    try {
+      const embedding = await getEmbedding();
+      denseResults = await queryVectors(embedding, { topK: candidateK, filter });
+    } catch (error) {
+      // Without a question embedding hybrid search still has its keyword half
+      if (options.mode === 'dense' && ['EMBEDDING_FAILED', 'PROVIDER_UNAVAILABLE'].includes(error.message)) throw error;
+      denseError = error;
+    }
+  }
+  if (options.mode !== 'dense') {
+    try {
+      sparseResults = await searchChunks(question, { topK: candidateK, filter });
+    } catch (error) {
+      sparseError = error;
+    }
+  }
+
+  // In hybrid mode one side failing just means we lose its half of the ranking
+  const failed = (options.mode === 'dense' && denseError)
+    || (options.mode === 'sparse' && sparseError)
+    || (options.mode === 'hybrid' && denseError && sparseError);
+  if (failed) {
+    console.error('❌ Search failed:', denseError || sparseError);
+    throw new Error('SEARCH_UNAVAILABLE');
+  }
+  if (denseError) console.warn('⚠️ Dense search failed, using keyword results only:', denseError.message);
+  if (sparseError) console.warn('⚠️ Keyword search failed, using vector results only:', sparseError.message);
+
+  let chunks;
+  if (options.mode === 'dense') {
+    chunks = denseResults.map((c, i) => ({ ...c, retrievalScores: { denseScore: c.score, denseRank: i + 1 } }));
+  } else if (options.mode === 'sparse') {
+    chunks = sparseResults.map((c, i) => ({ ...c, retrievalScores: { sparseScore: c.score, sparseRank: i + 1 } }));
+  } else {
+    chunks = fuseResults(denseResults, sparseResults, options);
+  }
+
+  return {
+    chunks: chunks.slice(0, topK),
+    candidates: { dense: denseResults.length, sparse: sparseResults.length },
+    degraded: denseError ? 'sparse-only' : (sparseError ? 'dense-only' : null),
+  };
+};
+
+// Filter for the requested documents, or null when there are none.
+const searchScope = (documentIds) => {
+  if (documentIds.length === 0) return null;
+  return { documentId: documentIds.length === 1 ? documentIds[0] : documentIds };
+};
+
+// Chunks record the owner they were indexed under, so results of a search by owner
+// are checked against the documents the user can read now.
+const keepReadableChunks = async (search, userId) => {
+  const documentIds = [...new Set(search.chunks.map(chunk => String(chunk.documentId)))];
+  const readable = new Set(await filterAccessibleDocumentIds(userId, documentIds));
+  return { ...search, chunks: search.chunks.filter(chunk => readable.has(String(chunk.documentId))) };
+};
+
+// documentId may be a single id or an array of ids to search within; without one the
+// search covers every document the user owns or has been shared, and requested ids
+// the user cannot read are dropped. collectionId limits the search to that collection
+// and metadataFilter ({ tags, field_<name> } vector metadata) to matching chunks.
+// Only a single documentId falls back to a user-wide search when nothing matches;
+// id lists and collections are searched exactly.
+// `retrieval` holds per-request overrides: { mode, fusion, denseWeight, sparseWeight, rrfK }.
+const retrieveRelevantChunks = async ({ question, userId, documentId = null, collectionId = null, metadataFilter = {}, topK = 10, retrieval = {} }) => {
+  const options = resolveRetrievalOptions(retrieval);
+  const requestedIds = (Array.isArray(documentId) ? documentId : [documentId]).filter(Boolean).map(String);
+  // Without requested ids, filter on owner and shares rather than listing every document
+  const scopedIds = requestedIds.length > 0 ? await filterAccessibleDocumentIds(userId, requestedIds) : null;
+  const scope = scopedIds ? searchScope(scopedIds) : await accessibleChunksFilter(userId);
+  const singleDocumentId = typeof documentId === 'string' && scopedIds?.includes(documentId) ? documentId : null;
+
+  // Check index status first
+  try {
+    const stats = await checkIndexStatus();
+    console.log('📊 Current index status:', stats);
+  } catch (error) {
+    console.error('❌ Error checking index status:', error);
+  }
+
+  // If specific document, validate vectors exist
+  if (singleDocumentId && options.mode !== 'sparse') {
+    try {
+      const vectorState = await checkDocumentVectors(singleDocumentId);
+      console.log('🧮 Document vector state:', vectorState);
+      if (!vectorState || (vectorState.countEstimate || 0) === 0) {
+        console.warn('⚠️ No vectors found for requested document. Falling back to user-wide search.');
+      }
+    } catch (vecErr) {
+      console.error('❌ Error checking document vectors:', vecErr?.message || vecErr);
+    }
+  }
+
+  let questionEmbedding = null;
+  const getEmbedding = async () => {
+    if (questionEmbedding) return questionEmbedding;
+    try {
+      questionEmbedding = await generateEmbedding(question);
+      console.log(`✅ Generated question embedding: ${questionEmbedding.length} dimensions`);
+      return questionEmbedding;
+    } catch (embeddingError) {
+      console.error('❌ Embedding generation failed:', embeddingError);
+      if (embeddingError.message === 'PROVIDER_UNAVAILABLE') throw embeddingError;
+      throw new Error('EMBEDDING_FAILED');
+    }
+  };
+
+  let search = await runSearch({ question, scope, collectionId, metadataFilter, topK, options, getEmbedding });
+  if (!scopedIds) search = await keepReadableChunks(search, userId);
+  console.log(`🔍 Found ${search.chunks.length} relevant chunks (${options.mode})`);
+
+  const hasMetadataFilter = Object.keys(metadataFilter).length > 0;
+  if (search.chunks.length === 0 && singleDocumentId && !collectionId && !hasMetadataFilter) {
+    // Try user-wide fallback explicitly if not already done inside service
+    try {
+      const userWide = await runSearch({ question, scope: await accessibleChunksFilter(userId), topK: topK + 5, options, getEmbedding });
+      const fallback = await keepReadableChunks(userWide, userId);
+      if (fallback.chunks.length > 0) {
+        search = fallback;
+      }
+    } catch {}
+  }
+
+  const relevantChunks = search.chunks;
+
+  let diagnostics = null;
+  if (relevantChunks.length === 0) {
+    const diag = singleDocumentId ? await (async () => {
+      try { return await checkDocumentVectors(singleDocumentId); } catch { return null; }
+    })() : null;
+    diagnostics = {
+      documentId: documentId || null,
+      collectionId: collectionId || null,
+      vectorCountEstimate: diag?.countEstimate ?? null,
+      sample: diag?.sample ?? null
+    };
+  }
+
+  const retrievalDiagnostics = {
+    mode: options.mode,
+    fusion: options.mode === 'hybrid' ? options.fusion : null,
+    weights: options.mode === 'hybrid' ? { dense: options.denseWeight, sparse: options.sparseWeight } : null,
+    rrfK: options.mode === 'hybrid' && options.fusion === 'rrf' ? options.rrfK : null,
+    candidates: search.candidates,
+    degraded: search.degraded,
+    results: relevantChunks.map(c => ({
+      id: c.id,
+      documentId: c.documentId,
+      chunkIndex: c.chunkIndex,
+      ...c.retrievalScores
+    }))
+  };
+
+  return { relevantChunks, questionEmbedding, diagnostics, retrievalDiagnostics };
+};
+
+module.exports = {
+  RETRIEVAL_ERRORS,
+  resolveRetrievalOptions,
+  fuseResults,
+  retrieveRelevantChunks,
+};
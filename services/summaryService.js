@@ -0,0 +1,262 @@
+const crypto = require('crypto');
+const Document = require('../models/Document');
+const { chunkText } = require('../utils/fileProcessor');
+const { chat } = require('./aiService');
+
+// Errors thrown here carry a code in `message` that the routes map to HTTP statuses.
+const SUMMARY_ERRORS = {
+  INVALID_SUMMARY_OPTIONS: { status: 400, message: 'length must be tldr, paragraph or outline, and by must be document or section.' },
+  NO_TEXT: { status: 409, message: 'This document has no extracted text yet. Wait for processing to finish.' },
+  NO_SECTIONS: { status: 400, message: 'This document has no headings and only one page, so it cannot be summarized by section.' },
+  SUMMARY_FAILED: { status: 502, message: 'Could not generate the summary. Please try again.' },
+};
+
+const LENGTHS = ['tldr', 'paragraph', 'outline'];
+
+// Words per map chunk. Much larger than retrieval chunks: each one costs an LLM call.
+const MAP_CHUNK_WORDS = parseInt(process.env.SUMMARY_CHUNK_WORDS || '1500', 10);
+// Notes are condensed again until they fit into one reduce prompt of this size
+const REDUCE_INPUT_CHARS = parseInt(process.env.SUMMARY_REDUCE_CHARS || '12000', 10);
+// Documents needing more map calls than this are summarized in the background
+const BACKGROUND_CHUNKS = parseInt(process.env.SUMMARY_BACKGROUND_CHUNKS || '6', 10);
+
+const SYSTEM_PROMPT = 'You summarize documents faithfully. Use only information from the text you are given and never add outside facts.';
+
+const LENGTH_INSTRUCTIONS = {
+  tldr: { prompt: 'Write a TL;DR of the document in one or two sentences.', maxTokens: 150 },
+  paragraph: { prompt: 'Write a single-paragraph summary of the document of about 150 words.', maxTokens: 400 },
+  outline: { prompt: 'Write a detailed outline of the document in Markdown: a heading for each main topic in document order, with bullet points for the key points, figures and conclusions under it.', maxTokens: 1500 },
+};
+
+// Summaries currently being generated in the background, keyed by "<documentId>:<kind>",
+// and the error of the last background run that failed (reported once, then retried).
+const runningTasks = new Map();
+const failedTasks = new Map();
+
+const hashText = (text) => crypto.createHash('sha256').update(text || '').digest('hex');
+
+const summarize = async (prompt, text, maxTokens) => {
+  const result = await chat([{ role: 'user', content: `${prompt}\n\nText:\n${text}` }], {
+    task: 'summary',
+    system: SYSTEM_PROMPT,
+    maxTokens,
+  });
+  return { text: result.message.trim(), provider: result.provider, model: result.model };
+};
+
+// Map step: condense each chunk into notes.
+const mapChunks = async (chunks) => {
+  const notes = [];
+  for (const chunk of chunks) {
+    const { text } = await summarize('Condense this part of a document into concise notes (bullet points) keeping every key fact, name, number, date and conclusion.', chunk, 500);
+    notes.push(text);
+  }
+  return notes;
+};
+
+// Reduce step: merge notes in groups until they fit in a single prompt.
+const condenseNotes = async (notes) => {
+  let current = notes;
+  while (current.join('\n\n').length > REDUCE_INPUT_CHARS && current.length > 1) {
+    const groups = [];
+    let group = [];
+    let size = 0;
+    for (const note of current) {
+      if (group.length > 0 && size + note.length > REDUCE_INPUT_CHARS) {
+        groups.push(group);
+        group = [];
+        size = 0;
+      }
+      group.push(note);
+      size += note.length;
+    }
+    if (group.length > 0) groups.push(group);
+
+    const condensed = [];
+    for (const part of groups) {
+      const { text } = await summarize('Merge these notes on consecutive parts of one document into a shorter set of notes, keeping the key facts in order.', part.join('\n\n'), 800);
+      condensed.push(text);
+    }
+    current = condensed;
+  }
+  return current.join('\n\n').slice(0, REDUCE_INPUT_CHARS);
+};
+
+const summarizeWithLength = async (notes, length) => {
+  const { prompt, maxTokens } = LENGTH_INSTRUCTIONS[length];
+  return summarize(`${prompt} The text below consists of notes taken on consecutive parts of the document.`, await condenseNotes(notes), maxTokens);
+};
+
+// Documents without headings (PDFs, plain text) are split into runs of whole pages of
+// about one map chunk each instead, titled "Page 3" or "Pages 4-6".
+const splitPages = (doc) => {
+  const offsets = doc.pageOffsets || [];
+  if (offsets.length < 2) return [];
+  const parts = [];
+  let first = 0;
+  for (let page = 0; page < offsets.length; page++) {
+    const end = page + 1 < offsets.length ? offsets[page + 1] : undefined;
+    const text = doc.cleanedText.slice(offsets[first], end).trim();
+    if (end !== undefined && text.split(/\s+/).length < MAP_CHUNK_WORDS) continue;
+    parts.push({
+      title: first === page ? `Page ${first + 1}` : `Pages ${first + 1}-${page + 1}`,
+      level: 1,
+      charStart: offsets[first],
+      pageStart: first + 1,
+      pageEnd: page + 1,
+      text
+    });
+    first = page + 1;
+  }
+  return parts;
+};
+
+// The top-level sections of the document with their text, or page runs when it has no headings.
+const splitSections = (doc) => {
+  const sections = doc.sections || [];
+  if (sections.length === 0) return splitPages(doc);
+  const topLevel = Math.min(...sections.map(section => section.level || 1));
+  const top = sections.filter(section => (section.level || 1) === topLevel);
+  return top.map((section, i) => ({
+    title: section.title,
+    level: section.level || 1,
+    charStart: section.charStart,
+    text: doc.cleanedText.slice(section.charStart, i + 1 < top.length ? top[i + 1].charStart : undefined).trim()
+  }));
+};
+
+const summarizeSections = async (doc) => {
+  const sections = [];
+  let meta = {};
+  for (const section of splitSections(doc)) {
+    if (!section.text) continue;
+    const chunks = chunkText(section.text, MAP_CHUNK_WORDS, 50);
+    const notes = chunks.length > 1 ? await mapChunks(chunks) : chunks;
+    const result = await summarize('Summarize this section of a document in two or three sentences.', await condenseNotes(notes), 250);
+    meta = { provider: result.provider, model: result.model };
+    const { text, ...heading } = section;
+    sections.push({ ...heading, summary: result.text });
+  }
+  return { sections, ...meta };
+};
+
+// Read the cache for the document's current text. A cache built from other text
+// (before a new version or rollback) counts as empty.
+const readCache = (doc) => {
+  const cache = doc.summaryCache;
+  if (!cache || cache.textHash !== hashText(doc.cleanedText)) return { notes: null, levels: {} };
+  const levels = cache.levels instanceof Map ? Object.fromEntries(cache.levels) : (cache.levels || {});
+  return { notes: cache.notes && cache.notes.length > 0 ? cache.notes : null, levels };
+};
+
+// Store a result, resetting the cache first if it was built from other text. A
+// result for text that was replaced while it was being generated is dropped.
+const writeCache = async (documentId, textHash, { notes, kind, entry }) => {
+  const current = await Document.findById(documentId).select('cleanedText summaryCache.textHash').lean();
+  if (!current || hashText(current.cleanedText) !== textHash) return;
+
+  if (current.summaryCache?.textHash !== textHash) {
+    await Document.updateOne({ _id: documentId }, { $set: { summaryCache: { textHash, notes: [], levels: {} } } });
+  }
+  const update = {};
+  if (notes) update['summaryCache.notes'] = notes;
+  if (entry) update[`summaryCache.levels.${kind}`] = entry;
+  await Document.updateOne({ _id: documentId }, { $set: update });
+};
+
+const generate = async (doc, kind, cachedNotes) => {
+  const textHash = hashText(doc.cleanedText);
+  let entry;
+  if (kind === 'sections') {
+    const result = await summarizeSections(doc);
+    entry = { sections: result.sections, provider: result.provider, model: result.model, generatedAt: new Date() };
+    await writeCache(doc._id, textHash, { kind, entry });
+    return entry;
+  }
+
+  let notes = cachedNotes;
+  if (!notes) {
+    notes = await mapChunks(chunkText(doc.cleanedText, MAP_CHUNK_WORDS, 50));
+    // Every length is reduced from the same notes, so keep them for the next request
+    await writeCache(doc._id, textHash, { notes });
+  }
+  const result = await summarizeWithLength(notes, kind);
+  entry = { text: result.text, provider: result.provider, model: result.model, generatedAt: new Date() };
+  await writeCache(doc._id, textHash, { kind, entry });
+  return entry;
+};
+
+// Map calls a fresh summary of this kind would need.
+const estimateMapCalls = (doc, kind, cachedNotes) => {
+  if (kind === 'sections') {
+    return splitSections(doc).reduce((sum, section) => sum + Math.max(1, Math.ceil(section.text.split(/\s+/).length / MAP_CHUNK_WORDS)), 0);
+  }
+  return cachedNotes ? 0 : Math.ceil(doc.cleanedText.split(/\s+/).length / MAP_CHUNK_WORDS);
+};
+
+const toResult = (doc, kind, entry, cached) => ({
+  documentId: doc._id,
+  status: 'ready',
+  kind,
+  ...(kind === 'sections' ? { sections: entry.sections } : { summary: entry.text }),
+  generatedAt: entry.generatedAt,
+  provider: entry.provider,
+  model: entry.model,
+  cached,
+});
+
+// GET /api/documents/:id/summary. length is tldr | paragraph | outline; by=section
+// summarizes each top-level section instead. Returns the summary ({ status: 'ready' }),
+// or { status: 'processing' } while a long document is summarized in the background.
+// Throws one of the SUMMARY_ERRORS codes.
+const getSummary = async (doc, { length = 'paragraph', by = 'document', refresh = false } = {}) => {
+  if (!LENGTHS.includes(length) || !['document', 'section'].includes(by)) {
+    throw new Error('INVALID_SUMMARY_OPTIONS');
+  }
+  if (!doc.cleanedText) throw new Error('NO_TEXT');
+  const kind = by === 'section' ? 'sections' : length;
+  if (kind === 'sections' && splitSections(doc).length === 0) throw new Error('NO_SECTIONS');
+
+  const taskKey = `${doc._id}:${kind}`;
+  if (runningTasks.has(taskKey)) {
+    return { documentId: doc._id, status: 'processing', kind };
+  }
+  const failure = failedTasks.get(taskKey);
+  if (failure) {
+    failedTasks.delete(taskKey);
+    return { documentId: doc._id, status: 'failed', kind, error: failure };
+  }
+
+  const cache = readCache(doc);
+  if (!refresh && cache.levels[kind]) {
+    return toResult(doc, kind, cache.levels[kind], true);
+  }
+  const cachedNotes = refresh ? null : cache.notes;
+
+  if (estimateMapCalls(doc, kind, cachedNotes) > BACKGROUND_CHUNKS) {
+    const task = generate(doc, kind, cachedNotes)
+      .then(() => console.log(`✅ Summary (${kind}) ready for document ${doc._id}`))
+      .catch(error => {
+        console.error(`❌ Summary (${kind}) failed for document ${doc._id}:`, error.message);
+        failedTasks.set(taskKey, SUMMARY_ERRORS.SUMMARY_FAILED.message);
+      })
+      .finally(() => runningTasks.delete(taskKey));
+    runningTasks.set(taskKey, task);
+    console.log(`🧾 Summarizing document ${doc._id} (${kind}) in the background`);
+    return { documentId: doc._id, status: 'processing', kind };
+  }
+
+  try {
+    const entry = await generate(doc, kind, cachedNotes);
+    return toResult(doc, kind, entry, false);
+  } catch (error) {
+    console.error(`❌ Summary (${kind}) failed for document ${doc._id}:`, error.message);
+    throw new Error('SUMMARY_FAILED');
+  }
+};
+
+module.exports = {
+  SUMMARY_ERRORS,
+  splitSections,
+  getSummary,
+};
@@ -0,0 +1,206 @@
+require('dotenv').config();
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '1h';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+// A token presented again within this many seconds of its rotation is a concurrent
+// refresh rather than a leaked token.
+const REUSE_GRACE_SECONDS = parseInt(process.env.REFRESH_TOKEN_REUSE_GRACE_SECONDS || '30', 10);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Single-use tokens for email links. Only the hash is stored; the raw token goes in the email.
+const createOneTimeToken = (ttlMinutes) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return {
+    token,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+  };
+};
+
+const signAccessToken = (userId, sessionId) => jwt.sign(
+  { user: { id: userId }, sid: sessionId },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+const createRefreshToken = async ({ userId, family, sessionStartedAt, userAgent, ip }) => {
+  const token = crypto.randomBytes(48).toString('base64url');
+  const record = await RefreshToken.create({
+    user: userId,
+    tokenHash: hashToken(token),
+    family,
+    sessionStartedAt,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    userAgent,
+    ip
+  });
+  return { token, record };
+};
+
+const revokeFamily = (family, reason) => RefreshToken.updateMany(
+  { family, revokedAt: null },
+  { revokedAt: new Date(), revokedReason: reason }
+);
+
+// Start a new session (token family) for a user who just authenticated.
+// client: { userAgent, ip }
+const issueSession = async (userId, client = {}) => {
+  const family = crypto.randomUUID();
+  const { token } = await createRefreshToken({ userId, family, ...client });
+  return {
+    accessToken: signAccessToken(userId, family),
+    refreshToken: token,
+    sessionId: family
+  };
+};
+
+// Marks the single grace use of a rotated token. Fails when the token was rotated
+// longer than REUSE_GRACE_SECONDS ago, its grace use is spent or its successor has
+// already been used or revoked.
+const claimGraceUse = async (tokenId) => {
+  const rotated = await RefreshToken.findOneAndUpdate(
+    {
+      _id: tokenId,
+      revokedReason: 'rotated',
+      revokedAt: { $gte: new Date(Date.now() - REUSE_GRACE_SECONDS * 1000) },
+      graceUsedAt: null
+    },
+    { graceUsedAt: new Date() }
+  );
+  if (!rotated?.replacedBy) return false;
+  return Boolean(await RefreshToken.exists({ _id: rotated.replacedBy, revokedAt: null }));
+};
+
+// Exchange a refresh token for a new access/refresh pair. The presented token is
+// revoked; presenting an already-rotated token again means it leaked, so the whole
+// family is revoked. Throws INVALID_REFRESH_TOKEN or REFRESH_TOKEN_REUSED.
+const rotateRefreshToken = async (token, client = {}) => {
+  const existing = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+  if (!existing || existing.expiresAt <= new Date()) {
+    throw new Error('INVALID_REFRESH_TOKEN');
+  }
+
+  // Create the successor before claiming, so a failed write leaves the presented token usable
+  const { token: nextToken, record } = await createRefreshToken({
+    userId: existing.user,
+    family: existing.family,
+    sessionStartedAt: existing.sessionStartedAt,
+    userAgent: client.userAgent || existing.userAgent,
+    ip: client.ip || existing.ip
+  });
+  const discardSuccessor = () => RefreshToken.deleteOne({ _id: record._id }).catch(() => {});
+
+  // Claim the token atomically so two concurrent refreshes cannot both rotate it
+  let claimed;
+  try {
+    claimed = await RefreshToken.findOneAndUpdate(
+      { _id: existing._id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'rotated', replacedBy: record._id },
+      { new: true }
+    );
+  } catch (error) {
+    await discardSuccessor();
+    throw error;
+  }
+
+  if (!claimed) {
+    // Two tabs or a retried request refreshing with the same token: one late request
+    // within the grace window gets a token too, as long as nobody has used the
+    // successor yet. A second replay is treated as reuse.
+    if (await claimGraceUse(existing._id)) {
+      return {
+        accessToken: signAccessToken(existing.user, existing.family),
+        refreshToken: nextToken,
+        sessionId: existing.family,
+        userId: existing.user
+      };
+    }
+
+    const current = await RefreshToken.findById(existing._id).lean();
+    await discardSuccessor();
+    if (current && (current.revokedReason === 'rotated' || current.replacedBy)) {
+      console.warn(`🚨 Refresh token reuse detected for user ${existing.user}, revoking session ${existing.family}`);
+      await revokeFamily(existing.family, 'reuse-detected');
+      throw new Error('REFRESH_TOKEN_REUSED');
+    }
+    throw new Error('INVALID_REFRESH_TOKEN');
+  }
+
+  return {
+    accessToken: signAccessToken(existing.user, existing.family),
+    refreshToken: nextToken,
+    sessionId: existing.family,
+    userId: existing.user
+  };
+};
+
+// Revoke the session a refresh token belongs to. Unknown tokens are ignored so
+// logout is idempotent.
+const revokeSessionByToken = async (token) => {
+  const existing = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+  if (!existing) return null;
+  await revokeFamily(existing.family, 'logout');
+  return existing.family;
+};
+
+const revokeSession = async (userId, sessionId, reason = 'session-revoked') => {
+  const result = await RefreshToken.updateMany(
+    { user: userId, family: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount;
+};
+
+const revokeAllSessions = async (userId) => {
+  const families = await RefreshToken.distinct('family', { user: userId, revokedAt: null });
+  await RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: 'logout-all' }
+  );
+  return families.length;
+};
+
+// A live family usually has one unrevoked token, the latest one; concurrent refreshes
+// can leave it a second, so each family is listed once.
+const listSessions = async (userId) => {
+  const active = await RefreshToken.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ updatedAt: -1 })
+    .lean();
+  const seen = new Set();
+  const latest = active.filter(token => !seen.has(token.family) && seen.add(token.family));
+  return latest.map(token => ({
+    id: token.family,
+    userAgent: token.userAgent || null,
+    ip: token.ip || null,
+    createdAt: token.sessionStartedAt,
+    lastUsedAt: token.createdAt,
+    expiresAt: token.expiresAt
+  }));
+};
+
+// Access tokens are stateless, so revocation is enforced by checking that their
+// session still has a live refresh token. Tokens issued before sessions existed
+// carry no sid and stay valid until they expire.
+const isSessionActive = async (sessionId) => {
+  if (!sessionId) return true;
+  const live = await RefreshToken.exists({ family: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } });
+  return Boolean(live);
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  hashToken,
+  createOneTimeToken,
+  issueSession,
+  rotateRefreshToken,
+  revokeSessionByToken,
+  revokeSession,
+  revokeAllSessions,
+  listSessions,
+  isSessionActive,
+};
@@ -1,20 +1,51 @@
-const { Pinecone } = require('@pinecone-database/pinecone');
 require('dotenv').config();
 
-const pinecone = new Pinecone({
-  apiKey: process.env.PINECONE_API_KEY,
-});
+const pineconeStore = require('./vectorStores/pineconeStore');
+const localStore = require('./vectorStores/localStore');
+const keywordIndex = require('./keywordIndexService');
 
-const indexName = process.env.PINECONE_INDEX_NAME;
-if (!indexName) {
-  console.error("PINECONE_INDEX_NAME environment variable is not set.");
-}
-const pineconeIndex = pinecone.Index(indexName);
+// Every store implements: upsert, query, fetch, updateMetadata, deleteByDocument, deleteByIds, count, sample, stats.
+// Filters are plain objects of { metadataField: value | [values] }, optionally with
+// `$or: [filter, ...]` for matches that satisfy any of several such filters.
+const stores = {
+  pinecone: pineconeStore,
+  local: localStore,
+};
+
+const resolveStore = (name) => {
+  if (!name) return null;
+  const store = stores[name.toLowerCase()];
+  if (!store) {
+    throw new Error(`Unknown vector store "${name}". Expected one of: ${Object.keys(stores).join(', ')}`);
+  }
+  return store;
+};
+
+const primaryStore = resolveStore(process.env.VECTOR_STORE || 'pinecone');
+// Optional secondary store. Writes are mirrored to it and reads fall back to it
+// when the primary store errors, so /ask keeps working while Pinecone is down.
+const fallbackStore = process.env.VECTOR_STORE_FALLBACK && process.env.VECTOR_STORE_FALLBACK !== primaryStore.name
+  ? resolveStore(process.env.VECTOR_STORE_FALLBACK)
+  : null;
+
+console.log(`🗄️ Vector store: ${primaryStore.name}${fallbackStore ? ` (fallback: ${fallbackStore.name})` : ''}`);
+
+const getVectorStore = () => primaryStore;
+
+const withFallback = async (operation, label) => {
+  try {
+    return await operation(primaryStore);
+  } catch (error) {
+    if (!fallbackStore) throw error;
+    console.warn(`⚠️ ${primaryStore.name} ${label} failed (${error.message}), using ${fallbackStore.name} store`);
+    return operation(fallbackStore);
+  }
+};
 
 async function upsertVectors(vectors, documentId, userId) {
   try {
-    console.log(`� Upserting ${vectors.length} vectors to Pinecone index: ${indexName}...`);
-    
+    console.log(`📤 Upserting ${vectors.length} vectors to ${primaryStore.name} store...`);
+
     // Ensure vectors have proper format with metadata
     const formattedVectors = vectors.map((vec, index) => ({
       id: vec.id || `${documentId}#chunk_${index}`,
@@ -27,100 +58,191 @@ async function upsertVectors(vectors, documentId, userId) {
       },
     }));
 
-    await pineconeIndex.upsert(formattedVectors);
-    console.log(`✅ Successfully upserted ${vectors.length} vectors to Pinecone index: ${indexName}.`);
-    
-    // Wait for Pinecone to index vectors (eventual consistency)
-    console.log('⏳ Waiting for Pinecone to index vectors...');
-    await new Promise(resolve => setTimeout(resolve, 2000)); // 2 second wait
-    
+    await primaryStore.upsert(formattedVectors);
+    console.log(`✅ Successfully upserted ${vectors.length} vectors to ${primaryStore.name} store.`);
+
+    if (fallbackStore) {
+      try {
+        await fallbackStore.upsert(formattedVectors);
+      } catch (mirrorError) {
+        console.warn(`⚠️ Could not mirror vectors to ${fallbackStore.name} store:`, mirrorError.message);
+      }
+    }
+
+    // Keyword search degrades to dense-only for this document if indexing fails
+    try {
+      await keywordIndex.indexChunks(formattedVectors);
+    } catch (keywordError) {
+      console.warn('⚠️ Could not update keyword index:', keywordError.message);
+    }
+    // Pinecone is eventually consistent; the ingestion "verified" stage polls until the vectors show up.
   } catch (error) {
-    console.error('❌ Error upserting vectors to Pinecone:', error);
+    console.error('❌ Error upserting vectors:', error);
     throw error;
   }
 }
 
+async function queryVectors(embedding, { topK = 10, filter = {} } = {}) {
+  const matches = await withFallback(store => store.query(embedding, { topK, filter }), 'query');
+  return matches.map(match => ({
+    id: match.id,
+    text: match.metadata?.text || '',
+    score: match.score,
+    documentId: match.metadata?.documentId,
+    chunkIndex: match.metadata?.chunkIndex,
+    metadata: match.metadata || {},
+  }));
+}
+
 async function queryEmbeddings(embedding, userId, topK = 10, documentId = null) {
   try {
-    const filter = {
-      userId: { '$eq': userId },
-    };
-
-    if (documentId) {
-      filter.documentId = { '$eq': documentId };
+    const filter = { userId };
+    if (Array.isArray(documentId) ? documentId.length > 0 : documentId) {
+      filter.documentId = documentId;
     }
 
-    const queryOptions = {
-      vector: embedding,
-      topK: topK,
-      includeMetadata: true,
-      filter: filter,
-    };
-
-    console.log(`� Querying Pinecone - userId: ${userId}, documentId: ${documentId}, topK: ${topK}`);
+    console.log(`🔎 Querying vectors - userId: ${userId}, documentId: ${documentId}, topK: ${topK}`);
 
-    const queryResponse = await pineconeIndex.query(queryOptions);
+    const relevantChunks = await queryVectors(embedding, { topK, filter });
 
-    const relevantChunks = queryResponse.matches.map(match => ({
-      text: match.metadata?.text || '',
-      score: match.score,
-      documentId: match.metadata?.documentId,
-      chunkIndex: match.metadata?.chunkIndex
-    }));
-    
     console.log(`✅ Found ${relevantChunks.length} relevant chunks for query.`);
     return relevantChunks;
   } catch (error) {
-    console.error('❌ Error querying Pinecone embeddings:', error);
+    console.error('❌ Error querying embeddings:', error);
+    throw error;
+  }
+}
+
+// Merge `metadata` into every chunk of a document, in the vector stores and the
+// keyword index. Used for fields that change after indexing, like collection membership.
+async function updateDocumentMetadata(documentId, metadata) {
+  try {
+    const vectorIds = await keywordIndex.listVectorIds(documentId);
+    const updated = await primaryStore.updateMetadata(vectorIds, metadata);
+    if (fallbackStore) {
+      try {
+        await fallbackStore.updateMetadata(vectorIds, metadata);
+      } catch (mirrorError) {
+        console.warn(`⚠️ Could not update metadata in ${fallbackStore.name} store:`, mirrorError.message);
+      }
+    }
+    await keywordIndex.updateDocumentMetadata(documentId, metadata);
+    console.log(`✅ Updated metadata on ${updated} vectors for document ID: ${documentId}`);
+    return updated;
+  } catch (error) {
+    console.error('❌ Error updating vector metadata:', error);
     throw error;
   }
 }
 
+// Every chunk of a document with its embedding, in chunk order. Chunks the store
+// has no vector for are returned with `values: null`.
+async function fetchDocumentVectors(documentId) {
+  const chunks = await keywordIndex.listChunks(documentId);
+  const vectors = await withFallback(store => store.fetch(chunks.map(chunk => chunk.vectorId)), 'fetch');
+  const byId = new Map(vectors.map(vec => [vec.id, vec]));
+  return chunks.map(chunk => ({
+    id: chunk.vectorId,
+    documentId,
+    chunkIndex: chunk.chunkIndex,
+    text: chunk.chunkText,
+    metadata: chunk.metadata || {},
+    values: byId.get(chunk.vectorId)?.values || null,
+  }));
+}
+
 async function deleteVectorsByDocumentId(documentId) {
   try {
     console.log(`🗑️ Deleting vectors for document: ${documentId}`);
-    
-    // First, fetch all vector IDs for this document using a query
-    const EMBEDDING_DIM = parseInt(process.env.EMBEDDING_DIM || '768', 10);
-    const zeroVec = Array(EMBEDDING_DIM).fill(0.0);
-    
-    // Query to get all vectors for this document
-    const queryResult = await pineconeIndex.query({
-      vector: zeroVec,
-      topK: 10000, // Large number to get all vectors
-      includeMetadata: true,
-      filter: {
-        documentId: { '$eq': documentId }
+
+    const deleted = await primaryStore.deleteByDocument(documentId);
+    if (fallbackStore) {
+      try {
+        await fallbackStore.deleteByDocument(documentId);
+      } catch (mirrorError) {
+        console.warn(`⚠️ Could not delete vectors from ${fallbackStore.name} store:`, mirrorError.message);
       }
-    });
-    
-    const vectorIds = queryResult.matches.map(match => match.id);
-    
-    if (vectorIds.length === 0) {
-      console.log(`ℹ️ No vectors found for document: ${documentId}`);
-      return;
     }
-    
-    console.log(`🔍 Found ${vectorIds.length} vector IDs to delete`);
-    
-    // Delete by IDs (Pinecone supports this)
-    await pineconeIndex.deleteMany(vectorIds);
-    
-    console.log(`✅ Successfully deleted ${vectorIds.length} vectors for document ID: ${documentId} from Pinecone index: ${indexName}.`);
+    await keywordIndex.removeDocument(documentId);
+
+    console.log(`✅ Deleted ${deleted} vectors for document ID: ${documentId} from ${primaryStore.name} store.`);
+  } catch (error) {
+    console.error('❌ Error deleting vectors:', error);
+    throw error;
+  }
+}
+
+// Delete a document's chunks other than the first `keepCount`, i.e. those left over from
+// a longer earlier text once the new one has been upserted over it.
+async function pruneDocumentVectors(documentId, keepCount) {
+  try {
+    const keep = new Set(Array.from({ length: keepCount }, (_, index) => `${documentId}#chunk_${index}`));
+    const staleIds = (await keywordIndex.listVectorIds(documentId)).filter(id => !keep.has(id));
+    if (staleIds.length === 0) return 0;
+
+    await primaryStore.deleteByIds(staleIds);
+    if (fallbackStore) {
+      try {
+        await fallbackStore.deleteByIds(staleIds);
+      } catch (mirrorError) {
+        console.warn(`⚠️ Could not delete vectors from ${fallbackStore.name} store:`, mirrorError.message);
+      }
+    }
+    await keywordIndex.removeChunks(staleIds);
+
+    console.log(`✅ Pruned ${staleIds.length} stale vectors for document ID: ${documentId}`);
+    return staleIds.length;
+  } catch (error) {
+    console.error('❌ Error pruning vectors:', error);
+    throw error;
+  }
+}
+
+// Create the keyword index rows of a document indexed before they existed, from the
+// chunk text stored with its vectors. Chunk ids run from #chunk_0 without gaps, so
+// they are fetched in batches until one comes back short. Returns the rows written;
+// documents that already have rows are left alone.
+const BACKFILL_BATCH_SIZE = 100;
+async function backfillKeywordIndex(documentId, userId) {
+  try {
+    if ((await keywordIndex.listVectorIds(documentId)).length > 0) return 0;
+
+    let written = 0;
+    for (let start = 0; ; start += BACKFILL_BATCH_SIZE) {
+      const ids = Array.from({ length: BACKFILL_BATCH_SIZE }, (_, i) => `${documentId}#chunk_${start + i}`);
+      const vectors = await withFallback(store => store.fetch(ids), 'fetch');
+      await keywordIndex.indexChunks(vectors.map(vec => ({
+        id: vec.id,
+        metadata: {
+          userId,
+          ...vec.metadata,
+          documentId,
+          chunkIndex: Number(vec.id.slice(vec.id.lastIndexOf('_') + 1)),
+        },
+      })));
+      written += vectors.length;
+      if (vectors.length < ids.length) break;
+    }
+
+    if (written > 0) console.log(`✅ Backfilled ${written} keyword index rows for document ID: ${documentId}`);
+    return written;
   } catch (error) {
-    console.error('❌ Error deleting vectors from Pinecone:', error);
+    console.error('❌ Error backfilling keyword index:', error);
     throw error;
   }
 }
 
 async function checkIndexStatus() {
   try {
-    const stats = await pineconeIndex.describeIndexStats();
-    console.log('📊 Pinecone Index Stats:', {
-      totalVectors: stats.totalVectorCount,
-      dimension: stats.dimension,
-      indexFullness: stats.indexFullness
-    });
+    const stats = await primaryStore.stats();
+    console.log('📊 Vector store stats:', stats);
+    if (fallbackStore) {
+      try {
+        stats.fallback = await fallbackStore.stats();
+      } catch (fallbackError) {
+        stats.fallback = { backend: fallbackStore.name, error: fallbackError.message };
+      }
+    }
     return stats;
   } catch (error) {
     console.error('❌ Error checking index stats:', error);
@@ -131,37 +253,22 @@ async function checkIndexStatus() {
 async function checkDocumentVectors(documentId, userId) {
   try {
     console.log(`🔍 Checking vectors for document: ${documentId}, user: ${userId}`);
-    
-    // Query using a zero vector to fetch sample metadata
-    const EMBEDDING_DIM = parseInt(process.env.EMBEDDING_DIM || '768', 10);
-    const zeroVec = Array(EMBEDDING_DIM).fill(0.0);
-    
-    const filter = {
-      documentId: { '$eq': documentId }
-    };
-    
+
+    const filter = { documentId };
     if (userId) {
-      filter.userId = { '$eq': userId };
+      filter.userId = userId;
     }
-    
-    const probe = await pineconeIndex.query({
-      vector: zeroVec,
-      topK: 5,
-      includeMetadata: true,
-      filter: filter
-    });
-    
-    const matches = probe.matches || [];
-    const sample = matches.map(m => ({ 
-      id: m.id, 
-      metadata: m.metadata 
-    })).slice(0, 3);
-    
-    console.log(`✅ Found ${matches.length} vectors for document`);
-    
-    return { 
-      countEstimate: matches.length, 
-      sample: sample 
+
+    const [countEstimate, sample] = await withFallback(
+      store => Promise.all([store.count(filter), store.sample(filter, 3)]),
+      'document check'
+    );
+
+    console.log(`✅ Found ${countEstimate} vectors for document`);
+
+    return {
+      countEstimate: countEstimate,
+      sample: sample
     };
   } catch (error) {
     console.error('❌ Error checking document vectors:', error.message);
@@ -180,10 +287,16 @@ async function countVectorsByDocument(documentId, userId) {
 }
 
 module.exports = {
+  getVectorStore,
   upsertVectors,
+  queryVectors,
   queryEmbeddings,
+  updateDocumentMetadata,
+  fetchDocumentVectors,
   deleteVectorsByDocumentId,
+  pruneDocumentVectors,
+  backfillKeywordIndex,
   checkIndexStatus,
   checkDocumentVectors,
   countVectorsByDocument,
-};
\ No newline at end of file
+};
@@ -0,0 +1,155 @@
+const DocumentChunk = require('../../models/DocumentChunk');
+
+const COLUMNS = ['documentId', 'userId'];
+
+// Translate the store-neutral filter ({ field: value | [values] }, plus an optional
+// `$or` list of such filters) into a Mongo query over DocumentChunk. documentId and
+// userId are real columns, the rest live in metadata.
+const toChunkQuery = (filter = {}) => {
+  const query = {};
+  for (const [key, value] of Object.entries(filter)) {
+    if (value === undefined || value === null) continue;
+    if (key === '$or') {
+      query.$or = value.map(toChunkQuery);
+      continue;
+    }
+    const path = COLUMNS.includes(key) ? key : `metadata.${key}`;
+    query[path] = Array.isArray(value) ? { $in: value } : value;
+  }
+  return query;
+};
+
+// Keyword-index-only rows have no embedding and are not part of the vector store
+const toMongoQuery = (filter = {}) => ({ 'embeddingVector.0': { $exists: true }, ...toChunkQuery(filter) });
+
+const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  const length = Math.min(a.length, b.length);
+  for (let i = 0; i < length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+};
+
+const toMetadata = (chunk) => ({
+  ...(chunk.metadata || {}),
+  text: chunk.chunkText,
+  documentId: chunk.documentId.toString(),
+  userId: chunk.userId,
+  chunkIndex: chunk.chunkIndex,
+});
+
+async function upsert(vectors) {
+  if (vectors.length === 0) return;
+  const operations = vectors.map(vec => {
+    const { text, documentId, userId, chunkIndex, ...rest } = vec.metadata || {};
+    return {
+      updateOne: {
+        filter: { vectorId: vec.id },
+        update: {
+          $set: {
+            vectorId: vec.id,
+            documentId,
+            userId,
+            chunkIndex,
+            chunkText: text || '',
+            embeddingVector: vec.values,
+            metadata: rest,
+          },
+        },
+        upsert: true,
+      },
+    };
+  });
+  await DocumentChunk.bulkWrite(operations, { ordered: false });
+}
+
+async function query(embedding, { topK = 10, filter = {} } = {}) {
+  const candidates = await DocumentChunk.find(toMongoQuery(filter))
+    .select('vectorId documentId userId chunkIndex chunkText embeddingVector metadata')
+    .lean();
+
+  return candidates
+    .map(chunk => ({
+      id: chunk.vectorId || chunk._id.toString(),
+      score: cosineSimilarity(embedding, chunk.embeddingVector || []),
+      metadata: toMetadata(chunk),
+    }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK);
+}
+
+async function fetch(ids) {
+  if (ids.length === 0) return [];
+  const chunks = await DocumentChunk.find({ vectorId: { $in: ids }, 'embeddingVector.0': { $exists: true } })
+    .select('vectorId documentId userId chunkIndex chunkText embeddingVector metadata')
+    .lean();
+  return chunks.map(chunk => ({ id: chunk.vectorId, values: chunk.embeddingVector, metadata: toMetadata(chunk) }));
+}
+
+// Everything except the real columns lives in the metadata subdocument.
+const toMetadataUpdate = (metadata) => Object.fromEntries(
+  Object.entries(metadata).map(([key, value]) => [COLUMNS.includes(key) ? key : `metadata.${key}`, value])
+);
+
+async function updateMetadata(ids, metadata) {
+  if (ids.length === 0) return 0;
+  const result = await DocumentChunk.updateMany({ vectorId: { $in: ids } }, { $set: toMetadataUpdate(metadata) });
+  return result.modifiedCount || 0;
+}
+
+async function deleteByDocument(documentId) {
+  const result = await DocumentChunk.deleteMany({ documentId });
+  return result.deletedCount || 0;
+}
+
+async function deleteByIds(ids) {
+  if (ids.length === 0) return 0;
+  const result = await DocumentChunk.deleteMany({ vectorId: { $in: ids } });
+  return result.deletedCount || 0;
+}
+
+async function count(filter) {
+  return DocumentChunk.countDocuments(toMongoQuery(filter));
+}
+
+async function sample(filter, limit = 3) {
+  const chunks = await DocumentChunk.find(toMongoQuery(filter))
+    .select('vectorId documentId userId chunkIndex chunkText metadata')
+    .sort({ chunkIndex: 1 })
+    .limit(limit)
+    .lean();
+  return chunks.map(chunk => ({ id: chunk.vectorId || chunk._id.toString(), metadata: toMetadata(chunk) }));
+}
+
+async function stats() {
+  const totalVectors = await DocumentChunk.countDocuments(toMongoQuery());
+  const first = await DocumentChunk.findOne(toMongoQuery()).select('embeddingVector').lean();
+  return {
+    backend: 'local',
+    totalVectors,
+    dimension: first?.embeddingVector?.length || null,
+  };
+}
+
+module.exports = {
+  name: 'local',
+  upsert,
+  query,
+  fetch,
+  updateMetadata,
+  deleteByDocument,
+  deleteByIds,
+  count,
+  sample,
+  stats,
+  cosineSimilarity,
+  toMetadata,
+  toMetadataUpdate,
+  toChunkQuery,
+};
@@ -0,0 +1,133 @@
+const { Pinecone } = require('@pinecone-database/pinecone');
+
+const EMBEDDING_DIM = parseInt(process.env.EMBEDDING_DIM || '768', 10);
+const indexName = process.env.PINECONE_INDEX_NAME;
+
+let pineconeIndex = null;
+
+// The client is created on first use so that running with the local store does
+// not require Pinecone credentials at all.
+const getIndex = () => {
+  if (pineconeIndex) return pineconeIndex;
+  if (!process.env.PINECONE_API_KEY || !indexName) {
+    throw new Error('PINECONE_API_KEY and PINECONE_INDEX_NAME must be set to use the Pinecone vector store.');
+  }
+  const pinecone = new Pinecone({ apiKey: process.env.PINECONE_API_KEY });
+  pineconeIndex = pinecone.Index(indexName);
+  return pineconeIndex;
+};
+
+// Translate the store-neutral filter ({ field: value | [values] }, plus an optional
+// `$or` list of such filters) into Pinecone syntax.
+const toPineconeFilter = (filter = {}) => {
+  const pineconeFilter = {};
+  for (const [key, value] of Object.entries(filter)) {
+    if (value === undefined || value === null || key === '$or') continue;
+    pineconeFilter[key] = Array.isArray(value) ? { '$in': value } : { '$eq': value };
+  }
+  if (!filter.$or) return pineconeFilter;
+  const either = { '$or': filter.$or.map(toPineconeFilter) };
+  return Object.keys(pineconeFilter).length > 0 ? { '$and': [pineconeFilter, either] } : either;
+};
+
+const zeroVector = () => Array(EMBEDDING_DIM).fill(0.0);
+
+async function upsert(vectors) {
+  await getIndex().upsert(vectors);
+}
+
+async function query(embedding, { topK = 10, filter = {} } = {}) {
+  const queryResponse = await getIndex().query({
+    vector: embedding,
+    topK: topK,
+    includeMetadata: true,
+    filter: toPineconeFilter(filter),
+  });
+
+  return (queryResponse.matches || []).map(match => ({
+    id: match.id,
+    score: match.score,
+    metadata: match.metadata || {},
+  }));
+}
+
+// Stored vectors (values and metadata) by id, in batches the fetch API accepts.
+const FETCH_BATCH_SIZE = 100;
+async function fetch(ids) {
+  const vectors = [];
+  for (let i = 0; i < ids.length; i += FETCH_BATCH_SIZE) {
+    const response = await getIndex().fetch(ids.slice(i, i + FETCH_BATCH_SIZE));
+    for (const record of Object.values(response.records || {})) {
+      vectors.push({ id: record.id, values: record.values || [], metadata: record.metadata || {} });
+    }
+  }
+  return vectors;
+}
+
+// Pinecone merges the given fields into each vector's existing metadata.
+const UPDATE_CONCURRENCY = 10;
+async function updateMetadata(ids, metadata) {
+  for (let i = 0; i < ids.length; i += UPDATE_CONCURRENCY) {
+    await Promise.all(ids.slice(i, i + UPDATE_CONCURRENCY).map(id => getIndex().update({ id, metadata })));
+  }
+  return ids.length;
+}
+
+async function listIds(filter) {
+  const result = await getIndex().query({
+    vector: zeroVector(),
+    topK: 10000,
+    includeMetadata: false,
+    filter: toPineconeFilter(filter),
+  });
+  return (result.matches || []).map(match => match.id);
+}
+
+async function deleteByDocument(documentId) {
+  const vectorIds = await listIds({ documentId });
+  if (vectorIds.length > 0) {
+    await getIndex().deleteMany(vectorIds);
+  }
+  return vectorIds.length;
+}
+
+async function deleteByIds(ids) {
+  if (ids.length > 0) {
+    await getIndex().deleteMany(ids);
+  }
+  return ids.length;
+}
+
+async function count(filter) {
+  const vectorIds = await listIds(filter);
+  return vectorIds.length;
+}
+
+async function sample(filter, limit = 3) {
+  const matches = await query(zeroVector(), { topK: limit, filter });
+  return matches.map(m => ({ id: m.id, metadata: m.metadata }));
+}
+
+async function stats() {
+  const indexStats = await getIndex().describeIndexStats();
+  return {
+    backend: 'pinecone',
+    index: indexName,
+    totalVectors: indexStats.totalRecordCount ?? indexStats.totalVectorCount,
+    dimension: indexStats.dimension,
+    indexFullness: indexStats.indexFullness,
+  };
+}
+
+module.exports = {
+  name: 'pinecone',
+  upsert,
+  query,
+  fetch,
+  updateMetadata,
+  deleteByDocument,
+  deleteByIds,
+  count,
+  sample,
+  stats,
+};
@@ -0,0 +1,221 @@
+const Document = require('../models/Document');
+const DocumentVersion = require('../models/DocumentVersion');
+const IngestionJob = require('../models/IngestionJob');
+const cloudinary = require('../utils/cloudinary');
+const { chunkTextWithOffsets } = require('../utils/fileProcessor');
+const { diffParagraphs } = require('../utils/textDiff');
+const { hashFile, createVersionIngestionJob, createReindexJob, isJobActive } = require('./ingestionService');
+const { scoreLocally } = require('./rerankService');
+
+// Errors thrown here carry a code in `message` that the routes map to HTTP statuses.
+const VERSION_ERRORS = {
+  INVALID_VERSION: { status: 400, message: 'version must be a positive integer.' },
+  VERSION_NOT_FOUND: { status: 404, message: 'Version not found.' },
+  VERSION_NOT_READY: { status: 409, message: 'That version did not finish processing, so its text is not available.' },
+  VERSION_ALREADY_CURRENT: { status: 409, message: 'That version is already the current one.' },
+  JOB_ALREADY_ACTIVE: { status: 409, message: 'This document is already being processed.' },
+};
+
+// Left out of version listings, like the text bodies of the document list
+const HEAVY_FIELDS = ['rawText', 'cleanedText', 'pageOffsets', 'sections', 'entities'];
+
+const parseVersion = (value) => {
+  const version = Number(value);
+  if (!Number.isInteger(version) || version < 1) throw new Error('INVALID_VERSION');
+  return version;
+};
+
+const documentStatus = (doc) => (doc.isProcessed ? 'ready' : 'failed');
+
+// Documents uploaded before versioning have no DocumentVersion rows. Give the
+// current state a row before anything replaces it.
+const ensureVersionHistory = async (doc) => {
+  const content = Object.fromEntries(DocumentVersion.CONTENT_FIELDS.map(field => [field, doc[field]]));
+  await DocumentVersion.updateOne(
+    { document: doc._id, version: doc.currentVersion },
+    { $setOnInsert: { ...content, fileName: doc.title, uploadedBy: doc.owner, status: documentStatus(doc), createdAt: doc.createdAt, updatedAt: new Date() } },
+    // Keep the document's own upload date rather than stamping the backfill time
+    { upsert: true, timestamps: false }
+  );
+};
+
+// A version with its text. For a document without history the current version is
+// read from the document itself.
+const loadVersion = async (doc, version) => {
+  const row = await DocumentVersion.findOne({ document: doc._id, version }).lean();
+  if (row) return row;
+  if (version !== doc.currentVersion) return null;
+  return {
+    ...Object.fromEntries(DocumentVersion.CONTENT_FIELDS.map(field => [field, doc[field]])),
+    document: doc._id,
+    version,
+    fileName: doc.title,
+    uploadedBy: doc.owner,
+    status: documentStatus(doc),
+    createdAt: doc.createdAt
+  };
+};
+
+const loadReadyVersion = async (doc, version) => {
+  const row = await loadVersion(doc, version);
+  if (!row) throw new Error('VERSION_NOT_FOUND');
+  if (row.status !== 'ready') throw new Error('VERSION_NOT_READY');
+  return row;
+};
+
+// Cheap existence check for /ask, without loading the version's text.
+const assertVersionReady = async (doc, version) => {
+  if (version === doc.currentVersion) return;
+  const row = await DocumentVersion.findOne({ document: doc._id, version }).select('status').lean();
+  if (!row) throw new Error('VERSION_NOT_FOUND');
+  if (row.status !== 'ready') throw new Error('VERSION_NOT_READY');
+};
+
+const toVersionView = (row, doc) => {
+  const view = { ...row, isCurrent: row.version === doc.currentVersion };
+  for (const field of HEAVY_FIELDS) delete view[field];
+  return view;
+};
+
+const assertNotProcessing = async (doc) => {
+  const job = doc.ingestionJob ? await IngestionJob.findById(doc.ingestionJob).select('status') : null;
+  if (isJobActive(job)) throw new Error('JOB_ALREADY_ACTIVE');
+};
+
+// Newest first.
+const listVersions = async (doc) => {
+  const rows = await DocumentVersion.find({ document: doc._id })
+    .select(Object.fromEntries(HEAVY_FIELDS.map(field => [field, 0])))
+    .sort({ version: -1 })
+    .lean();
+  if (!rows.some(row => row.version === doc.currentVersion)) {
+    rows.push(await loadVersion(doc, doc.currentVersion));
+    rows.sort((a, b) => b.version - a.version);
+  }
+  return rows.map(row => toVersionView(row, doc));
+};
+
+// Start processing `file` as the next version of `doc`. The document stays on its
+// current version until the job completes. Returns { version, job }.
+const uploadVersion = async (doc, file, format, userId) => {
+  await assertNotProcessing(doc);
+  await ensureVersionHistory(doc);
+
+  const latest = await DocumentVersion.findOne({ document: doc._id }).sort({ version: -1 }).select('version').lean();
+  const version = Math.max(latest?.version || 0, doc.currentVersion) + 1;
+  try {
+    await DocumentVersion.create({
+      document: doc._id,
+      version,
+      fileName: file.originalname,
+      uploadedBy: userId,
+      fileSize: file.size,
+      sourceFormat: format,
+      mimeType: file.mimetype,
+      contentHash: hashFile(file.buffer)
+    });
+  } catch (error) {
+    // Another upload claimed this version number first
+    if (error.code === 11000) throw new Error('JOB_ALREADY_ACTIVE');
+    throw error;
+  }
+
+  const job = await createVersionIngestionJob(doc, file, version);
+  return { version, job };
+};
+
+// Make an older version current again: its text is re-indexed in the background and
+// the document switches to its file and text once that completes. Later versions are kept.
+const rollbackToVersion = async (doc, version) => {
+  if (version === doc.currentVersion) throw new Error('VERSION_ALREADY_CURRENT');
+  await assertNotProcessing(doc);
+  await loadReadyVersion(doc, version);
+  await ensureVersionHistory(doc);
+  return createReindexJob(doc, version);
+};
+
+// Paragraph diff from one version to another. The raw text keeps paragraph breaks,
+// so it is preferred over the whitespace-collapsed cleanedText.
+const diffVersions = async (doc, fromVersion, toVersion, { includeUnchanged = false } = {}) => {
+  const [from, to] = await Promise.all([loadReadyVersion(doc, fromVersion), loadReadyVersion(doc, toVersion)]);
+  const diff = diffParagraphs(from.rawText || from.cleanedText || '', to.rawText || to.cleanedText || '', { includeUnchanged });
+  return {
+    from: toVersionView(from, doc),
+    to: toVersionView(to, doc),
+    ...diff
+  };
+};
+
+// Retrieval for /ask against a version that is not the current one. Only the current
+// version has vectors, so the stored text is chunked the same way ingestion does and
+// ranked with the local keyword scorer. Returns the same shape as retrieveRelevantChunks.
+const retrieveVersionChunks = async ({ question, documentId, version, topK = 10 }) => {
+  const doc = await Document.findById(documentId);
+  if (!doc) throw new Error('VERSION_NOT_FOUND');
+  const row = await loadReadyVersion(doc, version);
+
+  const chunks = chunkTextWithOffsets(row.cleanedText || '', { pageOffsets: row.pageOffsets, sections: row.sections })
+    .map((chunk, index) => ({
+      id: `${documentId}#v${version}#chunk_${index}`,
+      text: chunk.text,
+      score: 0,
+      documentId: String(documentId),
+      chunkIndex: index,
+      metadata: {
+        text: chunk.text,
+        documentId: String(documentId),
+        chunkIndex: index,
+        version,
+        charStart: chunk.charStart,
+        charEnd: chunk.charEnd,
+        ...(chunk.pageStart ? { pageStart: chunk.pageStart, pageEnd: chunk.pageEnd } : {}),
+        ...(chunk.section ? { section: chunk.section } : {})
+      }
+    }));
+
+  const scores = scoreLocally(question, chunks);
+  const relevantChunks = chunks
+    .map((chunk, i) => ({ ...chunk, score: scores[i] }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK)
+    .map((chunk, i) => ({ ...chunk, retrievalScores: { sparseScore: chunk.score, sparseRank: i + 1 } }));
+
+  return {
+    relevantChunks,
+    diagnostics: relevantChunks.length === 0 ? { documentId: String(documentId), version, chunkCount: 0 } : null,
+    retrievalDiagnostics: {
+      mode: 'sparse',
+      version,
+      candidates: { dense: 0, sparse: chunks.length },
+      degraded: null,
+      results: relevantChunks.map(c => ({ id: c.id, documentId: c.documentId, chunkIndex: c.chunkIndex, ...c.retrievalScores }))
+    }
+  };
+};
+
+// Remove the stored files and rows of every version except the current file, which
+// the caller deletes along with the document.
+const deleteVersionHistory = async (doc) => {
+  const rows = await DocumentVersion.find({ document: doc._id }).select('cloudinaryId').lean();
+  const fileIds = [...new Set(rows.map(row => row.cloudinaryId).filter(id => id && id !== doc.cloudinaryId))];
+  for (const fileId of fileIds) {
+    try {
+      await cloudinary.uploader.destroy(fileId, { resource_type: 'raw' });
+    } catch (error) {
+      console.warn(`⚠️ Could not delete stored file ${fileId}:`, error.message);
+    }
+  }
+  await DocumentVersion.deleteMany({ document: doc._id });
+};
+
+module.exports = {
+  VERSION_ERRORS,
+  parseVersion,
+  assertVersionReady,
+  listVersions,
+  uploadVersion,
+  rollbackToVersion,
+  diffVersions,
+  retrieveVersionChunks,
+  deleteVersionHistory,
+};
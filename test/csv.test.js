@@ -0,0 +1,12 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { toCsv } = require('../utils/csv');
+
+test('toCsv quotes separators and neutralizes formulas', () => {
+  const csv = toCsv(
+    [{ name: '=HYPERLINK("http://x")', total: -5, note: 'a, b', tags: ['+1', '@x'], plain: '-x' }],
+    [{ key: 'name', header: 'Name' }, { key: 'total' }, { key: 'note' }, { key: 'tags' }, { key: 'plain' }]
+  );
+  assert.equal(csv, 'Name,total,note,tags,plain\r\n"\'=HYPERLINK(""http://x"")",-5,"a, b","[""+1"",""@x""]",\'-x\r\n');
+});
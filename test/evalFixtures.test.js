@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { execFile } = require('child_process');
+const mongoose = require('mongoose');
+
+// Needs a MongoDB server; the database is dropped before each run. Skipped when none answers.
+const MONGODB_URI = process.env.EVAL_MONGODB_URI || 'mongodb://127.0.0.1:27017/deepsearch-eval-fixtures';
+
+const runScript = (script, args) => new Promise((resolve) => {
+  execFile(process.execPath, [path.join(__dirname, '..', 'scripts', script), ...args], {
+    env: { ...process.env, MONGODB_URI },
+    timeout: 120000,
+    maxBuffer: 10 * 1024 * 1024
+  }, (error, stdout, stderr) => resolve({ code: error ? (error.code ?? 1) : 0, stdout, stderr }));
+});
+
+const resetDatabase = async () => {
+  try {
+    await mongoose.connect(MONGODB_URI, { serverSelectionTimeoutMS: 2000 });
+  } catch {
+    return false;
+  }
+  try {
+    await mongoose.connection.dropDatabase();
+    return true;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+test('fixture eval set indexes offline and passes the deterministic eval', async (t) => {
+  if (!(await resetDatabase())) {
+    t.skip(`MongoDB is not reachable at ${MONGODB_URI}`);
+    return;
+  }
+
+  const indexed = await runScript('indexEvalFixtures.js', ['--json']);
+  assert.equal(indexed.code, 0, indexed.stderr);
+  // Service logs share stdout, the summary is the JSON line
+  const summary = indexed.stdout.trim().split('\n').reverse()
+    .map(line => { try { return JSON.parse(line); } catch { return null; } })
+    .find(Boolean);
+  assert.ok(summary?.evalSetId, indexed.stdout);
+  assert.deepEqual(Object.keys(summary.documents), ['harbour.txt', 'bakery.md', 'telescope.txt']);
+
+  // A second run reuses the documents and the eval set
+  const again = await runScript('indexEvalFixtures.js', ['--json']);
+  assert.equal(again.code, 0, again.stderr);
+  assert.ok(again.stdout.includes(summary.evalSetId));
+
+  const evaluated = await runScript('evaluate.js', [
+    summary.evalSetId, '--deterministic', '--judge', 'lexical', '--min-recall', '1', '--min-mrr', '0.75'
+  ]);
+  assert.equal(evaluated.code, 0, `${evaluated.stdout}\n${evaluated.stderr}`);
+  assert.match(evaluated.stdout, /cases 6\/6 \(0 failed\)/);
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { detectFormat, extractDocument } = require('../utils/extractors');
+const { extractMarkdown } = require('../utils/extractors/text');
+const { cleanBlocks, sectionForOffset, pageForOffset } = require('../utils/fileProcessor');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name));
+
+test('pdf: keeps pages apart and reads the Info dictionary', async () => {
+  const buffer = fixture('sample.pdf');
+  assert.equal(await detectFormat(buffer, { originalname: 'sample.pdf' }), 'pdf');
+
+  const doc = await extractDocument(buffer, 'pdf');
+  assert.equal(doc.cleanedText, 'Quarterly report. Revenue grew in the first quarter. Outlook. Costs are expected to fall next year.');
+  assert.equal(doc.pageCount, 2);
+  assert.deepEqual(doc.pageOffsets, [0, 53]);
+  assert.equal(pageForOffset(doc.cleanedText.indexOf('Costs'), doc.pageOffsets), 2);
+  assert.deepEqual(doc.sections, []);
+  assert.deepEqual(doc.info, { title: 'Fixture Report', author: 'DeepSearch Tests' });
+});
+
+test('docx: Word headings become sections', async () => {
+  const buffer = fixture('sample.docx');
+  assert.equal(await detectFormat(buffer, { originalname: 'sample.docx' }), 'docx');
+
+  const doc = await extractDocument(buffer, 'docx');
+  assert.equal(doc.cleanedText, 'Introduction. This agreement starts on 1 January. Payment Terms. Invoices are due within 30 days.');
+  assert.deepEqual(doc.sections, [
+    { title: 'Introduction', level: 1, charStart: 0 },
+    { title: 'Payment Terms', level: 1, charStart: 50 },
+  ]);
+  assert.equal(sectionForOffset(doc.cleanedText.indexOf('agreement'), doc.sections), 'Introduction');
+  assert.equal(sectionForOffset(doc.cleanedText.indexOf('Invoices'), doc.sections), 'Payment Terms');
+});
+
+test('epub: chapters follow the spine and untitled ones get a heading', async () => {
+  const buffer = fixture('sample.epub');
+  assert.equal(await detectFormat(buffer, { originalname: 'sample.epub' }), 'epub');
+
+  const doc = await extractDocument(buffer, 'epub');
+  assert.equal(doc.cleanedText, 'The Harbour. The ship arrived at dawn. Chapter 2. Nobody was waiting on the pier.');
+  assert.deepEqual(doc.sections.map(section => section.title), ['The Harbour', 'Chapter 2']);
+  assert.equal(sectionForOffset(doc.cleanedText.indexOf('pier'), doc.sections), 'Chapter 2');
+  assert.deepEqual(doc.info, { title: 'Fixture Book', author: 'Jane Tester' });
+});
+
+test('html: drops scripts and styles and decodes entities', async () => {
+  const buffer = fixture('sample.html');
+  assert.equal(await detectFormat(buffer, { originalname: 'sample.html' }), 'html');
+
+  const doc = await extractDocument(buffer, 'html');
+  assert.equal(doc.cleanedText, 'Overview. The service stores documents & answers questions. Limits. Uploads are capped at 10 MB.');
+  assert.deepEqual(doc.sections, [
+    { title: 'Overview', level: 1, charStart: 0 },
+    { title: 'Limits', level: 2, charStart: 60 },
+  ]);
+  assert.equal(sectionForOffset(doc.cleanedText.indexOf('Uploads'), doc.sections), 'Limits');
+  assert.deepEqual(doc.info, { title: 'Fixture Page' });
+});
+
+test('markdown: skips front matter and strips inline markup', async () => {
+  const buffer = fixture('sample.md');
+  assert.equal(await detectFormat(buffer, { originalname: 'sample.md' }), 'markdown');
+
+  const doc = await extractDocument(buffer, 'markdown');
+  assert.equal(doc.cleanedText, 'Setup. Install the dependencies with npm. Usage. Run the start script.');
+  assert.deepEqual(doc.sections, [
+    { title: 'Setup', level: 1, charStart: 0 },
+    { title: 'Usage', level: 2, charStart: 42 },
+  ]);
+  assert.equal(sectionForOffset(doc.cleanedText.indexOf('Run'), doc.sections), 'Usage');
+});
+
+test('markdown: an unclosed front matter fence is body text', async () => {
+  const doc = await extractDocument(Buffer.from('---\nNot front matter after all.\n\n# Notes\n\nStill here.\n'), 'markdown');
+  assert.equal(doc.cleanedText, 'Not front matter after all. Notes. Still here.');
+});
+
+test('markdown: code fences are blocks of their own', async () => {
+  const { blocks } = await extractMarkdown(Buffer.from('Run this:\n```\nnpm start\n```\nThen open the app.\n'));
+  assert.deepEqual(blocks, [
+    { type: 'paragraph', text: 'Run this:' },
+    { type: 'paragraph', text: 'npm start' },
+    { type: 'paragraph', text: 'Then open the app.' },
+  ]);
+});
+
+test('txt: paragraphs without sections', async () => {
+  const buffer = fixture('sample.txt');
+  assert.equal(await detectFormat(buffer, { originalname: 'sample.txt' }), 'txt');
+
+  const doc = await extractDocument(buffer, 'txt');
+  assert.equal(doc.cleanedText, 'First paragraph of plain text. It spans two lines. Second paragraph.');
+  assert.deepEqual(doc.sections, []);
+  assert.equal(sectionForOffset(0, doc.sections), null);
+});
+
+test('detectFormat trusts the bytes over the declared type', async () => {
+  assert.equal(await detectFormat(fixture('sample.pdf'), { originalname: 'report.txt', mimetype: 'text/plain' }), 'pdf');
+  assert.equal(await detectFormat(fixture('sample.txt'), { originalname: 'report.pdf', mimetype: 'application/pdf' }), null);
+});
+
+test('cleanBlocks ends headings with a period and offsets each section', () => {
+  const { cleanedText, sections } = cleanBlocks([
+    { type: 'paragraph', text: '  Preamble  text ' },
+    { type: 'heading', level: 2, text: 'Terms' },
+    { type: 'paragraph', text: 'Be nice.' },
+    { type: 'heading', level: 1, text: 'Done!' },
+    { type: 'paragraph', text: '' },
+  ]);
+  assert.equal(cleanedText, 'Preamble text Terms. Be nice. Done!');
+  assert.deepEqual(sections, [
+    { title: 'Terms', level: 2, charStart: 14 },
+    { title: 'Done!', level: 1, charStart: 30 },
+  ]);
+  assert.equal(sectionForOffset(0, sections), null);
+  assert.equal(sectionForOffset(14, sections), 'Terms');
+  assert.equal(sectionForOffset(29, sections), 'Terms');
+  assert.equal(sectionForOffset(30, sections), 'Done!');
+});
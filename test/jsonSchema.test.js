@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { checkSchema, validate } = require('../utils/jsonSchema');
+
+test('checkSchema accepts ordinary patterns', () => {
+  for (const pattern of ['^\\d{4}-\\d{2}-\\d{2}$', '^(\\+|-)?\\d+$', '(ab)+', '(\\d{3}-)?\\d{4}', '[(+]+a']) {
+    assert.deepEqual(checkSchema({ type: 'string', pattern }), [], pattern);
+  }
+});
+
+test('checkSchema refuses patterns that can backtrack badly', () => {
+  for (const pattern of ['(a+)+$', '(a|aa)*', '([a-z]+\\.)+com', '(?:a*){2}', '(x)\\1', 'x'.repeat(201), '(']) {
+    assert.equal(checkSchema({ type: 'string', pattern }).length, 1, pattern);
+  }
+});
+
+test('validate does not run risky patterns or match very long strings', () => {
+  assert.deepEqual(validate('123', { type: 'string', pattern: '^\\d+$' }), []);
+  assert.deepEqual(validate('12a', { type: 'string', pattern: '^\\d+$' }), ['$: does not match ^\\d+$']);
+  assert.deepEqual(validate('aaaa!', { type: 'string', pattern: '(a+)+$' }), ['$: cannot be checked against (a+)+$']);
+  assert.equal(validate('1'.repeat(1001), { type: 'string', pattern: '^\\d+$' }).length, 1);
+});
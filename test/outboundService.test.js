@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createConcurrencyLimit } = require('../services/outboundService');
+
+test('concurrency limit is never exceeded under contention', async () => {
+  const limit = createConcurrencyLimit(2);
+  let active = 0;
+  let maxActive = 0;
+  const task = async (ticks) => {
+    active++;
+    maxActive = Math.max(maxActive, active);
+    for (let i = 0; i < ticks; i++) await Promise.resolve();
+    active--;
+  };
+
+  // Callers arriving while a finished call is handing its slot to a waiting one
+  const runs = [];
+  for (let i = 0; i < 20; i++) {
+    runs.push(limit.run(() => task(i % 3)).then(() => limit.run(() => task(1))));
+    runs.push(Promise.resolve().then(() => limit.run(() => task(2))));
+  }
+  await Promise.all(runs);
+
+  assert.equal(maxActive, 2);
+  assert.equal(active, 0);
+});
+
+test('concurrency limit lets every queued call run', async () => {
+  const limit = createConcurrencyLimit(1);
+  const order = [];
+  await Promise.all([1, 2, 3].map(n => limit.run(async () => {
+    order.push(n);
+    await new Promise(resolve => setImmediate(resolve));
+  })));
+  assert.deepEqual(order, [1, 2, 3]);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { splitSections, getSummary } = require('../services/summaryService');
+
+const words = (count, word) => Array(count).fill(word).join(' ');
+
+test('splitSections: documents without headings are split into runs of pages', () => {
+  // Three short pages, then one long enough to stand alone, then a short last page
+  const pages = [words(10, 'alpha'), words(10, 'beta'), words(10, 'gamma'), words(1600, 'delta'), words(10, 'omega')];
+  const pageOffsets = [];
+  let cleanedText = '';
+  for (const page of pages) {
+    pageOffsets.push(cleanedText.length);
+    cleanedText += `${page} `;
+  }
+
+  const parts = splitSections({ cleanedText, pageOffsets, sections: [] });
+  assert.deepEqual(parts.map(({ title, pageStart, pageEnd, charStart }) => ({ title, pageStart, pageEnd, charStart })), [
+    { title: 'Pages 1-4', pageStart: 1, pageEnd: 4, charStart: 0 },
+    { title: 'Page 5', pageStart: 5, pageEnd: 5, charStart: pageOffsets[4] },
+  ]);
+  assert.ok(parts[0].text.startsWith('alpha') && parts[0].text.endsWith('delta'));
+  assert.equal(parts[1].text, words(10, 'omega'));
+});
+
+test('splitSections: headings win over pages', () => {
+  const cleanedText = 'Intro. Some text. Details. More text.';
+  const parts = splitSections({
+    cleanedText,
+    pageOffsets: [0, 18],
+    sections: [{ title: 'Intro', level: 1, charStart: 0 }, { title: 'Details', level: 1, charStart: 18 }]
+  });
+  assert.deepEqual(parts.map(part => [part.title, part.text]), [['Intro', 'Intro. Some text.'], ['Details', 'Details. More text.']]);
+});
+
+test('getSummary by section rejects a single page without headings', async () => {
+  const doc = { _id: 'doc', cleanedText: 'Just one page.', pageOffsets: [0], sections: [] };
+  await assert.rejects(getSummary(doc, { by: 'section' }), { message: 'NO_SECTIONS' });
+});
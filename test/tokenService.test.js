@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+const RefreshToken = require('../models/RefreshToken');
+const { issueSession, rotateRefreshToken } = require('../services/tokenService');
+
+// Needs a MongoDB server; the database is dropped first. Skipped when none answers.
+const MONGODB_URI = process.env.TEST_MONGODB_URI || 'mongodb://127.0.0.1:27017/deepsearch-token-tests';
+
+const connect = async () => {
+  try {
+    await mongoose.connect(MONGODB_URI, { serverSelectionTimeoutMS: 2000 });
+  } catch {
+    return false;
+  }
+  await mongoose.connection.dropDatabase();
+  return true;
+};
+
+const liveTokens = (family) => RefreshToken.countDocuments({ family, revokedAt: null });
+
+test('refresh token replays', async (t) => {
+  if (!(await connect())) {
+    t.skip(`MongoDB is not reachable at ${MONGODB_URI}`);
+    return;
+  }
+  t.after(() => mongoose.disconnect());
+  const userId = new mongoose.Types.ObjectId();
+
+  await t.test('two replays inside the grace window do not leave two live tokens', async () => {
+    const session = await issueSession(userId);
+    const rotated = await rotateRefreshToken(session.refreshToken);
+
+    // A concurrent refresh with the same token gets one grace token
+    const late = await rotateRefreshToken(session.refreshToken);
+    assert.notEqual(late.refreshToken, rotated.refreshToken);
+
+    // Another replay is reuse and ends the session
+    await assert.rejects(rotateRefreshToken(session.refreshToken), { message: 'REFRESH_TOKEN_REUSED' });
+    assert.equal(await liveTokens(session.sessionId), 0);
+  });
+
+  await t.test('concurrent replays get at most one grace token', async () => {
+    const session = await issueSession(userId);
+    await rotateRefreshToken(session.refreshToken);
+
+    const results = await Promise.allSettled([1, 2, 3].map(() => rotateRefreshToken(session.refreshToken)));
+    assert.ok(results.filter(result => result.status === 'fulfilled').length <= 1);
+    assert.ok(results.some(result => result.reason?.message === 'REFRESH_TOKEN_REUSED'));
+    assert.equal(await liveTokens(session.sessionId), 0);
+  });
+
+  await t.test('no grace once the successor has been used', async () => {
+    const session = await issueSession(userId);
+    const rotated = await rotateRefreshToken(session.refreshToken);
+    await rotateRefreshToken(rotated.refreshToken);
+
+    await assert.rejects(rotateRefreshToken(session.refreshToken), { message: 'REFRESH_TOKEN_REUSED' });
+    assert.equal(await liveTokens(session.sessionId), 0);
+  });
+});
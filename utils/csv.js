@@ -0,0 +1,25 @@
+// RFC 4180 CSV: fields with commas, quotes or line breaks are quoted, quotes doubled.
+
+// Spreadsheets run cells starting with these as formulas (CSV injection)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  // Numbers are safe as they are; a leading quote makes any other such cell plain text
+  if (typeof value !== 'number' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// columns: [{ key, header }]; objects and arrays in a row are written as JSON.
+const toCsv = (rows, columns) => {
+  const lines = [
+    columns.map(column => escapeCell(column.header || column.key)).join(','),
+    ...rows.map(row => columns.map(column => escapeCell(row[column.key])).join(',')),
+  ];
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  toCsv,
+};
@@ -0,0 +1,15 @@
+const mammoth = require('mammoth');
+const { htmlToBlocks } = require('./html');
+
+// mammoth maps Word heading styles to <h1>..<h6>, which gives us the section structure.
+const extractDocx = async (buffer) => {
+  const result = await mammoth.convertToHtml({ buffer });
+  if (result.messages?.length) {
+    console.log(`ℹ️ DOCX conversion produced ${result.messages.length} warning(s)`);
+  }
+  return { blocks: htmlToBlocks(result.value), info: {} };
+};
+
+module.exports = {
+  extractDocx,
+};
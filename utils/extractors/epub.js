@@ -0,0 +1,54 @@
+const JSZip = require('jszip');
+const path = require('path');
+const { htmlToBlocks, stripTags } = require('./html');
+
+const readAttribute = (tag, name) => tag.match(new RegExp(`${name}\\s*=\\s*["']([^"']*)["']`, 'i'))?.[1];
+
+// Walk the OPF spine in reading order and turn each chapter into blocks. Every
+// chapter starts a new section, titled by its first heading when it has one.
+const extractEpub = async (buffer) => {
+  const zip = await JSZip.loadAsync(buffer);
+  const container = await zip.file('META-INF/container.xml')?.async('string');
+  const opfPath = container && readAttribute(container.match(/<rootfile\b[^>]*>/i)?.[0] || '', 'full-path');
+  if (!opfPath || !zip.file(opfPath)) {
+    throw new Error('Invalid EPUB: package document not found.');
+  }
+
+  const opf = await zip.file(opfPath).async('string');
+  const baseDir = path.posix.dirname(opfPath);
+  const manifest = {};
+  for (const item of opf.match(/<item\b[^>]*>/gi) || []) {
+    const id = readAttribute(item, 'id');
+    const href = readAttribute(item, 'href');
+    if (id && href) manifest[id] = decodeURIComponent(href);
+  }
+  const spine = (opf.match(/<itemref\b[^>]*>/gi) || [])
+    .map(ref => manifest[readAttribute(ref, 'idref')])
+    .filter(Boolean);
+
+  const blocks = [];
+  for (const [index, href] of spine.entries()) {
+    const file = zip.file(baseDir === '.' ? href : path.posix.join(baseDir, href));
+    if (!file) continue;
+    const chapterBlocks = htmlToBlocks(await file.async('string'));
+    if (chapterBlocks.length === 0) continue;
+    if (chapterBlocks[0].type !== 'heading') {
+      blocks.push({ type: 'heading', level: 1, text: `Chapter ${index + 1}` });
+    }
+    blocks.push(...chapterBlocks);
+  }
+
+  const title = opf.match(/<dc:title[^>]*>([\s\S]*?)<\/dc:title>/i);
+  const creator = opf.match(/<dc:creator[^>]*>([\s\S]*?)<\/dc:creator>/i);
+  return {
+    blocks,
+    info: {
+      ...(title ? { title: stripTags(title[1]) } : {}),
+      ...(creator ? { author: stripTags(creator[1]) } : {}),
+    },
+  };
+};
+
+module.exports = {
+  extractEpub,
+};
@@ -0,0 +1,50 @@
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', mdash: '—', ndash: '–', hellip: '…', rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“' };
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+  }
+  return ENTITIES[entity.toLowerCase()] ?? match;
+});
+
+const stripTags = (html) => decodeEntities(html.replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+
+// Turn an HTML string into heading/paragraph blocks. Not a full HTML parser, but
+// good enough for exported wiki pages, mammoth's DOCX output and EPUB chapters.
+const htmlToBlocks = (html) => {
+  const headingMarker = '\u0000H';
+  const body = (html.match(/<body[^>]*>([\s\S]*)<\/body>/i)?.[1] ?? html)
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|noscript|template|svg)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi, (match, level, inner) => `\n${headingMarker}${level}:${stripTags(inner)}\n`)
+    .replace(/<\/?(p|div|section|article|header|footer|li|ul|ol|tr|table|blockquote|pre|dd|dt|figcaption)[^>]*>/gi, '\n')
+    .replace(/<br\s*\/?>/gi, '\n');
+
+  const blocks = [];
+  for (const line of body.split('\n')) {
+    if (line.startsWith(headingMarker)) {
+      const text = line.slice(headingMarker.length + 2).trim();
+      if (text) blocks.push({ type: 'heading', level: parseInt(line[headingMarker.length], 10), text });
+      continue;
+    }
+    const text = stripTags(line);
+    if (text) blocks.push({ type: 'paragraph', text });
+  }
+  return blocks;
+};
+
+const extractHtml = async (buffer) => {
+  const html = buffer.toString('utf8');
+  const title = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  return {
+    blocks: htmlToBlocks(html),
+    info: title ? { title: stripTags(title[1]) } : {},
+  };
+};
+
+module.exports = {
+  htmlToBlocks,
+  stripTags,
+  extractHtml,
+};
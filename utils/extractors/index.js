@@ -0,0 +1,140 @@
+const path = require('path');
+const JSZip = require('jszip');
+
+const { cleanPages, cleanBlocks } = require('../fileProcessor');
+const { extractPdf } = require('./pdf');
+const { extractDocx } = require('./docx');
+const { extractEpub } = require('./epub');
+const { extractHtml } = require('./html');
+const { extractPlainText, extractMarkdown } = require('./text');
+
+// Extractors return either { pages } (page-based formats) or { blocks } of
+// { type: 'heading' | 'paragraph', text, level }, plus an `info` object.
+const FORMATS = {
+  pdf: {
+    mimeTypes: ['application/pdf'],
+    extensions: ['.pdf'],
+    extract: extractPdf,
+  },
+  docx: {
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    extensions: ['.docx'],
+    extract: extractDocx,
+  },
+  epub: {
+    mimeTypes: ['application/epub+zip'],
+    extensions: ['.epub'],
+    extract: extractEpub,
+  },
+  html: {
+    mimeTypes: ['text/html', 'application/xhtml+xml'],
+    extensions: ['.html', '.htm', '.xhtml'],
+    extract: extractHtml,
+  },
+  markdown: {
+    mimeTypes: ['text/markdown', 'text/x-markdown'],
+    extensions: ['.md', '.markdown'],
+    extract: extractMarkdown,
+  },
+  txt: {
+    mimeTypes: ['text/plain'],
+    extensions: ['.txt', '.text'],
+    extract: extractPlainText,
+  },
+};
+
+const SUPPORTED_FORMATS = Object.keys(FORMATS);
+
+const formatFromDeclared = ({ mimetype, originalname } = {}) => {
+  const mime = (mimetype || '').split(';')[0].trim().toLowerCase();
+  const extension = path.extname(originalname || '').toLowerCase();
+  const byMime = SUPPORTED_FORMATS.find(format => FORMATS[format].mimeTypes.includes(mime));
+  const byExtension = SUPPORTED_FORMATS.find(format => FORMATS[format].extensions.includes(extension));
+  return { byMime, byExtension };
+};
+
+// Cheap check for multer's fileFilter, before the bytes are available.
+const isSupportedUpload = (file) => {
+  const { byMime, byExtension } = formatFromDeclared(file);
+  return Boolean(byMime || byExtension);
+};
+
+const looksLikeText = (buffer) => {
+  const sample = buffer.subarray(0, 4096);
+  if (sample.includes(0)) return false;
+  // The sample may cut a multi-byte character in half, so ignore its last bytes
+  return !sample.toString('utf8').slice(0, -3).includes('\uFFFD');
+};
+
+// Decide the real format from the file's magic bytes, using the declared MIME type
+// and extension only to tell apart formats that share a container (zip, text).
+const detectFormat = async (buffer, file = {}) => {
+  const { byMime, byExtension } = formatFromDeclared(file);
+  const declared = byMime || byExtension;
+
+  if (buffer.subarray(0, 5).toString('latin1') === '%PDF-') return 'pdf';
+
+  if (buffer[0] === 0x50 && buffer[1] === 0x4b && buffer[2] === 0x03 && buffer[3] === 0x04) {
+    // EPUB stores an uncompressed "mimetype" entry first; DOCX has word/document.xml
+    if (buffer.subarray(30, 58).toString('latin1') === 'mimetypeapplication/epub+zip') return 'epub';
+    try {
+      const zip = await JSZip.loadAsync(buffer);
+      if (zip.file('word/document.xml')) return 'docx';
+      if (zip.file('META-INF/container.xml')) return 'epub';
+    } catch {
+      return null;
+    }
+    return null;
+  }
+
+  if (!looksLikeText(buffer)) return null;
+
+  const head = buffer.subarray(0, 1024).toString('utf8').trimStart().toLowerCase();
+  if (declared === 'html' || head.startsWith('<!doctype html') || head.startsWith('<html')) return 'html';
+  if (declared === 'markdown') return 'markdown';
+  if (declared === 'txt' || declared === undefined) return 'txt';
+  // Declared as a binary format but the bytes are text
+  return null;
+};
+
+// Extract and normalize a document: cleaned single-line text plus page offsets
+// (page-based formats) or section offsets (heading-based formats).
+const extractDocument = async (buffer, format) => {
+  const handler = FORMATS[format];
+  if (!handler) {
+    throw new Error(`Unsupported document format: ${format}`);
+  }
+  const extracted = await handler.extract(buffer);
+
+  if (extracted.pages) {
+    const { cleanedText, pageOffsets } = cleanPages(extracted.pages);
+    return {
+      format,
+      rawText: extracted.rawText ?? extracted.pages.join('\n\n'),
+      cleanedText,
+      pageOffsets,
+      pageCount: extracted.pageCount || extracted.pages.length,
+      sections: [],
+      info: extracted.info || {},
+    };
+  }
+
+  const { cleanedText, sections } = cleanBlocks(extracted.blocks);
+  return {
+    format,
+    rawText: extracted.blocks.map(block => block.text).join('\n\n'),
+    cleanedText,
+    pageOffsets: [],
+    pageCount: 0,
+    sections,
+    info: extracted.info || {},
+  };
+};
+
+module.exports = {
+  FORMATS,
+  SUPPORTED_FORMATS,
+  isSupportedUpload,
+  detectFormat,
+  extractDocument,
+};
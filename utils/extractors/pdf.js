@@ -0,0 +1,53 @@
+const { extractPdfPages } = require('../fileProcessor');
+
+// PDF dates look like "D:20230115093000+01'00'"; everything after the year is optional.
+const parsePdfDate = (value) => {
+  if (typeof value !== 'string') return null;
+  const match = value.match(/^(?:D:)?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?(Z|[+-]\d{2}'?\d{2}'?)?/);
+  if (!match) return null;
+  const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', zone] = match;
+  let offset = 'Z';
+  if (zone && zone !== 'Z') {
+    const digits = zone.replace(/'/g, '');
+    offset = `${digits.slice(0, 3)}:${digits.slice(3, 5) || '00'}`;
+  }
+  const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${offset}`);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const infoString = (value) => {
+  if (typeof value !== 'string') return undefined;
+  const trimmed = value.replace(/\u0000/g, '').trim();
+  return trimmed || undefined;
+};
+
+// Map pdf-parse's Info dictionary onto the Document.documentInfo fields.
+const normalizePdfInfo = (info = {}) => {
+  const normalized = {
+    title: infoString(info.Title),
+    author: infoString(info.Author),
+    subject: infoString(info.Subject),
+    keywords: infoString(info.Keywords),
+    creator: infoString(info.Creator),
+    producer: infoString(info.Producer),
+    creationDate: parsePdfDate(info.CreationDate) || undefined,
+    modificationDate: parsePdfDate(info.ModDate) || undefined,
+  };
+  return Object.fromEntries(Object.entries(normalized).filter(([, value]) => value !== undefined));
+};
+
+const extractPdf = async (buffer) => {
+  const parsed = await extractPdfPages(buffer);
+  return {
+    rawText: parsed.text,
+    pages: parsed.pages,
+    pageCount: parsed.numpages || parsed.pages.length,
+    info: normalizePdfInfo(parsed.info || {}),
+  };
+};
+
+module.exports = {
+  extractPdf,
+  parsePdfDate,
+  normalizePdfInfo,
+};
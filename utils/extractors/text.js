@@ -0,0 +1,68 @@
+// Paragraphs are separated by blank lines; plain text has no headings.
+const extractPlainText = async (buffer) => {
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+  const blocks = text
+    .split(/\r?\n\s*\r?\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean)
+    .map(paragraph => ({ type: 'paragraph', text: paragraph }));
+  return { blocks, info: {} };
+};
+
+// Strip inline Markdown so it does not end up in the embedded text.
+const stripInlineMarkdown = (text) => text
+  .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+  .replace(/`{1,3}([^`]+)`{1,3}/g, '$1')
+  .replace(/(\*\*|__)(.+?)\1/g, '$2')
+  .replace(/(\*|_)(.+?)\1/g, '$2')
+  .replace(/<[^>]+>/g, ' ');
+
+const extractMarkdown = async (buffer) => {
+  const lines = buffer.toString('utf8').replace(/^\uFEFF/, '').split(/\r?\n/);
+  const blocks = [];
+  let paragraph = [];
+  let inFence = false;
+  // Front matter only counts when it is closed; otherwise the "---" is a rule in the body
+  const frontMatterEnd = lines[0] === '---' ? lines.indexOf('---', 1) : -1;
+
+  const flush = () => {
+    const text = stripInlineMarkdown(paragraph.join(' ')).trim();
+    if (text) blocks.push({ type: 'paragraph', text });
+    paragraph = [];
+  };
+
+  lines.forEach((line, index) => {
+    if (index <= frontMatterEnd) return;
+    if (/^\s*(```|~~~)/.test(line)) {
+      // The code is a block of its own, apart from the text before and after it
+      flush();
+      inFence = !inFence;
+      return;
+    }
+    if (inFence) {
+      paragraph.push(line);
+      return;
+    }
+    const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      flush();
+      blocks.push({ type: 'heading', level: heading[1].length, text: stripInlineMarkdown(heading[2]).trim() });
+      return;
+    }
+    // Blank lines and thematic breaks (---, ***) end a paragraph
+    if (!line.trim() || /^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flush();
+      return;
+    }
+    paragraph.push(line.replace(/^\s*(?:[-*+]|\d+[.)]|>)\s+/, ''));
+  });
+  flush();
+
+  return { blocks, info: {} };
+};
+
+module.exports = {
+  extractPlainText,
+  extractMarkdown,
+};
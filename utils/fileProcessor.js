@@ -1,11 +1,107 @@
 
 const pdf = require('pdf-parse');
 
+const cleanText = (text) => {
+  if (!text) return '';
+  return text.replace(/\s+/g, ' ').trim();
+};
+
 const extractTextFromPDF = async (fileBuffer) => {
   const data = await pdf(fileBuffer);
   return data.text;
 };
 
+// Same line-joining as pdf-parse's default renderer, but keeps each page separate.
+const renderPageText = (pageData) => pageData
+  .getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+  .then((textContent) => {
+    let lastY;
+    let text = '';
+    for (const item of textContent.items) {
+      text += (lastY === item.transform[5] || !lastY) ? item.str : '\n' + item.str;
+      lastY = item.transform[5];
+    }
+    return text;
+  });
+
+const extractPdfPages = async (fileBuffer) => {
+  const pages = [];
+  // pdf.js reads the Buffer's underlying ArrayBuffer from offset 0, which is wrong for
+  // small Buffers sliced out of Node's shared pool, so hand it a copy of its own
+  const data = await pdf(new Uint8Array(fileBuffer), {
+    pagerender: async (pageData) => {
+      const text = await renderPageText(pageData);
+      pages.push(text);
+      return text;
+    }
+  });
+  return {
+    text: data.text,
+    pages,
+    numpages: data.numpages,
+    info: data.info || {},
+    metadata: data.metadata || null,
+  };
+};
+
+// Clean every page and join them with single spaces, recording where each page
+// starts in the cleaned text so chunk offsets can be mapped back to page numbers.
+const cleanPages = (pages) => {
+  const pageOffsets = [];
+  let cleaned = '';
+  for (const page of pages) {
+    const pageText = cleanText(page);
+    if (cleaned.length > 0 && pageText.length > 0) cleaned += ' ';
+    pageOffsets.push(cleaned.length);
+    cleaned += pageText;
+  }
+  return { cleanedText: cleaned, pageOffsets };
+};
+
+// Same idea for heading-based formats: paragraphs are joined with single spaces and
+// every heading opens a section that starts at the heading's offset.
+const cleanBlocks = (blocks) => {
+  const sections = [];
+  let cleaned = '';
+  for (const block of blocks) {
+    const blockText = cleanText(block.text);
+    if (!blockText) continue;
+    if (cleaned.length > 0) cleaned += ' ';
+    if (block.type === 'heading') {
+      sections.push({ title: blockText, level: block.level || 1, charStart: cleaned.length });
+    }
+    cleaned += blockText;
+    // Headings rarely end in punctuation; add it so chunkText's sentence split stops there
+    if (block.type === 'heading' && !/[.!?]$/.test(blockText)) cleaned += '.';
+  }
+  return { cleanedText: cleaned, sections };
+};
+
+// Title of the section (the last heading before `offset`), or null.
+const sectionForOffset = (offset, sections) => {
+  if (!sections || sections.length === 0) return null;
+  let current = null;
+  for (const section of sections) {
+    if (section.charStart > offset) break;
+    current = section;
+  }
+  return current ? current.title : null;
+};
+
+// pageOffsets[i] is where page i + 1 starts; returns a 1-based page number.
+const pageForOffset = (offset, pageOffsets) => {
+  if (!pageOffsets || pageOffsets.length === 0) return null;
+  let low = 0;
+  let high = pageOffsets.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (pageOffsets[mid] <= offset) low = mid;
+    else high = mid - 1;
+  }
+  return low + 1;
+};
+
+
 const chunkText = (text, chunkSize = 500, overlap = 100) => {
   const sentences = text.match(/[^\.!\?]+[\.!\?]+/g) || [text];
   const chunks = [];
@@ -35,8 +131,79 @@ const chunkText = (text, chunkSize = 500, overlap = 100) => {
   return chunks.length > 0 ? chunks : [text];
 };
 
+// Offset-aware version of chunkText: same sentence packing and word overlap, but every
+// chunk is a slice of `text` with its [start, end) character range and page span.
+const chunkTextWithOffsets = (text, { chunkSize = 500, overlap = 100, pageOffsets = null, sections = null } = {}) => {
+  const sentences = [];
+  const sentencePattern = /[^\.!\?]+(?:[\.!\?]+|$)/g;
+  let match;
+  while ((match = sentencePattern.exec(text)) !== null) {
+    if (match[0].length === 0) {
+      sentencePattern.lastIndex++;
+      continue;
+    }
+    sentences.push({ start: match.index, end: match.index + match[0].length, words: match[0].trim().split(/\s+/).length });
+  }
+
+  const chunks = [];
+  const pushChunk = (start, end) => {
+    const raw = text.slice(start, end);
+    const leading = raw.length - raw.trimStart().length;
+    const trimmed = raw.trim();
+    if (!trimmed) return;
+    const chunkStart = start + leading;
+    const chunkEnd = chunkStart + trimmed.length;
+    chunks.push({
+      text: trimmed,
+      charStart: chunkStart,
+      charEnd: chunkEnd,
+      pageStart: pageForOffset(chunkStart, pageOffsets),
+      pageEnd: pageForOffset(Math.max(chunkStart, chunkEnd - 1), pageOffsets),
+      section: sectionForOffset(chunkStart, sections),
+    });
+  };
+
+  let chunkStart = null;
+  let chunkEnd = 0;
+  let currentTokenCount = 0;
+
+  for (const sentence of sentences) {
+    if (chunkStart !== null && currentTokenCount + sentence.words > chunkSize) {
+      pushChunk(chunkStart, chunkEnd);
+
+      // Start the next chunk `overlap` words before the end of this one
+      const wordPattern = /\S+/g;
+      const wordStarts = [];
+      const slice = text.slice(chunkStart, chunkEnd);
+      let word;
+      while ((word = wordPattern.exec(slice)) !== null) wordStarts.push(chunkStart + word.index);
+      const overlapStart = wordStarts.length > overlap ? wordStarts[wordStarts.length - overlap] : chunkStart;
+
+      chunkStart = overlapStart;
+      currentTokenCount = Math.min(overlap, wordStarts.length) + sentence.words;
+    } else {
+      if (chunkStart === null) chunkStart = sentence.start;
+      currentTokenCount += sentence.words;
+    }
+    chunkEnd = sentence.end;
+  }
+
+  if (chunkStart !== null) {
+    pushChunk(chunkStart, chunkEnd);
+  }
+
+  return chunks;
+};
+
 module.exports = {
   extractTextFromPDF,
+  extractPdfPages,
+  cleanText,
+  cleanPages,
+  cleanBlocks,
+  pageForOffset,
+  sectionForOffset,
   chunkText,
+  chunkTextWithOffsets,
 };
 
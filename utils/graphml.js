@@ -0,0 +1,55 @@
+// Minimal GraphML writer for { nodes: [{ id, ...attributes }], edges: [{ source, target, ...attributes }] }.
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const graphmlType = (value) => {
+  if (typeof value === 'number') return Number.isInteger(value) ? 'int' : 'double';
+  if (typeof value === 'boolean') return 'boolean';
+  return 'string';
+};
+
+// Lists are written as "a; b; c", since GraphML attributes are scalar.
+const formatValue = (value) => (Array.isArray(value) ? value.join('; ') : value);
+
+// One <key> per attribute name, typed from the first non-empty value seen.
+const collectKeys = (items, domain, skip) => {
+  const keys = new Map();
+  for (const item of items) {
+    for (const [name, value] of Object.entries(item)) {
+      if (skip.includes(name) || value === null || value === undefined || keys.has(name)) continue;
+      keys.set(name, { id: `${domain[0]}_${name}`, name, domain, type: Array.isArray(value) ? 'string' : graphmlType(value) });
+    }
+  }
+  return [...keys.values()];
+};
+
+const dataElements = (item, keys) => keys
+  .filter(key => item[key.name] !== null && item[key.name] !== undefined)
+  .map(key => `<data key="${key.id}">${escapeXml(formatValue(item[key.name]))}</data>`)
+  .join('');
+
+const toGraphML = ({ nodes, edges }, { directed = false, graphId = 'G' } = {}) => {
+  const nodeKeys = collectKeys(nodes, 'node', ['id']);
+  const edgeKeys = collectKeys(edges, 'edge', ['id', 'source', 'target']);
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">',
+    ...[...nodeKeys, ...edgeKeys].map(key => `  <key id="${key.id}" for="${key.domain}" attr.name="${escapeXml(key.name)}" attr.type="${key.type}"/>`),
+    `  <graph id="${escapeXml(graphId)}" edgedefault="${directed ? 'directed' : 'undirected'}">`,
+    ...nodes.map(node => `    <node id="${escapeXml(node.id)}">${dataElements(node, nodeKeys)}</node>`),
+    ...edges.map((edge, i) => `    <edge id="${escapeXml(edge.id || `e${i}`)}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}">${dataElements(edge, edgeKeys)}</edge>`),
+    '  </graph>',
+    '</graphml>',
+  ];
+  return `${lines.join('\n')}\n`;
+};
+
+module.exports = {
+  toGraphML,
+};
@@ -0,0 +1,171 @@
+// Validator for the subset of JSON Schema extraction templates use: type (a name or
+// a list of names), properties, required, additionalProperties: false, items, enum,
+// format (date, date-time, email), minimum/maximum, minLength/maxLength,
+// minItems/maxItems and pattern. Other keywords (title, description, ...) are ignored.
+
+const TYPES = ['object', 'array', 'string', 'number', 'integer', 'boolean', 'null'];
+
+const FORMATS = {
+  date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+  'date-time': value => /^\d{4}-\d{2}-\d{2}T/.test(value) && !Number.isNaN(Date.parse(value)),
+  email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+};
+
+// Template patterns run on the server, so only ones that cannot backtrack badly are
+// accepted: no backreferences and no repeated group that itself contains a repetition
+// or an alternative, such as (a+)+ or (a|ab)*. Long patterns and long strings are
+// refused outright.
+const MAX_PATTERN_LENGTH = 200;
+const MAX_PATTERN_INPUT_LENGTH = 1000;
+
+const quantifierLength = (pattern, i) => {
+  if (pattern[i] === '*' || pattern[i] === '+') return 1;
+  const braces = pattern[i] === '{' && pattern.slice(i).match(/^\{\d+(?:,\d*)?\}/);
+  return braces ? braces[0].length : 0;
+};
+
+// Why `pattern` is not accepted, or null when it is
+const patternProblem = (pattern) => {
+  if (typeof pattern !== 'string') return 'pattern must be a string';
+  if (pattern.length > MAX_PATTERN_LENGTH) return `pattern is longer than ${MAX_PATTERN_LENGTH} characters`;
+  try {
+    new RegExp(pattern);
+  } catch {
+    return 'pattern is not a valid regular expression';
+  }
+
+  // Each open group records whether it holds a repetition or an alternative
+  const groups = [{ complex: false }];
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\') {
+      if (/[1-9k]/.test(pattern[i + 1])) return 'pattern must not use backreferences';
+      i++;
+    } else if (char === '[') {
+      for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') i++;
+      }
+    } else if (char === '(') {
+      groups.push({ complex: false });
+    } else if (char === ')') {
+      const group = groups.pop();
+      const repeated = quantifierLength(pattern, i + 1) > 0;
+      if (repeated && group.complex) return 'pattern must not repeat a group that contains a repetition or an alternative';
+      if (repeated || group.complex) groups[groups.length - 1].complex = true;
+    } else if (char === '|') {
+      groups[groups.length - 1].complex = true;
+    } else if (quantifierLength(pattern, i) > 0) {
+      groups[groups.length - 1].complex = true;
+      i += quantifierLength(pattern, i) - 1;
+    }
+  }
+  return null;
+};
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+};
+
+const typesOf = (schema) => (Array.isArray(schema.type) ? schema.type : [schema.type]).filter(Boolean);
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Problems with the schema itself, as "<path>: <problem>" strings. An empty list
+// means the validator below understands it.
+const checkSchema = (schema, path = '$') => {
+  if (!isPlainObject(schema)) return [`${path}: must be an object`];
+  const errors = [];
+  const types = typesOf(schema);
+  if (types.length === 0 && !schema.enum) errors.push(`${path}: needs a type or an enum`);
+  for (const type of types) {
+    if (!TYPES.includes(type)) errors.push(`${path}: unsupported type "${type}"`);
+  }
+  if (schema.format && !FORMATS[schema.format]) errors.push(`${path}: unsupported format "${schema.format}"`);
+  if (schema.enum !== undefined && (!Array.isArray(schema.enum) || schema.enum.length === 0)) {
+    errors.push(`${path}: enum must be a non-empty list`);
+  }
+  if (schema.pattern !== undefined) {
+    const problem = patternProblem(schema.pattern);
+    if (problem) errors.push(`${path}: ${problem}`);
+  }
+  if (schema.properties !== undefined) {
+    if (!isPlainObject(schema.properties)) {
+      errors.push(`${path}.properties: must be an object`);
+    } else {
+      for (const [name, property] of Object.entries(schema.properties)) {
+        errors.push(...checkSchema(property, `${path}.${name}`));
+      }
+    }
+  }
+  if (schema.required !== undefined && (!Array.isArray(schema.required) || schema.required.some(name => !schema.properties?.[name]))) {
+    errors.push(`${path}.required: must list defined properties`);
+  }
+  if (schema.items !== undefined) errors.push(...checkSchema(schema.items, `${path}[]`));
+  return errors;
+};
+
+// Ways `value` breaks `schema`, as "<path>: <problem>" strings; empty when it is valid.
+const validate = (value, schema, path = '$') => {
+  const types = typesOf(schema);
+  if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+    return [`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+  }
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    return [`${path}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`];
+  }
+
+  const errors = [];
+  if (typeof value === 'string') {
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) errors.push(`${path}: not a valid ${schema.format}`);
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path}: shorter than ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path}: longer than ${schema.maxLength} characters`);
+    if (schema.pattern !== undefined) {
+      // Templates saved before patterns were checked may still hold a risky one
+      if (patternProblem(schema.pattern)) {
+        errors.push(`${path}: cannot be checked against ${schema.pattern}`);
+      } else if (value.length > MAX_PATTERN_INPUT_LENGTH) {
+        errors.push(`${path}: longer than ${MAX_PATTERN_INPUT_LENGTH} characters, too long to check against ${schema.pattern}`);
+      } else if (!new RegExp(schema.pattern).test(value)) {
+        errors.push(`${path}: does not match ${schema.pattern}`);
+      }
+    }
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: less than ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: greater than ${schema.maximum}`);
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path}: fewer than ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path}: more than ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validate(item, schema.items, `${path}[${index}]`)));
+    }
+  }
+  if (isPlainObject(value)) {
+    const properties = schema.properties || {};
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) errors.push(`${path}.${name}: is required`);
+    }
+    for (const [name, item] of Object.entries(value)) {
+      if (properties[name]) {
+        errors.push(...validate(item, properties[name], `${path}.${name}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${name}: is not allowed`);
+      }
+    }
+  }
+  return errors;
+};
+
+module.exports = {
+  checkSchema,
+  validate,
+};
@@ -0,0 +1,35 @@
+// Deterministic embeddings with no API calls, for tests and offline evaluation
+// (EMBEDDING_PROVIDER=local). Words and word pairs are hashed into a fixed number of
+// signed buckets and the vector is L2-normalized, so texts sharing vocabulary end
+// up close. Far weaker than a learned model; only compare it with itself.
+
+const DIMENSIONS = parseInt(process.env.EMBEDDING_DIM || '768', 10);
+
+// 32-bit FNV-1a
+const hash = (text) => {
+  let value = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    value ^= text.charCodeAt(i);
+    value = Math.imul(value, 0x01000193);
+  }
+  return value >>> 0;
+};
+
+const tokenize = (text) => (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+const embedLocally = (text, dimensions = DIMENSIONS) => {
+  const vector = new Array(dimensions).fill(0);
+  const words = tokenize(text);
+  const features = [...words, ...words.slice(1).map((word, i) => `${words[i]} ${word}`)];
+  for (const feature of features) {
+    const value = hash(feature);
+    // The top bit picks the sign, so unrelated features tend to cancel out
+    vector[value % dimensions] += value & 0x80000000 ? -1 : 1;
+  }
+  const norm = Math.sqrt(vector.reduce((sum, x) => sum + x * x, 0));
+  return norm === 0 ? vector : vector.map(x => x / norm);
+};
+
+module.exports = {
+  embedLocally,
+};
@@ -0,0 +1,157 @@
+// Paragraph-level diff between two versions of a document's text.
+
+// Above this many cells (paragraphs in a × paragraphs in b) the LCS table is not
+// built and the differing middle is reported as removed + added as a whole.
+const MAX_LCS_CELLS = 4000000;
+// Word overlap from which a removed/added pair is reported as one modified paragraph
+const MODIFIED_THRESHOLD = 0.5;
+
+const normalizeParagraph = (text) => text.replace(/\s+/g, ' ').trim();
+
+// Paragraphs are separated by blank lines. PDF text has no blank lines inside a
+// page, so a line break after a sentence end followed by a capital, digit or
+// bullet also starts a new paragraph.
+const splitParagraphs = (text) => {
+  const paragraphs = [];
+  for (const block of (text || '').split(/\n\s*\n/)) {
+    const parts = block.split(/(?<=[.!?:;]["')\]]?)[ \t]*\n(?=[ \t]*[\p{Lu}\p{N}•\-*])/u);
+    for (const part of parts) {
+      const paragraph = normalizeParagraph(part);
+      if (paragraph) paragraphs.push(paragraph);
+    }
+  }
+  return paragraphs;
+};
+
+const words = (text) => text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+// Dice coefficient over word multisets, 0..1
+const similarity = (a, b) => {
+  const aWords = words(a);
+  const bWords = words(b);
+  if (aWords.length === 0 && bWords.length === 0) return 1;
+  const counts = new Map();
+  aWords.forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+  let shared = 0;
+  for (const word of bWords) {
+    const count = counts.get(word) || 0;
+    if (count > 0) {
+      shared++;
+      counts.set(word, count - 1);
+    }
+  }
+  return (2 * shared) / (aWords.length + bWords.length);
+};
+
+// Edit script between two lists of strings as [{ op: 'equal'|'removed'|'added', a, b }]
+// with a/b the indexes into each list.
+const diffSequences = (a, b) => {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let aEnd = a.length;
+  let bEnd = b.length;
+  while (aEnd > start && bEnd > start && a[aEnd - 1] === b[bEnd - 1]) {
+    aEnd--;
+    bEnd--;
+  }
+
+  const ops = [];
+  for (let i = 0; i < start; i++) ops.push({ op: 'equal', a: i, b: i });
+
+  const n = aEnd - start;
+  const m = bEnd - start;
+  if (n * m > MAX_LCS_CELLS) {
+    for (let i = start; i < aEnd; i++) ops.push({ op: 'removed', a: i });
+    for (let j = start; j < bEnd; j++) ops.push({ op: 'added', b: j });
+  } else {
+    // lcs[i * (m + 1) + j] = LCS length of a[start + i..aEnd) and b[start + j..bEnd)
+    const width = m + 1;
+    const lcs = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * width + j] = a[start + i] === b[start + j]
+          ? lcs[(i + 1) * width + j + 1] + 1
+          : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && a[start + i] === b[start + j]) {
+        ops.push({ op: 'equal', a: start + i, b: start + j });
+        i++;
+        j++;
+      } else if (j < m && (i === n || lcs[i * width + j + 1] >= lcs[(i + 1) * width + j])) {
+        ops.push({ op: 'added', b: start + j });
+        j++;
+      } else {
+        ops.push({ op: 'removed', a: start + i });
+        i++;
+      }
+    }
+  }
+
+  for (let k = 0; aEnd + k < a.length; k++) ops.push({ op: 'equal', a: aEnd + k, b: bEnd + k });
+  return ops;
+};
+
+// Pair up the removed and added paragraphs of one changed region. A pair that is
+// similar enough becomes a single "modified" change.
+const describeRegion = (removed, added, from, to) => {
+  const changes = [];
+  const pairs = Math.min(removed.length, added.length);
+  for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+    const a = removed[k];
+    const b = added[k];
+    const score = k < pairs ? similarity(from[a], to[b]) : 0;
+    if (score >= MODIFIED_THRESHOLD) {
+      changes.push({ type: 'modified', fromIndex: a, toIndex: b, before: from[a], after: to[b], similarity: Math.round(score * 100) / 100 });
+      continue;
+    }
+    if (a !== undefined) changes.push({ type: 'removed', fromIndex: a, text: from[a] });
+    if (b !== undefined) changes.push({ type: 'added', toIndex: b, text: to[b] });
+  }
+  return changes;
+};
+
+// Diff two texts paragraph by paragraph. Returns { stats, changes } where changes
+// are added, removed and modified paragraphs in document order (plus unchanged
+// ones when includeUnchanged is set). Indexes are paragraph positions.
+const diffParagraphs = (fromText, toText, { includeUnchanged = false } = {}) => {
+  const from = splitParagraphs(fromText);
+  const to = splitParagraphs(toText);
+  const ops = diffSequences(from, to);
+
+  const changes = [];
+  const stats = { fromParagraphs: from.length, toParagraphs: to.length, unchanged: 0, added: 0, removed: 0, modified: 0 };
+  let removed = [];
+  let added = [];
+  const flush = () => {
+    for (const change of describeRegion(removed, added, from, to)) {
+      stats[change.type]++;
+      changes.push(change);
+    }
+    removed = [];
+    added = [];
+  };
+
+  for (const op of ops) {
+    if (op.op === 'removed') {
+      removed.push(op.a);
+    } else if (op.op === 'added') {
+      added.push(op.b);
+    } else {
+      flush();
+      stats.unchanged++;
+      if (includeUnchanged) changes.push({ type: 'unchanged', fromIndex: op.a, toIndex: op.b, text: from[op.a] });
+    }
+  }
+  flush();
+
+  return { stats, changes };
+};
+
+module.exports = {
+  splitParagraphs,
+  diffParagraphs,
+};